@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+// SolidityPack command-line tool
+// Decode, encode, inspect and validate payloads without writing a script
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { decodeAll, decodeStats, encodeToHex } from '../lib/helpers.js';
+import { assertCanonical } from '../lib/decoder.js';
+import { disassemble } from '../lib/disassemble.js';
+import { toTypedJSON, fromTypedJSON } from '../lib/typedjson.js';
+
+const USAGE = `Usage: soliditypack <command> [input] [options]
+
+Commands:
+  decode [hex]     Decode to JSON (reads stdin when no input is given)
+  encode [json]    Encode JSON to hex; "123n" strings become BigInts
+  inspect [hex]    Disassemble: offset, tag, length prefix and payload of each value
+  stats [hex]      Type counts, depth and size
+  validate [hex]   Check the payload decodes cleanly in strict mode
+
+Options:
+  --msgpack        Use MessagePack mode (decode, encode, validate)
+  --canonical      Also require canonical encoding (validate)
+  --typed          Lossless typed JSON, e.g. {"$address": "0x..."} (decode, encode)
+  -h, --help       Show this help
+
+Stdin may be hex text or raw bytes.`;
+
+const OPTIONS = {
+    msgpack: { type: 'boolean', default: false },
+    canonical: { type: 'boolean', default: false },
+    typed: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function readInput(arg) {
+    if (arg !== undefined) return arg;
+    return readFileSync(0);
+}
+
+function toBuffer(input) {
+    if (Buffer.isBuffer(input)) {
+        const text = input.toString('latin1').replace(/\s+/g, '');
+        if (!/^(0x)?([0-9a-fA-F]{2})*$/.test(text)) return input;
+        input = text;
+    }
+
+    const hex = input.replace(/\s+/g, '').replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error('Input is not valid hex');
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+// Same BigInt convention as decodePretty; bytes print as hex. Maps with only
+// string keys print as objects; JSON has no form for typed keys.
+function stringify(value) {
+    return JSON.stringify(value, function (key, item) {
+        if (typeof item === 'bigint') return item.toString() + 'n';
+        if (Buffer.isBuffer(this[key])) return '0x' + this[key].toString('hex');
+        if (item instanceof Map) {
+            for (const mapKey of item.keys()) {
+                if (typeof mapKey !== 'string') {
+                    throw new Error(`Map key ${mapKey} is not a string, so it has no plain JSON form; use --typed`);
+                }
+            }
+            return Object.fromEntries(item);
+        }
+        return item;
+    }, 2);
+}
+
+function parseJSON(text) {
+    return JSON.parse(text, (key, value) => {
+        if (typeof value === 'string' && /^-?\d+n$/.test(value)) {
+            return BigInt(value.slice(0, -1));
+        }
+        return value;
+    });
+}
+
+function decodeCommand(data, options) {
+    if (options.typed) return JSON.stringify(toTypedJSON(data), null, 2);
+    const values = decodeAll(data, { msgpack: options.msgpack, map: 'map' });
+    return values.map(stringify).join('\n');
+}
+
+function encodeCommand(input, options) {
+    const text = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+    if (options.typed) return '0x' + fromTypedJSON(JSON.parse(text)).toString('hex');
+    return encodeToHex(parseJSON(text), { msgpack: options.msgpack });
+}
+
+function statsCommand(data) {
+    return stringify(decodeStats(data));
+}
+
+function validateCommand(data, options) {
+    if (options.canonical) assertCanonical(data);
+    const values = decodeAll(data, { strict: true, msgpack: options.msgpack, map: 'map' });
+    return `valid: ${values.length} value(s), ${data.length} bytes`;
+}
+
+const COMMANDS = {
+    decode: (input, options) => decodeCommand(toBuffer(input), options),
+    encode: encodeCommand,
+    inspect: input => disassemble(toBuffer(input)),
+    stats: input => statsCommand(toBuffer(input)),
+    validate: (input, options) => validateCommand(toBuffer(input), options)
+};
+
+function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, arg] = positionals;
+
+    if (options.help || command === undefined) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+    if (options.canonical && options.msgpack) {
+        throw new Error('--canonical cannot be combined with --msgpack');
+    }
+    if (options.typed && options.msgpack) {
+        throw new Error('--typed cannot be combined with --msgpack');
+    }
+
+    console.log(COMMANDS[command](readInput(arg), options));
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error(`error: ${e.message}`);
+    process.exitCode = 1;
+}
@@ -129,14 +129,14 @@ library SPack {
 
     /// @notice Encode string (chainable)
     function s(Builder memory b, string memory v) internal pure returns (Builder memory) {
-        _ensureSpace(b, bytes(v).length + 3);
+        _ensureSpace(b, bytes(v).length + 5);
         _writeString(b, v);
         return b;
     }
 
     /// @notice Encode bytes (chainable)
     function b(Builder memory b, bytes memory v) internal pure returns (Builder memory) {
-        _ensureSpace(b, v.length + 3);
+        _ensureSpace(b, v.length + 5);
         _writeBytes(b, v);
         return b;
     }
@@ -164,14 +164,14 @@ library SPack {
 
     /// @notice Start array (chainable)
     function arr(Builder memory b, uint256 len) internal pure returns (Builder memory) {
-        _ensureSpace(b, 3);
+        _ensureSpace(b, 5);
         _writeArrayStart(b, len);
         return b;
     }
 
     /// @notice Start map (chainable)
     function map(Builder memory b, uint256 len) internal pure returns (Builder memory) {
-        _ensureSpace(b, 3);
+        _ensureSpace(b, 5);
         _writeMapStart(b, len);
         return b;
     }
@@ -337,10 +337,12 @@ library SPack {
         } else if (len <= 255) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.STR8);
             b.buffer[b.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.STR16);
             b.buffer[b.pos++] = bytes1(uint8(len >> 8));
             b.buffer[b.pos++] = bytes1(uint8(len));
+        } else {
+            _writeLen32(b, SolidityPackTypes.STR32, len);
         }
 
         assembly ("memory-safe") {
@@ -363,10 +365,12 @@ library SPack {
         if (len <= 255) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.BYTES8);
             b.buffer[b.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.BYTES16);
             b.buffer[b.pos++] = bytes1(uint8(len >> 8));
             b.buffer[b.pos++] = bytes1(uint8(len));
+        } else {
+            _writeLen32(b, SolidityPackTypes.BYTES32LEN, len);
         }
 
         assembly ("memory-safe") {
@@ -398,10 +402,12 @@ library SPack {
         } else if (len <= 255) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.ARRAY8);
             b.buffer[b.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.ARRAY16);
             b.buffer[b.pos++] = bytes1(uint8(len >> 8));
             b.buffer[b.pos++] = bytes1(uint8(len));
+        } else {
+            _writeLen32(b, SolidityPackTypes.ARRAY32, len);
         }
     }
 
@@ -411,13 +417,24 @@ library SPack {
         } else if (len <= 255) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.MAP8);
             b.buffer[b.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             b.buffer[b.pos++] = bytes1(SolidityPackTypes.MAP16);
             b.buffer[b.pos++] = bytes1(uint8(len >> 8));
             b.buffer[b.pos++] = bytes1(uint8(len));
+        } else {
+            _writeLen32(b, SolidityPackTypes.MAP32, len);
         }
     }
 
+    function _writeLen32(Builder memory b, uint8 tag, uint256 len) private pure {
+        require(len <= type(uint32).max, "Length too large");
+        b.buffer[b.pos++] = bytes1(tag);
+        b.buffer[b.pos++] = bytes1(uint8(len >> 24));
+        b.buffer[b.pos++] = bytes1(uint8(len >> 16));
+        b.buffer[b.pos++] = bytes1(uint8(len >> 8));
+        b.buffer[b.pos++] = bytes1(uint8(len));
+    }
+
     function _ensureSpace(Builder memory b, uint256 required) private pure {
         uint256 needed = b.pos + required;
         if (needed <= b.buffer.length) return;
@@ -513,7 +530,7 @@ library SPack {
             for (uint256 i = 0; i < len; i++) {
                 result[i + 2] = byt[i];
             }
-        } else {
+        } else if (len <= 0xFFFF) {
             result = new bytes(len + 3);
             result[0] = bytes1(SolidityPackTypes.STR16);
             result[1] = bytes1(uint8(len >> 8));
@@ -521,6 +538,13 @@ library SPack {
             for (uint256 i = 0; i < len; i++) {
                 result[i + 3] = byt[i];
             }
+        } else {
+            Builder memory b = Builder(new bytes(len + 5), 0);
+            _writeLen32(b, SolidityPackTypes.STR32, len);
+            result = b.buffer;
+            for (uint256 i = 0; i < len; i++) {
+                result[i + 5] = byt[i];
+            }
         }
         return result;
     }
@@ -536,7 +560,7 @@ library SPack {
             for (uint256 i = 0; i < len; i++) {
                 result[i + 2] = value[i];
             }
-        } else {
+        } else if (len <= 0xFFFF) {
             result = new bytes(len + 3);
             result[0] = bytes1(SolidityPackTypes.BYTES16);
             result[1] = bytes1(uint8(len >> 8));
@@ -544,6 +568,13 @@ library SPack {
             for (uint256 i = 0; i < len; i++) {
                 result[i + 3] = value[i];
             }
+        } else {
+            Builder memory b = Builder(new bytes(len + 5), 0);
+            _writeLen32(b, SolidityPackTypes.BYTES32LEN, len);
+            result = b.buffer;
+            for (uint256 i = 0; i < len; i++) {
+                result[i + 5] = value[i];
+            }
         }
         return result;
     }
@@ -24,7 +24,11 @@ library SolidityPackDecoder {
         ARRAY,
         MAP,
         ADDRESS,
-        BYTES32
+        BYTES32,
+        EXT,
+        DECIMAL,
+        TIMESTAMP,
+        DURATION
     }
 
     // ============ GENERIC TYPE INSPECTION ============
@@ -61,30 +65,48 @@ library SolidityPackDecoder {
             tag == SolidityPackTypes.INT256
         ) {
             return TypeCategory.INT;
-        } else if (tag == SolidityPackTypes.BYTES8 || tag == SolidityPackTypes.BYTES16) {
+        } else if (
+            tag == SolidityPackTypes.BYTES8 ||
+            tag == SolidityPackTypes.BYTES16 ||
+            tag == SolidityPackTypes.BYTES32LEN
+        ) {
             return TypeCategory.BYTES;
         } else if (
             (tag >= SolidityPackTypes.FIXSTR_BASE && tag < SolidityPackTypes.FIXSTR_BASE + 32) ||
             tag == SolidityPackTypes.STR8 ||
-            tag == SolidityPackTypes.STR16
+            tag == SolidityPackTypes.STR16 ||
+            tag == SolidityPackTypes.STR32
         ) {
             return TypeCategory.STRING;
         } else if (
             (tag >= SolidityPackTypes.FIXARRAY_BASE && tag < SolidityPackTypes.FIXARRAY_BASE + 16) ||
             tag == SolidityPackTypes.ARRAY8 ||
-            tag == SolidityPackTypes.ARRAY16
+            tag == SolidityPackTypes.ARRAY16 ||
+            tag == SolidityPackTypes.ARRAY32
         ) {
             return TypeCategory.ARRAY;
         } else if (
             (tag >= SolidityPackTypes.FIXMAP_BASE && tag < SolidityPackTypes.FIXMAP_BASE + 16) ||
             tag == SolidityPackTypes.MAP8 ||
-            tag == SolidityPackTypes.MAP16
+            tag == SolidityPackTypes.MAP16 ||
+            tag == SolidityPackTypes.MAP32
         ) {
             return TypeCategory.MAP;
         } else if (tag == SolidityPackTypes.ADDRESS) {
             return TypeCategory.ADDRESS;
         } else if (tag == SolidityPackTypes.BYTES32_TYPE) {
             return TypeCategory.BYTES32;
+        } else if (tag == SolidityPackTypes.EXT8 || tag == SolidityPackTypes.EXT16) {
+            // Timestamps and durations are ext values with a reserved type id
+            uint256 idPos = dec.pos + (tag == SolidityPackTypes.EXT8 ? 2 : 3);
+            if (idPos < dec.data.length) {
+                uint8 id = uint8(dec.data[idPos]);
+                if (id == SolidityPackTypes.EXT_TIMESTAMP) return TypeCategory.TIMESTAMP;
+                if (id == SolidityPackTypes.EXT_DURATION) return TypeCategory.DURATION;
+            }
+            return TypeCategory.EXT;
+        } else if (tag == SolidityPackTypes.DECIMAL) {
+            return TypeCategory.DECIMAL;
         }
 
         revert("Unknown type tag");
@@ -241,6 +263,28 @@ library SolidityPackDecoder {
             }
             dec.pos += 4;
             return int256(val);
+        } else if (tag == SolidityPackTypes.INT64) {
+            uint256 val;
+            assembly {
+                let ptr := add(add(mload(dec), 32), mload(add(dec, 32)))
+                for { let i := 0 } lt(i, 8) { i := add(i, 1) } {
+                    val := or(shl(8, val), byte(0, mload(add(ptr, i))))
+                }
+                val := signextend(7, val)
+            }
+            dec.pos += 8;
+            return int256(val);
+        } else if (tag == SolidityPackTypes.INT128) {
+            uint256 val;
+            assembly {
+                let ptr := add(add(mload(dec), 32), mload(add(dec, 32)))
+                for { let i := 0 } lt(i, 16) { i := add(i, 1) } {
+                    val := or(shl(8, val), byte(0, mload(add(ptr, i))))
+                }
+                val := signextend(15, val)
+            }
+            dec.pos += 16;
+            return int256(val);
         } else if (tag == SolidityPackTypes.INT256) {
             int256 val;
             assembly {
@@ -296,6 +340,8 @@ library SolidityPackDecoder {
                 (uint256(uint8(dec.data[dec.pos])) << 8) |
                 uint256(uint8(dec.data[dec.pos + 1]));
             dec.pos += 2;
+        } else if (tag == SolidityPackTypes.BYTES32LEN) {
+            len = _readLength32(dec);
         } else {
             revert("Not bytes");
         }
@@ -327,13 +373,15 @@ library SolidityPackDecoder {
         return result;
     }
 
-    function decodeString(
+    /**
+     * @notice Consume a string header and return the payload length
+     */
+    function decodeStringLength(
         SolidityPackTypes.Decoder memory dec
-    ) internal pure returns (string memory) {
+    ) internal pure returns (uint256 len) {
         uint8 tag = peekType(dec);
         dec.pos++;
 
-        uint256 len;
         if (tag >= SolidityPackTypes.FIXSTR_BASE && tag < SolidityPackTypes.FIXSTR_BASE + 32) {
             len = uint256(tag - SolidityPackTypes.FIXSTR_BASE);
         } else if (tag == SolidityPackTypes.STR8) {
@@ -343,9 +391,17 @@ library SolidityPackDecoder {
                 (uint256(uint8(dec.data[dec.pos])) << 8) |
                 uint256(uint8(dec.data[dec.pos + 1]));
             dec.pos += 2;
+        } else if (tag == SolidityPackTypes.STR32) {
+            len = _readLength32(dec);
         } else {
             revert("Not string");
         }
+    }
+
+    function decodeString(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (string memory) {
+        uint256 len = decodeStringLength(dec);
 
         bytes memory result = new bytes(len);
         assembly {
@@ -374,6 +430,162 @@ library SolidityPackDecoder {
         return string(result);
     }
 
+    /**
+     * @notice Consume an extension header and return its type id and payload length
+     * @dev The decoder is left at the payload, so callers can read it in place
+     */
+    function decodeExtHeader(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (uint8 id, uint256 len) {
+        uint8 tag = peekType(dec);
+        dec.pos++;
+
+        if (tag == SolidityPackTypes.EXT8) {
+            len = uint256(uint8(dec.data[dec.pos++]));
+        } else if (tag == SolidityPackTypes.EXT16) {
+            len =
+                (uint256(uint8(dec.data[dec.pos])) << 8) |
+                uint256(uint8(dec.data[dec.pos + 1]));
+            dec.pos += 2;
+        } else {
+            revert("Not ext");
+        }
+        id = uint8(dec.data[dec.pos++]);
+        require(dec.pos + len <= dec.data.length, "EOF");
+    }
+
+    /**
+     * @notice Decode an extension value as its type id and a copy of its payload
+     */
+    function decodeExt(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (uint8 id, bytes memory payload) {
+        uint256 len;
+        (id, len) = decodeExtHeader(dec);
+
+        payload = new bytes(len);
+        assembly {
+            let src := add(add(mload(dec), 32), mload(add(dec, 32)))
+            let dst := add(payload, 32)
+
+            // Copy full 32-byte chunks
+            let fullChunks := div(len, 32)
+            for { let i := 0 } lt(i, fullChunks) { i := add(i, 1) } {
+                mstore(add(dst, mul(i, 32)), mload(add(src, mul(i, 32))))
+            }
+
+            // Copy remaining bytes if any
+            let remaining := mod(len, 32)
+            if gt(remaining, 0) {
+                let lastChunkOffset := mul(fullChunks, 32)
+                let mask := sub(shl(mul(remaining, 8), 1), 1)
+                let srcData := and(
+                    mload(add(src, lastChunkOffset)),
+                    shl(sub(256, mul(remaining, 8)), mask)
+                )
+                mstore(add(dst, lastChunkOffset), srcData)
+            }
+        }
+        dec.pos += len;
+    }
+
+    /**
+     * @notice Decode a timestamp as seconds since the Unix epoch and nanoseconds
+     */
+    function decodeTimestamp(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (uint64 secs, uint32 nanos) {
+        return _decodeTime(dec, TypeCategory.TIMESTAMP, "Not timestamp");
+    }
+
+    /**
+     * @notice Decode a duration as seconds and nanoseconds
+     */
+    function decodeDuration(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (uint64 secs, uint32 nanos) {
+        return _decodeTime(dec, TypeCategory.DURATION, "Not duration");
+    }
+
+    /**
+     * @dev 8-byte seconds, then 4-byte nanoseconds when the payload is 12 bytes
+     */
+    function _decodeTime(
+        SolidityPackTypes.Decoder memory dec,
+        TypeCategory category,
+        string memory message
+    ) private pure returns (uint64 secs, uint32 nanos) {
+        require(peekCategory(dec) == category, message);
+        (, uint256 len) = decodeExtHeader(dec);
+        require(len == 8 || len == 12, "Invalid time length");
+
+        uint256 word;
+        assembly {
+            word := mload(add(add(mload(dec), 32), mload(add(dec, 32))))
+        }
+        secs = uint64(word >> 192);
+        if (len == 12) {
+            nanos = uint32(word >> 160);
+            require(nanos < 1e9, "Invalid nanoseconds");
+        }
+        dec.pos += len;
+    }
+
+    /**
+     * @notice Decode a fixed-point decimal as its mantissa and number of decimals
+     * @dev The value is mantissa / 10^decimals
+     */
+    function decodeDecimal(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (int256 mantissa, uint8 decimals) {
+        require(peekType(dec) == SolidityPackTypes.DECIMAL, "Not decimal");
+        dec.pos++;
+        decimals = uint8(dec.data[dec.pos++]);
+
+        TypeCategory category = peekCategory(dec);
+        if (category == TypeCategory.UINT) {
+            uint256 value = decodeUint(dec);
+            require(value <= uint256(type(int256).max), "Decimal overflow");
+            mantissa = int256(value);
+        } else if (category == TypeCategory.INT) {
+            mantissa = decodeInt(dec);
+        } else {
+            revert("Invalid decimal mantissa");
+        }
+    }
+
+    /**
+     * @notice Decode a fixed-point decimal as a mantissa with `targetDecimals` decimals,
+     *         e.g. 18 for a token amount
+     * @dev Reverts if scaling up overflows int256, or scaling down would drop nonzero digits
+     */
+    function decodeDecimal(
+        SolidityPackTypes.Decoder memory dec,
+        uint8 targetDecimals
+    ) internal pure returns (int256) {
+        (int256 mantissa, uint8 decimals) = decodeDecimal(dec);
+        if (mantissa == 0) return 0;
+
+        // 10^77 no longer fits an int256
+        if (targetDecimals >= decimals) {
+            uint256 shift = targetDecimals - decimals;
+            require(shift < 77, "Decimal overflow");
+            int256 factor = int256(10 ** shift);
+            int256 scaled;
+            unchecked {
+                scaled = mantissa * factor;
+            }
+            require(scaled / factor == mantissa, "Decimal overflow");
+            return scaled;
+        }
+
+        uint256 drop = decimals - targetDecimals;
+        require(drop < 77, "Decimal precision loss");
+        int256 divisor = int256(10 ** drop);
+        require(mantissa % divisor == 0, "Decimal precision loss");
+        return mantissa / divisor;
+    }
+
     function decodeArrayLength(
         SolidityPackTypes.Decoder memory dec
     ) internal pure returns (uint256) {
@@ -389,6 +601,8 @@ library SolidityPackDecoder {
                 uint256(uint8(dec.data[dec.pos + 1]));
             dec.pos += 2;
             return len;
+        } else if (tag == SolidityPackTypes.ARRAY32) {
+            return _readLength32(dec);
         }
 
         revert("Not array");
@@ -409,6 +623,8 @@ library SolidityPackDecoder {
                 uint256(uint8(dec.data[dec.pos + 1]));
             dec.pos += 2;
             return len;
+        } else if (tag == SolidityPackTypes.MAP32) {
+            return _readLength32(dec);
         }
 
         revert("Not map");
@@ -468,6 +684,398 @@ library SolidityPackDecoder {
         return result;
     }
 
+    // ============ PATH LOOKUP ============
+
+    /**
+     * @notice Position the decoder at the value stored under `key` in the next map
+     * @dev Keys are compared by hash without copying them, and keys of other types are
+     *      skipped. Returns false (with the decoder past the map) if the key is absent;
+     *      reverts if the value isn't a map
+     */
+    function seekKey(
+        SolidityPackTypes.Decoder memory dec,
+        string memory key
+    ) internal pure returns (bool) {
+        return _seekTypedKey(dec, TypeCategory.STRING, keccak256(bytes(key)));
+    }
+
+    /**
+     * @notice Decode the next map key as its category and a 32-byte word
+     * @dev Uint, int, address and bytes32 keys are their value left-padded to 32 bytes
+     *      (mirroring mapping(uint256/address/bytes32 => ...)); string keys are their
+     *      keccak256 hash. Reverts on any other key type
+     */
+    function decodeMapKey(
+        SolidityPackTypes.Decoder memory dec
+    ) internal pure returns (TypeCategory category, bytes32 key) {
+        category = peekCategory(dec);
+        if (category == TypeCategory.UINT) {
+            key = bytes32(decodeUint(dec));
+        } else if (category == TypeCategory.INT) {
+            key = bytes32(uint256(decodeInt(dec)));
+        } else if (category == TypeCategory.ADDRESS) {
+            key = bytes32(uint256(uint160(decodeAddress(dec))));
+        } else if (category == TypeCategory.BYTES32) {
+            key = decodeBytes32(dec);
+        } else if (category == TypeCategory.STRING) {
+            uint256 keyLen = decodeStringLength(dec);
+            require(dec.pos + keyLen <= dec.data.length, "EOF");
+            assembly {
+                let ptr := add(add(mload(dec), 32), mload(add(dec, 32)))
+                key := keccak256(ptr, keyLen)
+            }
+            dec.pos += keyLen;
+        } else {
+            revert("Unsupported map key");
+        }
+    }
+
+    /**
+     * @notice Position the decoder at the value stored under a uint key in the next map
+     * @dev Same contract as seekKey; keys of other types are skipped
+     */
+    function seekUintKey(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 key
+    ) internal pure returns (bool) {
+        return _seekTypedKey(dec, TypeCategory.UINT, bytes32(key));
+    }
+
+    /**
+     * @notice Position the decoder at the value stored under an address key in the next map
+     */
+    function seekAddressKey(
+        SolidityPackTypes.Decoder memory dec,
+        address key
+    ) internal pure returns (bool) {
+        return _seekTypedKey(dec, TypeCategory.ADDRESS, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @notice Position the decoder at the value stored under a bytes32 key in the next map
+     */
+    function seekBytes32Key(
+        SolidityPackTypes.Decoder memory dec,
+        bytes32 key
+    ) internal pure returns (bool) {
+        return _seekTypedKey(dec, TypeCategory.BYTES32, key);
+    }
+
+    function _seekTypedKey(
+        SolidityPackTypes.Decoder memory dec,
+        TypeCategory category,
+        bytes32 key
+    ) private pure returns (bool) {
+        uint256 len = decodeMapLength(dec);
+
+        for (uint256 i = 0; i < len; i++) {
+            if (peekCategory(dec) != category) {
+                skip(dec);
+            } else {
+                (, bytes32 candidate) = decodeMapKey(dec);
+                if (candidate == key) return true;
+            }
+            skip(dec);
+        }
+        return false;
+    }
+
+    /**
+     * @notice Position the decoder at item `index` of the next array
+     * @dev Returns false (with the decoder past the array) if out of range;
+     *      reverts if the value isn't an array
+     */
+    function seekIndex(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 index
+    ) internal pure returns (bool) {
+        uint256 len = decodeArrayLength(dec);
+        uint256 target = index < len ? index : len;
+
+        for (uint256 i = 0; i < target; i++) {
+            skip(dec);
+        }
+        return index < len;
+    }
+
+    /**
+     * @notice Follow a path of map keys and array indexes from the current position
+     * @param path SolidityPack array of segments: strings are map keys, uints are
+     *        array indexes (build it with `encodePath` from the JS package)
+     */
+    function seekPath(
+        SolidityPackTypes.Decoder memory dec,
+        bytes memory path
+    ) internal pure returns (bool) {
+        SolidityPackTypes.Decoder memory segments = newDecoder(path);
+        uint256 depth = decodeArrayLength(segments);
+
+        for (uint256 i = 0; i < depth; i++) {
+            bool found = peekCategory(segments) == TypeCategory.STRING
+                ? seekKey(dec, decodeString(segments))
+                : seekIndex(dec, decodeUint(segments));
+            if (!found) return false;
+        }
+        return true;
+    }
+
+    function _decoderAt(
+        bytes memory data,
+        bytes memory path
+    ) private pure returns (SolidityPackTypes.Decoder memory dec) {
+        dec = newDecoder(data);
+        require(seekPath(dec, path), "Path not found");
+    }
+
+    function getUintAt(bytes memory data, bytes memory path) internal pure returns (uint256) {
+        return decodeUint(_decoderAt(data, path));
+    }
+
+    function getIntAt(bytes memory data, bytes memory path) internal pure returns (int256) {
+        return decodeInt(_decoderAt(data, path));
+    }
+
+    function getBoolAt(bytes memory data, bytes memory path) internal pure returns (bool) {
+        return decodeBool(_decoderAt(data, path));
+    }
+
+    function getAddressAt(bytes memory data, bytes memory path) internal pure returns (address) {
+        return decodeAddress(_decoderAt(data, path));
+    }
+
+    function getBytes32At(bytes memory data, bytes memory path) internal pure returns (bytes32) {
+        return decodeBytes32(_decoderAt(data, path));
+    }
+
+    function getStringAt(bytes memory data, bytes memory path) internal pure returns (string memory) {
+        return decodeString(_decoderAt(data, path));
+    }
+
+    function getBytesAt(bytes memory data, bytes memory path) internal pure returns (bytes memory) {
+        return decodeBytes(_decoderAt(data, path));
+    }
+
+    // ============ CANONICAL VALIDATION ============
+
+    /**
+     * @notice Check that data is canonical: minimal-width integers and length headers,
+     *         string map keys in strictly ascending byte order
+     * @dev Same rules as isCanonical() in the JS library, so hashes of canonical bytes agree.
+     *      Accepts sequential values; returns false instead of reverting on malformed input
+     */
+    function isCanonical(bytes memory data) internal pure returns (bool) {
+        if (data.length == 0) return false;
+
+        SolidityPackTypes.Decoder memory dec = newDecoder(data);
+        while (dec.pos < data.length) {
+            if (!_checkCanonical(dec)) return false;
+        }
+        return true;
+    }
+
+    function _checkCanonical(SolidityPackTypes.Decoder memory dec) private pure returns (bool) {
+        if (dec.pos >= dec.data.length) return false;
+        uint8 tag = uint8(dec.data[dec.pos++]);
+
+        if (
+            tag <= SolidityPackTypes.FIXINT_POS_MAX ||
+            tag >= SolidityPackTypes.FIXINT_NEG_BASE ||
+            tag == SolidityPackTypes.NIL ||
+            tag == SolidityPackTypes.FALSE ||
+            tag == SolidityPackTypes.TRUE
+        ) {
+            return true;
+        } else if (tag >= SolidityPackTypes.UINT8 && tag <= SolidityPackTypes.UINT256) {
+            uint256 width = uint256(1) << (tag - SolidityPackTypes.UINT8);
+            (bool ok, uint256 value) = _readCanonicalWord(dec, width);
+            // uint8 must not fit a fixint, wider forms must not fit the next narrower one
+            return ok && value >= (width == 1 ? 128 : uint256(1) << (width * 4));
+        } else if (tag >= SolidityPackTypes.INT8 && tag <= SolidityPackTypes.INT256) {
+            uint256 width = uint256(1) << (tag - SolidityPackTypes.INT8);
+            uint256 bits = width * 8;
+            (bool ok, uint256 raw) = _readCanonicalWord(dec, width);
+            // Non-negative values belong in the uint forms
+            if (!ok || raw >> (bits - 1) == 0) return false;
+            uint256 magnitude = (raw ^ (type(uint256).max >> (256 - bits))) + 1;
+            return magnitude > (width == 1 ? 32 : uint256(1) << (width * 4 - 1));
+        } else if (tag == SolidityPackTypes.ADDRESS) {
+            return _advanceCanonical(dec, 20);
+        } else if (tag == SolidityPackTypes.BYTES32_TYPE) {
+            return _advanceCanonical(dec, 32);
+        } else if (tag >= SolidityPackTypes.FIXSTR_BASE && tag < SolidityPackTypes.FIXSTR_BASE + 32) {
+            return _advanceCanonical(dec, tag - SolidityPackTypes.FIXSTR_BASE);
+        } else if (tag >= SolidityPackTypes.FIXARRAY_BASE && tag < SolidityPackTypes.FIXARRAY_BASE + 16) {
+            return _checkCanonicalArray(dec, tag - SolidityPackTypes.FIXARRAY_BASE);
+        } else if (tag >= SolidityPackTypes.FIXMAP_BASE && tag < SolidityPackTypes.FIXMAP_BASE + 16) {
+            return _checkCanonicalMap(dec, tag - SolidityPackTypes.FIXMAP_BASE);
+        } else if (tag == SolidityPackTypes.DECIMAL) {
+            // Decimals byte, then the mantissa as a minimal int
+            if (!_advanceCanonical(dec, 1) || dec.pos >= dec.data.length) return false;
+            uint8 next = uint8(dec.data[dec.pos]);
+            bool integer = next <= SolidityPackTypes.FIXINT_POS_MAX ||
+                next >= SolidityPackTypes.FIXINT_NEG_BASE ||
+                (next >= SolidityPackTypes.UINT8 && next <= SolidityPackTypes.INT256);
+            return integer && _checkCanonical(dec);
+        }
+
+        (bool valid, uint256 len) = _readCanonicalLength(dec, tag);
+        if (!valid) {
+            return false;
+        } else if (
+            tag == SolidityPackTypes.ARRAY8 ||
+            tag == SolidityPackTypes.ARRAY16 ||
+            tag == SolidityPackTypes.ARRAY32
+        ) {
+            return _checkCanonicalArray(dec, len);
+        } else if (
+            tag == SolidityPackTypes.MAP8 ||
+            tag == SolidityPackTypes.MAP16 ||
+            tag == SolidityPackTypes.MAP32
+        ) {
+            return _checkCanonicalMap(dec, len);
+        } else if (tag == SolidityPackTypes.EXT8 || tag == SolidityPackTypes.EXT16) {
+            if (dec.pos >= dec.data.length) return false;
+            uint8 id = uint8(dec.data[dec.pos]);
+            if (id == SolidityPackTypes.EXT_TIMESTAMP || id == SolidityPackTypes.EXT_DURATION) {
+                // Seconds, then nanoseconds only when nonzero
+                if (len == 8) return _advanceCanonical(dec, 9);
+                if (len != 12) return false;
+                dec.pos += 9;
+                (bool ok, uint256 nanos) = _readCanonicalWord(dec, 4);
+                return ok && nanos > 0 && nanos < 1e9;
+            }
+            // Type id, then an opaque payload
+            return _advanceCanonical(dec, len + 1);
+        }
+        return _advanceCanonical(dec, len);
+    }
+
+    /**
+     * @dev Read the length after a str/bytes/array/map tag; false for unknown tags or a
+     *      length that fits a shorter header
+     */
+    function _readCanonicalLength(
+        SolidityPackTypes.Decoder memory dec,
+        uint8 tag
+    ) private pure returns (bool, uint256) {
+        uint256 size;
+        uint256 min;
+
+        if (tag == SolidityPackTypes.BYTES8 || tag == SolidityPackTypes.EXT8) {
+            size = 1;
+        } else if (tag == SolidityPackTypes.STR8) {
+            (size, min) = (1, 32);
+        } else if (tag == SolidityPackTypes.ARRAY8 || tag == SolidityPackTypes.MAP8) {
+            (size, min) = (1, 16);
+        } else if (
+            tag == SolidityPackTypes.BYTES16 ||
+            tag == SolidityPackTypes.STR16 ||
+            tag == SolidityPackTypes.ARRAY16 ||
+            tag == SolidityPackTypes.MAP16 ||
+            tag == SolidityPackTypes.EXT16
+        ) {
+            (size, min) = (2, 256);
+        } else if (
+            tag == SolidityPackTypes.BYTES32LEN ||
+            tag == SolidityPackTypes.STR32 ||
+            tag == SolidityPackTypes.ARRAY32 ||
+            tag == SolidityPackTypes.MAP32
+        ) {
+            (size, min) = (4, 65536);
+        } else {
+            return (false, 0);
+        }
+
+        (bool ok, uint256 len) = _readCanonicalWord(dec, size);
+        return (ok && len >= min, len);
+    }
+
+    function _checkCanonicalArray(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 len
+    ) private pure returns (bool) {
+        for (uint256 i = 0; i < len; i++) {
+            if (!_checkCanonical(dec)) return false;
+        }
+        return true;
+    }
+
+    function _checkCanonicalMap(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 len
+    ) private pure returns (bool) {
+        uint256 prevStart;
+        uint256 prevLen;
+
+        for (uint256 i = 0; i < len; i++) {
+            if (dec.pos >= dec.data.length) return false;
+
+            // Keys must be strings; the payload follows a 1, 2, 3 or 5 byte header
+            uint8 tag = uint8(dec.data[dec.pos]);
+            uint256 header;
+            if (tag >= SolidityPackTypes.FIXSTR_BASE && tag < SolidityPackTypes.FIXSTR_BASE + 32) {
+                header = 1;
+            } else if (tag == SolidityPackTypes.STR8) {
+                header = 2;
+            } else if (tag == SolidityPackTypes.STR16) {
+                header = 3;
+            } else if (tag == SolidityPackTypes.STR32) {
+                header = 5;
+            } else {
+                return false;
+            }
+
+            uint256 keyStart = dec.pos + header;
+            if (!_checkCanonical(dec)) return false;
+            uint256 keyLen = dec.pos - keyStart;
+
+            // Strictly ascending, which also rules out duplicates
+            if (i > 0 && !_keyLess(dec.data, prevStart, prevLen, keyStart, keyLen)) return false;
+            (prevStart, prevLen) = (keyStart, keyLen);
+
+            if (!_checkCanonical(dec)) return false;
+        }
+        return true;
+    }
+
+    function _keyLess(
+        bytes memory data,
+        uint256 aStart,
+        uint256 aLen,
+        uint256 bStart,
+        uint256 bLen
+    ) private pure returns (bool) {
+        uint256 n = aLen < bLen ? aLen : bLen;
+        for (uint256 i = 0; i < n; i++) {
+            bytes1 a = data[aStart + i];
+            bytes1 b = data[bStart + i];
+            if (a != b) return a < b;
+        }
+        return aLen < bLen;
+    }
+
+    function _readCanonicalWord(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 width
+    ) private pure returns (bool, uint256 value) {
+        if (dec.pos + width > dec.data.length) return (false, 0);
+        assembly {
+            let ptr := add(add(mload(dec), 32), mload(add(dec, 32)))
+            value := shr(sub(256, mul(width, 8)), mload(ptr))
+        }
+        dec.pos += width;
+        return (true, value);
+    }
+
+    function _advanceCanonical(
+        SolidityPackTypes.Decoder memory dec,
+        uint256 len
+    ) private pure returns (bool) {
+        if (dec.pos + len > dec.data.length) return false;
+        dec.pos += len;
+        return true;
+    }
+
     /**
      * @notice Skip the next value in the decoder (useful for unknown fields)
      */
@@ -531,6 +1139,9 @@ library SolidityPackDecoder {
             uint256 len = (uint256(uint8(dec.data[dec.pos])) << 8) |
                 uint256(uint8(dec.data[dec.pos + 1]));
             dec.pos += 2 + len;
+        } else if (tag == SolidityPackTypes.BYTES32LEN || tag == SolidityPackTypes.STR32) {
+            uint256 len = _readLength32(dec);
+            dec.pos += len;
         } else if (tag == SolidityPackTypes.ARRAY8) {
             uint256 len = uint256(uint8(dec.data[dec.pos++]));
             for (uint256 i = 0; i < len; i++) {
@@ -543,6 +1154,11 @@ library SolidityPackDecoder {
             for (uint256 i = 0; i < len; i++) {
                 skip(dec);
             }
+        } else if (tag == SolidityPackTypes.ARRAY32) {
+            uint256 len = _readLength32(dec);
+            for (uint256 i = 0; i < len; i++) {
+                skip(dec);
+            }
         } else if (tag == SolidityPackTypes.MAP8) {
             uint256 len = uint256(uint8(dec.data[dec.pos++]));
             for (uint256 i = 0; i < len * 2; i++) {
@@ -555,8 +1171,38 @@ library SolidityPackDecoder {
             for (uint256 i = 0; i < len * 2; i++) {
                 skip(dec);
             }
+        } else if (tag == SolidityPackTypes.MAP32) {
+            uint256 len = _readLength32(dec);
+            for (uint256 i = 0; i < len * 2; i++) {
+                skip(dec);
+            }
+        } else if (tag == SolidityPackTypes.EXT8) {
+            uint256 len = uint256(uint8(dec.data[dec.pos]));
+            dec.pos += 2 + len;
+        } else if (tag == SolidityPackTypes.EXT16) {
+            uint256 len = (uint256(uint8(dec.data[dec.pos])) << 8) |
+                uint256(uint8(dec.data[dec.pos + 1]));
+            dec.pos += 3 + len;
+        } else if (tag == SolidityPackTypes.DECIMAL) {
+            // Decimals byte, then the mantissa
+            dec.pos++;
+            skip(dec);
         } else {
             revert("Unknown type tag");
         }
     }
+
+    /**
+     * @notice Read a 32-bit big-endian length and advance past it
+     */
+    function _readLength32(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (uint256 len) {
+        len =
+            (uint256(uint8(dec.data[dec.pos])) << 24) |
+            (uint256(uint8(dec.data[dec.pos + 1])) << 16) |
+            (uint256(uint8(dec.data[dec.pos + 2])) << 8) |
+            uint256(uint8(dec.data[dec.pos + 3]));
+        dec.pos += 4;
+    }
 }
@@ -143,6 +143,26 @@ library SolidityPackEncoder {
                 mstore8(add(ptr, 3), value)
             }
             enc.pos += 4;
+        } else if (value >= type(int64).min) {
+            _ensureCapacity(enc, 9);
+            enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.INT64);
+            assembly {
+                let ptr := add(add(mload(enc), 32), mload(add(enc, 32)))
+                for { let i := 0 } lt(i, 8) { i := add(i, 1) } {
+                    mstore8(add(ptr, i), shr(sub(56, mul(i, 8)), value))
+                }
+            }
+            enc.pos += 8;
+        } else if (value >= type(int128).min) {
+            _ensureCapacity(enc, 17);
+            enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.INT128);
+            assembly {
+                let ptr := add(add(mload(enc), 32), mload(add(enc, 32)))
+                for { let i := 0 } lt(i, 16) { i := add(i, 1) } {
+                    mstore8(add(ptr, i), shr(sub(120, mul(i, 8)), value))
+                }
+            }
+            enc.pos += 16;
         } else {
             _ensureCapacity(enc, 33);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.INT256);
@@ -192,11 +212,14 @@ library SolidityPackEncoder {
             _ensureCapacity(enc, len + 2);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.BYTES8);
             enc.buffer[enc.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             _ensureCapacity(enc, len + 3);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.BYTES16);
             enc.buffer[enc.pos++] = bytes1(uint8(len >> 8));
             enc.buffer[enc.pos++] = bytes1(uint8(len));
+        } else {
+            _ensureCapacity(enc, len + 5);
+            _writeLength32(enc, SolidityPackTypes.BYTES32LEN, len);
         }
 
         // Proper memory copying with tail handling
@@ -228,11 +251,14 @@ library SolidityPackEncoder {
             _ensureCapacity(enc, len + 2);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.STR8);
             enc.buffer[enc.pos++] = bytes1(uint8(len));
-        } else {
+        } else if (len <= 0xFFFF) {
             _ensureCapacity(enc, len + 3);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.STR16);
             enc.buffer[enc.pos++] = bytes1(uint8(len >> 8));
             enc.buffer[enc.pos++] = bytes1(uint8(len));
+        } else {
+            _ensureCapacity(enc, len + 5);
+            _writeLength32(enc, SolidityPackTypes.STR32, len);
         }
 
         // Same safe copying approach
@@ -247,6 +273,122 @@ library SolidityPackEncoder {
         return enc;
     }
 
+    /**
+     * @notice Encode an extension value: a type id and an opaque payload of up to 65535 bytes
+     * @dev Ids 0x00-0x7F are free for applications; 0x80-0xFF are reserved for built-in types
+     */
+    function encodeExt(
+        SolidityPackTypes.Encoder memory enc,
+        uint8 id,
+        bytes memory payload
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        uint256 len = payload.length;
+        if (len <= 255) {
+            _ensureCapacity(enc, len + 3);
+            enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.EXT8);
+            enc.buffer[enc.pos++] = bytes1(uint8(len));
+        } else {
+            require(len <= 0xFFFF, "Ext payload too large");
+            _ensureCapacity(enc, len + 4);
+            enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.EXT16);
+            enc.buffer[enc.pos++] = bytes1(uint8(len >> 8));
+            enc.buffer[enc.pos++] = bytes1(uint8(len));
+        }
+        enc.buffer[enc.pos++] = bytes1(id);
+
+        assembly {
+            let src := add(payload, 32)
+            let dst := add(add(mload(enc), 32), mload(add(enc, 32)))
+            for { let i := 0 } lt(i, len) { i := add(i, 32) } {
+                mstore(add(dst, i), mload(add(src, i)))
+            }
+        }
+        enc.pos += len;
+        return enc;
+    }
+
+    /**
+     * @notice Encode a timestamp in seconds since the Unix epoch, e.g. block.timestamp
+     * @dev An ext value with reserved type id 0xFF and the seconds as an 8-byte payload
+     */
+    function encodeTimestamp(
+        SolidityPackTypes.Encoder memory enc,
+        uint64 secs
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        return _encodeTime(enc, SolidityPackTypes.EXT_TIMESTAMP, secs, 0);
+    }
+
+    /**
+     * @notice Encode a timestamp with nanoseconds (0-999999999)
+     */
+    function encodeTimestamp(
+        SolidityPackTypes.Encoder memory enc,
+        uint64 secs,
+        uint32 nanos
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        return _encodeTime(enc, SolidityPackTypes.EXT_TIMESTAMP, secs, nanos);
+    }
+
+    /**
+     * @notice Encode a duration in seconds
+     * @dev An ext value with reserved type id 0xFE, laid out like a timestamp
+     */
+    function encodeDuration(
+        SolidityPackTypes.Encoder memory enc,
+        uint64 secs
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        return _encodeTime(enc, SolidityPackTypes.EXT_DURATION, secs, 0);
+    }
+
+    /**
+     * @notice Encode a duration with nanoseconds (0-999999999)
+     */
+    function encodeDuration(
+        SolidityPackTypes.Encoder memory enc,
+        uint64 secs,
+        uint32 nanos
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        return _encodeTime(enc, SolidityPackTypes.EXT_DURATION, secs, nanos);
+    }
+
+    /**
+     * @dev 8-byte seconds, then 4-byte nanoseconds only when nonzero
+     */
+    function _encodeTime(
+        SolidityPackTypes.Encoder memory enc,
+        uint8 id,
+        uint64 secs,
+        uint32 nanos
+    ) private pure returns (SolidityPackTypes.Encoder memory) {
+        require(nanos < 1e9, "Invalid nanoseconds");
+        uint256 len = nanos == 0 ? 8 : 12;
+        _ensureCapacity(enc, len + 3);
+        enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.EXT8);
+        enc.buffer[enc.pos++] = bytes1(uint8(len));
+        enc.buffer[enc.pos++] = bytes1(id);
+
+        uint256 word = (uint256(secs) << 32) | nanos;
+        for (uint256 i = 0; i < len; i++) {
+            enc.buffer[enc.pos++] = bytes1(uint8(word >> (88 - 8 * i)));
+        }
+        return enc;
+    }
+
+    /**
+     * @notice Encode a fixed-point decimal: mantissa scaled by 10^-decimals
+     * @dev The mantissa follows the decimals byte as a minimal int, like encodeInt
+     */
+    function encodeDecimal(
+        SolidityPackTypes.Encoder memory enc,
+        int256 mantissa,
+        uint8 decimals
+    ) internal pure returns (SolidityPackTypes.Encoder memory) {
+        _ensureCapacity(enc, 2);
+        enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.DECIMAL);
+        enc.buffer[enc.pos++] = bytes1(decimals);
+        return encodeInt(enc, mantissa);
+    }
+
     function startArray(
         SolidityPackTypes.Encoder memory enc,
         uint256 length
@@ -258,11 +400,14 @@ library SolidityPackEncoder {
             _ensureCapacity(enc, 2);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.ARRAY8);
             enc.buffer[enc.pos++] = bytes1(uint8(length));
-        } else {
+        } else if (length <= 0xFFFF) {
             _ensureCapacity(enc, 3);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.ARRAY16);
             enc.buffer[enc.pos++] = bytes1(uint8(length >> 8));
             enc.buffer[enc.pos++] = bytes1(uint8(length));
+        } else {
+            _ensureCapacity(enc, 5);
+            _writeLength32(enc, SolidityPackTypes.ARRAY32, length);
         }
         return enc;
     }
@@ -278,11 +423,14 @@ library SolidityPackEncoder {
             _ensureCapacity(enc, 2);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.MAP8);
             enc.buffer[enc.pos++] = bytes1(uint8(length));
-        } else {
+        } else if (length <= 0xFFFF) {
             _ensureCapacity(enc, 3);
             enc.buffer[enc.pos++] = bytes1(SolidityPackTypes.MAP16);
             enc.buffer[enc.pos++] = bytes1(uint8(length >> 8));
             enc.buffer[enc.pos++] = bytes1(uint8(length));
+        } else {
+            _ensureCapacity(enc, 5);
+            _writeLength32(enc, SolidityPackTypes.MAP32, length);
         }
         return enc;
     }
@@ -494,6 +642,22 @@ library SolidityPackEncoder {
 
     // ============ INTERNAL HELPERS ============
 
+    /**
+     * @notice Write a tag followed by a 32-bit big-endian length
+     */
+    function _writeLength32(
+        SolidityPackTypes.Encoder memory enc,
+        uint8 tag,
+        uint256 len
+    ) private pure {
+        require(len <= type(uint32).max, "Length too large");
+        enc.buffer[enc.pos++] = bytes1(tag);
+        enc.buffer[enc.pos++] = bytes1(uint8(len >> 24));
+        enc.buffer[enc.pos++] = bytes1(uint8(len >> 16));
+        enc.buffer[enc.pos++] = bytes1(uint8(len >> 8));
+        enc.buffer[enc.pos++] = bytes1(uint8(len));
+    }
+
     function _ensureCapacity(
         SolidityPackTypes.Encoder memory enc,
         uint256 required
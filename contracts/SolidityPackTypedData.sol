@@ -0,0 +1,229 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SolidityPackDecoder.sol";
+import "./SolidityPackTypes.sol";
+
+/**
+ * @title SolidityPackTypedData
+ * @notice EIP-712 style hashing of SolidityPack payloads, matching lib/typeddata.js
+ * @dev digest = keccak256(0x1901 || domainSeparator || hashStruct(typeString, data)), where
+ *      hashStruct = keccak256(keccak256(typeString) || keccak256(key) || value || ...) over the
+ *      map entries. The payload is checked against the type string as it is hashed: same
+ *      fields, same order, matching types and integer ranges. Values are 32-byte words (uint,
+ *      int, bool, address, bytes32) or hashes (string, bytes, arrays, nested maps).
+ */
+library SolidityPackTypedData {
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    /**
+     * @notice Standard EIP-712 domain separator
+     */
+    function domainSeparator(
+        string memory name,
+        string memory version,
+        uint256 chainId,
+        address verifyingContract
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(name)),
+            keccak256(bytes(version)),
+            chainId,
+            verifyingContract
+        ));
+    }
+
+    /**
+     * @notice Digest to check a signature against
+     * @param typeString Type string, e.g. "Order(address owner,uint256 amount)"; its keccak256
+     *        is the type hash
+     * @param data SolidityPack-encoded map, as produced by the signer
+     */
+    function hashTypedData(
+        bytes32 separator,
+        string memory typeString,
+        bytes memory data
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", separator, hashStruct(typeString, data)));
+    }
+
+    /**
+     * @notice Struct hash of an encoded map, checked against its type string: the payload must
+     *         have exactly the type's fields, in order, with matching types. Reverts otherwise
+     *         and on trailing data.
+     */
+    function hashStruct(string memory typeString, bytes memory data) internal pure returns (bytes32) {
+        bytes memory t = bytes(typeString);
+        uint256 open = 0;
+        while (open < t.length && t[open] != "(") open++;
+        require(open > 0 && open < t.length && t[t.length - 1] == ")", "Invalid type string");
+        require(_typeEnd(t, open, t.length) == t.length, "Invalid type string");
+
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        bytes memory encoded = _encodeMapData(dec, t, open, t.length);
+        require(dec.pos == data.length, "Trailing data");
+        return keccak256(abi.encodePacked(keccak256(t), encoded));
+    }
+
+    /**
+     * @dev 32-byte encoding of the next value, checked against the type at t[start:end]
+     */
+    function _encodeValue(
+        SolidityPackTypes.Decoder memory dec,
+        bytes memory t,
+        uint256 start,
+        uint256 end
+    ) private pure returns (bytes32) {
+        if (end - start > 2 && t[end - 2] == "[" && t[end - 1] == "]") {
+            uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+            bytes32[] memory items = new bytes32[](len);
+            for (uint256 i = 0; i < len; i++) {
+                items[i] = _encodeValue(dec, t, start, end - 2);
+            }
+            return keccak256(abi.encodePacked(items));
+        }
+        if (t[start] == "(") {
+            return keccak256(_encodeMapData(dec, t, start, end));
+        }
+
+        bytes32 name = _hashSlice(t, start, end);
+        if (name == keccak256("bool")) {
+            return SolidityPackDecoder.decodeBool(dec) ? bytes32(uint256(1)) : bytes32(0);
+        } else if (name == keccak256("address")) {
+            return bytes32(uint256(uint160(SolidityPackDecoder.decodeAddress(dec))));
+        } else if (name == keccak256("bytes32")) {
+            return SolidityPackDecoder.decodeBytes32(dec);
+        } else if (name == keccak256("bytes")) {
+            return keccak256(SolidityPackDecoder.decodeBytes(dec));
+        } else if (name == keccak256("string")) {
+            return _hashString(dec);
+        } else if (end - start > 4 && _hashSlice(t, start, start + 4) == keccak256("uint")) {
+            uint256 bits = _parseBits(t, start + 4, end);
+            uint256 value = SolidityPackDecoder.decodeUint(dec);
+            require(bits == 256 || value >> bits == 0, "Uint out of range");
+            return bytes32(value);
+        } else if (end - start > 3 && _hashSlice(t, start, start + 3) == keccak256("int")) {
+            uint256 bits = _parseBits(t, start + 3, end);
+            int256 value = _readInt(dec);
+            if (bits < 256) {
+                int256 limit = int256(1 << (bits - 1));
+                require(value >= -limit && value < limit, "Int out of range");
+            }
+            return bytes32(uint256(value));
+        }
+
+        revert("Unsupported type");
+    }
+
+    /**
+     * @dev keccak256(key) followed by the value's encoding for each member of the tuple type
+     *      at t[start:end], i.e. "(type name,...)"; keys must match the member names in order
+     */
+    function _encodeMapData(
+        SolidityPackTypes.Decoder memory dec,
+        bytes memory t,
+        uint256 start,
+        uint256 end
+    ) private pure returns (bytes memory) {
+        uint256 len = SolidityPackDecoder.decodeMapLength(dec);
+        require(len == _countMembers(t, start, end), "Field count mismatch");
+        bytes32[] memory parts = new bytes32[](len * 2);
+
+        uint256 pos = start + 1;
+        for (uint256 i = 0; i < len; i++) {
+            uint256 typeEnd = _typeEnd(t, pos, end - 1);
+            require(typeEnd < end - 1 && t[typeEnd] == " ", "Invalid type string");
+            uint256 nameEnd = typeEnd + 1;
+            while (nameEnd < end - 1 && t[nameEnd] != ",") nameEnd++;
+
+            bytes32 key = _hashString(dec);
+            require(key == _hashSlice(t, typeEnd + 1, nameEnd), "Field name mismatch");
+            parts[2 * i] = key;
+            parts[2 * i + 1] = _encodeValue(dec, t, pos, typeEnd);
+            pos = nameEnd + 1;
+        }
+        return abi.encodePacked(parts);
+    }
+
+    /**
+     * @dev End of the type starting at t[pos]: the first space outside parentheses, or `limit`
+     */
+    function _typeEnd(bytes memory t, uint256 pos, uint256 limit) private pure returns (uint256) {
+        uint256 depth = 0;
+        for (; pos < limit; pos++) {
+            bytes1 c = t[pos];
+            if (c == "(") {
+                depth++;
+            } else if (c == ")") {
+                require(depth > 0, "Invalid type string");
+                depth--;
+            } else if (c == " " && depth == 0) {
+                break;
+            }
+        }
+        require(depth == 0, "Invalid type string");
+        return pos;
+    }
+
+    /**
+     * @dev Number of members in the tuple type at t[start:end]: commas outside nested tuples, plus one
+     */
+    function _countMembers(bytes memory t, uint256 start, uint256 end) private pure returns (uint256 count) {
+        if (end - start == 2) return 0;
+        uint256 depth = 0;
+        count = 1;
+        for (uint256 i = start + 1; i < end - 1; i++) {
+            bytes1 c = t[i];
+            if (c == "(") depth++;
+            else if (c == ")") depth--;
+            else if (c == "," && depth == 0) count++;
+        }
+    }
+
+    /**
+     * @dev Integer width from the digits at t[start:end]: a multiple of 8 from 8 to 256
+     */
+    function _parseBits(bytes memory t, uint256 start, uint256 end) private pure returns (uint256 bits) {
+        for (uint256 i = start; i < end; i++) {
+            uint8 digit = uint8(t[i]);
+            require(digit >= 0x30 && digit <= 0x39, "Unsupported type");
+            bits = bits * 10 + (digit - 0x30);
+            require(bits <= 256, "Unsupported type");
+        }
+        require(bits >= 8 && bits % 8 == 0, "Unsupported type");
+    }
+
+    /**
+     * @dev Non-negative ints are encoded with uint tags
+     */
+    function _readInt(SolidityPackTypes.Decoder memory dec) private pure returns (int256) {
+        if (SolidityPackDecoder.peekCategory(dec) == SolidityPackDecoder.TypeCategory.UINT) {
+            uint256 u = SolidityPackDecoder.decodeUint(dec);
+            require(u <= uint256(type(int256).max), "Int out of range");
+            return int256(u);
+        }
+        return SolidityPackDecoder.decodeInt(dec);
+    }
+
+    function _hashSlice(bytes memory t, uint256 start, uint256 end) private pure returns (bytes32 hash) {
+        assembly {
+            hash := keccak256(add(add(t, 32), start), sub(end, start))
+        }
+    }
+
+    /**
+     * @dev Hash a string payload in place, without copying it out of the input
+     */
+    function _hashString(SolidityPackTypes.Decoder memory dec) private pure returns (bytes32 hash) {
+        uint256 len = SolidityPackDecoder.decodeStringLength(dec);
+        require(dec.pos + len <= dec.data.length, "EOF");
+
+        assembly {
+            let ptr := add(add(mload(dec), 32), mload(add(dec, 32)))
+            hash := keccak256(ptr, len)
+        }
+        dec.pos += len;
+    }
+}
@@ -15,6 +15,7 @@ library SolidityPackTypes {
     uint8 internal constant FIXARRAY_BASE = 0x90;
     uint8 internal constant FIXSTR_BASE = 0xA0;
     uint8 internal constant NIL = 0xC0;
+    uint8 internal constant DECIMAL = 0xC1;
     uint8 internal constant FALSE = 0xC2;
     uint8 internal constant TRUE = 0xC3;
     uint8 internal constant UINT8 = 0xC4;
@@ -39,8 +40,18 @@ library SolidityPackTypes {
     uint8 internal constant ARRAY16 = 0xD7;
     uint8 internal constant MAP8 = 0xD8;
     uint8 internal constant MAP16 = 0xD9;
+    uint8 internal constant BYTES32LEN = 0xDA;
+    uint8 internal constant STR32 = 0xDB;
+    uint8 internal constant ARRAY32 = 0xDC;
+    uint8 internal constant MAP32 = 0xDD;
+    uint8 internal constant EXT8 = 0xDE;
+    uint8 internal constant EXT16 = 0xDF;
     uint8 internal constant FIXINT_NEG_BASE = 0xE0;
 
+    // Reserved ext type ids for built-in types
+    uint8 internal constant EXT_TIMESTAMP = 0xFF;
+    uint8 internal constant EXT_DURATION = 0xFE;
+
     // Growth strategy constants for encoder
     uint256 internal constant INITIAL_BUFFER_SIZE = 256;
     uint256 internal constant GROWTH_THRESHOLD = 4096;
@@ -191,4 +191,19 @@ contract GenericDecodingExample {
 
         return (true, "");
     }
+
+    // Example 7: Jump straight to a nested field instead of looping over keys
+    function readAmount(bytes memory data) public pure returns (uint256 amount, bool found) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+
+        found = SolidityPackDecoder.seekKey(dec, "amount");
+        if (found) {
+            amount = SolidityPackDecoder.decodeUint(dec);
+        }
+    }
+
+    // Example 8: Typed lookup by path; `path` comes from encodePath(['user', 'balances', 3])
+    function readBalance(bytes memory data, bytes memory path) public pure returns (uint256) {
+        return SolidityPackDecoder.getUintAt(data, path);
+    }
 }
@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackTypes.sol";
+import "../SolidityPackEncoder.sol";
+import "../SolidityPackDecoder.sol";
+
+/**
+ * @title OrderCodec
+ * @notice Typed SolidityPack codec for Order
+ * @dev Generated by soliditypack generateSolidity() - do not edit by hand
+ */
+
+library OrderCodec {
+    struct OrderMeta {
+        bytes32 ref;
+        string note;
+        bytes payload;
+    }
+
+    struct Order {
+        address owner;
+        uint256 amount;
+        uint32 nonce;
+        int64 delta;
+        bool active;
+        string[] tags;
+        OrderMeta meta;
+        uint8[][] matrix;
+    }
+
+    /**
+     * @notice Decode SolidityPack-encoded Order
+     * @dev Unknown fields are skipped; missing or duplicate fields revert
+     */
+    function decodeOrder(bytes memory data) internal pure returns (Order memory) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        return _decodeOrder(dec);
+    }
+
+    /**
+     * @notice Encode Order with fields in schema order
+     */
+    function encodeOrder(Order memory value) internal pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        _encodeOrder(enc, value);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function _decodeOrderTags(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (string[] memory values) {
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        values = new string[](len);
+        for (uint256 i = 0; i < len; i++) {
+            values[i] = SolidityPackDecoder.decodeString(dec);
+        }
+    }
+
+    function _decodeOrderMeta(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (OrderMeta memory value) {
+        uint256 len = SolidityPackDecoder.decodeMapLength(dec);
+        uint256 seen;
+        for (uint256 i = 0; i < len; i++) {
+            bytes32 key = keccak256(bytes(SolidityPackDecoder.decodeString(dec)));
+            if (key == keccak256("ref")) {
+                require(seen & (1 << 0) == 0, "Duplicate field");
+                seen |= 1 << 0;
+                value.ref = SolidityPackDecoder.decodeBytes32(dec);
+            } else if (key == keccak256("note")) {
+                require(seen & (1 << 1) == 0, "Duplicate field");
+                seen |= 1 << 1;
+                value.note = SolidityPackDecoder.decodeString(dec);
+            } else if (key == keccak256("payload")) {
+                require(seen & (1 << 2) == 0, "Duplicate field");
+                seen |= 1 << 2;
+                value.payload = SolidityPackDecoder.decodeBytes(dec);
+            } else {
+                SolidityPackDecoder.skip(dec); // Skip unknown fields
+            }
+        }
+        require(seen == (1 << 3) - 1, "Missing field");
+    }
+
+    function _decodeOrderMatrixItem(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (uint8[] memory values) {
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        values = new uint8[](len);
+        for (uint256 i = 0; i < len; i++) {
+            values[i] = uint8(_checkedUint(SolidityPackDecoder.decodeUint(dec), type(uint8).max));
+        }
+    }
+
+    function _decodeOrderMatrix(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (uint8[][] memory values) {
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        values = new uint8[][](len);
+        for (uint256 i = 0; i < len; i++) {
+            values[i] = _decodeOrderMatrixItem(dec);
+        }
+    }
+
+    function _decodeOrder(
+        SolidityPackTypes.Decoder memory dec
+    ) private pure returns (Order memory value) {
+        uint256 len = SolidityPackDecoder.decodeMapLength(dec);
+        uint256 seen;
+        for (uint256 i = 0; i < len; i++) {
+            bytes32 key = keccak256(bytes(SolidityPackDecoder.decodeString(dec)));
+            if (key == keccak256("owner")) {
+                require(seen & (1 << 0) == 0, "Duplicate field");
+                seen |= 1 << 0;
+                value.owner = SolidityPackDecoder.decodeAddress(dec);
+            } else if (key == keccak256("amount")) {
+                require(seen & (1 << 1) == 0, "Duplicate field");
+                seen |= 1 << 1;
+                value.amount = SolidityPackDecoder.decodeUint(dec);
+            } else if (key == keccak256("nonce")) {
+                require(seen & (1 << 2) == 0, "Duplicate field");
+                seen |= 1 << 2;
+                value.nonce = uint32(_checkedUint(SolidityPackDecoder.decodeUint(dec), type(uint32).max));
+            } else if (key == keccak256("delta")) {
+                require(seen & (1 << 3) == 0, "Duplicate field");
+                seen |= 1 << 3;
+                value.delta = int64(_checkedInt(_readInt(dec), type(int64).min, type(int64).max));
+            } else if (key == keccak256("active")) {
+                require(seen & (1 << 4) == 0, "Duplicate field");
+                seen |= 1 << 4;
+                value.active = SolidityPackDecoder.decodeBool(dec);
+            } else if (key == keccak256("tags")) {
+                require(seen & (1 << 5) == 0, "Duplicate field");
+                seen |= 1 << 5;
+                value.tags = _decodeOrderTags(dec);
+            } else if (key == keccak256("meta")) {
+                require(seen & (1 << 6) == 0, "Duplicate field");
+                seen |= 1 << 6;
+                value.meta = _decodeOrderMeta(dec);
+            } else if (key == keccak256("matrix")) {
+                require(seen & (1 << 7) == 0, "Duplicate field");
+                seen |= 1 << 7;
+                value.matrix = _decodeOrderMatrix(dec);
+            } else {
+                SolidityPackDecoder.skip(dec); // Skip unknown fields
+            }
+        }
+        require(seen == (1 << 8) - 1, "Missing field");
+    }
+
+    function _encodeOrderTags(
+        SolidityPackTypes.Encoder memory enc,
+        string[] memory values
+    ) private pure {
+        SolidityPackEncoder.startArray(enc, values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            SolidityPackEncoder.encodeString(enc, values[i]);
+        }
+    }
+
+    function _encodeOrderMeta(
+        SolidityPackTypes.Encoder memory enc,
+        OrderMeta memory value
+    ) private pure {
+        SolidityPackEncoder.startMap(enc, 3);
+        SolidityPackEncoder.encodeKey(enc, "ref");
+        SolidityPackEncoder.encodeBytes32(enc, value.ref);
+        SolidityPackEncoder.encodeKey(enc, "note");
+        SolidityPackEncoder.encodeString(enc, value.note);
+        SolidityPackEncoder.encodeKey(enc, "payload");
+        SolidityPackEncoder.encodeBytes(enc, value.payload);
+    }
+
+    function _encodeOrderMatrixItem(
+        SolidityPackTypes.Encoder memory enc,
+        uint8[] memory values
+    ) private pure {
+        SolidityPackEncoder.startArray(enc, values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            SolidityPackEncoder.encodeUint(enc, values[i]);
+        }
+    }
+
+    function _encodeOrderMatrix(
+        SolidityPackTypes.Encoder memory enc,
+        uint8[][] memory values
+    ) private pure {
+        SolidityPackEncoder.startArray(enc, values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            _encodeOrderMatrixItem(enc, values[i]);
+        }
+    }
+
+    function _encodeOrder(
+        SolidityPackTypes.Encoder memory enc,
+        Order memory value
+    ) private pure {
+        SolidityPackEncoder.startMap(enc, 8);
+        SolidityPackEncoder.encodeKey(enc, "owner");
+        SolidityPackEncoder.encodeAddress(enc, value.owner);
+        SolidityPackEncoder.encodeKey(enc, "amount");
+        SolidityPackEncoder.encodeUint(enc, value.amount);
+        SolidityPackEncoder.encodeKey(enc, "nonce");
+        SolidityPackEncoder.encodeUint(enc, value.nonce);
+        SolidityPackEncoder.encodeKey(enc, "delta");
+        SolidityPackEncoder.encodeInt(enc, value.delta);
+        SolidityPackEncoder.encodeKey(enc, "active");
+        SolidityPackEncoder.encodeBool(enc, value.active);
+        SolidityPackEncoder.encodeKey(enc, "tags");
+        _encodeOrderTags(enc, value.tags);
+        SolidityPackEncoder.encodeKey(enc, "meta");
+        _encodeOrderMeta(enc, value.meta);
+        SolidityPackEncoder.encodeKey(enc, "matrix");
+        _encodeOrderMatrix(enc, value.matrix);
+    }
+
+    // Non-negative ints are encoded with uint tags
+    function _readInt(SolidityPackTypes.Decoder memory dec) private pure returns (int256) {
+        if (SolidityPackDecoder.peekCategory(dec) == SolidityPackDecoder.TypeCategory.UINT) {
+            uint256 u = SolidityPackDecoder.decodeUint(dec);
+            require(u <= uint256(type(int256).max), "Int out of range");
+            return int256(u);
+        }
+        return SolidityPackDecoder.decodeInt(dec);
+    }
+
+    function _checkedUint(uint256 value, uint256 max) private pure returns (uint256) {
+        require(value <= max, "Uint out of range");
+        return value;
+    }
+
+    function _checkedInt(int256 value, int256 min, int256 max) private pure returns (int256) {
+        require(value >= min && value <= max, "Int out of range");
+        return value;
+    }
+}
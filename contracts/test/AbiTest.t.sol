@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title AbiTest
+ * @notice abi.encode/abi.decode round trips to compare against lib/abi.js
+ */
+contract AbiTest {
+    struct Leg {
+        address token;
+        uint256 amount;
+    }
+
+    struct Order {
+        address owner;
+        bytes32 salt;
+        int64 delta;
+        string memo;
+        Leg[] legs;
+    }
+
+    function testDecodeOrder(bytes memory data) public pure returns (Order memory) {
+        return abi.decode(data, (Order));
+    }
+
+    function testEncodeOrder(Order memory order) public pure returns (bytes memory) {
+        return abi.encode(order);
+    }
+
+    function testDecodeFlat(bytes memory data)
+        public
+        pure
+        returns (address owner, uint256 amount, bool open, uint16[] memory ids)
+    {
+        return abi.decode(data, (address, uint256, bool, uint16[]));
+    }
+}
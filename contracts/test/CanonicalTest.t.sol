@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackDecoder.sol";
+
+/**
+ * @title CanonicalTest
+ * @notice Exposes SolidityPackDecoder.isCanonical to compare against lib/decoder.js
+ */
+contract CanonicalTest {
+    function testIsCanonical(bytes memory data) public pure returns (bool) {
+        return SolidityPackDecoder.isCanonical(data);
+    }
+
+    function testHash(bytes memory data) public pure returns (bytes32) {
+        require(SolidityPackDecoder.isCanonical(data), "Not canonical");
+        return keccak256(data);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../examples/OrderCodec.sol";
+
+/**
+ * @title CodegenTest
+ * @notice Exercises the generated OrderCodec library against JS-encoded payloads
+ */
+contract CodegenTest {
+    // Decode then re-encode: must reproduce the JS schema encoding byte for byte
+    function testRoundTrip(bytes memory data) public pure returns (bytes memory) {
+        return OrderCodec.encodeOrder(OrderCodec.decodeOrder(data));
+    }
+
+    function testDecodeFields(bytes memory data) public pure returns (
+        address owner,
+        uint256 amount,
+        int64 delta,
+        string memory firstTag,
+        bytes32 ref,
+        uint8 lastCell
+    ) {
+        OrderCodec.Order memory order = OrderCodec.decodeOrder(data);
+        uint8[] memory lastRow = order.matrix[order.matrix.length - 1];
+
+        return (
+            order.owner,
+            order.amount,
+            order.delta,
+            order.tags[0],
+            order.meta.ref,
+            lastRow[lastRow.length - 1]
+        );
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackEncoder.sol";
+import "../SolidityPackDecoder.sol";
+import "../SolidityPackTypes.sol";
+
+/**
+ * @title DecimalTest
+ * @notice Exposes decimal encoding and decoding to compare against the JS Decimal
+ */
+contract DecimalTest {
+    function testEncodeDecimal(int256 mantissa, uint8 decimals) public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeDecimal(enc, mantissa, decimals);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function testDecodeDecimal(
+        bytes memory data
+    ) public pure returns (uint8 category, int256 mantissa, uint8 decimals) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        category = uint8(SolidityPackDecoder.peekCategory(dec));
+        (mantissa, decimals) = SolidityPackDecoder.decodeDecimal(dec);
+    }
+
+    function testDecodeDecimalAs(bytes memory data, uint8 targetDecimals) public pure returns (int256) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        return SolidityPackDecoder.decodeDecimal(dec, targetDecimals);
+    }
+
+    /**
+     * @notice Skip every item but the last of an array and decode the last as a uint
+     */
+    function testSkipToLast(bytes memory data) public pure returns (uint256) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        for (uint256 i = 0; i + 1 < len; i++) {
+            SolidityPackDecoder.skip(dec);
+        }
+        return SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testIsCanonical(bytes memory data) public pure returns (bool) {
+        return SolidityPackDecoder.isCanonical(data);
+    }
+}
@@ -276,4 +276,55 @@ contract DecoderTest {
 
         return (val1, val2, val3);
     }
+
+    function testDecodeWideSignedNumbers() public pure returns (
+        int256 val1,
+        int256 val2,
+        int256 val3
+    ) {
+        // [-5000000000, type(int64).min, type(int128).min]
+        bytes memory data = hex"93cdfffffffed5fa0e00cd8000000000000000ce80000000000000000000000000000000";
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+
+        SolidityPackDecoder.decodeArrayLength(dec);
+        val1 = SolidityPackDecoder.decodeInt(dec);
+        val2 = SolidityPackDecoder.decodeInt(dec);
+        val3 = SolidityPackDecoder.decodeInt(dec);
+
+        return (val1, val2, val3);
+    }
+
+    // Test decoding [string, bytes, uint] where the payloads may use 32-bit lengths
+    function testDecodeLongPayload(bytes memory data) public pure returns (
+        uint256 strLen,
+        uint256 bytesLen,
+        uint256 tail
+    ) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+
+        require(SolidityPackDecoder.decodeArrayLength(dec) == 3, "Expected 3 elements");
+        strLen = bytes(SolidityPackDecoder.decodeString(dec)).length;
+        bytesLen = SolidityPackDecoder.decodeBytes(dec).length;
+        tail = SolidityPackDecoder.decodeUint(dec);
+    }
+
+    // Test container lengths and skip() over 32-bit headers: <array> <map> <value> <uint>
+    function testDecodeLongHeaders(bytes memory data) public pure returns (
+        uint256 arrayLen,
+        uint256 mapLen,
+        uint256 tail
+    ) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+
+        arrayLen = SolidityPackDecoder.decodeArrayLength(dec);
+        for (uint256 i = 0; i < arrayLen; i++) {
+            SolidityPackDecoder.skip(dec);
+        }
+        mapLen = SolidityPackDecoder.decodeMapLength(dec);
+        for (uint256 i = 0; i < mapLen * 2; i++) {
+            SolidityPackDecoder.skip(dec);
+        }
+        SolidityPackDecoder.skip(dec);
+        tail = SolidityPackDecoder.decodeUint(dec);
+    }
 }
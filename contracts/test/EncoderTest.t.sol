@@ -2,6 +2,7 @@
 pragma solidity ^0.8.0;
 
 import "../SPack.sol";
+import "../SolidityPackEncoder.sol";
 import "../SolidityPackDecoder.sol";
 import "../SolidityPackTypes.sol";
 
@@ -112,6 +113,68 @@ contract EncoderTest {
         return SPack.done(b);
     }
 
+    // Test minimal-width encoding of 64/128-bit signed values
+    function testEncodeWideSignedNumbers() public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.startArray(enc, 5);
+        SolidityPackEncoder.encodeInt(enc, int256(type(int32).min) - 1);
+        SolidityPackEncoder.encodeInt(enc, type(int64).min);
+        SolidityPackEncoder.encodeInt(enc, int256(type(int64).min) - 1);
+        SolidityPackEncoder.encodeInt(enc, type(int128).min);
+        SolidityPackEncoder.encodeInt(enc, int256(type(int128).min) - 1);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    // Test 32-bit length headers for strings past 64KB, through each encoder
+    function testEncodeLongString(string memory value) public pure returns (
+        bytes memory viaEncoder,
+        bytes memory viaBuilder,
+        bytes memory viaDirect
+    ) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeString(enc, value);
+        viaEncoder = SolidityPackEncoder.getEncoded(enc);
+
+        SPack.Builder memory b = SPack.builder();
+        SPack.s(b, value);
+        viaBuilder = SPack.done(b);
+
+        viaDirect = SPack.encode(value);
+    }
+
+    // Test 32-bit length headers for bytes past 64KB, through each encoder
+    function testEncodeLongBytes(bytes memory value) public pure returns (
+        bytes memory viaEncoder,
+        bytes memory viaBuilder,
+        bytes memory viaDirect
+    ) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeBytes(enc, value);
+        viaEncoder = SolidityPackEncoder.getEncoded(enc);
+
+        SPack.Builder memory b = SPack.builder();
+        SPack.b(b, value);
+        viaBuilder = SPack.done(b);
+
+        viaDirect = SPack.encode(value);
+    }
+
+    // Test array/map headers for the given length (headers only, no elements)
+    function testEncodeContainerHeaders(uint256 length) public pure returns (
+        bytes memory viaEncoder,
+        bytes memory viaBuilder
+    ) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.startArray(enc, length);
+        SolidityPackEncoder.startMap(enc, length);
+        viaEncoder = SolidityPackEncoder.getEncoded(enc);
+
+        SPack.Builder memory b = SPack.builder();
+        SPack.arr(b, length);
+        SPack.map(b, length);
+        viaBuilder = SPack.done(b);
+    }
+
     // Test encoding and immediate decoding
     function testRoundTrip() public pure returns (
         bool success,
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackEncoder.sol";
+import "../SolidityPackDecoder.sol";
+import "../SolidityPackTypes.sol";
+
+/**
+ * @title ExtTest
+ * @notice Exposes extension encoding and decoding to compare against lib/ext.js
+ */
+contract ExtTest {
+    function testEncodeExt(uint8 id, bytes memory payload) public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeExt(enc, id, payload);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function testDecodeExt(bytes memory data) public pure returns (uint8 category, uint8 id, bytes memory payload) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        category = uint8(SolidityPackDecoder.peekCategory(dec));
+        (id, payload) = SolidityPackDecoder.decodeExt(dec);
+    }
+
+    function testDecodeExtHeader(bytes memory data) public pure returns (uint8 id, uint256 len, uint256 offset) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        (id, len) = SolidityPackDecoder.decodeExtHeader(dec);
+        offset = dec.pos;
+    }
+
+    /**
+     * @notice Skip every item but the last of an array and decode the last as a uint
+     */
+    function testSkipToLast(bytes memory data) public pure returns (uint256) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        for (uint256 i = 0; i + 1 < len; i++) {
+            SolidityPackDecoder.skip(dec);
+        }
+        return SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testIsCanonical(bytes memory data) public pure returns (bool) {
+        return SolidityPackDecoder.isCanonical(data);
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackDecoder.sol";
+import "../SolidityPackTypes.sol";
+
+/**
+ * @title MapKeysTest
+ * @notice Exposes SolidityPackDecoder typed map key helpers to compare against lib/decoder.js
+ */
+contract MapKeysTest {
+    function testDecodeMapKeys(bytes memory data) public pure returns (uint8[] memory categories, bytes32[] memory keys) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        uint256 len = SolidityPackDecoder.decodeMapLength(dec);
+        categories = new uint8[](len);
+        keys = new bytes32[](len);
+        for (uint256 i = 0; i < len; i++) {
+            SolidityPackDecoder.TypeCategory category;
+            (category, keys[i]) = SolidityPackDecoder.decodeMapKey(dec);
+            categories[i] = uint8(category);
+            SolidityPackDecoder.skip(dec);
+        }
+    }
+
+    function testSeekUintKey(bytes memory data, uint256 key) public pure returns (bool found, uint256 value) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekUintKey(dec, key);
+        if (found) value = SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testSeekAddressKey(bytes memory data, address key) public pure returns (bool found, uint256 value) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekAddressKey(dec, key);
+        if (found) value = SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testSeekBytes32Key(bytes memory data, bytes32 key) public pure returns (bool found, uint256 value) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekBytes32Key(dec, key);
+        if (found) value = SolidityPackDecoder.decodeUint(dec);
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackDecoder.sol";
+import "../SolidityPackTypes.sol";
+
+/**
+ * @title PathLookupTest
+ * @notice Exposes SolidityPackDecoder path lookups to compare against lib/path.js
+ */
+contract PathLookupTest {
+    function testSeekPath(bytes memory data, bytes memory path) public pure returns (bool found, uint256 offset) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekPath(dec, path);
+        offset = dec.pos;
+    }
+
+    function testSeekKey(bytes memory data, string memory key) public pure returns (bool found, uint256 value) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekKey(dec, key);
+        if (found) value = SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testSeekIndex(bytes memory data, uint256 index) public pure returns (bool found, uint256 value) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        found = SolidityPackDecoder.seekIndex(dec, index);
+        if (found) value = SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testGetUintAt(bytes memory data, bytes memory path) public pure returns (uint256) {
+        return SolidityPackDecoder.getUintAt(data, path);
+    }
+
+    function testGetIntAt(bytes memory data, bytes memory path) public pure returns (int256) {
+        return SolidityPackDecoder.getIntAt(data, path);
+    }
+
+    function testGetAddressAt(bytes memory data, bytes memory path) public pure returns (address) {
+        return SolidityPackDecoder.getAddressAt(data, path);
+    }
+
+    function testGetStringAt(bytes memory data, bytes memory path) public pure returns (string memory) {
+        return SolidityPackDecoder.getStringAt(data, path);
+    }
+
+    function testGetBoolAt(bytes memory data, bytes memory path) public pure returns (bool) {
+        return SolidityPackDecoder.getBoolAt(data, path);
+    }
+
+    function testGetBytes32At(bytes memory data, bytes memory path) public pure returns (bytes32) {
+        return SolidityPackDecoder.getBytes32At(data, path);
+    }
+
+    function testGetBytesAt(bytes memory data, bytes memory path) public pure returns (bytes memory) {
+        return SolidityPackDecoder.getBytesAt(data, path);
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackEncoder.sol";
+import "../SolidityPackDecoder.sol";
+import "../SolidityPackTypes.sol";
+
+/**
+ * @title TimestampTest
+ * @notice Exposes timestamp and duration encoding and decoding to compare against the JS library
+ */
+contract TimestampTest {
+    function testEncodeTimestamp(uint64 secs) public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeTimestamp(enc, secs);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function testEncodeTimestampNanos(uint64 secs, uint32 nanos) public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeTimestamp(enc, secs, nanos);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function testEncodeDuration(uint64 secs, uint32 nanos) public pure returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.encodeDuration(enc, secs, nanos);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    /**
+     * @notice Encode { at: block.timestamp, ttl: 1 days }
+     */
+    function testEncodeBlockTimestamp() public view returns (bytes memory) {
+        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();
+        SolidityPackEncoder.startMap(enc, 2);
+        SolidityPackEncoder.encodeString(enc, "at");
+        SolidityPackEncoder.encodeTimestamp(enc, uint64(block.timestamp));
+        SolidityPackEncoder.encodeString(enc, "ttl");
+        SolidityPackEncoder.encodeDuration(enc, 1 days);
+        return SolidityPackEncoder.getEncoded(enc);
+    }
+
+    function testDecodeTimestamp(
+        bytes memory data
+    ) public pure returns (uint8 category, uint64 secs, uint32 nanos) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        category = uint8(SolidityPackDecoder.peekCategory(dec));
+        (secs, nanos) = SolidityPackDecoder.decodeTimestamp(dec);
+    }
+
+    function testDecodeDuration(
+        bytes memory data
+    ) public pure returns (uint8 category, uint64 secs, uint32 nanos) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        category = uint8(SolidityPackDecoder.peekCategory(dec));
+        (secs, nanos) = SolidityPackDecoder.decodeDuration(dec);
+    }
+
+    /**
+     * @notice Skip every item but the last of an array and decode the last as a uint
+     */
+    function testSkipToLast(bytes memory data) public pure returns (uint256) {
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);
+        for (uint256 i = 0; i + 1 < len; i++) {
+            SolidityPackDecoder.skip(dec);
+        }
+        return SolidityPackDecoder.decodeUint(dec);
+    }
+
+    function testIsCanonical(bytes memory data) public pure returns (bool) {
+        return SolidityPackDecoder.isCanonical(data);
+    }
+}
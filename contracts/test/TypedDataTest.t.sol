@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SolidityPackTypedData.sol";
+
+/**
+ * @title TypedDataTest
+ * @notice Exposes SolidityPackTypedData to compare against lib/typeddata.js
+ */
+contract TypedDataTest {
+    function testDomainSeparator(
+        string memory name,
+        string memory version,
+        uint256 chainId,
+        address verifyingContract
+    ) public pure returns (bytes32) {
+        return SolidityPackTypedData.domainSeparator(name, version, chainId, verifyingContract);
+    }
+
+    function testHashStruct(string memory typeString, bytes memory data) public pure returns (bytes32) {
+        return SolidityPackTypedData.hashStruct(typeString, data);
+    }
+
+    function testHashTypedData(
+        bytes32 separator,
+        string memory typeString,
+        bytes memory data
+    ) public pure returns (bytes32) {
+        return SolidityPackTypedData.hashTypedData(separator, typeString, data);
+    }
+
+    // Recover the signer of `data`, then read a field from the verified payload
+    function testRecover(
+        bytes32 separator,
+        string memory typeString,
+        bytes memory data,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public pure returns (address signer, uint256 amount) {
+        signer = ecrecover(SolidityPackTypedData.hashTypedData(separator, typeString, data), v, r, s);
+
+        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);
+        require(SolidityPackDecoder.seekKey(dec, "amount"), "No amount");
+        amount = SolidityPackDecoder.decodeUint(dec);
+    }
+}
@@ -2,6 +2,7 @@
 
 import { encode, encodeToHex } from '../lib/encoder.js';
 import { decode } from '../lib/decoder.js';
+import { toMsgpack, fromMsgpack } from '../lib/msgpack.js';
 
 console.log('=== MessagePack Compatibility Check ===\n');
 
@@ -21,7 +22,8 @@ console.log('UINT32:           0xC6   (32-bit unsigned integer)');
 console.log('UINT64:           0xC7   (64-bit unsigned integer)');
 console.log();
 
-console.log('🔍 These match MessagePack format closely!');
+console.log('🔍 Only the fixed-size forms (fixint, fixmap, fixarray, fixstr, nil, bool) match MessagePack.');
+console.log('   0xC4-0xDF mean different things in MessagePack (bin, ext, float, uint, int, str...).');
 console.log();
 
 // Test basic compatibility
@@ -94,12 +96,14 @@ console.log();
 const comparison = [
     ['Feature', 'MessagePack', 'SolidityPack', 'Compatible?'],
     ['─'.repeat(20), '─'.repeat(20), '─'.repeat(20), '─'.repeat(12)],
-    ['Integers (up to 64-bit)', '✓', '✓', '✓ YES'],
+    ['Integers (fixint)', '✓', '✓', '✓ YES'],
+    ['Integers (8-64 bit)', '✓', '✓ (other tags)', '✗ NO'],
     ['Floats', '✓', '✗ No floats', '✗ NO'],
-    ['Strings', '✓', '✓', '✓ YES'],
-    ['Binary data', '✓', '✓ (bytes)', '✓ YES'],
-    ['Arrays', '✓', '✓', '✓ YES'],
-    ['Maps/Objects', '✓', '✓', '✓ YES'],
+    ['Strings (fixstr)', '✓', '✓', '✓ YES'],
+    ['Strings (str8/16)', '✓', '✓ (other tags)', '✗ NO'],
+    ['Binary data', '✓', '✓ (other tags)', '✗ NO'],
+    ['Arrays/Maps (fix)', '✓', '✓', '✓ YES'],
+    ['Arrays/Maps (8/16)', '✓', '✓ (other tags)', '✗ NO'],
     ['Booleans', '✓', '✓', '✓ YES'],
     ['Null', '✓', '✓', '✓ YES'],
     ['Extension types', '✓', '✓ (custom)', '⚠️  PARTIAL'],
@@ -122,9 +126,8 @@ console.log('Summary:');
 console.log('='.repeat(60));
 console.log();
 console.log('✓ COMPATIBLE:');
-console.log('  - Basic types (int, string, bool, null, array, map)');
+console.log('  - Fixed-size forms (small ints, short strings, small arrays/maps, bool, null)');
 console.log('  - Format structure and encoding rules');
-console.log('  - Can decode basic SolidityPack data with msgpack libraries');
 console.log();
 console.log('✗ INCOMPATIBLE:');
 console.log('  - Ethereum-specific types (address, bytes32)');
@@ -135,7 +138,7 @@ console.log();
 console.log('🎯 BEST PRACTICE:');
 console.log('  - Use SolidityPack for Solidity ↔ JavaScript communication');
 console.log('  - Use standard MessagePack for general cross-platform data');
-console.log('  - Basic data types are interoperable between both!');
+console.log('  - Use { msgpack: true } or toMsgpack() when a stock msgpack library must read the data');
 console.log();
 
 // Practical test
@@ -157,8 +160,8 @@ console.log('  Original:', JSON.stringify(simpleData));
 console.log('  SolidityPack encoded:', '0x' + solidityPackEncoded.toString('hex'));
 console.log('  Decoded back:', JSON.stringify(decode(solidityPackEncoded)));
 console.log();
-console.log('  ✓ This WOULD be compatible with standard MessagePack!');
-console.log('    (because it only uses basic types)');
+console.log('  ✓ This is valid MessagePack too');
+console.log('    (because it only uses fixed-size forms)');
 console.log();
 
 const ethereumData = {
@@ -174,3 +177,18 @@ console.log('  SolidityPack encoded:', '0x' + ethereumEncoded.toString('hex'));
 console.log();
 console.log('  ✗ This would NOT decode correctly with MessagePack!');
 console.log('    (because of address and uint256 types)');
+console.log();
+
+// MessagePack mode
+console.log('='.repeat(60));
+console.log('MessagePack Mode ({ msgpack: true }):');
+console.log('='.repeat(60));
+console.log();
+
+const msgpackEncoded = encode(ethereumData, { msgpack: true });
+console.log('  MessagePack encoded:', '0x' + msgpackEncoded.toString('hex'));
+console.log('  Decoded back:', JSON.stringify(decode(msgpackEncoded, { msgpack: true }), (k,v) => typeof v === 'bigint' ? v.toString() + 'n' : v));
+console.log('  toMsgpack() matches:', toMsgpack(ethereumEncoded).equals(msgpackEncoded));
+console.log('  fromMsgpack() matches:', fromMsgpack(msgpackEncoded).equals(ethereumEncoded));
+console.log();
+console.log('  ✓ Readable by any MessagePack library (amount is ext type 3)');
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { defineSchema } from '../lib/schema.js';
+import { generateSolidity } from '../lib/codegen.js';
+
+console.log('====================================');
+console.log('Solidity Codec Generation');
+console.log('====================================\n');
+
+// One schema drives both the JS codec and the Solidity library
+const Order = defineSchema({
+    owner: 'address',
+    amount: 'uint256',
+    nonce: 'uint32',
+    delta: 'int64',
+    active: 'bool',
+    tags: ['string'],
+    meta: {
+        ref: 'bytes32',
+        note: 'string',
+        payload: 'bytes'
+    },
+    matrix: [['uint8']]
+});
+
+const source = generateSolidity(Order, {
+    name: 'Order',
+    importPath: '..'
+});
+
+// Pass --write to refresh contracts/examples/OrderCodec.sol
+if (process.argv.includes('--write')) {
+    const target = new URL('../contracts/examples/OrderCodec.sol', import.meta.url);
+    writeFileSync(target, source);
+    console.log('Wrote contracts/examples/OrderCodec.sol\n');
+} else {
+    console.log(source);
+}
+
+// The JS side encodes the same shape
+const encoded = Order.encodeToHex({
+    owner: '0x742d35cc6634c0532925a3b844bc9e7595f0beb1',
+    amount: 1500000000000000000n,
+    nonce: 7,
+    delta: -5000000000n,
+    active: true,
+    tags: ['limit', 'gtc'],
+    meta: {
+        ref: '0x' + 'ab'.repeat(32),
+        note: 'first order',
+        payload: '0xdeadbeef'
+    },
+    matrix: [[1, 2], [3]]
+});
+
+console.log('Sample payload for OrderCodec.decodeOrder():');
+console.log('  ' + encoded);
@@ -0,0 +1,57 @@
+// SolidityPack - Main entry point
+export { Encoder, encode, encodeToHex } from './lib/encoder.js';
+export { Decoder, decode, TypeCategory, isCanonical, assertCanonical } from './lib/decoder.js';
+export {
+    SolidityPackError,
+    TruncatedInputError,
+    UnexpectedTagError,
+    UnknownTagError,
+    InvalidPayloadError,
+    TrailingDataError,
+    NonCanonicalError
+} from './lib/errors.js';
+export {
+    decodeAll,
+    decodeWithType,
+    decodePretty,
+    decodeStats,
+    extractField,
+    roundTrip,
+    decodeWithValidation
+} from './lib/helpers.js';
+export { toMsgpack, fromMsgpack, transcode } from './lib/msgpack.js';
+export { StreamDecoder, StreamEncoder, createDecodeStream } from './lib/stream.js';
+export { View, view } from './lib/view.js';
+export { encodePath, decodePath, resolvePath } from './lib/path.js';
+export { defineSchema, Schema } from './lib/schema.js';
+export { generateSolidity } from './lib/codegen.js';
+export {
+    encodeType,
+    typeHash,
+    hashDomain,
+    hashStruct,
+    hashTypedPayload,
+    hashTypedData
+} from './lib/typeddata.js';
+export { toAbi, fromAbi } from './lib/abi.js';
+export { disassemble, diffEncoded, tokenize, tagName } from './lib/disassemble.js';
+export { toTypedJSON, fromTypedJSON } from './lib/typedjson.js';
+export { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './lib/values.js';
+export { toChecksumAddress, isValidChecksum } from './lib/address.js';
+export { keccak256 } from './lib/keccak.js';
+export { Ext, registerExtension, unregisterExtension } from './lib/ext.js';
+
+export type { ByteArray, BytesInput } from './lib/bytes.js';
+export type { EncoderOptions, EncodableValue, MapKey } from './lib/encoder.js';
+export type { DecoderOptions, DecodedValue, DecodedMapKey } from './lib/decoder.js';
+export type { ValidationSchema, DecodeStats, RoundTripResult } from './lib/helpers.js';
+export type { StreamEncoderOptions } from './lib/stream.js';
+export type { PathSegment } from './lib/path.js';
+export type { SchemaSpec, ScalarSpec, IntegerSpec, Infer, InferInput, SchemaNode } from './lib/schema.js';
+export type { GenerateSolidityOptions } from './lib/codegen.js';
+export type { TypedDataDomain } from './lib/typeddata.js';
+export type { AbiParameter, AbiType } from './lib/abi.js';
+export type { Token, ErrorToken, EncodedDiff } from './lib/disassemble.js';
+export type { TypedJSON } from './lib/typedjson.js';
+export type { IntegerBits } from './lib/values.js';
+export type { ExtensionTypes, ExtensionValue, Extension } from './lib/ext.js';
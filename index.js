@@ -1,6 +1,15 @@
 // SolidityPack - Main entry point
 export { Encoder, encode, encodeToHex } from './lib/encoder.js';
-export { Decoder, decode, TypeCategory } from './lib/decoder.js';
+export { Decoder, decode, TypeCategory, isCanonical, assertCanonical } from './lib/decoder.js';
+export {
+    SolidityPackError,
+    TruncatedInputError,
+    UnexpectedTagError,
+    UnknownTagError,
+    InvalidPayloadError,
+    TrailingDataError,
+    NonCanonicalError
+} from './lib/errors.js';
 export {
     decodeAll,
     decodeWithType,
@@ -10,3 +19,24 @@ export {
     roundTrip,
     decodeWithValidation
 } from './lib/helpers.js';
+export { toMsgpack, fromMsgpack, transcode } from './lib/msgpack.js';
+export { StreamDecoder, StreamEncoder, createDecodeStream } from './lib/stream.js';
+export { View, view } from './lib/view.js';
+export { encodePath, decodePath, resolvePath } from './lib/path.js';
+export { defineSchema, Schema } from './lib/schema.js';
+export { generateSolidity } from './lib/codegen.js';
+export {
+    encodeType,
+    typeHash,
+    hashDomain,
+    hashStruct,
+    hashTypedPayload,
+    hashTypedData
+} from './lib/typeddata.js';
+export { toAbi, fromAbi } from './lib/abi.js';
+export { disassemble, diffEncoded, tokenize, tagName } from './lib/disassemble.js';
+export { toTypedJSON, fromTypedJSON } from './lib/typedjson.js';
+export { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './lib/values.js';
+export { toChecksumAddress, isValidChecksum } from './lib/address.js';
+export { keccak256 } from './lib/keccak.js';
+export { Ext, registerExtension, unregisterExtension } from './lib/ext.js';
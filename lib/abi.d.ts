@@ -0,0 +1,23 @@
+// SolidityPack <-> ABI Conversion
+
+import type { ByteArray, BytesInput } from './bytes.js';
+
+/** Parameter object from a compiled artifact's `abi` */
+export interface AbiParameter {
+    type: string;
+    name?: string;
+    components?: readonly AbiParameter[];
+}
+
+/** A type string such as 'uint256', 'address[]' or '(uint256,bytes32)[2]', or a parameter object */
+export type AbiType = string | AbiParameter;
+
+/**
+ * Convert a SolidityPack payload (array, or map by field name) to abi.encode(...) data
+ */
+export declare function toAbi(data: BytesInput, abiTypes: readonly AbiType[], fieldNames?: readonly string[]): ByteArray;
+
+/**
+ * Convert abi.encode(...) data to a SolidityPack payload
+ */
+export declare function fromAbi(abiData: BytesInput, abiTypes: readonly AbiType[], fieldNames?: readonly string[]): ByteArray;
@@ -0,0 +1,423 @@
+// SolidityPack <-> Solidity ABI Conversion
+// Converts between SolidityPack payloads and abi.encode() data for a list of ABI types
+
+import { Encoder } from './encoder.js';
+import { Decoder } from './decoder.js';
+import { isValidChecksum } from './address.js';
+import {
+    wrapBytes, allocBytes, hexToBytes, bytesToHex, utf8ToBytes, bytesToUtf8, concatBytes, bytesToBigInt
+} from './bytes.js';
+
+const WORD = 32;
+
+/**
+ * Parse an ABI type: a string such as 'uint256', 'address[]' or '(uint256,bytes32)[2]',
+ * or a parameter object from a compiled artifact ({ type, name, components })
+ */
+function parseType(param) {
+    if (typeof param === 'string') {
+        return parseTypeString(param.replace(/\s+/g, ''));
+    }
+    if (param === null || typeof param !== 'object' || typeof param.type !== 'string') {
+        throw new Error(`Invalid ABI type: ${JSON.stringify(param)}`);
+    }
+
+    const suffix = /^tuple((?:\[\d*\])*)$/.exec(param.type);
+    if (!suffix) {
+        return parseTypeString(param.type);
+    }
+    if (!Array.isArray(param.components)) {
+        throw new Error(`ABI type ${param.type} is missing components`);
+    }
+    const tuple = {
+        kind: 'tuple',
+        components: param.components.map(c => ({ name: c.name || null, node: parseType(c) }))
+    };
+    return wrapArrays(tuple, suffix[1]);
+}
+
+function parseTypeString(type) {
+    const array = /^(.*)\[(\d*)\]$/.exec(type);
+    if (array) {
+        return {
+            kind: 'array',
+            items: parseTypeString(array[1]),
+            length: array[2] === '' ? null : Number(array[2])
+        };
+    }
+
+    if (type.startsWith('(') && type.endsWith(')')) {
+        const components = splitTuple(type.slice(1, -1)).map(t => ({ name: null, node: parseTypeString(t) }));
+        return { kind: 'tuple', components };
+    }
+
+    if (type === 'address' || type === 'bool' || type === 'string' || type === 'bytes') {
+        return { kind: type };
+    }
+
+    const integer = /^(u?int)(\d*)$/.exec(type);
+    if (integer) {
+        const bits = integer[2] === '' ? 256 : Number(integer[2]);
+        if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+            throw new Error(`Invalid ABI type: ${type}`);
+        }
+        return { kind: integer[1], bits };
+    }
+
+    const fixed = /^bytes(\d+)$/.exec(type);
+    if (fixed && Number(fixed[1]) >= 1 && Number(fixed[1]) <= 32) {
+        return { kind: 'fixedBytes', size: Number(fixed[1]) };
+    }
+
+    throw new Error(`Invalid ABI type: ${type}`);
+}
+
+function wrapArrays(node, suffixes) {
+    for (const [, length] of suffixes.matchAll(/\[(\d*)\]/g)) {
+        node = { kind: 'array', items: node, length: length === '' ? null : Number(length) };
+    }
+    return node;
+}
+
+// Split 'a,(b,c),d' at top-level commas
+function splitTuple(inner) {
+    if (inner === '') return [];
+
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        if (inner[i] === '(') depth++;
+        else if (inner[i] === ')') depth--;
+        else if (inner[i] === ',' && depth === 0) {
+            parts.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(inner.slice(start));
+    return parts;
+}
+
+function isDynamic(node) {
+    if (node.kind === 'bytes' || node.kind === 'string') return true;
+    if (node.kind === 'array') return node.length === null || isDynamic(node.items);
+    if (node.kind === 'tuple') return node.components.some(c => isDynamic(c.node));
+    return false;
+}
+
+function describe(path) {
+    return path.length === 0 ? 'ABI value' : `ABI value "${path.join('.')}"`;
+}
+
+// ============ ABI ENCODING ============
+
+function word(value) {
+    return hexToBytes(BigInt.asUintN(256, value).toString(16).padStart(64, '0'));
+}
+
+function padRight(bytes) {
+    const padded = allocBytes(Math.ceil(bytes.length / WORD) * WORD);
+    padded.set(bytes);
+    return padded;
+}
+
+function toBytes(value, path) {
+    if (value instanceof Uint8Array) return value;
+    if (typeof value === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(value)) {
+        return hexToBytes(value);
+    }
+    throw new Error(`${describe(path)}: expected bytes, got ${typeof value}`);
+}
+
+function toInteger(node, value, path) {
+    if (typeof value === 'number' && Number.isInteger(value)) value = BigInt(value);
+    if (typeof value !== 'bigint') {
+        throw new Error(`${describe(path)}: expected ${node.kind}${node.bits}, got ${typeof value}`);
+    }
+
+    const bits = BigInt(node.bits);
+    const min = node.kind === 'uint' ? 0n : -(1n << (bits - 1n));
+    const max = node.kind === 'uint' ? (1n << bits) - 1n : (1n << (bits - 1n)) - 1n;
+    if (value < min || value > max) {
+        throw new Error(`${describe(path)}: value ${value} out of range for ${node.kind}${node.bits}`);
+    }
+    return value;
+}
+
+// Component values from a SolidityPack array (positional) or map (by name)
+function componentValues(components, value, path) {
+    if (Array.isArray(value)) {
+        if (value.length !== components.length) {
+            throw new Error(`${describe(path)}: expected ${components.length} values, got ${value.length}`);
+        }
+        return value;
+    }
+    if (value !== null && typeof value === 'object' && !(value instanceof Uint8Array)) {
+        return components.map(({ name }) => {
+            if (name === null) {
+                throw new Error(`${describe(path)}: a map needs named ABI components`);
+            }
+            if (value[name] === undefined) {
+                throw new Error(`${describe(path.concat(name))}: missing value`);
+            }
+            return value[name];
+        });
+    }
+    throw new Error(`${describe(path)}: expected array or map, got ${value === null ? 'null' : typeof value}`);
+}
+
+function encodeSequence(nodes, values, paths) {
+    const heads = [];
+    const tails = [];
+    let tailOffset = nodes.reduce((size, node) => size + headSize(node), 0);
+
+    nodes.forEach((node, i) => {
+        const encoded = encodeAbiValue(node, values[i], paths[i]);
+        if (isDynamic(node)) {
+            heads.push(word(BigInt(tailOffset)));
+            tails.push(encoded);
+            tailOffset += encoded.length;
+        } else {
+            heads.push(encoded);
+        }
+    });
+    return concatBytes(heads.concat(tails));
+}
+
+function headSize(node) {
+    if (isDynamic(node)) return WORD;
+    if (node.kind === 'array') return node.length * headSize(node.items);
+    if (node.kind === 'tuple') return node.components.reduce((size, c) => size + headSize(c.node), 0);
+    return WORD;
+}
+
+function encodeAbiValue(node, value, path) {
+    switch (node.kind) {
+        case 'uint':
+        case 'int':
+            return word(toInteger(node, value, path));
+        case 'bool':
+            if (typeof value !== 'boolean') {
+                throw new Error(`${describe(path)}: expected bool, got ${typeof value}`);
+            }
+            return word(value ? 1n : 0n);
+        case 'address': {
+            if (typeof value === 'string' && value.length === 42 && !isValidChecksum(value)) {
+                throw new Error(`${describe(path)}: invalid address checksum ${value}`);
+            }
+            const bytes = toBytes(value, path);
+            if (bytes.length !== 20) {
+                throw new Error(`${describe(path)}: expected a 20-byte address`);
+            }
+            return concatBytes([allocBytes(12), bytes]);
+        }
+        case 'fixedBytes': {
+            const bytes = toBytes(value, path);
+            if (bytes.length !== node.size) {
+                throw new Error(`${describe(path)}: expected ${node.size} bytes, got ${bytes.length}`);
+            }
+            return padRight(bytes);
+        }
+        case 'bytes':
+        case 'string': {
+            if (node.kind === 'string' && typeof value !== 'string') {
+                throw new Error(`${describe(path)}: expected string, got ${typeof value}`);
+            }
+            const bytes = node.kind === 'string' ? utf8ToBytes(value) : toBytes(value, path);
+            return concatBytes([word(BigInt(bytes.length)), padRight(bytes)]);
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                throw new Error(`${describe(path)}: expected array, got ${typeof value}`);
+            }
+            if (node.length !== null && value.length !== node.length) {
+                throw new Error(`${describe(path)}: expected ${node.length} items, got ${value.length}`);
+            }
+            const items = encodeSequence(
+                value.map(() => node.items),
+                value,
+                value.map((_, i) => path.concat(i))
+            );
+            return node.length === null ? concatBytes([word(BigInt(value.length)), items]) : items;
+        }
+        case 'tuple': {
+            const values = componentValues(node.components, value, path);
+            return encodeSequence(
+                node.components.map(c => c.node),
+                values,
+                node.components.map((c, i) => path.concat(c.name ?? i))
+            );
+        }
+    }
+}
+
+// ============ ABI DECODING ============
+
+class AbiReader {
+    constructor(data) {
+        this.data = data;
+    }
+
+    word(offset) {
+        if (offset + WORD > this.data.length) {
+            throw new Error(`ABI data too short: need ${offset + WORD} bytes, have ${this.data.length}`);
+        }
+        return bytesToBigInt(this.data.subarray(offset, offset + WORD));
+    }
+
+    // Offsets and lengths must fit the data, which also bounds them to safe integers
+    size(offset) {
+        const value = this.word(offset);
+        if (value > BigInt(this.data.length)) {
+            throw new Error(`ABI offset or length ${value} at ${offset} exceeds data size ${this.data.length}`);
+        }
+        return Number(value);
+    }
+
+    bytes(offset, length) {
+        if (offset + length > this.data.length) {
+            throw new Error(`ABI data too short: need ${offset + length} bytes, have ${this.data.length}`);
+        }
+        return this.data.subarray(offset, offset + length);
+    }
+}
+
+function decodeSequence(reader, nodes, base) {
+    let head = base;
+    return nodes.map(node => {
+        let value;
+        if (isDynamic(node)) {
+            value = decodeAbiValue(reader, node, base + reader.size(head));
+        } else {
+            value = decodeAbiValue(reader, node, head);
+        }
+        head += headSize(node);
+        return value;
+    });
+}
+
+function decodeAbiValue(reader, node, offset) {
+    switch (node.kind) {
+        case 'uint':
+        case 'int': {
+            const raw = reader.word(offset);
+            const value = node.kind === 'int' ? BigInt.asIntN(node.bits, raw) : BigInt.asUintN(node.bits, raw);
+            const expected = node.kind === 'int' ? BigInt.asUintN(256, value) : value;
+            if (expected !== raw) {
+                throw new Error(`ABI value at ${offset} out of range for ${node.kind}${node.bits}`);
+            }
+            return value;
+        }
+        case 'bool': {
+            const raw = reader.word(offset);
+            if (raw > 1n) throw new Error(`ABI value at ${offset} is not a bool`);
+            return raw === 1n;
+        }
+        case 'address':
+            reader.word(offset);
+            return '0x' + bytesToHex(reader.bytes(offset + 12, 20));
+        case 'fixedBytes':
+            return reader.bytes(offset, node.size);
+        case 'bytes':
+        case 'string': {
+            const length = reader.size(offset);
+            const bytes = reader.bytes(offset + WORD, length);
+            return node.kind === 'string' ? bytesToUtf8(bytes) : bytes;
+        }
+        case 'array': {
+            let length = node.length;
+            let start = offset;
+            if (length === null) {
+                length = reader.size(offset);
+                start += WORD;
+            }
+            return decodeSequence(reader, new Array(length).fill(node.items), start);
+        }
+        case 'tuple': {
+            const values = decodeSequence(reader, node.components.map(c => c.node), offset);
+            if (node.components.some(c => c.name === null)) return values;
+            return Object.fromEntries(node.components.map((c, i) => [c.name, values[i]]));
+        }
+    }
+}
+
+// ============ SOLIDITYPACK SIDE ============
+
+// Encode a decoded ABI value with the SolidityPack tag matching its ABI type
+function encodePackValue(encoder, node, value) {
+    switch (node.kind) {
+        case 'uint':
+            return encoder.encodeUint(value);
+        case 'int':
+            return encoder.encodeInt(value);
+        case 'bool':
+            return encoder.encodeBool(value);
+        case 'address':
+            return encoder.encodeAddress(value);
+        case 'fixedBytes':
+            return node.size === 32 ? encoder.encodeBytes32(value) : encoder.encodeBytes(value);
+        case 'bytes':
+            return encoder.encodeBytes(value);
+        case 'string':
+            return encoder.encodeString(value);
+        case 'array':
+            encoder.startArray(value.length);
+            value.forEach(item => encodePackValue(encoder, node.items, item));
+            return encoder;
+        case 'tuple':
+            if (Array.isArray(value)) {
+                encoder.startArray(value.length);
+                value.forEach((item, i) => encodePackValue(encoder, node.components[i].node, item));
+            } else {
+                encoder.startMap(node.components.length);
+                for (const { name, node: component } of node.components) {
+                    encoder.encodeString(name);
+                    encodePackValue(encoder, component, value[name]);
+                }
+            }
+            return encoder;
+    }
+}
+
+function topLevel(abiTypes, fieldNames) {
+    if (!Array.isArray(abiTypes)) {
+        throw new Error('abiTypes must be an array of ABI types');
+    }
+    const components = abiTypes.map((param, i) => ({
+        name: fieldNames ? fieldNames[i] : (param && param.name) || null,
+        node: parseType(param)
+    }));
+    if (fieldNames && fieldNames.length !== abiTypes.length) {
+        throw new Error(`Expected ${abiTypes.length} field names, got ${fieldNames.length}`);
+    }
+    return { kind: 'tuple', components };
+}
+
+/**
+ * Convert a SolidityPack payload to abi.encode(...) data
+ * @param {Uint8Array|string} data - SolidityPack array (positional) or map (by field name)
+ * @param {Array<string|Object>} abiTypes - Type strings, or parameter objects from an
+ *   artifact's `abi` (their names select map fields)
+ * @param {string[]} [fieldNames] - Map field for each type, overriding parameter names
+ * @returns {Uint8Array} ABI-encoded data; timestamps become their uint64 seconds
+ */
+export function toAbi(data, abiTypes, fieldNames) {
+    const root = topLevel(abiTypes, fieldNames);
+    const value = new Decoder(data, { strict: true, timestamp: 'bigint' }).decode();
+    return encodeAbiValue(root, value, []);
+}
+
+/**
+ * Convert abi.encode(...) data to a SolidityPack payload
+ * @param {Uint8Array|string} abiData - ABI-encoded data
+ * @param {Array<string|Object>} abiTypes - Type strings or artifact parameter objects
+ * @param {string[]} [fieldNames] - Encode a map with these keys; defaults to the parameter
+ *   names when every type has one, otherwise an array
+ * @returns {Uint8Array} SolidityPack-encoded data
+ */
+export function fromAbi(abiData, abiTypes, fieldNames) {
+    abiData = typeof abiData === 'string' ? hexToBytes(abiData) : wrapBytes(abiData);
+    const root = topLevel(abiTypes, fieldNames);
+    const value = decodeAbiValue(new AbiReader(abiData), root, 0);
+    return encodePackValue(new Encoder(), root, value).getEncoded();
+}
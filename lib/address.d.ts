@@ -0,0 +1,11 @@
+// EIP-55 address checksums
+
+/**
+ * Checksummed form of a hex address; throws on anything but 20 hex bytes
+ */
+export declare function toChecksumAddress(address: string): string;
+
+/**
+ * Whether an address string passes EIP-55 (single-case addresses carry no checksum and pass)
+ */
+export declare function isValidChecksum(address: string): boolean;
@@ -0,0 +1,38 @@
+// Ethereum Address Helpers
+// EIP-55 mixed-case checksums, using the built-in keccak256
+
+import { keccak256 } from './keccak.js';
+import { bytesToHex } from './bytes.js';
+
+/**
+ * EIP-55 checksummed form of an address
+ * @param {string} address - 0x-prefixed hex address, any case
+ * @returns {string} e.g. '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+ */
+export function toChecksumAddress(address) {
+    const hex = address.replace(/^0x/i, '').toLowerCase();
+    if (!/^[0-9a-f]{40}$/.test(hex)) {
+        throw new Error(`Invalid address: ${address}`);
+    }
+
+    // Uppercase each letter whose nibble in keccak256(lowercase hex) is 8 or more
+    const hash = bytesToHex(keccak256(hex));
+    let result = '0x';
+    for (let i = 0; i < 40; i++) {
+        result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+    }
+    return result;
+}
+
+/**
+ * Whether an address string passes EIP-55: all-lowercase and all-uppercase addresses carry
+ * no checksum and pass, mixed case must match toChecksumAddress exactly
+ * @param {string} address - 0x-prefixed hex address
+ */
+export function isValidChecksum(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+    return toChecksumAddress(address) === address;
+}
@@ -0,0 +1,23 @@
+// Byte types shared by the declarations
+
+/**
+ * Bytes produced by the codec: a Buffer when Node's types are loaded, else a Uint8Array
+ */
+export type ByteArray = typeof globalThis extends { Buffer: { alloc(size: number): infer B } } ? B : Uint8Array;
+
+/**
+ * Encoded input: bytes (Buffer or Uint8Array) or a hex string, 0x optional
+ */
+export type BytesInput = Uint8Array | string;
+
+export declare function wrapBytes(bytes: Uint8Array): ByteArray;
+export declare function allocBytes(size: number): ByteArray;
+export declare function hexToBytes(hex: string): ByteArray;
+export declare function bytesToHex(bytes: Uint8Array): string;
+export declare function utf8ToBytes(str: string): ByteArray;
+export declare function bytesToUtf8(bytes: Uint8Array): string;
+export declare function compareBytes(a: Uint8Array, b: Uint8Array): -1 | 0 | 1;
+export declare function equalBytes(a: Uint8Array, b: Uint8Array): boolean;
+export declare function concatBytes(parts: Uint8Array[]): ByteArray;
+export declare function dataView(bytes: Uint8Array): DataView;
+export declare function bytesToBigInt(bytes: Uint8Array): bigint;
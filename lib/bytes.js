@@ -0,0 +1,109 @@
+// Byte helpers on plain Uint8Array, so the codec runs where Node's Buffer doesn't exist
+// Under Node, results are still Buffers (zero-copy views), keeping .toString('hex') and .equals()
+
+const HEX = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'));
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+/**
+ * View bytes as a Buffer when Buffer exists, else return them as-is
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} Buffer under Node
+ */
+export function wrapBytes(bytes) {
+    const NodeBuffer = globalThis.Buffer;
+    if (typeof NodeBuffer !== 'function' || NodeBuffer.isBuffer(bytes)) return bytes;
+    return NodeBuffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Zero-filled bytes
+ * @param {number} size
+ */
+export function allocBytes(size) {
+    return wrapBytes(new Uint8Array(size));
+}
+
+/**
+ * Parse hex (0x optional)
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+export function hexToBytes(hex) {
+    hex = hex.replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error(`Invalid hex string: ${JSON.stringify(hex.length > 40 ? hex.slice(0, 40) + '…' : hex)}`);
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Lowercase hex without 0x prefix
+ * @param {Uint8Array} bytes
+ */
+export function bytesToHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) hex += HEX[bytes[i]];
+    return hex;
+}
+
+export function utf8ToBytes(str) {
+    return wrapBytes(utf8Encoder.encode(str));
+}
+
+// Invalid sequences become U+FFFD, as with Buffer#toString('utf8')
+export function bytesToUtf8(bytes) {
+    return utf8Decoder.decode(bytes);
+}
+
+/**
+ * Bytewise order, like Buffer.compare
+ * @returns {number} -1, 0 or 1
+ */
+export function compareBytes(a, b) {
+    const len = Math.min(a.length, b.length);
+    for (let i = 0; i < len; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+}
+
+export function equalBytes(a, b) {
+    return compareBytes(a, b) === 0;
+}
+
+/**
+ * Join byte arrays, like Buffer.concat
+ * @param {Uint8Array[]} parts
+ */
+export function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Read-write DataView over the same memory
+ * @param {Uint8Array} bytes
+ */
+export function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Unsigned big-endian integer of any width
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+export function bytesToBigInt(bytes) {
+    return bytes.length === 0 ? 0n : BigInt('0x' + bytesToHex(bytes));
+}
@@ -0,0 +1,20 @@
+// SolidityPack Solidity Code Generation
+
+import type { Schema, SchemaSpec } from './schema.js';
+
+export interface GenerateSolidityOptions {
+    /** Root struct name, e.g. 'Order' */
+    name: string;
+    /** Defaults to `${name}Codec` */
+    libraryName?: string;
+    /** Directory holding the SolidityPack contracts */
+    importPath?: string;
+    /** Solidity version pragma */
+    pragma?: string;
+}
+
+/**
+ * Generate a Solidity library with a struct plus decodeX/encodeX functions
+ * built on SolidityPackDecoder/SolidityPackEncoder
+ */
+export declare function generateSolidity(schema: Schema | SchemaSpec, options: GenerateSolidityOptions): string;
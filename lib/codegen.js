@@ -0,0 +1,332 @@
+// SolidityPack Code Generation
+// Emits a Solidity library (struct + decode/encode) from a JS schema
+
+import { Schema } from './schema.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Solidity keywords that can't be used as struct members
+const RESERVED = new Set([
+    'address', 'bool', 'string', 'bytes', 'bytes32', 'byte', 'uint', 'int', 'mapping',
+    'struct', 'enum', 'function', 'return', 'returns', 'if', 'else', 'for', 'while',
+    'do', 'break', 'continue', 'memory', 'storage', 'calldata', 'public', 'private',
+    'internal', 'external', 'pure', 'view', 'payable', 'constant', 'immutable',
+    'contract', 'library', 'interface', 'event', 'emit', 'new', 'delete', 'this',
+    'true', 'false', 'import', 'pragma', 'using', 'modifier', 'override', 'virtual',
+    'abstract', 'assembly', 'try', 'catch', 'revert', 'error', 'type', 'unchecked',
+    'fixed', 'ufixed'
+]);
+
+// Sized elementary types: uint8...uint256, int8...int256 and bytes1...bytes32
+for (let bits = 8; bits <= 256; bits += 8) {
+    RESERVED.add(`uint${bits}`).add(`int${bits}`);
+}
+for (let size = 1; size <= 32; size++) {
+    RESERVED.add(`bytes${size}`);
+}
+
+// fixedMxN / ufixedMxN: M a multiple of 8 up to 256, N up to 80
+function isFixedType(name) {
+    const match = /^u?fixed(\d+)x(\d+)$/.exec(name);
+    if (!match) return false;
+    const [m, n] = [Number(match[1]), Number(match[2])];
+    return m >= 8 && m <= 256 && m % 8 === 0 && n <= 80;
+}
+
+function pascal(name) {
+    return String(name).charAt(0).toUpperCase() + String(name).slice(1);
+}
+
+class Generator {
+    constructor(root, name) {
+        this.structs = [];
+        this.names = new Set();
+        this.decoders = [];
+        this.encoders = [];
+        this.needsReadInt = false;
+        this.needsCheckedUint = false;
+        this.needsCheckedInt = false;
+        this.rootType = this.declare(root, name);
+    }
+
+    // Register a container node under `name`, returning its Solidity type
+    declare(node, name) {
+        if (node.type === 'map') {
+            this.struct(node, name);
+            return name;
+        }
+        if (node.type === 'array') {
+            const itemType = this.solidityType(node.items, name + 'Item');
+            this.array(node, name, itemType);
+            return `${itemType}[]`;
+        }
+        return this.solidityType(node, name);
+    }
+
+    // Struct and function names come from joined field names, so `aB` and `a.b` can meet
+    claim(name) {
+        if (this.names.has(name)) {
+            throw new Error(`Generated name ${name} is used twice; rename one of the fields that produce it`);
+        }
+        this.names.add(name);
+    }
+
+    solidityType(node, name) {
+        if (node.type === 'uint' || node.type === 'int') return `${node.type}${node.bits}`;
+        if (node.type === 'map' || node.type === 'array') return this.declare(node, name);
+        return node.type;
+    }
+
+    struct(node, name) {
+        if (node.fields.length === 0) {
+            throw new Error(`Struct ${name} must have at least one field`);
+        }
+        if (node.fields.length > 255) {
+            throw new Error(`Struct ${name} has too many fields (max 255)`);
+        }
+        this.claim(name);
+
+        const members = node.fields.map(field => {
+            if (!IDENTIFIER.test(field.name) || RESERVED.has(field.name) || isFixedType(field.name)) {
+                throw new Error(`Field "${field.name}" of ${name} is not a valid Solidity identifier`);
+            }
+            return { ...field, solType: this.solidityType(field.node, name + pascal(field.name)) };
+        });
+
+        this.structs.push([
+            `    struct ${name} {`,
+            ...members.map(m => `        ${m.solType} ${m.name};`),
+            '    }'
+        ].join('\n'));
+
+        const decodeBranches = members.map((m, i) => [
+            `${i === 0 ? '            if' : ' else if'} (key == keccak256("${m.name}")) {`,
+            `                require(seen & (1 << ${i}) == 0, "Duplicate field");`,
+            `                seen |= 1 << ${i};`,
+            `                value.${m.name} = ${this.readExpr(m.node, name + pascal(m.name))};`,
+            '            }'
+        ].join('\n')).join('');
+
+        this.decoders.push([
+            `    function _decode${name}(`,
+            '        SolidityPackTypes.Decoder memory dec',
+            `    ) private pure returns (${name} memory value) {`,
+            '        uint256 len = SolidityPackDecoder.decodeMapLength(dec);',
+            '        uint256 seen;',
+            '        for (uint256 i = 0; i < len; i++) {',
+            '            bytes32 key = keccak256(bytes(SolidityPackDecoder.decodeString(dec)));',
+            decodeBranches + ' else {',
+            '                SolidityPackDecoder.skip(dec); // Skip unknown fields',
+            '            }',
+            '        }',
+            `        require(seen == (1 << ${members.length}) - 1, "Missing field");`,
+            '    }'
+        ].join('\n'));
+
+        this.encoders.push([
+            `    function _encode${name}(`,
+            '        SolidityPackTypes.Encoder memory enc,',
+            `        ${name} memory value`,
+            '    ) private pure {',
+            `        SolidityPackEncoder.startMap(enc, ${members.length});`,
+            ...members.flatMap(m => [
+                `        SolidityPackEncoder.encodeKey(enc, "${m.name}");`,
+                `        ${this.writeStmt(m.node, `value.${m.name}`, name + pascal(m.name))};`
+            ]),
+            '    }'
+        ].join('\n'));
+    }
+
+    array(node, name, itemType) {
+        const itemName = name + 'Item';
+        this.claim(name);
+
+        this.decoders.push([
+            `    function _decode${name}(`,
+            '        SolidityPackTypes.Decoder memory dec',
+            `    ) private pure returns (${itemType}[] memory values) {`,
+            '        uint256 len = SolidityPackDecoder.decodeArrayLength(dec);',
+            `        values = new ${itemType}[](len);`,
+            '        for (uint256 i = 0; i < len; i++) {',
+            `            values[i] = ${this.readExpr(node.items, itemName)};`,
+            '        }',
+            '    }'
+        ].join('\n'));
+
+        this.encoders.push([
+            `    function _encode${name}(`,
+            '        SolidityPackTypes.Encoder memory enc,',
+            `        ${itemType}[] memory values`,
+            '    ) private pure {',
+            '        SolidityPackEncoder.startArray(enc, values.length);',
+            '        for (uint256 i = 0; i < values.length; i++) {',
+            `            ${this.writeStmt(node.items, 'values[i]', itemName)};`,
+            '        }',
+            '    }'
+        ].join('\n'));
+    }
+
+    readExpr(node, name) {
+        switch (node.type) {
+            case 'uint':
+                if (node.bits === 256) return 'SolidityPackDecoder.decodeUint(dec)';
+                this.needsCheckedUint = true;
+                return `uint${node.bits}(_checkedUint(SolidityPackDecoder.decodeUint(dec), type(uint${node.bits}).max))`;
+            case 'int':
+                this.needsReadInt = true;
+                if (node.bits === 256) return '_readInt(dec)';
+                this.needsCheckedInt = true;
+                return `int${node.bits}(_checkedInt(_readInt(dec), type(int${node.bits}).min, type(int${node.bits}).max))`;
+            case 'bool':
+                return 'SolidityPackDecoder.decodeBool(dec)';
+            case 'string':
+                return 'SolidityPackDecoder.decodeString(dec)';
+            case 'bytes':
+                return 'SolidityPackDecoder.decodeBytes(dec)';
+            case 'address':
+                return 'SolidityPackDecoder.decodeAddress(dec)';
+            case 'bytes32':
+                return 'SolidityPackDecoder.decodeBytes32(dec)';
+            case 'array':
+            case 'map':
+                return `_decode${name}(dec)`;
+            default:
+                throw new Error(`Unsupported schema type ${node.type}`);
+        }
+    }
+
+    writeStmt(node, expr, name) {
+        switch (node.type) {
+            case 'uint':
+                return `SolidityPackEncoder.encodeUint(enc, ${expr})`;
+            case 'int':
+                return `SolidityPackEncoder.encodeInt(enc, ${expr})`;
+            case 'bool':
+                return `SolidityPackEncoder.encodeBool(enc, ${expr})`;
+            case 'string':
+                return `SolidityPackEncoder.encodeString(enc, ${expr})`;
+            case 'bytes':
+                return `SolidityPackEncoder.encodeBytes(enc, ${expr})`;
+            case 'address':
+                return `SolidityPackEncoder.encodeAddress(enc, ${expr})`;
+            case 'bytes32':
+                return `SolidityPackEncoder.encodeBytes32(enc, ${expr})`;
+            case 'array':
+            case 'map':
+                return `_encode${name}(enc, ${expr})`;
+            default:
+                throw new Error(`Unsupported schema type ${node.type}`);
+        }
+    }
+
+    helpers() {
+        const out = [];
+        if (this.needsReadInt) {
+            out.push([
+                '    // Non-negative ints are encoded with uint tags',
+                '    function _readInt(SolidityPackTypes.Decoder memory dec) private pure returns (int256) {',
+                '        if (SolidityPackDecoder.peekCategory(dec) == SolidityPackDecoder.TypeCategory.UINT) {',
+                '            uint256 u = SolidityPackDecoder.decodeUint(dec);',
+                '            require(u <= uint256(type(int256).max), "Int out of range");',
+                '            return int256(u);',
+                '        }',
+                '        return SolidityPackDecoder.decodeInt(dec);',
+                '    }'
+            ].join('\n'));
+        }
+        if (this.needsCheckedUint) {
+            out.push([
+                '    function _checkedUint(uint256 value, uint256 max) private pure returns (uint256) {',
+                '        require(value <= max, "Uint out of range");',
+                '        return value;',
+                '    }'
+            ].join('\n'));
+        }
+        if (this.needsCheckedInt) {
+            out.push([
+                '    function _checkedInt(int256 value, int256 min, int256 max) private pure returns (int256) {',
+                '        require(value >= min && value <= max, "Int out of range");',
+                '        return value;',
+                '    }'
+            ].join('\n'));
+        }
+        return out;
+    }
+}
+
+/**
+ * Generate a Solidity library with a struct plus decodeX/encodeX functions
+ * built on SolidityPackDecoder/SolidityPackEncoder
+ * @param {Schema|Object} schema - Schema from defineSchema() or a raw spec (root must be a map)
+ * @param {Object} options
+ * @param {string} options.name - Root struct name, e.g. 'Order'
+ * @param {string} [options.libraryName] - Defaults to `${name}Codec`
+ * @param {string} [options.importPath] - Directory holding the SolidityPack contracts
+ * @param {string} [options.pragma] - Solidity version pragma
+ */
+export function generateSolidity(schema, options = {}) {
+    const root = (schema instanceof Schema ? schema : new Schema(schema)).root;
+    const name = options.name;
+    if (!name || !IDENTIFIER.test(name) || RESERVED.has(name) || isFixedType(name)) {
+        throw new Error('options.name must be a valid Solidity identifier');
+    }
+    if (root.type !== 'map') {
+        throw new Error('Code generation requires a map schema at the root');
+    }
+
+    const libraryName = options.libraryName || `${name}Codec`;
+    const importPath = (options.importPath || 'soliditypack/contracts').replace(/\/$/, '');
+    const pragma = options.pragma || '^0.8.0';
+
+    const gen = new Generator(root, name);
+    const rootType = gen.rootType;
+
+    const publicFunctions = [
+        [
+            '    /**',
+            `     * @notice Decode SolidityPack-encoded ${name}`,
+            '     * @dev Unknown fields are skipped; missing or duplicate fields revert',
+            '     */',
+            `    function decode${name}(bytes memory data) internal pure returns (${rootType} memory) {`,
+            '        SolidityPackTypes.Decoder memory dec = SolidityPackDecoder.newDecoder(data);',
+            `        return _decode${name}(dec);`,
+            '    }'
+        ].join('\n'),
+        [
+            '    /**',
+            `     * @notice Encode ${name} with fields in schema order`,
+            '     */',
+            `    function encode${name}(${rootType} memory value) internal pure returns (bytes memory) {`,
+            '        SolidityPackTypes.Encoder memory enc = SolidityPackEncoder.newEncoder();',
+            `        _encode${name}(enc, value);`,
+            '        return SolidityPackEncoder.getEncoded(enc);',
+            '    }'
+        ].join('\n')
+    ];
+
+    return [
+        '// SPDX-License-Identifier: MIT',
+        `pragma solidity ${pragma};`,
+        '',
+        `import "${importPath}/SolidityPackTypes.sol";`,
+        `import "${importPath}/SolidityPackEncoder.sol";`,
+        `import "${importPath}/SolidityPackDecoder.sol";`,
+        '',
+        '/**',
+        ` * @title ${libraryName}`,
+        ` * @notice Typed SolidityPack codec for ${name}`,
+        ' * @dev Generated by soliditypack generateSolidity() - do not edit by hand',
+        ' */',
+        '',
+        `library ${libraryName} {`,
+        [
+            gen.structs.join('\n\n'),
+            publicFunctions.join('\n\n'),
+            gen.decoders.join('\n\n'),
+            gen.encoders.join('\n\n'),
+            ...gen.helpers()
+        ].join('\n\n'),
+        '}',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,153 @@
+// SolidityPack JavaScript Decoder
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './values.js';
+import type { Ext, ExtensionValue } from './ext.js';
+
+export type { ByteArray, BytesInput } from './bytes.js';
+
+export declare const TypeCategory: {
+    readonly NIL: 'NIL';
+    readonly BOOL: 'BOOL';
+    readonly UINT: 'UINT';
+    readonly INT: 'INT';
+    readonly BYTES: 'BYTES';
+    readonly STRING: 'STRING';
+    readonly ARRAY: 'ARRAY';
+    readonly MAP: 'MAP';
+    readonly ADDRESS: 'ADDRESS';
+    readonly BYTES32: 'BYTES32';
+    readonly EXT: 'EXT';
+    readonly DECIMAL: 'DECIMAL';
+    readonly TIMESTAMP: 'TIMESTAMP';
+    readonly DURATION: 'DURATION';
+};
+
+/** One of the TypeCategory values, e.g. 'UINT' */
+export type TypeCategory = (typeof TypeCategory)[keyof typeof TypeCategory];
+
+export interface DecoderOptions {
+    /** Bounds-check every read and throw TruncatedInputError / UnexpectedTagError / UnknownTagError */
+    strict?: boolean;
+    /** Read standard MessagePack instead of SolidityPack */
+    msgpack?: boolean;
+    /** decode() / decodeAll() first reject input that is not canonical, throwing NonCanonicalError */
+    canonical?: boolean;
+    /** decode() returns Address, Bytes32, Bytes, Uint and Int wrappers */
+    wrap?: boolean;
+    /** Integers: 'auto' (numbers up to 32-bit tags, BigInt above), 'always' or 'never-throw' */
+    bigint?: 'auto' | 'always' | 'never-throw';
+    /** Output for both bytes and bytes32; by default bytes are a ByteArray and bytes32 a hex string */
+    bytes?: 'buffer' | 'uint8array' | 'hex';
+    address?: 'lowercase' | 'checksum';
+    /** Maps: 'object' (string keys only) or 'map' (Map instances with typed keys) */
+    map?: 'object' | 'map';
+    /**
+     * Timestamps: 'date' (default; a Timestamp past the range of a Date), 'bigint' (seconds) or
+     * 'timestamp' (Timestamp, keeping nanoseconds)
+     */
+    timestamp?: 'date' | 'bigint' | 'timestamp';
+}
+
+/**
+ * Key of a Map decoded with map: 'map'. Integers are always BigInt and addresses and bytes32
+ * keep their wrapper, so keys of different types never collide; wrap: true gives Uint/Int keys.
+ */
+export type DecodedMapKey = string | bigint | Address | Bytes32 | Uint | Int;
+
+/**
+ * Any value decode() can return. Bytes are a ByteArray by default, or a Uint8Array or hex
+ * string with the bytes option; wrappers only appear with wrap: true and Maps with map: 'map'.
+ * Extension values decode with their registered type, or as Ext.
+ */
+export type DecodedValue =
+    | null
+    | boolean
+    | number
+    | bigint
+    | string
+    | ByteArray
+    | Uint8Array
+    | Address
+    | Bytes32
+    | Bytes
+    | Uint
+    | Int
+    | Decimal
+    | Date
+    | Timestamp
+    | Duration
+    | Ext
+    | ExtensionValue
+    | DecodedValue[]
+    | Map<DecodedMapKey, DecodedValue>
+    | { [key: string]: DecodedValue };
+
+export declare class Decoder {
+    constructor(data: BytesInput, options?: DecoderOptions);
+
+    /** Input bytes */
+    readonly data: ByteArray;
+    /** Offset of the next value */
+    pos: number;
+    readonly strict: boolean;
+    readonly msgpack: boolean;
+    readonly canonical: boolean;
+    readonly wrap: boolean;
+    readonly bigint: 'auto' | 'always' | 'never-throw';
+    readonly bytes: 'buffer' | 'uint8array' | 'hex' | null;
+    readonly address: 'lowercase' | 'checksum';
+    readonly map: 'object' | 'map';
+
+    hasMore(): boolean;
+    /** Tag byte of the next value */
+    peekType(): number;
+    peekCategory(): TypeCategory;
+    isCategory(category: TypeCategory): boolean;
+    decodeBool(): boolean;
+    decodeNil(): null;
+    decodeUint(): number | bigint;
+    decodeInt(): number | bigint;
+    decodeAddress(): string;
+    decodeBytes32(): string | ByteArray | Uint8Array;
+    decodeBytes(): ByteArray | Uint8Array | string;
+    /** Fixed-point decimal as a Decimal */
+    decodeDecimal(): Decimal;
+    /**
+     * Timestamp as a Date, bigint seconds or Timestamp, following the timestamp option unless
+     * `as` overrides it. 'date' falls back to a Timestamp past the range of a Date.
+     */
+    decodeTimestamp(as: 'timestamp'): Timestamp;
+    decodeTimestamp(as: 'bigint'): bigint;
+    decodeTimestamp(as?: 'date' | 'bigint' | 'timestamp'): Date | bigint | Timestamp;
+    decodeDuration(): Duration;
+    /** Extension value as an Ext, whether or not its id is registered */
+    decodeExt(): Ext;
+    decodeStringLength(): number;
+    decodeString(): string;
+    decodeArrayLength(): number;
+    decodeArray<T = DecodedValue>(): T[];
+    decodeMapLength(): number;
+    decodeMap<T = { [key: string]: DecodedValue }>(): T;
+    /** String, BigInt, Address or Bytes32 key (wrappers with the wrap option) */
+    decodeMapKey(): DecodedMapKey;
+    /** Auto-detect type and decode */
+    decode<T = DecodedValue>(): T;
+    /** Advance past the next value without decoding it */
+    skip(): void;
+}
+
+/**
+ * Decode a single value; in strict mode trailing bytes throw TrailingDataError
+ */
+export declare function decode<T = DecodedValue>(data: BytesInput, options?: DecoderOptions): T;
+
+/**
+ * Throw unless data is canonical SolidityPack (NonCanonicalError, or a SolidityPackError for malformed input)
+ */
+export declare function assertCanonical(data: BytesInput): void;
+
+/**
+ * Whether data is canonical SolidityPack (see assertCanonical)
+ */
+export declare function isCanonical(data: BytesInput): boolean;
@@ -1,11 +1,27 @@
 // SolidityPack JavaScript Decoder
 // Matches the Solidity implementation
 
+import { Encoder } from './encoder.js';
+import { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './values.js';
+import { Ext, getExtension } from './ext.js';
+import { toChecksumAddress } from './address.js';
+import { wrapBytes, hexToBytes, bytesToHex, bytesToUtf8, compareBytes, equalBytes, dataView, bytesToBigInt } from './bytes.js';
+import {
+    TruncatedInputError,
+    UnexpectedTagError,
+    UnknownTagError,
+    InvalidPayloadError,
+    TrailingDataError,
+    NonCanonicalError,
+    SolidityPackError
+} from './errors.js';
+
 const FIXINT_POS_MAX = 0x7F;
 const FIXMAP_BASE = 0x80;
 const FIXARRAY_BASE = 0x90;
 const FIXSTR_BASE = 0xA0;
 const NIL = 0xC0;
+const DECIMAL = 0xC1;
 const FALSE = 0xC2;
 const TRUE = 0xC3;
 const UINT8 = 0xC4;
@@ -30,8 +46,65 @@ const ARRAY8 = 0xD6;
 const ARRAY16 = 0xD7;
 const MAP8 = 0xD8;
 const MAP16 = 0xD9;
+const BYTES32LEN = 0xDA;
+const STR32 = 0xDB;
+const ARRAY32 = 0xDC;
+const MAP32 = 0xDD;
+const EXT8 = 0xDE;
+const EXT16 = 0xDF;
 const FIXINT_NEG_BASE = 0xE0;
 
+// Standard MessagePack tags (msgpack mode)
+const MP_BIN8 = 0xC4;
+const MP_BIN16 = 0xC5;
+const MP_BIN32 = 0xC6;
+const MP_EXT8 = 0xC7;
+const MP_EXT16 = 0xC8;
+const MP_EXT32 = 0xC9;
+const MP_UINT8 = 0xCC;
+const MP_UINT16 = 0xCD;
+const MP_UINT32 = 0xCE;
+const MP_UINT64 = 0xCF;
+const MP_INT8 = 0xD0;
+const MP_INT16 = 0xD1;
+const MP_INT32 = 0xD2;
+const MP_INT64 = 0xD3;
+const MP_FIXEXT1 = 0xD4;
+const MP_FIXEXT16 = 0xD8;
+const MP_STR8 = 0xD9;
+const MP_STR16 = 0xDA;
+const MP_STR32 = 0xDB;
+const MP_ARRAY16 = 0xDC;
+const MP_ARRAY32 = 0xDD;
+const MP_MAP16 = 0xDE;
+const MP_MAP32 = 0xDF;
+
+// MessagePack ext type ids for values with no native MessagePack type
+const EXT_ADDRESS = 0x01;
+const EXT_BYTES32 = 0x02;
+const EXT_UINT = 0x03;
+const EXT_INT = 0x04;
+
+// Reserved ext type ids for built-in types. 0xFF is also MessagePack's timestamp type (-1).
+const EXT_TIMESTAMP = 0xFF;
+const EXT_DURATION = 0xFE;
+const NANOS_PER_SECOND = 1000000000;
+
+// Width of each sized integer tag, for wrapped decoding
+const TAG_BITS = {
+    [UINT8]: 8, [UINT16]: 16, [UINT32]: 32, [UINT64]: 64, [UINT128]: 128, [UINT256]: 256,
+    [INT8]: 8, [INT16]: 16, [INT32]: 32, [INT64]: 64, [INT128]: 128, [INT256]: 256
+};
+
+// Allowed values of the output options
+const OUTPUT_OPTIONS = {
+    bigint: ['auto', 'always', 'never-throw'],
+    bytes: ['buffer', 'uint8array', 'hex'],
+    address: ['lowercase', 'checksum'],
+    map: ['object', 'map'],
+    timestamp: ['date', 'bigint', 'timestamp']
+};
+
 const TypeCategory = {
     NIL: 'NIL',
     BOOL: 'BOOL',
@@ -42,17 +115,191 @@ const TypeCategory = {
     ARRAY: 'ARRAY',
     MAP: 'MAP',
     ADDRESS: 'ADDRESS',
-    BYTES32: 'BYTES32'
+    BYTES32: 'BYTES32',
+    EXT: 'EXT',
+    DECIMAL: 'DECIMAL',
+    TIMESTAMP: 'TIMESTAMP',
+    DURATION: 'DURATION'
 };
 
+// Key categories decodeMapKey accepts, matching SolidityPackDecoder.decodeMapKey
+const MAP_KEY_CATEGORIES = [
+    TypeCategory.STRING,
+    TypeCategory.UINT,
+    TypeCategory.INT,
+    TypeCategory.ADDRESS,
+    TypeCategory.BYTES32
+];
+
+// Category of a tag byte, or null if the tag is unassigned
+function categoryOf(tag) {
+    if (tag === NIL) return TypeCategory.NIL;
+    if (tag === TRUE || tag === FALSE) return TypeCategory.BOOL;
+    if (tag <= FIXINT_POS_MAX ||
+        tag === UINT8 || tag === UINT16 || tag === UINT32 ||
+        tag === UINT64 || tag === UINT128 || tag === UINT256) {
+        return TypeCategory.UINT;
+    }
+    if (tag >= FIXINT_NEG_BASE ||
+        tag === INT8 || tag === INT16 || tag === INT32 ||
+        tag === INT64 || tag === INT128 || tag === INT256) {
+        return TypeCategory.INT;
+    }
+    if (tag === BYTES8 || tag === BYTES16 || tag === BYTES32LEN) return TypeCategory.BYTES;
+    if ((tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) ||
+        tag === STR8 || tag === STR16 || tag === STR32) {
+        return TypeCategory.STRING;
+    }
+    if ((tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) ||
+        tag === ARRAY8 || tag === ARRAY16 || tag === ARRAY32) {
+        return TypeCategory.ARRAY;
+    }
+    if ((tag >= FIXMAP_BASE && tag < FIXMAP_BASE + 16) ||
+        tag === MAP8 || tag === MAP16 || tag === MAP32) {
+        return TypeCategory.MAP;
+    }
+    if (tag === ADDRESS) return TypeCategory.ADDRESS;
+    if (tag === BYTES32_TYPE) return TypeCategory.BYTES32;
+    if (tag === EXT8 || tag === EXT16) return TypeCategory.EXT;
+    if (tag === DECIMAL) return TypeCategory.DECIMAL;
+    return null;
+}
+
+// Reserved ext type ids with a category of their own
+const EXT_CATEGORIES = {
+    [EXT_TIMESTAMP]: TypeCategory.TIMESTAMP,
+    [EXT_DURATION]: TypeCategory.DURATION
+};
+
+// Category of the value at `offset`; ext values take it from their type id
+function categoryAt(data, offset) {
+    const tag = data[offset];
+    const category = categoryOf(tag);
+    if (category !== TypeCategory.EXT) return category;
+    return EXT_CATEGORIES[data[offset + (tag === EXT8 ? 2 : 3)]] ?? category;
+}
+
+// MessagePack ext type id -> category and allowed payload lengths
+const EXT_TYPES = {
+    [EXT_ADDRESS]: { category: TypeCategory.ADDRESS, lengths: [20] },
+    [EXT_BYTES32]: { category: TypeCategory.BYTES32, lengths: [32] },
+    [EXT_UINT]: { category: TypeCategory.UINT, lengths: [8, 16, 32] },
+    [EXT_INT]: { category: TypeCategory.INT, lengths: [8, 16, 32] },
+    [EXT_TIMESTAMP]: { category: TypeCategory.TIMESTAMP, lengths: [4, 8, 12] }
+};
+
+// Bytes between an ext tag and its type id (the length field, if any)
+function extLengthSize(tag) {
+    if (tag >= MP_FIXEXT1 && tag <= MP_FIXEXT16) return 0;
+    if (tag === MP_EXT8) return 1;
+    if (tag === MP_EXT16) return 2;
+    if (tag === MP_EXT32) return 4;
+    return -1;
+}
+
+// Category of the MessagePack value at `offset`, or null if unsupported
+function msgpackCategoryOf(data, offset) {
+    const tag = data[offset];
+    if (tag === NIL) return TypeCategory.NIL;
+    if (tag === TRUE || tag === FALSE) return TypeCategory.BOOL;
+    if (tag <= FIXINT_POS_MAX || (tag >= MP_UINT8 && tag <= MP_UINT64)) return TypeCategory.UINT;
+    if (tag >= FIXINT_NEG_BASE || (tag >= MP_INT8 && tag <= MP_INT64)) return TypeCategory.INT;
+    if (tag >= MP_BIN8 && tag <= MP_BIN32) return TypeCategory.BYTES;
+    if ((tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) ||
+        (tag >= MP_STR8 && tag <= MP_STR32)) {
+        return TypeCategory.STRING;
+    }
+    if ((tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) ||
+        tag === MP_ARRAY16 || tag === MP_ARRAY32) {
+        return TypeCategory.ARRAY;
+    }
+    if ((tag >= FIXMAP_BASE && tag < FIXMAP_BASE + 16) ||
+        tag === MP_MAP16 || tag === MP_MAP32) {
+        return TypeCategory.MAP;
+    }
+
+    const lengthSize = extLengthSize(tag);
+    if (lengthSize >= 0) {
+        const ext = EXT_TYPES[data[offset + 1 + lengthSize]];
+        return ext ? ext.category : null;
+    }
+    return null;
+}
+
+// Big-endian integer of 1, 2 or 4 bytes (MessagePack length and integer fields)
+function readUintBE(view, offset, size) {
+    if (size === 1) return view.getUint8(offset);
+    return size === 2 ? view.getUint16(offset) : view.getUint32(offset);
+}
+
+function readIntBE(view, offset, size) {
+    if (size === 1) return view.getInt8(offset);
+    return size === 2 ? view.getInt16(offset) : view.getInt32(offset);
+}
+
+// MessagePack timestamp payload: 32-bit seconds, 30-bit nanoseconds and 34-bit seconds, or
+// 32-bit nanoseconds and 64-bit signed seconds
+function msgpackTimestamp(payload) {
+    const view = dataView(payload);
+    if (payload.length === 4) return [BigInt(view.getUint32(0)), 0];
+    if (payload.length === 8) {
+        const value = view.getBigUint64(0);
+        return [value & ((1n << 34n) - 1n), Number(value >> 34n)];
+    }
+    return [view.getBigInt64(4), view.getUint32(0)];
+}
+
+// Last millisecond a Date can represent
+const DATE_MAX_MS = 8640000000000000n;
+
+// Whether Timestamp.toDate() can represent the timestamp
+function fitsDate(timestamp) {
+    return timestamp.seconds * 1000n + BigInt(Math.floor(timestamp.nanoseconds / 1000000)) <= DATE_MAX_MS;
+}
+
 class Decoder {
-    constructor(data) {
-        if (typeof data === 'string') {
-            data = data.replace(/^0x/, '');
-            data = Buffer.from(data, 'hex');
-        }
-        this.data = data;
+    /**
+     * @param {Uint8Array|string} data - Encoded bytes (Buffer or Uint8Array) or hex string
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Bounds-check every read and throw
+     *   TruncatedInputError / UnexpectedTagError / UnknownTagError
+     * @param {boolean} [options.msgpack=false] - Read standard MessagePack instead of SolidityPack
+     * @param {boolean} [options.canonical=false] - decode() / decodeAll() first reject input
+     *   that is not canonical, throwing NonCanonicalError
+     * @param {boolean} [options.wrap=false] - decode() returns Address, Bytes32, Bytes, Uint and
+     *   Int wrappers (integers keep their tag width), so encode() reproduces the same tags
+     * @param {string} [options.bigint='auto'] - Integers: 'auto' (numbers up to 32-bit tags,
+     *   BigInt above), 'always' (BigInt) or 'never-throw' (numbers; throws past 2^53)
+     * @param {string} [options.bytes] - 'buffer', 'uint8array' or 'hex' for both bytes and
+     *   bytes32; by default bytes are Buffers (Uint8Array where Buffer doesn't exist) and
+     *   bytes32 a hex string
+     * @param {string} [options.address='lowercase'] - 'lowercase' or 'checksum' (EIP-55)
+     * @param {string} [options.map='object'] - 'object' (string keys only) or 'map' (Map
+     *   instances, keys decoded by type: strings, integers, addresses or bytes32)
+     * @param {string} [options.timestamp='date'] - 'date', 'bigint' (seconds) or 'timestamp'
+     *   (Timestamp, keeping nanoseconds)
+     */
+    constructor(data, options = {}) {
+        this.data = typeof data === 'string' ? hexToBytes(data) : wrapBytes(data);
+        this.view = dataView(this.data);
         this.pos = 0;
+        this.strict = options.strict === true;
+        this.msgpack = options.msgpack === true;
+        this.canonical = options.canonical === true;
+        this.wrap = options.wrap === true;
+        this.bigint = options.bigint ?? 'auto';
+        this.bytes = options.bytes ?? null;
+        this.address = options.address ?? 'lowercase';
+        this.map = options.map ?? 'object';
+        this.timestamp = options.timestamp ?? 'date';
+        for (const [name, allowed] of Object.entries(OUTPUT_OPTIONS)) {
+            if (this[name] !== null && !allowed.includes(this[name])) {
+                throw new Error(`Invalid ${name} option "${this[name]}": expected one of ${allowed.join(', ')}`);
+            }
+        }
+        if (this.canonical && this.msgpack) {
+            throw new Error('Canonical validation applies to SolidityPack, not msgpack mode');
+        }
     }
 
     hasMore() {
@@ -60,42 +307,54 @@ class Decoder {
     }
 
     peekType() {
-        if (this.pos >= this.data.length) throw new Error('EOF');
+        if (this.pos >= this.data.length) {
+            if (this.strict) throw new TruncatedInputError(this.pos, null, 1, 0);
+            throw new Error('EOF');
+        }
         return this.data[this.pos];
     }
 
     peekCategory() {
         const tag = this.peekType();
-
-        if (tag === NIL) return TypeCategory.NIL;
-        if (tag === TRUE || tag === FALSE) return TypeCategory.BOOL;
-        if (tag <= FIXINT_POS_MAX ||
-            tag === UINT8 || tag === UINT16 || tag === UINT32 ||
-            tag === UINT64 || tag === UINT128 || tag === UINT256) {
-            return TypeCategory.UINT;
-        }
-        if (tag >= FIXINT_NEG_BASE ||
-            tag === INT8 || tag === INT16 || tag === INT32 ||
-            tag === INT64 || tag === INT128 || tag === INT256) {
-            return TypeCategory.INT;
+        if (this.msgpack && extLengthSize(tag) >= 0) {
+            // Category of an ext value lives in its type id
+            this._need(extLengthSize(tag) + 2, null);
+        } else if (!this.msgpack && (tag === EXT8 || tag === EXT16)) {
+            this._need(tag === EXT8 ? 3 : 4, null);
         }
-        if (tag === BYTES8 || tag === BYTES16) return TypeCategory.BYTES;
-        if ((tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) ||
-            tag === STR8 || tag === STR16) {
-            return TypeCategory.STRING;
+        const category = this._categoryAt(this.pos);
+        if (category === null) {
+            if (this.strict) throw new UnknownTagError(this.pos, tag);
+            throw new Error(`Unknown type tag: 0x${tag.toString(16)}`);
         }
-        if ((tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) ||
-            tag === ARRAY8 || tag === ARRAY16) {
-            return TypeCategory.ARRAY;
+        return category;
+    }
+
+    _categoryAt(offset) {
+        return this.msgpack ? msgpackCategoryOf(this.data, offset) : categoryAt(this.data, offset);
+    }
+
+    // Strict mode: ensure `bytes` more bytes are available at the current position
+    _need(bytes, expected) {
+        if (this.strict && this.pos + bytes > this.data.length) {
+            throw new TruncatedInputError(this.pos, expected, bytes, this.data.length - this.pos);
         }
-        if ((tag >= FIXMAP_BASE && tag < FIXMAP_BASE + 16) ||
-            tag === MAP8 || tag === MAP16) {
-            return TypeCategory.MAP;
+    }
+
+    // Tag at `offset` doesn't belong to the `expected` category
+    _unexpected(offset, tag, expected, message) {
+        if (this.strict) {
+            const actual = this._categoryAt(offset);
+            if (actual === null) throw new UnknownTagError(offset, tag, expected);
+            throw new UnexpectedTagError(offset, tag, expected, actual);
         }
-        if (tag === ADDRESS) return TypeCategory.ADDRESS;
-        if (tag === BYTES32_TYPE) return TypeCategory.BYTES32;
+        return new Error(message);
+    }
 
-        throw new Error(`Unknown type tag: 0x${tag.toString(16)}`);
+    // Payload of the value at `offset` is malformed for the `expected` category
+    _invalidPayload(offset, expected, reason, message) {
+        if (this.strict) return new InvalidPayloadError(offset, expected, reason);
+        return new Error(message);
     }
 
     isCategory(category) {
@@ -108,44 +367,57 @@ class Decoder {
         this.pos++;
         if (tag === TRUE) return true;
         if (tag === FALSE) return false;
-        throw new Error('Not a boolean');
+        throw this._unexpected(this.pos - 1, tag, TypeCategory.BOOL, 'Not a boolean');
     }
 
     decodeNil() {
-        if (this.peekType() !== NIL) throw new Error('Not nil');
+        const tag = this.peekType();
+        if (tag !== NIL) throw this._unexpected(this.pos, tag, TypeCategory.NIL, 'Not nil');
         this.pos++;
         return null;
     }
 
     decodeUint() {
+        return this._toInteger(this._readUint());
+    }
+
+    _readUint() {
+        if (this.msgpack) return this._msgpackUint();
+
         const tag = this.peekType();
         this.pos++;
 
         if (tag <= FIXINT_POS_MAX) {
             return tag;
         } else if (tag === UINT8) {
+            this._need(1, TypeCategory.UINT);
             return this.data[this.pos++];
         } else if (tag === UINT16) {
-            const val = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.UINT);
+            const val = this.view.getUint16(this.pos);
             this.pos += 2;
             return val;
         } else if (tag === UINT32) {
-            const val = this.data.readUInt32BE(this.pos);
+            this._need(4, TypeCategory.UINT);
+            const val = this.view.getUint32(this.pos);
             this.pos += 4;
             return val;
         } else if (tag === UINT64) {
-            const val = this.data.readBigUInt64BE(this.pos);
+            this._need(8, TypeCategory.UINT);
+            const val = this.view.getBigUint64(this.pos);
             this.pos += 8;
             return val;
         } else if (tag === UINT128) {
+            this._need(16, TypeCategory.UINT);
             const val = this._readBigUInt(16);
             return val;
         } else if (tag === UINT256) {
+            this._need(32, TypeCategory.UINT);
             const val = this._readBigUInt(32);
             return val;
         }
 
-        throw new Error('Invalid uint tag');
+        throw this._unexpected(this.pos - 1, tag, TypeCategory.UINT, 'Invalid uint tag');
     }
 
     _readBigUInt(bytes) {
@@ -157,6 +429,12 @@ class Decoder {
     }
 
     decodeInt() {
+        return this._toInteger(this._readInt());
+    }
+
+    _readInt() {
+        if (this.msgpack) return this._msgpackInt();
+
         const tag = this.peekType();
 
         if (tag <= FIXINT_POS_MAX) {
@@ -170,20 +448,51 @@ class Decoder {
         this.pos++;
 
         if (tag === INT8) {
-            return this.data.readInt8(this.pos++);
+            this._need(1, TypeCategory.INT);
+            return this.view.getInt8(this.pos++);
         } else if (tag === INT16) {
-            const val = this.data.readInt16BE(this.pos);
+            this._need(2, TypeCategory.INT);
+            const val = this.view.getInt16(this.pos);
             this.pos += 2;
             return val;
         } else if (tag === INT32) {
-            const val = this.data.readInt32BE(this.pos);
+            this._need(4, TypeCategory.INT);
+            const val = this.view.getInt32(this.pos);
             this.pos += 4;
             return val;
+        } else if (tag === INT64) {
+            this._need(8, TypeCategory.INT);
+            const val = this.view.getBigInt64(this.pos);
+            this.pos += 8;
+            return val;
+        } else if (tag === INT128) {
+            this._need(16, TypeCategory.INT);
+            return this._readBigInt(16);
         } else if (tag === INT256) {
+            this._need(32, TypeCategory.INT);
             return this._readBigInt(32);
         }
 
-        throw new Error('Invalid int tag');
+        throw this._unexpected(this.pos - 1, tag, TypeCategory.INT, 'Invalid int tag');
+    }
+
+    // Apply the bigint option to a decoded integer
+    _toInteger(value) {
+        if (this.bigint === 'always') return BigInt(value);
+        if (this.bigint === 'never-throw' && typeof value === 'bigint') {
+            if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+                throw new Error(`Integer ${value} is not a safe JS number; use bigint: 'auto' or 'always'`);
+            }
+            return Number(value);
+        }
+        return value;
+    }
+
+    // Apply the bytes option to decoded bytes (a Buffer where Buffer exists)
+    _toBytes(buffer) {
+        if (this.bytes === 'uint8array') return new Uint8Array(buffer);
+        if (this.bytes === 'hex') return '0x' + bytesToHex(buffer);
+        return buffer;
     }
 
     _readBigInt(bytes) {
@@ -197,76 +506,162 @@ class Decoder {
     }
 
     decodeAddress() {
-        if (this.peekType() !== ADDRESS) throw new Error('Not an address');
+        const address = this._readAddress();
+        return this.address === 'checksum' ? toChecksumAddress(address) : address;
+    }
+
+    _readAddress() {
+        if (this.msgpack) return '0x' + bytesToHex(this._msgpackExt(TypeCategory.ADDRESS, 'Not an address'));
+
+        const tag = this.peekType();
+        if (tag !== ADDRESS) throw this._unexpected(this.pos, tag, TypeCategory.ADDRESS, 'Not an address');
         this.pos++;
-        const addr = this.data.slice(this.pos, this.pos + 20);
+        this._need(20, TypeCategory.ADDRESS);
+        const addr = this.data.subarray(this.pos, this.pos + 20);
         this.pos += 20;
-        return '0x' + addr.toString('hex');
+        return '0x' + bytesToHex(addr);
     }
 
     decodeBytes32() {
-        if (this.peekType() !== BYTES32_TYPE) throw new Error('Not bytes32');
+        const value = this._readBytes32();
+        return this.bytes === null ? value : this._toBytes(hexToBytes(value));
+    }
+
+    _readBytes32() {
+        if (this.msgpack) return '0x' + bytesToHex(this._msgpackExt(TypeCategory.BYTES32, 'Not bytes32'));
+
+        const tag = this.peekType();
+        if (tag !== BYTES32_TYPE) throw this._unexpected(this.pos, tag, TypeCategory.BYTES32, 'Not bytes32');
         this.pos++;
-        const bytes = this.data.slice(this.pos, this.pos + 32);
+        this._need(32, TypeCategory.BYTES32);
+        const bytes = this.data.subarray(this.pos, this.pos + 32);
         this.pos += 32;
-        return '0x' + bytes.toString('hex');
+        return '0x' + bytesToHex(bytes);
     }
 
     decodeBytes() {
+        return this._toBytes(this._readBytes());
+    }
+
+    _readBytes() {
         const tag = this.peekType();
         this.pos++;
 
         let len;
-        if (tag === BYTES8) {
+        if (this.msgpack) {
+            len = this._msgpackLength(tag, 0, 0, MP_BIN8, MP_BIN16, MP_BIN32, TypeCategory.BYTES);
+            if (len === null) throw this._unexpected(this.pos - 1, tag, TypeCategory.BYTES, 'Not bytes');
+        } else if (tag === BYTES8) {
+            this._need(1, TypeCategory.BYTES);
             len = this.data[this.pos++];
         } else if (tag === BYTES16) {
-            len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.BYTES);
+            len = this.view.getUint16(this.pos);
             this.pos += 2;
+        } else if (tag === BYTES32LEN) {
+            this._need(4, TypeCategory.BYTES);
+            len = this.view.getUint32(this.pos);
+            this.pos += 4;
         } else {
-            throw new Error('Not bytes');
+            throw this._unexpected(this.pos - 1, tag, TypeCategory.BYTES, 'Not bytes');
         }
 
-        const bytes = this.data.slice(this.pos, this.pos + len);
+        this._need(len, TypeCategory.BYTES);
+        const bytes = this.data.subarray(this.pos, this.pos + len);
         this.pos += len;
         return bytes;
     }
 
-    decodeString() {
+    /**
+     * Consume a string header and return the payload length in bytes
+     */
+    decodeStringLength() {
         const tag = this.peekType();
         this.pos++;
 
         let len;
-        if (tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) {
+        if (this.msgpack) {
+            len = this._msgpackLength(tag, FIXSTR_BASE, 32, MP_STR8, MP_STR16, MP_STR32, TypeCategory.STRING);
+            if (len === null) throw this._unexpected(this.pos - 1, tag, TypeCategory.STRING, 'Not string');
+        } else if (tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) {
             len = tag - FIXSTR_BASE;
         } else if (tag === STR8) {
+            this._need(1, TypeCategory.STRING);
             len = this.data[this.pos++];
         } else if (tag === STR16) {
-            len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.STRING);
+            len = this.view.getUint16(this.pos);
             this.pos += 2;
+        } else if (tag === STR32) {
+            this._need(4, TypeCategory.STRING);
+            len = this.view.getUint32(this.pos);
+            this.pos += 4;
         } else {
-            throw new Error('Not string');
+            throw this._unexpected(this.pos - 1, tag, TypeCategory.STRING, 'Not string');
         }
+        return len;
+    }
 
-        const str = this.data.slice(this.pos, this.pos + len).toString('utf8');
+    decodeString() {
+        const len = this.decodeStringLength();
+        this._need(len, TypeCategory.STRING);
+        const str = bytesToUtf8(this.data.subarray(this.pos, this.pos + len));
         this.pos += len;
         return str;
     }
 
+    /**
+     * Extension value as an Ext (type id and payload), whether or not its id is registered
+     */
+    decodeExt() {
+        const tag = this.peekType();
+        this.pos++;
+
+        let len;
+        if (tag === EXT8 && !this.msgpack) {
+            this._need(2, TypeCategory.EXT);
+            len = this.data[this.pos++];
+        } else if (tag === EXT16 && !this.msgpack) {
+            this._need(3, TypeCategory.EXT);
+            len = this.view.getUint16(this.pos);
+            this.pos += 2;
+        } else {
+            throw this._unexpected(this.pos - 1, tag, TypeCategory.EXT, 'Not ext');
+        }
+
+        const id = this.data[this.pos++];
+        this._need(len, TypeCategory.EXT);
+        const ext = new Ext(id, this.data.subarray(this.pos, this.pos + len));
+        this.pos += len;
+        return ext;
+    }
+
     decodeArrayLength() {
         const tag = this.peekType();
         this.pos++;
 
-        if (tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) {
+        if (this.msgpack) {
+            const len = this._msgpackLength(tag, FIXARRAY_BASE, 16, null, MP_ARRAY16, MP_ARRAY32, TypeCategory.ARRAY);
+            if (len === null) throw this._unexpected(this.pos - 1, tag, TypeCategory.ARRAY, 'Not array');
+            return len;
+        } else if (tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) {
             return tag - FIXARRAY_BASE;
         } else if (tag === ARRAY8) {
+            this._need(1, TypeCategory.ARRAY);
             return this.data[this.pos++];
         } else if (tag === ARRAY16) {
-            const len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.ARRAY);
+            const len = this.view.getUint16(this.pos);
             this.pos += 2;
             return len;
+        } else if (tag === ARRAY32) {
+            this._need(4, TypeCategory.ARRAY);
+            const len = this.view.getUint32(this.pos);
+            this.pos += 4;
+            return len;
         }
 
-        throw new Error('Not array');
+        throw this._unexpected(this.pos - 1, tag, TypeCategory.ARRAY, 'Not array');
     }
 
     decodeArray() {
@@ -282,23 +677,48 @@ class Decoder {
         const tag = this.peekType();
         this.pos++;
 
-        if (tag >= FIXMAP_BASE && tag < FIXMAP_BASE + 16) {
+        if (this.msgpack) {
+            const len = this._msgpackLength(tag, FIXMAP_BASE, 16, null, MP_MAP16, MP_MAP32, TypeCategory.MAP);
+            if (len === null) throw this._unexpected(this.pos - 1, tag, TypeCategory.MAP, 'Not map');
+            return len;
+        } else if (tag >= FIXMAP_BASE && tag < FIXMAP_BASE + 16) {
             return tag - FIXMAP_BASE;
         } else if (tag === MAP8) {
+            this._need(1, TypeCategory.MAP);
             return this.data[this.pos++];
         } else if (tag === MAP16) {
-            const len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.MAP);
+            const len = this.view.getUint16(this.pos);
             this.pos += 2;
             return len;
+        } else if (tag === MAP32) {
+            this._need(4, TypeCategory.MAP);
+            const len = this.view.getUint32(this.pos);
+            this.pos += 4;
+            return len;
         }
 
-        throw new Error('Not map');
+        throw this._unexpected(this.pos - 1, tag, TypeCategory.MAP, 'Not map');
     }
 
     decodeMap() {
         const len = this.decodeMapLength();
+        if (this.map === 'map') {
+            const map = new Map();
+            for (let i = 0; i < len; i++) {
+                const key = this.decodeMapKey();
+                map.set(key, this.decode());
+            }
+            return map;
+        }
+
         const obj = {};
         for (let i = 0; i < len; i++) {
+            const category = this.peekCategory();
+            if (category !== TypeCategory.STRING && MAP_KEY_CATEGORIES.includes(category)) {
+                throw this._unexpected(this.pos, this.peekType(), TypeCategory.STRING,
+                    `Map key is ${category}, not a string; decode with { map: 'map' } for typed keys`);
+            }
             const key = this.decodeString();
             const value = this.decode();
             obj[key] = value;
@@ -306,9 +726,121 @@ class Decoder {
         return obj;
     }
 
+    /**
+     * Decode a map key to a form that can't collide with keys of another type and that
+     * Map#get finds by value where JS allows: a string, a BigInt for any integer, or an
+     * Address or Bytes32. With wrap, keys are wrappers that re-encode to the same bytes.
+     * The bigint, bytes and address options don't apply to keys.
+     */
+    decodeMapKey() {
+        const category = this.peekCategory();
+        if (!MAP_KEY_CATEGORIES.includes(category)) {
+            throw this._unexpected(this.pos, this.peekType(), TypeCategory.STRING, `Unsupported map key type: ${category}`);
+        }
+        if (this.wrap) return this.decode();
+
+        switch (category) {
+            case TypeCategory.UINT:
+                return BigInt(this._readUint());
+            case TypeCategory.INT:
+                return BigInt(this._readInt());
+            case TypeCategory.ADDRESS:
+                return new Address(this._readAddress());
+            case TypeCategory.BYTES32:
+                return new Bytes32(this._readBytes32());
+            default:
+                return this.decodeString();
+        }
+    }
+
+    /**
+     * Fixed-point decimal as a Decimal (mantissa and decimals)
+     */
+    decodeDecimal() {
+        const tag = this.peekType();
+        if (tag !== DECIMAL || this.msgpack) {
+            throw this._unexpected(this.pos, tag, TypeCategory.DECIMAL, 'Not a decimal');
+        }
+        this.pos++;
+        this._need(1, TypeCategory.DECIMAL);
+        const decimals = this.data[this.pos++];
+
+        const category = categoryOf(this.peekType());
+        if (category !== TypeCategory.UINT && category !== TypeCategory.INT) {
+            throw this._unexpected(this.pos, this.data[this.pos], TypeCategory.INT, 'Invalid decimal mantissa');
+        }
+        const mantissa = category === TypeCategory.UINT ? this._readUint() : this._readInt();
+        return new Decimal(BigInt(mantissa), decimals);
+    }
+
+    /**
+     * Timestamp as a Date, bigint seconds or Timestamp, following the timestamp option unless
+     * `as` overrides it. 'date' falls back to a Timestamp past the range of a Date.
+     * @param {string} [as]
+     */
+    decodeTimestamp(as = this.timestamp) {
+        if (!OUTPUT_OPTIONS.timestamp.includes(as)) {
+            throw new Error(`Invalid timestamp option "${as}": expected one of ${OUTPUT_OPTIONS.timestamp.join(', ')}`);
+        }
+        const timestamp = this._readTimestamp();
+        if (as === 'bigint') return timestamp.seconds;
+        if (as === 'timestamp' || !fitsDate(timestamp)) return timestamp;
+        return timestamp.toDate();
+    }
+
+    _readTimestamp() {
+        if (this.msgpack) {
+            const offset = this.pos;
+            const payload = this._msgpackExt(TypeCategory.TIMESTAMP, 'Not a timestamp');
+            const [seconds, nanoseconds] = msgpackTimestamp(payload);
+            return this._time(offset, TypeCategory.TIMESTAMP, Timestamp, seconds, nanoseconds);
+        }
+        return this._readTime(TypeCategory.TIMESTAMP, Timestamp, 'Not a timestamp');
+    }
+
+    /**
+     * Duration as a Duration (seconds and nanoseconds)
+     */
+    decodeDuration() {
+        return this._readTime(TypeCategory.DURATION, Duration, 'Not a duration');
+    }
+
+    // Ext payload of uint64 seconds, then uint32 nanoseconds when nonzero
+    _readTime(category, type, message) {
+        const tag = this.peekType();
+        if (this.peekCategory() !== category) {
+            throw this._unexpected(this.pos, tag, category, message);
+        }
+        const offset = this.pos;
+        const { payload } = this.decodeExt();
+        if (payload.length !== 8 && payload.length !== 12) {
+            throw this._invalidPayload(offset, category, `ext payload length ${payload.length}`,
+                `Invalid ${category} ext payload length: ${payload.length}`);
+        }
+        const view = dataView(payload);
+        const nanoseconds = payload.length === 12 ? view.getUint32(8) : 0;
+        return this._time(offset, category, type, view.getBigUint64(0), nanoseconds);
+    }
+
+    // Strict mode reports values the constructor rejects as typed errors: negative seconds
+    // (MessagePack's 96-bit form is signed) and nanoseconds past a second
+    _time(offset, category, type, seconds, nanoseconds) {
+        if (this.strict && seconds < 0n) {
+            throw new InvalidPayloadError(offset, category, `seconds ${seconds} out of range for uint64`);
+        }
+        if (this.strict && nanoseconds >= NANOS_PER_SECOND) {
+            throw new InvalidPayloadError(offset, category, `nanoseconds ${nanoseconds} out of range`);
+        }
+        return new type(seconds, nanoseconds);
+    }
+
     // Auto-detect type and decode
     decode() {
         const category = this.peekCategory();
+        if (this.wrap) {
+            const wrapped = this._decodeWrapped(category);
+            if (wrapped !== undefined) return wrapped;
+        }
 
         switch (category) {
             case TypeCategory.NIL:
@@ -331,19 +863,57 @@ class Decoder {
                 return this.decodeAddress();
             case TypeCategory.BYTES32:
                 return this.decodeBytes32();
+            case TypeCategory.DECIMAL:
+                return this.decodeDecimal();
+            case TypeCategory.TIMESTAMP:
+                return this.decodeTimestamp();
+            case TypeCategory.DURATION:
+                return this.decodeDuration();
+            case TypeCategory.EXT: {
+                // Registered types decode to their value, others stay raw
+                const ext = this.decodeExt();
+                const extension = getExtension(ext.id);
+                return extension === undefined ? ext : extension.decode(ext.payload);
+            }
             default:
                 throw new Error(`Unknown category: ${category}`);
         }
     }
 
+    // wrap option: wrapper for the next value, or undefined for types JS already tells apart.
+    // Reads raw values, so the bigint/bytes/address options don't apply.
+    _decodeWrapped(category) {
+        const bits = this.msgpack ? null : (TAG_BITS[this.peekType()] || null);
+
+        switch (category) {
+            case TypeCategory.UINT:
+                return new Uint(this._readUint(), bits);
+            case TypeCategory.INT:
+                return new Int(this._readInt(), bits);
+            case TypeCategory.ADDRESS:
+                return new Address(this._readAddress());
+            case TypeCategory.BYTES32:
+                return new Bytes32(this._readBytes32());
+            case TypeCategory.BYTES:
+                return new Bytes(this._readBytes());
+            case TypeCategory.TIMESTAMP:
+                return this._readTimestamp();
+            default:
+                return undefined;
+        }
+    }
+
     skip() {
+        if (this.msgpack) return this._msgpackSkip();
+
         const tag = this.peekType();
+        const offset = this.pos;
         this.pos++;
 
         if (tag <= FIXINT_POS_MAX || tag >= FIXINT_NEG_BASE) {
             return; // already consumed
         } else if (tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) {
-            this.pos += (tag - FIXSTR_BASE);
+            this._advance(tag - FIXSTR_BASE, TypeCategory.STRING);
         } else if (tag >= FIXARRAY_BASE && tag < FIXARRAY_BASE + 16) {
             const len = tag - FIXARRAY_BASE;
             for (let i = 0; i < len; i++) this.skip();
@@ -353,48 +923,367 @@ class Decoder {
         } else if (tag === NIL || tag === TRUE || tag === FALSE) {
             return; // already consumed
         } else if (tag === UINT8 || tag === INT8) {
-            this.pos += 1;
+            this._advance(1, categoryOf(tag));
         } else if (tag === UINT16 || tag === INT16) {
-            this.pos += 2;
+            this._advance(2, categoryOf(tag));
         } else if (tag === UINT32 || tag === INT32) {
-            this.pos += 4;
+            this._advance(4, categoryOf(tag));
         } else if (tag === UINT64 || tag === INT64) {
-            this.pos += 8;
+            this._advance(8, categoryOf(tag));
         } else if (tag === UINT128 || tag === INT128) {
-            this.pos += 16;
+            this._advance(16, categoryOf(tag));
         } else if (tag === UINT256 || tag === INT256 || tag === BYTES32_TYPE) {
-            this.pos += 32;
+            this._advance(32, categoryOf(tag));
         } else if (tag === ADDRESS) {
-            this.pos += 20;
+            this._advance(20, TypeCategory.ADDRESS);
         } else if (tag === BYTES8 || tag === STR8) {
+            this._need(1, categoryOf(tag));
             const len = this.data[this.pos++];
-            this.pos += len;
+            this._advance(len, categoryOf(tag));
         } else if (tag === BYTES16 || tag === STR16) {
-            const len = this.data.readUInt16BE(this.pos);
-            this.pos += 2 + len;
+            this._need(2, categoryOf(tag));
+            const len = this.view.getUint16(this.pos);
+            this.pos += 2;
+            this._advance(len, categoryOf(tag));
+        } else if (tag === BYTES32LEN || tag === STR32) {
+            this._need(4, categoryOf(tag));
+            const len = this.view.getUint32(this.pos);
+            this.pos += 4;
+            this._advance(len, categoryOf(tag));
         } else if (tag === ARRAY8) {
+            this._need(1, TypeCategory.ARRAY);
             const len = this.data[this.pos++];
             for (let i = 0; i < len; i++) this.skip();
         } else if (tag === ARRAY16) {
-            const len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.ARRAY);
+            const len = this.view.getUint16(this.pos);
             this.pos += 2;
             for (let i = 0; i < len; i++) this.skip();
+        } else if (tag === ARRAY32) {
+            this._need(4, TypeCategory.ARRAY);
+            const len = this.view.getUint32(this.pos);
+            this.pos += 4;
+            for (let i = 0; i < len; i++) this.skip();
         } else if (tag === MAP8) {
+            this._need(1, TypeCategory.MAP);
             const len = this.data[this.pos++];
             for (let i = 0; i < len * 2; i++) this.skip();
         } else if (tag === MAP16) {
-            const len = this.data.readUInt16BE(this.pos);
+            this._need(2, TypeCategory.MAP);
+            const len = this.view.getUint16(this.pos);
             this.pos += 2;
             for (let i = 0; i < len * 2; i++) this.skip();
+        } else if (tag === MAP32) {
+            this._need(4, TypeCategory.MAP);
+            const len = this.view.getUint32(this.pos);
+            this.pos += 4;
+            for (let i = 0; i < len * 2; i++) this.skip();
+        } else if (tag === EXT8) {
+            this._need(2, TypeCategory.EXT);
+            const len = this.data[this.pos];
+            this._advance(len + 2, TypeCategory.EXT);
+        } else if (tag === EXT16) {
+            this._need(3, TypeCategory.EXT);
+            const len = this.view.getUint16(this.pos);
+            this._advance(len + 3, TypeCategory.EXT);
+        } else if (tag === DECIMAL) {
+            this.pos = offset;
+            this.decodeDecimal();
         } else {
+            if (this.strict) throw new UnknownTagError(offset, tag);
             throw new Error(`Unknown type tag: 0x${tag.toString(16)}`);
         }
     }
+
+    _advance(bytes, expected) {
+        this._need(bytes, expected);
+        this.pos += bytes;
+    }
+
+    // MessagePack mode: native integer tags, or an ext payload for wider values
+    _msgpackUint() {
+        const tag = this.peekType();
+
+        if (tag <= FIXINT_POS_MAX) {
+            this.pos++;
+            return tag;
+        } else if (tag === MP_UINT8 || tag === MP_UINT16 || tag === MP_UINT32 || tag === MP_UINT64) {
+            const size = 1 << (tag - MP_UINT8);
+            this.pos++;
+            this._need(size, TypeCategory.UINT);
+            const val = size === 8 ? this.view.getBigUint64(this.pos) : readUintBE(this.view, this.pos, size);
+            this.pos += size;
+            return val;
+        }
+
+        const payload = this._msgpackExt(TypeCategory.UINT, 'Invalid uint tag');
+        return bytesToBigInt(payload);
+    }
+
+    _msgpackInt() {
+        const tag = this.peekType();
+
+        if (tag <= FIXINT_POS_MAX) {
+            this.pos++;
+            return tag;
+        } else if (tag >= FIXINT_NEG_BASE) {
+            this.pos++;
+            return tag - FIXINT_NEG_BASE - 32;
+        } else if (tag === MP_INT8 || tag === MP_INT16 || tag === MP_INT32 || tag === MP_INT64) {
+            const size = 1 << (tag - MP_INT8);
+            this.pos++;
+            this._need(size, TypeCategory.INT);
+            const val = size === 8 ? this.view.getBigInt64(this.pos) : readIntBE(this.view, this.pos, size);
+            this.pos += size;
+            return val;
+        }
+
+        const payload = this._msgpackExt(TypeCategory.INT, 'Invalid int tag');
+        return BigInt.asIntN(payload.length * 8, bytesToBigInt(payload));
+    }
+
+    // Read an ext value of the given category and return its payload
+    _msgpackExt(expected, message) {
+        const offset = this.pos;
+        const tag = this.peekType();
+        const lengthSize = extLengthSize(tag);
+        const ext = lengthSize >= 0 ? EXT_TYPES[this.data[offset + 1 + lengthSize]] : undefined;
+        if (!ext || ext.category !== expected) {
+            throw this._unexpected(offset, tag, expected, message);
+        }
+
+        const len = this._msgpackExtLength(tag, expected);
+        this.pos++; // ext type id
+        if (!ext.lengths.includes(len)) {
+            throw this._invalidPayload(offset, expected, `ext payload length ${len}`,
+                `Invalid ${expected} ext payload length: ${len}`);
+        }
+        this._need(len, expected);
+        const payload = this.data.subarray(this.pos, this.pos + len);
+        this.pos += len;
+        return payload;
+    }
+
+    // Consume an ext tag and its length field, returning the payload length
+    _msgpackExtLength(tag, expected) {
+        this.pos++;
+        if (tag >= MP_FIXEXT1 && tag <= MP_FIXEXT16) {
+            this._need(1, expected);
+            return 1 << (tag - MP_FIXEXT1);
+        }
+        const size = extLengthSize(tag);
+        this._need(size + 1, expected);
+        const len = readUintBE(this.view, this.pos, size);
+        this.pos += size;
+        return len;
+    }
+
+    // Length of a str/bin/array/map header (tag already consumed), or null if `tag` isn't one
+    _msgpackLength(tag, fixBase, fixCount, tag8, tag16, tag32, expected) {
+        if (tag >= fixBase && tag < fixBase + fixCount) {
+            return tag - fixBase;
+        }
+
+        let size;
+        if (tag8 !== null && tag === tag8) size = 1;
+        else if (tag === tag16) size = 2;
+        else if (tag === tag32) size = 4;
+        else return null;
+
+        this._need(size, expected);
+        const len = readUintBE(this.view, this.pos, size);
+        this.pos += size;
+        return len;
+    }
+
+    _msgpackSkip() {
+        const offset = this.pos;
+        const category = this.peekCategory();
+        const tag = this.data[offset];
+
+        if (extLengthSize(tag) >= 0) {
+            const len = this._msgpackExtLength(tag, category);
+            this._advance(len + 1, category); // type id + payload
+            return;
+        }
+
+        switch (category) {
+            case TypeCategory.NIL:
+            case TypeCategory.BOOL:
+                this.pos++;
+                return;
+            case TypeCategory.UINT:
+                return void this._msgpackUint();
+            case TypeCategory.INT:
+                return void this._msgpackInt();
+            case TypeCategory.BYTES:
+            case TypeCategory.STRING: {
+                this.pos++;
+                const len = category === TypeCategory.BYTES
+                    ? this._msgpackLength(tag, 0, 0, MP_BIN8, MP_BIN16, MP_BIN32, category)
+                    : this._msgpackLength(tag, FIXSTR_BASE, 32, MP_STR8, MP_STR16, MP_STR32, category);
+                return this._advance(len, category);
+            }
+            case TypeCategory.ARRAY: {
+                const len = this.decodeArrayLength();
+                for (let i = 0; i < len; i++) this.skip();
+                return;
+            }
+            case TypeCategory.MAP: {
+                const len = this.decodeMapLength();
+                for (let i = 0; i < len * 2; i++) this.skip();
+                return;
+            }
+        }
+    }
+}
+
+// Smallest length each length-prefixed tag may carry in canonical form
+const CANONICAL_MIN_LENGTH = {
+    [STR8]: 32, [STR16]: 256, [STR32]: 65536,
+    [BYTES8]: 0, [BYTES16]: 256, [BYTES32LEN]: 65536,
+    [ARRAY8]: 16, [ARRAY16]: 256, [ARRAY32]: 65536,
+    [MAP8]: 16, [MAP16]: 256, [MAP32]: 65536,
+    [EXT8]: 0, [EXT16]: 256
+};
+
+// Header size (tag + length, and the type id of an ext) of a string, bytes or ext value
+function payloadHeaderSize(tag) {
+    if (tag >= FIXSTR_BASE && tag < FIXSTR_BASE + 32) return 1;
+    if (tag === STR8 || tag === BYTES8) return 2;
+    if (tag === STR16 || tag === BYTES16 || tag === EXT8) return 3;
+    if (tag === EXT16) return 4;
+    return 5;
+}
+
+function checkLength(offset, tag, length) {
+    if (length < (CANONICAL_MIN_LENGTH[tag] ?? 0)) {
+        throw new NonCanonicalError(offset, `length ${length} fits a shorter header than 0x${tag.toString(16)}`);
+    }
 }
 
-export function decode(data) {
-    const decoder = new Decoder(data);
-    return decoder.decode();
+// Validate one value at decoder.pos and advance past it
+function checkCanonical(decoder) {
+    const offset = decoder.pos;
+    const category = decoder.peekCategory();
+    const tag = decoder.data[offset];
+
+    switch (category) {
+        case TypeCategory.UINT:
+        case TypeCategory.INT: {
+            const value = category === TypeCategory.UINT ? decoder.decodeUint() : decoder.decodeInt();
+            const minimal = new Encoder().encode(value).getEncoded();
+            if (!equalBytes(minimal, decoder.data.subarray(offset, decoder.pos))) {
+                throw new NonCanonicalError(offset, `${value} is not minimally encoded`);
+            }
+            return;
+        }
+        case TypeCategory.STRING:
+        case TypeCategory.BYTES:
+        case TypeCategory.EXT:
+            decoder.skip();
+            checkLength(offset, tag, decoder.pos - offset - payloadHeaderSize(tag));
+            return;
+        case TypeCategory.DECIMAL: {
+            // Tag and decimals byte, then the mantissa must be a minimal integer
+            decoder._advance(2, category);
+            const mantissa = decoder.peekCategory();
+            if (mantissa !== TypeCategory.UINT && mantissa !== TypeCategory.INT) {
+                throw new UnexpectedTagError(decoder.pos, decoder.data[decoder.pos], TypeCategory.INT, mantissa);
+            }
+            checkCanonical(decoder);
+            return;
+        }
+        case TypeCategory.TIMESTAMP:
+        case TypeCategory.DURATION: {
+            // Seconds, then nanoseconds only when nonzero
+            const { payload } = decoder.decodeExt();
+            checkLength(offset, tag, payload.length);
+            const nanoseconds = payload.length === 12 ? dataView(payload).getUint32(8) : 0;
+            const valid = payload.length === 8 ||
+                (payload.length === 12 && nanoseconds > 0 && nanoseconds < NANOS_PER_SECOND);
+            if (!valid) {
+                throw new NonCanonicalError(offset, `${category} payload must be 8 bytes, or 12 with nonzero nanoseconds`);
+            }
+            return;
+        }
+        case TypeCategory.ARRAY: {
+            const len = decoder.decodeArrayLength();
+            checkLength(offset, tag, len);
+            for (let i = 0; i < len; i++) checkCanonical(decoder);
+            return;
+        }
+        case TypeCategory.MAP: {
+            const len = decoder.decodeMapLength();
+            checkLength(offset, tag, len);
+
+            let previous = null;
+            for (let i = 0; i < len; i++) {
+                const keyOffset = decoder.pos;
+                if (decoder.peekCategory() !== TypeCategory.STRING) {
+                    throw new NonCanonicalError(keyOffset, 'map keys must be strings');
+                }
+                const keyTag = decoder.data[keyOffset];
+                checkCanonical(decoder);
+
+                const key = decoder.data.subarray(keyOffset + payloadHeaderSize(keyTag), decoder.pos);
+                if (previous !== null) {
+                    const order = compareBytes(previous, key);
+                    if (order === 0) throw new NonCanonicalError(keyOffset, `duplicate map key "${bytesToUtf8(key)}"`);
+                    if (order > 0) throw new NonCanonicalError(keyOffset, `map key "${bytesToUtf8(key)}" out of order`);
+                }
+                previous = key;
+                checkCanonical(decoder);
+            }
+            return;
+        }
+        default:
+            decoder.skip();
+    }
+}
+
+/**
+ * Throw unless data is canonical SolidityPack: minimal-width integers and length headers,
+ * string map keys in strictly ascending byte order. Same rules as SolidityPackDecoder.isCanonical.
+ * @param {Uint8Array|string} data - One or more sequential encoded values
+ * @throws {NonCanonicalError|SolidityPackError}
+ */
+export function assertCanonical(data) {
+    const decoder = new Decoder(data, { strict: true });
+    if (!decoder.hasMore()) throw new TruncatedInputError(0, null, 1, 0);
+
+    while (decoder.hasMore()) {
+        checkCanonical(decoder);
+    }
+}
+
+/**
+ * Whether data is canonical SolidityPack (see assertCanonical)
+ * @param {Uint8Array|string} data - One or more sequential encoded values
+ */
+export function isCanonical(data) {
+    try {
+        assertCanonical(data);
+        return true;
+    } catch (e) {
+        if (e instanceof SolidityPackError) return false;
+        throw e;
+    }
+}
+
+/**
+ * Decode a single value
+ * @param {Uint8Array|string} data - Encoded bytes or hex string
+ * @param {Object} [options] - Decoder options; in strict mode trailing bytes throw TrailingDataError
+ */
+export function decode(data, options = {}) {
+    const decoder = new Decoder(data, options);
+    if (decoder.canonical) assertCanonical(decoder.data);
+    const value = decoder.decode();
+    if (decoder.strict && decoder.hasMore()) {
+        throw new TrailingDataError(decoder.pos, decoder.data.length - decoder.pos);
+    }
+    return value;
 }
 
 export { Decoder, TypeCategory };
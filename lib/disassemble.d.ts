@@ -0,0 +1,57 @@
+// SolidityPack Disassembler
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { DecodedValue, TypeCategory } from './decoder.js';
+
+export interface Token {
+    offset: number;
+    depth: number;
+    /** JSON pointer of the value, or of the map for keys */
+    pointer: string;
+    tag: number;
+    /** e.g. 'FIXMAP', 'UINT16' */
+    name: string;
+    category: TypeCategory;
+    /** Item count or byte length, else null */
+    length: number | null;
+    header: ByteArray;
+    payload: ByteArray;
+    value?: DecodedValue;
+    key?: true;
+}
+
+/** Ends a token list at the first malformed value */
+export interface ErrorToken {
+    offset: number;
+    error: string;
+}
+
+export interface EncodedDiff {
+    offset: number;
+    pointer: string | null;
+    /** Diverging tokens; null past the end */
+    a: Token | ErrorToken | null;
+    b: Token | ErrorToken | null;
+    /** Both dumps up to the diverging line, marked '>' */
+    report: string;
+}
+
+/**
+ * Name of a tag byte, e.g. 'FIXMAP', 'UINT16', 'ADDRESS'
+ */
+export declare function tagName(tag: number): string;
+
+/**
+ * Split encoded data into tokens, one per value or container header
+ */
+export declare function tokenize(data: BytesInput): Array<Token | ErrorToken>;
+
+/**
+ * Annotated dump: one line per token with offset, tag, length prefix, payload and value
+ */
+export declare function disassemble(data: BytesInput): string;
+
+/**
+ * Find the first structural divergence between two encoded buffers, or null if identical
+ */
+export declare function diffEncoded(a: BytesInput, b: BytesInput): EncodedDiff | null;
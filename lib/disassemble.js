@@ -0,0 +1,237 @@
+// SolidityPack Disassembler
+// Token-by-token dump of an encoded buffer, and a structural diff of two buffers
+
+import { Decoder, TypeCategory } from './decoder.js';
+import { bytesToHex, equalBytes } from './bytes.js';
+
+const TAG_NAMES = {
+    0xC0: 'NIL',
+    0xC1: 'DECIMAL',
+    0xC2: 'FALSE',
+    0xC3: 'TRUE',
+    0xC4: 'UINT8',
+    0xC5: 'UINT16',
+    0xC6: 'UINT32',
+    0xC7: 'UINT64',
+    0xC8: 'UINT128',
+    0xC9: 'UINT256',
+    0xCA: 'INT8',
+    0xCB: 'INT16',
+    0xCC: 'INT32',
+    0xCD: 'INT64',
+    0xCE: 'INT128',
+    0xCF: 'INT256',
+    0xD0: 'BYTES8',
+    0xD1: 'BYTES16',
+    0xD2: 'STR8',
+    0xD3: 'STR16',
+    0xD4: 'ADDRESS',
+    0xD5: 'BYTES32',
+    0xD6: 'ARRAY8',
+    0xD7: 'ARRAY16',
+    0xD8: 'MAP8',
+    0xD9: 'MAP16',
+    0xDA: 'BYTES32LEN',
+    0xDB: 'STR32',
+    0xDC: 'ARRAY32',
+    0xDD: 'MAP32',
+    0xDE: 'EXT8',
+    0xDF: 'EXT16'
+};
+
+// Payload bytes (and string characters) shown per token before eliding
+const MAX_PAYLOAD = 32;
+
+// Matching tokens shown before the divergence in a diff report
+const DIFF_CONTEXT = 5;
+
+/**
+ * Name of a tag byte, e.g. 'FIXMAP', 'UINT16', 'ADDRESS'
+ * @param {number} tag - Tag byte
+ */
+export function tagName(tag) {
+    if (tag <= 0x7F) return 'FIXINT';
+    if (tag <= 0x8F) return 'FIXMAP';
+    if (tag <= 0x9F) return 'FIXARRAY';
+    if (tag <= 0xBF) return 'FIXSTR';
+    if (tag >= 0xE0) return 'NEG_FIXINT';
+    return TAG_NAMES[tag] || 'UNKNOWN';
+}
+
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Split encoded data into tokens, one per value or container header.
+ * Stops at the first malformed value, ending the list with { offset, error }.
+ * @param {Uint8Array|string} data - Encoded data
+ * @returns {Array<Object>} Tokens with offset, depth, pointer (JSON pointer of the value,
+ *   or of the map for keys), tag, name, category, length (item count or byte length, else
+ *   null), header, payload and value; map keys also have key: true
+ */
+export function tokenize(data) {
+    const decoder = new Decoder(data, { strict: true, timestamp: 'timestamp' });
+    const buf = decoder.data;
+    const tokens = [];
+    let offset = 0;
+
+    function read(depth, pointer, key = false) {
+        offset = decoder.pos;
+        const tag = decoder.peekType();
+        const category = decoder.peekCategory();
+        const token = { offset, depth, pointer, tag, name: tagName(tag), category, length: null };
+        if (key) token.key = true;
+        let payloadStart;
+
+        if (category === TypeCategory.ARRAY || category === TypeCategory.MAP) {
+            token.length = category === TypeCategory.ARRAY ? decoder.decodeArrayLength() : decoder.decodeMapLength();
+            payloadStart = decoder.pos;
+        } else if (category === TypeCategory.STRING) {
+            token.length = decoder.decodeStringLength();
+            payloadStart = decoder.pos;
+            decoder.pos = token.offset;
+            token.value = decoder.decodeString();
+        } else if (category === TypeCategory.BYTES) {
+            token.value = decoder.decodeBytes();
+            token.length = token.value.length;
+            payloadStart = decoder.pos - token.length;
+        } else if (category === TypeCategory.EXT) {
+            token.value = decoder.decodeExt();
+            token.length = token.value.payload.length;
+            payloadStart = decoder.pos - token.length;
+        } else if (category === TypeCategory.TIMESTAMP || category === TypeCategory.DURATION) {
+            // Ext values with a reserved id; the value is a Timestamp or Duration
+            token.length = decoder.decodeExt().payload.length;
+            payloadStart = decoder.pos - token.length;
+            decoder.pos = token.offset;
+            token.value = decoder.decode();
+        } else if (category === TypeCategory.DECIMAL) {
+            // Header holds the decimals byte, the payload is the mantissa
+            token.value = decoder.decodeDecimal();
+            payloadStart = token.offset + 2;
+        } else {
+            token.value = decoder.decode();
+            payloadStart = token.offset + 1;
+        }
+
+        token.header = buf.subarray(token.offset, payloadStart);
+        token.payload = buf.subarray(payloadStart, decoder.pos);
+        tokens.push(token);
+
+        if (category === TypeCategory.ARRAY) {
+            for (let i = 0; i < token.length; i++) read(depth + 1, `${pointer}/${i}`);
+        } else if (category === TypeCategory.MAP) {
+            for (let i = 0; i < token.length; i++) {
+                const key = read(depth + 1, pointer, true);
+                read(depth + 1, `${pointer}/${escapePointer(key.value)}`);
+            }
+        }
+        return token;
+    }
+
+    try {
+        while (decoder.hasMore()) read(0, '');
+    } catch (e) {
+        // Offset of the value that failed to decode
+        tokens.push({ offset, error: e.message });
+    }
+    return tokens;
+}
+
+function formatToken(token, width) {
+    const offset = token.offset.toString(16).padStart(width, '0');
+    if (token.error) {
+        return `${offset}  !! ${token.error}`;
+    }
+
+    const parts = [`${token.tag.toString(16).padStart(2, '0')} ${token.name}`];
+    if (token.length !== null) {
+        const prefix = token.header.subarray(1);
+        parts.push(prefix.length > 0 ? `len=${token.length} [${bytesToHex(prefix)}]` : `len=${token.length}`);
+    }
+    if (token.category === TypeCategory.EXT) {
+        parts.push(`id=${token.value.id}`);
+    } else if (token.category === TypeCategory.DECIMAL) {
+        parts.push(`decimals=${token.value.decimals}`);
+    }
+    if (token.payload.length > 0 && token.category !== TypeCategory.ARRAY && token.category !== TypeCategory.MAP) {
+        let payload = bytesToHex(token.payload.subarray(0, MAX_PAYLOAD));
+        if (token.payload.length > MAX_PAYLOAD) payload += '…';
+        parts.push(payload);
+    }
+    if (token.category === TypeCategory.STRING) {
+        const text = token.value.length > MAX_PAYLOAD ? token.value.slice(0, MAX_PAYLOAD) + '…' : token.value;
+        parts.push(JSON.stringify(text));
+    } else if ([TypeCategory.UINT, TypeCategory.INT, TypeCategory.DECIMAL, TypeCategory.TIMESTAMP, TypeCategory.DURATION,
+        TypeCategory.BOOL, TypeCategory.NIL].includes(token.category)) {
+        parts.push(`= ${token.value}`);
+    }
+    return `${offset}  ${'  '.repeat(token.depth)}${parts.join(' ')}`;
+}
+
+function offsetWidth(data) {
+    return Math.max(4, data.length.toString(16).length);
+}
+
+/**
+ * Annotated dump: one line per token with offset, tag byte and name, length prefix,
+ * payload bytes and value, indented by nesting depth. Malformed input ends with a '!!' line.
+ * @param {Uint8Array|string} data - Encoded data
+ * @returns {string}
+ */
+export function disassemble(data) {
+    const buf = new Decoder(data).data;
+    const width = offsetWidth(buf);
+    return tokenize(buf).map(token => formatToken(token, width)).join('\n');
+}
+
+function sameToken(a, b) {
+    if (a.error || b.error) return false;
+    return equalBytes(a.header, b.header) && equalBytes(a.payload, b.payload);
+}
+
+/**
+ * Find the first structural divergence between two encoded buffers
+ * @param {Uint8Array|string} a - Expected encoding
+ * @param {Uint8Array|string} b - Actual encoding
+ * @returns {Object|null} null if identical, else { offset, pointer, a, b, report } where a/b
+ *   are the diverging tokens (null past the end) and report shows both dumps up to the
+ *   diverging line, marked '>'
+ */
+export function diffEncoded(a, b) {
+    a = new Decoder(a).data;
+    b = new Decoder(b).data;
+    if (equalBytes(a, b)) return null;
+
+    const left = tokenize(a);
+    const right = tokenize(b);
+    let index = 0;
+    while (index < left.length && index < right.length && sameToken(left[index], right[index])) {
+        index++;
+    }
+
+    const tokenA = left[index] || null;
+    const tokenB = right[index] || null;
+    const at = tokenA || tokenB;
+    const width = Math.max(offsetWidth(a), offsetWidth(b));
+
+    const first = Math.max(0, index - DIFF_CONTEXT);
+
+    function dump(label, tokens) {
+        const lines = tokens.slice(first, index + 1).map((token, i) =>
+            (first + i === index ? '> ' : '  ') + formatToken(token, width)
+        );
+        if (index >= tokens.length) lines.push(`> ${'(end)'.padEnd(width)}`);
+        if (first > 0) lines.unshift('  …');
+        return `${label}:\n${lines.join('\n')}`;
+    }
+
+    return {
+        offset: at.offset,
+        pointer: at.pointer === undefined ? null : at.pointer,
+        a: tokenA,
+        b: tokenB,
+        report: `${dump('a', left)}\n${dump('b', right)}`
+    };
+}
@@ -0,0 +1,93 @@
+// SolidityPack JavaScript Encoder
+
+import type { ByteArray } from './bytes.js';
+import type { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './values.js';
+import type { Ext, ExtensionValue } from './ext.js';
+
+export type { ByteArray, BytesInput } from './bytes.js';
+
+export interface EncoderOptions {
+    /** Emit standard MessagePack tags; address, bytes32 and 64-256 bit integers become ext types */
+    msgpack?: boolean;
+    /** One encoding per value: map keys sorted bytewise, numbers must be safe integers, undefined is rejected */
+    canonical?: boolean;
+}
+
+/** Key of a Map passed to encode(); canonical mode only accepts strings */
+export type MapKey = string | number | bigint | Address | Bytes32 | Uint | Int;
+
+/**
+ * Values encode() accepts. Objects encode as maps with string keys, Maps as maps with typed
+ * keys and Sets as arrays; undefined encodes as nil outside canonical mode. Registered
+ * extension types are included through ExtensionTypes.
+ */
+export type EncodableValue =
+    | null
+    | undefined
+    | boolean
+    | number
+    | bigint
+    | string
+    | Uint8Array
+    | Address
+    | Bytes32
+    | Bytes
+    | Uint
+    | Int
+    | Decimal
+    | Date
+    | Timestamp
+    | Duration
+    | Ext
+    | ExtensionValue
+    | readonly EncodableValue[]
+    | ReadonlySet<EncodableValue>
+    | ReadonlyMap<MapKey, EncodableValue>
+    | { readonly [key: string]: EncodableValue };
+
+export declare class Encoder {
+    constructor(options?: EncoderOptions);
+
+    /** Bytes written so far */
+    pos: number;
+    readonly msgpack: boolean;
+    readonly canonical: boolean;
+
+    encodeBool(value: boolean): this;
+    encodeNil(): this;
+    encodeUint(value: number | bigint): this;
+    encodeInt(value: number | bigint): this;
+    /** Hex string (mixed case must be a valid EIP-55 checksum) or 20 bytes */
+    encodeAddress(value: string | Uint8Array): this;
+    encodeBytes32(value: string | Uint8Array): this;
+    /** Bytes, or a hex string */
+    encodeBytes(value: string | Uint8Array): this;
+    encodeString(value: string): this;
+    /** Fixed-point decimal: mantissa (int256 range) scaled by 10^-decimals (0-255) */
+    encodeDecimal(mantissa: number | bigint | string, decimals: number): this;
+    /** Timestamp: seconds since the Unix epoch (uint64) and optional nanoseconds, 0-999999999 */
+    encodeTimestamp(seconds: number | bigint | string, nanoseconds?: number): this;
+    /** Duration: seconds (uint64) and optional nanoseconds, 0-999999999 */
+    encodeDuration(seconds: number | bigint | string, nanoseconds?: number): this;
+    /** Extension value: type id (0-255) and payload bytes or hex string (at most 65535 bytes) */
+    encodeExt(id: number, payload: Uint8Array | string): this;
+    /** Array header; follow with `length` values */
+    startArray(length: number): this;
+    encodeArray(array: readonly EncodableValue[]): this;
+    /** Map header; follow with `length` key/value pairs */
+    startMap(length: number): this;
+    /** Plain object (string keys) or Map (string, integer, address or bytes32 keys) */
+    encodeMap(obj: { readonly [key: string]: EncodableValue } | ReadonlyMap<MapKey, EncodableValue>): this;
+    /** Auto-detect type and encode */
+    encode(value: EncodableValue): this;
+    /** Encoded bytes (shares memory with the encoder until it writes again) */
+    getEncoded(): ByteArray;
+    toHex(): string;
+}
+
+/**
+ * Encode a single value
+ */
+export declare function encode(value: EncodableValue, options?: EncoderOptions): ByteArray;
+
+export declare function encodeToHex(value: EncodableValue, options?: EncoderOptions): string;
@@ -1,11 +1,17 @@
 // SolidityPack JavaScript Encoder
 // Matches the Solidity implementation
 
+import { Address, Bytes32, Bytes, Uint, Int, Decimal, Timestamp, Duration } from './values.js';
+import { Ext, findExtension } from './ext.js';
+import { isValidChecksum } from './address.js';
+import { allocBytes, hexToBytes, bytesToHex, utf8ToBytes, compareBytes, dataView } from './bytes.js';
+
 const FIXINT_POS_MAX = 0x7F;
 const FIXMAP_BASE = 0x80;
 const FIXARRAY_BASE = 0x90;
 const FIXSTR_BASE = 0xA0;
 const NIL = 0xC0;
+const DECIMAL = 0xC1;
 const FALSE = 0xC2;
 const TRUE = 0xC3;
 const UINT8 = 0xC4;
@@ -30,12 +36,84 @@ const ARRAY8 = 0xD6;
 const ARRAY16 = 0xD7;
 const MAP8 = 0xD8;
 const MAP16 = 0xD9;
+const BYTES32LEN = 0xDA;
+const STR32 = 0xDB;
+const ARRAY32 = 0xDC;
+const MAP32 = 0xDD;
+const EXT8 = 0xDE;
+const EXT16 = 0xDF;
 const FIXINT_NEG_BASE = 0xE0;
 
+// Tag for each integer width, for sized Uint/Int wrappers
+const UINT_TAGS = { 8: UINT8, 16: UINT16, 32: UINT32, 64: UINT64, 128: UINT128, 256: UINT256 };
+const INT_TAGS = { 8: INT8, 16: INT16, 32: INT32, 64: INT64, 128: INT128, 256: INT256 };
+
+// Standard MessagePack tags (msgpack mode)
+const MP_BIN8 = 0xC4;
+const MP_BIN16 = 0xC5;
+const MP_BIN32 = 0xC6;
+const MP_EXT8 = 0xC7;
+const MP_UINT8 = 0xCC;
+const MP_UINT16 = 0xCD;
+const MP_UINT32 = 0xCE;
+const MP_INT8 = 0xD0;
+const MP_INT16 = 0xD1;
+const MP_INT32 = 0xD2;
+const MP_FIXEXT4 = 0xD6;
+const MP_FIXEXT8 = 0xD7;
+const MP_FIXEXT16 = 0xD8;
+const MP_STR8 = 0xD9;
+const MP_STR16 = 0xDA;
+const MP_STR32 = 0xDB;
+const MP_ARRAY16 = 0xDC;
+const MP_ARRAY32 = 0xDD;
+const MP_MAP16 = 0xDE;
+const MP_MAP32 = 0xDF;
+
+// MessagePack ext type ids for values with no native MessagePack type
+const EXT_ADDRESS = 0x01;
+const EXT_BYTES32 = 0x02;
+const EXT_UINT = 0x03;
+const EXT_INT = 0x04;
+
+// Reserved ext type ids for built-in types. 0xFF is also MessagePack's timestamp type (-1).
+const EXT_TIMESTAMP = 0xFF;
+const EXT_DURATION = 0xFE;
+const INT64_MAX = (1n << 63n) - 1n;
+
+// Bytewise order of UTF-8 keys, matching SolidityPackDecoder.isCanonical
+function compareKeys(a, b) {
+    return compareBytes(utf8ToBytes(a), utf8ToBytes(b));
+}
+
+// Map keys Solidity can look up: strings, integers, addresses and bytes32
+function isMapKey(key) {
+    return typeof key === 'string' ||
+        (typeof key === 'number' && Number.isInteger(key)) ||
+        typeof key === 'bigint' ||
+        key instanceof Address || key instanceof Bytes32 ||
+        key instanceof Uint || key instanceof Int;
+}
+
+function describeKey(key) {
+    if (key === null || typeof key !== 'object') return String(key);
+    return key.constructor?.name ?? 'object';
+}
+
 class Encoder {
-    constructor() {
-        this.buffer = Buffer.alloc(256);
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.msgpack=false] - Emit standard MessagePack tags; address,
+     *   bytes32 and 64-256 bit integers become ext types
+     * @param {boolean} [options.canonical=false] - One encoding per value: map keys sorted
+     *   bytewise, numbers must be safe integers, undefined is rejected
+     */
+    constructor(options = {}) {
+        this.buffer = allocBytes(256);
+        this.view = dataView(this.buffer);
         this.pos = 0;
+        this.msgpack = options.msgpack === true;
+        this.canonical = options.canonical === true;
     }
 
     _ensureCapacity(required) {
@@ -55,9 +133,10 @@ class Encoder {
             newSize = needed + margin;
         }
 
-        const newBuffer = Buffer.alloc(newSize);
-        this.buffer.copy(newBuffer);
+        const newBuffer = allocBytes(newSize);
+        newBuffer.set(this.buffer);
         this.buffer = newBuffer;
+        this.view = dataView(newBuffer);
     }
 
     encodeBool(value) {
@@ -77,8 +156,10 @@ class Encoder {
             return this._encodeUintBigInt(value);
         }
 
+        if (this.canonical) this._checkCanonicalNumber(value);
         value = Math.floor(value);
         if (value < 0) throw new Error('Value must be non-negative');
+        if (this.msgpack) return this._msgpackUint(BigInt(value));
 
         if (value <= FIXINT_POS_MAX) {
             this._ensureCapacity(1);
@@ -90,12 +171,12 @@ class Encoder {
         } else if (value <= 0xFFFF) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = UINT16;
-            this.buffer.writeUInt16BE(value, this.pos);
+            this.view.setUint16(this.pos, value);
             this.pos += 2;
         } else if (value <= 0xFFFFFFFF) {
             this._ensureCapacity(5);
             this.buffer[this.pos++] = UINT32;
-            this.buffer.writeUInt32BE(value, this.pos);
+            this.view.setUint32(this.pos, value);
             this.pos += 4;
         } else {
             // Use BigInt for larger values
@@ -106,6 +187,7 @@ class Encoder {
 
     _encodeUintBigInt(value) {
         if (value < 0n) throw new Error('Value must be non-negative');
+        if (this.msgpack) return this._msgpackUint(value);
 
         if (value <= BigInt(FIXINT_POS_MAX)) {
             this._ensureCapacity(1);
@@ -117,17 +199,17 @@ class Encoder {
         } else if (value <= 0xFFFFn) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = UINT16;
-            this.buffer.writeUInt16BE(Number(value), this.pos);
+            this.view.setUint16(this.pos, Number(value));
             this.pos += 2;
         } else if (value <= 0xFFFFFFFFn) {
             this._ensureCapacity(5);
             this.buffer[this.pos++] = UINT32;
-            this.buffer.writeUInt32BE(Number(value), this.pos);
+            this.view.setUint32(this.pos, Number(value));
             this.pos += 4;
         } else if (value <= 0xFFFFFFFFFFFFFFFFn) {
             this._ensureCapacity(9);
             this.buffer[this.pos++] = UINT64;
-            this.buffer.writeBigUInt64BE(value, this.pos);
+            this.view.setBigUint64(this.pos, value);
             this.pos += 8;
         } else if (value <= (1n << 128n) - 1n) {
             this._ensureCapacity(17);
@@ -143,6 +225,26 @@ class Encoder {
         return this;
     }
 
+    // Uint/Int wrapper: the exact tag for its bits, or the smallest encoding when unsized.
+    // MessagePack has its own integer widths, so msgpack mode ignores bits.
+    _encodeSized(wrapper, tags) {
+        const smallest = encoder => (tags === UINT_TAGS ? encoder.encodeUint(wrapper.value) : encoder.encodeInt(wrapper.value));
+        if (wrapper.bits === null || this.msgpack) {
+            return smallest(this);
+        }
+
+        const tag = tags[wrapper.bits];
+        if (this.canonical && smallest(new Encoder()).buffer[0] !== tag) {
+            throw new Error(`Non-canonical ${wrapper.constructor.name}(${wrapper.value}, ${wrapper.bits}): ` +
+                'sized integers must use the smallest width in canonical mode');
+        }
+
+        this._ensureCapacity(wrapper.bits / 8 + 1);
+        this.buffer[this.pos++] = tag;
+        this._writeBigUInt(BigInt.asUintN(wrapper.bits, wrapper.value), wrapper.bits / 8);
+        return this;
+    }
+
     _writeBigUInt(value, bytes) {
         for (let i = bytes - 1; i >= 0; i--) {
             this.buffer[this.pos + i] = Number(value & 0xFFn);
@@ -156,11 +258,13 @@ class Encoder {
             return this._encodeIntBigInt(value);
         }
 
+        if (this.canonical) this._checkCanonicalNumber(value);
         value = Math.floor(value);
 
         if (value >= 0) {
             return this.encodeUint(value);
         }
+        if (this.msgpack) return this._msgpackInt(BigInt(value));
 
         if (value >= -32) {
             this._ensureCapacity(1);
@@ -168,16 +272,16 @@ class Encoder {
         } else if (value >= -128) {
             this._ensureCapacity(2);
             this.buffer[this.pos++] = INT8;
-            this.buffer.writeInt8(value, this.pos++);
+            this.view.setInt8(this.pos++, value);
         } else if (value >= -32768) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = INT16;
-            this.buffer.writeInt16BE(value, this.pos);
+            this.view.setInt16(this.pos, value);
             this.pos += 2;
         } else if (value >= -2147483648) {
             this._ensureCapacity(5);
             this.buffer[this.pos++] = INT32;
-            this.buffer.writeInt32BE(value, this.pos);
+            this.view.setInt32(this.pos, value);
             this.pos += 4;
         } else {
             return this._encodeIntBigInt(BigInt(value));
@@ -189,6 +293,7 @@ class Encoder {
         if (value >= 0n) {
             return this._encodeUintBigInt(value);
         }
+        if (this.msgpack) return this._msgpackInt(value);
 
         if (value >= -32n) {
             this._ensureCapacity(1);
@@ -196,21 +301,32 @@ class Encoder {
         } else if (value >= -128n) {
             this._ensureCapacity(2);
             this.buffer[this.pos++] = INT8;
-            this.buffer.writeInt8(Number(value), this.pos++);
+            this.view.setInt8(this.pos++, Number(value));
         } else if (value >= -32768n) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = INT16;
-            this.buffer.writeInt16BE(Number(value), this.pos);
+            this.view.setInt16(this.pos, Number(value));
             this.pos += 2;
         } else if (value >= -2147483648n) {
             this._ensureCapacity(5);
             this.buffer[this.pos++] = INT32;
-            this.buffer.writeInt32BE(Number(value), this.pos);
+            this.view.setInt32(this.pos, Number(value));
             this.pos += 4;
-        } else {
+        } else if (value >= -(1n << 63n)) {
+            this._ensureCapacity(9);
+            this.buffer[this.pos++] = INT64;
+            this.view.setBigInt64(this.pos, value);
+            this.pos += 8;
+        } else if (value >= -(1n << 127n)) {
+            this._ensureCapacity(17);
+            this.buffer[this.pos++] = INT128;
+            this._writeBigInt(value, 16);
+        } else if (value >= -(1n << 255n)) {
             this._ensureCapacity(33);
             this.buffer[this.pos++] = INT256;
             this._writeBigInt(value, 32);
+        } else {
+            throw new Error('Value too small for int256');
         }
         return this;
     }
@@ -224,17 +340,22 @@ class Encoder {
     }
 
     encodeAddress(value) {
-        // Remove 0x prefix if present
+        // Remove 0x prefix if present; mixed case must be a valid EIP-55 checksum
         if (typeof value === 'string') {
-            value = value.toLowerCase().replace(/^0x/, '');
-            if (value.length !== 40) throw new Error('Invalid address length');
-            value = Buffer.from(value, 'hex');
+            const hex = value.replace(/^0x/, '');
+            if (hex.length !== 40) throw new Error('Invalid address length');
+            if (!isValidChecksum('0x' + hex)) throw new Error(`Invalid address checksum: ${value}`);
+            value = hexToBytes(hex);
         }
         if (value.length !== 20) throw new Error('Address must be 20 bytes');
 
-        this._ensureCapacity(21);
-        this.buffer[this.pos++] = ADDRESS;
-        value.copy(this.buffer, this.pos);
+        if (this.msgpack) {
+            this._msgpackExtHeader(EXT_ADDRESS, 20);
+        } else {
+            this._ensureCapacity(21);
+            this.buffer[this.pos++] = ADDRESS;
+        }
+        this.buffer.set(value, this.pos);
         this.pos += 20;
         return this;
     }
@@ -243,13 +364,17 @@ class Encoder {
         if (typeof value === 'string') {
             value = value.replace(/^0x/, '');
             if (value.length !== 64) throw new Error('Invalid bytes32 length');
-            value = Buffer.from(value, 'hex');
+            value = hexToBytes(value);
         }
         if (value.length !== 32) throw new Error('bytes32 must be 32 bytes');
 
-        this._ensureCapacity(33);
-        this.buffer[this.pos++] = BYTES32_TYPE;
-        value.copy(this.buffer, this.pos);
+        if (this.msgpack) {
+            this._msgpackExtHeader(EXT_BYTES32, 32);
+        } else {
+            this._ensureCapacity(33);
+            this.buffer[this.pos++] = BYTES32_TYPE;
+        }
+        this.buffer.set(value, this.pos);
         this.pos += 32;
         return this;
     }
@@ -257,61 +382,155 @@ class Encoder {
     encodeBytes(value) {
         if (typeof value === 'string') {
             // Assume hex string
-            value = value.replace(/^0x/, '');
-            value = Buffer.from(value, 'hex');
+            value = hexToBytes(value);
         }
 
         const len = value.length;
-        if (len <= 255) {
+        if (this.msgpack) {
+            this._msgpackHeader(len, -1, 0, MP_BIN8, MP_BIN16, MP_BIN32);
+            this._ensureCapacity(len);
+        } else if (len <= 255) {
             this._ensureCapacity(len + 2);
             this.buffer[this.pos++] = BYTES8;
             this.buffer[this.pos++] = len;
-        } else {
+        } else if (len <= 0xFFFF) {
             this._ensureCapacity(len + 3);
             this.buffer[this.pos++] = BYTES16;
-            this.buffer.writeUInt16BE(len, this.pos);
+            this.view.setUint16(this.pos, len);
             this.pos += 2;
+        } else {
+            this._header32(BYTES32LEN, len);
+            this._ensureCapacity(len);
         }
-        value.copy(this.buffer, this.pos);
+        this.buffer.set(value, this.pos);
         this.pos += len;
         return this;
     }
 
     encodeString(value) {
-        const buf = Buffer.from(value, 'utf8');
+        const buf = utf8ToBytes(value);
         const len = buf.length;
 
-        if (len <= 31) {
+        if (this.msgpack) {
+            this._msgpackHeader(len, 31, FIXSTR_BASE, MP_STR8, MP_STR16, MP_STR32);
+            this._ensureCapacity(len);
+        } else if (len <= 31) {
             this._ensureCapacity(len + 1);
             this.buffer[this.pos++] = FIXSTR_BASE + len;
         } else if (len <= 255) {
             this._ensureCapacity(len + 2);
             this.buffer[this.pos++] = STR8;
             this.buffer[this.pos++] = len;
-        } else {
+        } else if (len <= 0xFFFF) {
             this._ensureCapacity(len + 3);
             this.buffer[this.pos++] = STR16;
-            this.buffer.writeUInt16BE(len, this.pos);
+            this.view.setUint16(this.pos, len);
             this.pos += 2;
+        } else {
+            this._header32(STR32, len);
+            this._ensureCapacity(len);
         }
-        buf.copy(this.buffer, this.pos);
+        this.buffer.set(buf, this.pos);
         this.pos += len;
         return this;
     }
 
+    /**
+     * Extension value: type id (0-255) and payload bytes or hex string (at most 65535 bytes)
+     */
+    encodeExt(id, payload) {
+        if (!Number.isInteger(id) || id < 0 || id > 0xFF) {
+            throw new Error(`Invalid extension id ${id}: expected an integer from 0 to 255`);
+        }
+        if (this.msgpack) {
+            throw new Error('Extension types are not supported in msgpack mode');
+        }
+        if (typeof payload === 'string') {
+            payload = hexToBytes(payload);
+        }
+
+        const len = payload.length;
+        if (len <= 0xFF) {
+            this._ensureCapacity(len + 3);
+            this.buffer[this.pos++] = EXT8;
+            this.buffer[this.pos++] = len;
+        } else if (len <= 0xFFFF) {
+            this._ensureCapacity(len + 4);
+            this.buffer[this.pos++] = EXT16;
+            this.view.setUint16(this.pos, len);
+            this.pos += 2;
+        } else {
+            throw new Error(`Extension payload too large: ${len} bytes (max 65535)`);
+        }
+        this.buffer[this.pos++] = id;
+        this.buffer.set(payload, this.pos);
+        this.pos += len;
+        return this;
+    }
+
+    /**
+     * Fixed-point decimal: mantissa (int256 range) scaled by 10^-decimals (0-255). Written as
+     * the DECIMAL tag, the decimals byte, then the mantissa as a minimal integer.
+     */
+    encodeDecimal(mantissa, decimals) {
+        const value = new Decimal(mantissa, decimals);
+        if (this.msgpack) {
+            throw new Error('Decimals are not supported in msgpack mode');
+        }
+        this._ensureCapacity(2);
+        this.buffer[this.pos++] = DECIMAL;
+        this.buffer[this.pos++] = value.decimals;
+        return this.encodeInt(value.mantissa);
+    }
+
+    /**
+     * Timestamp: seconds since the Unix epoch (uint64) and optional nanoseconds, as an ext
+     * value with reserved type id 0xFF. Msgpack mode writes the MessagePack timestamp type.
+     */
+    encodeTimestamp(seconds, nanoseconds = 0) {
+        const value = new Timestamp(seconds, nanoseconds);
+        if (this.msgpack) return this._msgpackTimestamp(value);
+        return this._encodeTime(EXT_TIMESTAMP, value);
+    }
+
+    /**
+     * Duration: seconds (uint64) and optional nanoseconds, as an ext value with reserved
+     * type id 0xFE
+     */
+    encodeDuration(seconds, nanoseconds = 0) {
+        const value = new Duration(seconds, nanoseconds);
+        if (this.msgpack) {
+            throw new Error('Durations are not supported in msgpack mode');
+        }
+        return this._encodeTime(EXT_DURATION, value);
+    }
+
+    // Seconds as a uint64, then nanoseconds as a uint32 only when nonzero
+    _encodeTime(id, value) {
+        const payload = allocBytes(value.nanoseconds === 0 ? 8 : 12);
+        const view = dataView(payload);
+        view.setBigUint64(0, value.seconds);
+        if (value.nanoseconds !== 0) view.setUint32(8, value.nanoseconds);
+        return this.encodeExt(id, payload);
+    }
+
     startArray(length) {
-        if (length <= 15) {
+        if (this.msgpack) {
+            this._msgpackHeader(length, 15, FIXARRAY_BASE, null, MP_ARRAY16, MP_ARRAY32);
+        } else if (length <= 15) {
             this._ensureCapacity(1);
             this.buffer[this.pos++] = FIXARRAY_BASE + length;
         } else if (length <= 255) {
             this._ensureCapacity(2);
             this.buffer[this.pos++] = ARRAY8;
             this.buffer[this.pos++] = length;
-        } else {
+        } else if (length <= 0xFFFF) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = ARRAY16;
-            this.buffer.writeUInt16BE(length, this.pos);
+            this.view.setUint16(this.pos, length);
             this.pos += 2;
+        } else {
+            this._header32(ARRAY32, length);
         }
         return this;
     }
@@ -325,24 +544,35 @@ class Encoder {
     }
 
     startMap(length) {
-        if (length <= 15) {
+        if (this.msgpack) {
+            this._msgpackHeader(length, 15, FIXMAP_BASE, null, MP_MAP16, MP_MAP32);
+        } else if (length <= 15) {
             this._ensureCapacity(1);
             this.buffer[this.pos++] = FIXMAP_BASE + length;
         } else if (length <= 255) {
             this._ensureCapacity(2);
             this.buffer[this.pos++] = MAP8;
             this.buffer[this.pos++] = length;
-        } else {
+        } else if (length <= 0xFFFF) {
             this._ensureCapacity(3);
             this.buffer[this.pos++] = MAP16;
-            this.buffer.writeUInt16BE(length, this.pos);
+            this.view.setUint16(this.pos, length);
             this.pos += 2;
+        } else {
+            this._header32(MAP32, length);
         }
         return this;
     }
 
+    /**
+     * Encode a plain object (string keys) or a Map, whose keys may also be integers,
+     * Address, Bytes32, Uint or Int (like Solidity mapping(address => uint256) keys)
+     */
     encodeMap(obj) {
+        if (obj instanceof Map) return this._encodeMapEntries(obj);
+
         const keys = Object.keys(obj);
+        if (this.canonical) keys.sort(compareKeys);
         this.startMap(keys.length);
         for (const key of keys) {
             this.encodeString(key);
@@ -351,8 +581,31 @@ class Encoder {
         return this;
     }
 
+    _encodeMapEntries(map) {
+        const entries = [...map];
+        for (const [key] of entries) {
+            if (!isMapKey(key)) {
+                throw new Error(`Unsupported map key: ${describeKey(key)}`);
+            }
+            if (this.canonical && typeof key !== 'string') {
+                throw new Error(`Non-canonical map key ${describeKey(key)}: canonical maps need string keys`);
+            }
+        }
+        if (this.canonical) entries.sort(([a], [b]) => compareKeys(a, b));
+
+        this.startMap(entries.length);
+        for (const [key, value] of entries) {
+            this.encode(key);
+            this.encode(value);
+        }
+        return this;
+    }
+
     // Auto-detect type and encode
     encode(value) {
+        if (value === undefined && this.canonical) {
+            throw new Error('Cannot encode undefined in canonical mode');
+        }
         if (value === null || value === undefined) {
             return this.encodeNil();
         } else if (typeof value === 'boolean') {
@@ -361,16 +614,44 @@ class Encoder {
             if (Number.isInteger(value)) {
                 return value >= 0 ? this.encodeUint(value) : this.encodeInt(value);
             } else {
-                throw new Error('Floats not supported, use integers only');
+                throw new Error('Floats not supported, use integers or a Decimal');
             }
         } else if (typeof value === 'bigint') {
             return value >= 0n ? this.encodeUint(value) : this.encodeInt(value);
         } else if (typeof value === 'string') {
             return this.encodeString(value);
-        } else if (Buffer.isBuffer(value)) {
+        } else if (value instanceof Uint8Array) {
             return this.encodeBytes(value);
+        } else if (value instanceof Address) {
+            return this.encodeAddress(value.bytes);
+        } else if (value instanceof Bytes32) {
+            return this.encodeBytes32(value.bytes);
+        } else if (value instanceof Bytes) {
+            return this.encodeBytes(value.bytes);
+        } else if (value instanceof Uint) {
+            return this._encodeSized(value, UINT_TAGS);
+        } else if (value instanceof Int) {
+            return this._encodeSized(value, INT_TAGS);
+        } else if (value instanceof Date) {
+            const timestamp = Timestamp.fromDate(value);
+            return this.encodeTimestamp(timestamp.seconds, timestamp.nanoseconds);
+        } else if (value instanceof Timestamp) {
+            return this.encodeTimestamp(value.seconds, value.nanoseconds);
+        } else if (value instanceof Duration) {
+            return this.encodeDuration(value.seconds, value.nanoseconds);
+        } else if (value instanceof Decimal) {
+            return this.encodeDecimal(value.mantissa, value.decimals);
+        } else if (value instanceof Ext) {
+            return this.encodeExt(value.id, value.payload);
+        }
+
+        const extension = findExtension(value);
+        if (extension !== undefined) {
+            return this._encodeExtension(extension, value);
         } else if (Array.isArray(value)) {
             return this.encodeArray(value);
+        } else if (value instanceof Set) {
+            return this.encodeArray([...value]);
         } else if (typeof value === 'object') {
             return this.encodeMap(value);
         } else {
@@ -378,23 +659,183 @@ class Encoder {
         }
     }
 
+    // Registered type: its encode function supplies the payload
+    _encodeExtension(extension, value) {
+        const payload = extension.encode(value);
+        if (!(payload instanceof Uint8Array)) {
+            throw new Error(`Extension ${extension.id} (${extension.type.name}) must encode to a Uint8Array`);
+        }
+        return this.encodeExt(extension.id, payload);
+    }
+
+    // MessagePack mode: integers up to 32 bits use native tags, wider ones an ext payload
+    // of the SolidityPack width (8, 16 or 32 bytes)
+    _msgpackUint(value) {
+        if (value <= BigInt(FIXINT_POS_MAX)) {
+            this._ensureCapacity(1);
+            this.buffer[this.pos++] = Number(value);
+        } else if (value <= 0xFFn) {
+            this._ensureCapacity(2);
+            this.buffer[this.pos++] = MP_UINT8;
+            this.buffer[this.pos++] = Number(value);
+        } else if (value <= 0xFFFFn) {
+            this._ensureCapacity(3);
+            this.buffer[this.pos++] = MP_UINT16;
+            this.view.setUint16(this.pos, Number(value));
+            this.pos += 2;
+        } else if (value <= 0xFFFFFFFFn) {
+            this._ensureCapacity(5);
+            this.buffer[this.pos++] = MP_UINT32;
+            this.view.setUint32(this.pos, Number(value));
+            this.pos += 4;
+        } else if (value <= 0xFFFFFFFFFFFFFFFFn) {
+            this._msgpackExtHeader(EXT_UINT, 8);
+            this._writeBigUInt(value, 8);
+        } else if (value <= (1n << 128n) - 1n) {
+            this._msgpackExtHeader(EXT_UINT, 16);
+            this._writeBigUInt(value, 16);
+        } else if (value <= (1n << 256n) - 1n) {
+            this._msgpackExtHeader(EXT_UINT, 32);
+            this._writeBigUInt(value, 32);
+        } else {
+            throw new Error('Value too large for uint256');
+        }
+        return this;
+    }
+
+    _msgpackInt(value) {
+        if (value >= -32n) {
+            this._ensureCapacity(1);
+            this.buffer[this.pos++] = FIXINT_NEG_BASE + Number(value + 32n);
+        } else if (value >= -128n) {
+            this._ensureCapacity(2);
+            this.buffer[this.pos++] = MP_INT8;
+            this.view.setInt8(this.pos++, Number(value));
+        } else if (value >= -32768n) {
+            this._ensureCapacity(3);
+            this.buffer[this.pos++] = MP_INT16;
+            this.view.setInt16(this.pos, Number(value));
+            this.pos += 2;
+        } else if (value >= -2147483648n) {
+            this._ensureCapacity(5);
+            this.buffer[this.pos++] = MP_INT32;
+            this.view.setInt32(this.pos, Number(value));
+            this.pos += 4;
+        } else if (value >= -(1n << 63n)) {
+            this._msgpackExtHeader(EXT_INT, 8);
+            this._writeBigInt(value, 8);
+        } else if (value >= -(1n << 127n)) {
+            this._msgpackExtHeader(EXT_INT, 16);
+            this._writeBigInt(value, 16);
+        } else if (value >= -(1n << 255n)) {
+            this._msgpackExtHeader(EXT_INT, 32);
+            this._writeBigInt(value, 32);
+        } else {
+            throw new Error('Value too small for int256');
+        }
+        return this;
+    }
+
+    // Ext header (fixext8/fixext16/ext8) and room for its payload
+    _msgpackExtHeader(type, length) {
+        this._ensureCapacity(length + 3);
+        if (length === 4) {
+            this.buffer[this.pos++] = MP_FIXEXT4;
+        } else if (length === 8) {
+            this.buffer[this.pos++] = MP_FIXEXT8;
+        } else if (length === 16) {
+            this.buffer[this.pos++] = MP_FIXEXT16;
+        } else {
+            this.buffer[this.pos++] = MP_EXT8;
+            this.buffer[this.pos++] = length;
+        }
+        this.buffer[this.pos++] = type;
+    }
+
+    // MessagePack timestamp: 32-bit seconds, 30-bit nanoseconds and 34-bit seconds, or
+    // 32-bit nanoseconds and 64-bit signed seconds
+    _msgpackTimestamp({ seconds, nanoseconds }) {
+        if (nanoseconds === 0 && seconds <= 0xFFFFFFFFn) {
+            this._msgpackExtHeader(EXT_TIMESTAMP, 4);
+            this.view.setUint32(this.pos, Number(seconds));
+            this.pos += 4;
+        } else if (seconds < 1n << 34n) {
+            this._msgpackExtHeader(EXT_TIMESTAMP, 8);
+            this.view.setBigUint64(this.pos, (BigInt(nanoseconds) << 34n) | seconds);
+            this.pos += 8;
+        } else {
+            if (seconds > INT64_MAX) {
+                throw new Error(`Timestamp ${seconds} is too large for MessagePack`);
+            }
+            this._msgpackExtHeader(EXT_TIMESTAMP, 12);
+            this.view.setUint32(this.pos, nanoseconds);
+            this.view.setBigInt64(this.pos + 4, seconds);
+            this.pos += 12;
+        }
+        return this;
+    }
+
+    // Numbers past 2^53 or with a fraction would encode a different value than was passed
+    _checkCanonicalNumber(value) {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`Non-canonical number ${value}: use a safe integer or a BigInt`);
+        }
+    }
+
+    // Tag plus 32-bit length, for payloads and containers past 64KB
+    _header32(tag, length) {
+        if (length > 0xFFFFFFFF) {
+            throw new Error(`Length too large: ${length}`);
+        }
+        this._ensureCapacity(5);
+        this.buffer[this.pos++] = tag;
+        this.view.setUint32(this.pos, length);
+        this.pos += 4;
+    }
+
+    // Length header for str/bin/array/map; fixMax -1 and tag8 null mark missing forms
+    _msgpackHeader(length, fixMax, fixBase, tag8, tag16, tag32) {
+        this._ensureCapacity(5);
+        if (length <= fixMax) {
+            this.buffer[this.pos++] = fixBase + length;
+        } else if (tag8 !== null && length <= 0xFF) {
+            this.buffer[this.pos++] = tag8;
+            this.buffer[this.pos++] = length;
+        } else if (length <= 0xFFFF) {
+            this.buffer[this.pos++] = tag16;
+            this.view.setUint16(this.pos, length);
+            this.pos += 2;
+        } else if (length <= 0xFFFFFFFF) {
+            this.buffer[this.pos++] = tag32;
+            this.view.setUint32(this.pos, length);
+            this.pos += 4;
+        } else {
+            throw new Error('Length too large for MessagePack');
+        }
+    }
+
     getEncoded() {
-        return this.buffer.slice(0, this.pos);
+        return this.buffer.subarray(0, this.pos);
     }
 
     toHex() {
-        return '0x' + this.getEncoded().toString('hex');
+        return '0x' + bytesToHex(this.getEncoded());
     }
 }
 
-export function encode(value) {
-    const encoder = new Encoder();
+/**
+ * Encode a single value
+ * @param {*} value - Value to encode
+ * @param {Object} [options] - Encoder options (e.g. { msgpack: true })
+ */
+export function encode(value, options = {}) {
+    const encoder = new Encoder(options);
     encoder.encode(value);
     return encoder.getEncoded();
 }
 
-export function encodeToHex(value) {
-    return '0x' + encode(value).toString('hex');
+export function encodeToHex(value, options = {}) {
+    return '0x' + bytesToHex(encode(value, options));
 }
 
 export { Encoder };
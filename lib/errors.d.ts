@@ -0,0 +1,64 @@
+// SolidityPack Error Types
+
+import type { TypeCategory } from './decoder.js';
+
+/**
+ * Base class for structured SolidityPack errors
+ */
+export declare class SolidityPackError extends Error {
+    constructor(message: string, offset: number, expected?: TypeCategory | null);
+    /** Byte offset of the failure */
+    readonly offset: number;
+    /** Category that was being read, if known */
+    readonly expected: TypeCategory | null;
+}
+
+/**
+ * The input ended before a value was complete
+ */
+export declare class TruncatedInputError extends SolidityPackError {
+    constructor(offset: number, expected: TypeCategory | null, needed: number, available: number);
+    readonly needed: number;
+    readonly available: number;
+}
+
+/**
+ * A valid tag was found where a different category was required
+ */
+export declare class UnexpectedTagError extends SolidityPackError {
+    constructor(offset: number, tag: number, expected: TypeCategory, actual: TypeCategory);
+    readonly tag: number;
+    readonly actual: TypeCategory;
+}
+
+/**
+ * A byte that is not assigned to any SolidityPack type was found in tag position
+ */
+export declare class UnknownTagError extends SolidityPackError {
+    constructor(offset: number, tag: number, expected?: TypeCategory | null);
+    readonly tag: number;
+}
+
+/**
+ * A value's payload is malformed for its type, e.g. an ext payload of the wrong length
+ */
+export declare class InvalidPayloadError extends SolidityPackError {
+    constructor(offset: number, expected: TypeCategory, reason: string);
+    readonly reason: string;
+}
+
+/**
+ * Bytes remain after the top-level value was decoded
+ */
+export declare class TrailingDataError extends SolidityPackError {
+    constructor(offset: number, remaining: number);
+    readonly remaining: number;
+}
+
+/**
+ * Well-formed input that is not in canonical form
+ */
+export declare class NonCanonicalError extends SolidityPackError {
+    constructor(offset: number, reason: string);
+    readonly reason: string;
+}
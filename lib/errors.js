@@ -0,0 +1,95 @@
+// SolidityPack Error Types
+// Thrown by the decoder in strict and canonical mode; all carry the byte offset of the failure
+
+/**
+ * Base class for structured SolidityPack errors
+ */
+class SolidityPackError extends Error {
+    constructor(message, offset, expected = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.offset = offset;
+        this.expected = expected;
+    }
+}
+
+/**
+ * The input ended before a value was complete
+ */
+class TruncatedInputError extends SolidityPackError {
+    constructor(offset, expected, needed, available) {
+        const what = expected ? `${expected} needs` : 'need';
+        super(
+            `Truncated input at offset ${offset}: ${what} ${needed} byte(s), ${available} available`,
+            offset,
+            expected
+        );
+        this.needed = needed;
+        this.available = available;
+    }
+}
+
+/**
+ * A valid tag was found where a different category was required
+ */
+class UnexpectedTagError extends SolidityPackError {
+    constructor(offset, tag, expected, actual) {
+        super(
+            `Unexpected tag 0x${tag.toString(16).padStart(2, '0')} (${actual}) at offset ${offset}, expected ${expected}`,
+            offset,
+            expected
+        );
+        this.tag = tag;
+        this.actual = actual;
+    }
+}
+
+/**
+ * A byte that is not assigned to any SolidityPack type was found in tag position
+ */
+class UnknownTagError extends SolidityPackError {
+    constructor(offset, tag, expected = null) {
+        super(`Unknown type tag 0x${tag.toString(16).padStart(2, '0')} at offset ${offset}`, offset, expected);
+        this.tag = tag;
+    }
+}
+
+/**
+ * A value's payload is malformed for its type, e.g. an ext payload of the wrong length
+ */
+class InvalidPayloadError extends SolidityPackError {
+    constructor(offset, expected, reason) {
+        super(`Invalid ${expected} payload at offset ${offset}: ${reason}`, offset, expected);
+        this.reason = reason;
+    }
+}
+
+/**
+ * Bytes remain after the top-level value was decoded
+ */
+class TrailingDataError extends SolidityPackError {
+    constructor(offset, remaining) {
+        super(`Trailing data at offset ${offset}: ${remaining} byte(s) after the top-level value`, offset);
+        this.remaining = remaining;
+    }
+}
+
+/**
+ * Well-formed input that is not in canonical form (see isCanonical)
+ */
+class NonCanonicalError extends SolidityPackError {
+    constructor(offset, reason) {
+        super(`Non-canonical encoding at offset ${offset}: ${reason}`, offset);
+        this.reason = reason;
+    }
+}
+
+export {
+    SolidityPackError,
+    TruncatedInputError,
+    UnexpectedTagError,
+    UnknownTagError,
+    InvalidPayloadError,
+    TrailingDataError,
+    NonCanonicalError
+};
@@ -0,0 +1,60 @@
+// SolidityPack Extension Types
+
+import type { ByteArray } from './bytes.js';
+
+/**
+ * Types registered with registerExtension, for encode() and DecodedValue. Augment it to
+ * type your own:
+ *
+ *     declare module 'soliditypack/ext' {
+ *         interface ExtensionTypes { money: Money }
+ *     }
+ */
+export interface ExtensionTypes {}
+
+/** Any registered extension type */
+export type ExtensionValue = ExtensionTypes[keyof ExtensionTypes];
+
+/**
+ * Extension value with no registered type; encode() writes it back unchanged
+ */
+export declare class Ext {
+    /**
+     * @param id - Type id, 0-255
+     * @param payload - Payload bytes or hex string
+     */
+    constructor(id: number, payload: Uint8Array | string);
+    readonly id: number;
+    readonly payload: ByteArray;
+    toJSON(): { id: number; payload: string };
+    equals(other: unknown): boolean;
+}
+
+export interface Extension<T = unknown> {
+    readonly id: number;
+    readonly type: abstract new (...args: any[]) => T;
+    encode(value: T): Uint8Array;
+    decode(payload: ByteArray): T;
+}
+
+/**
+ * Register a class to encode as an extension with type id 0-127 (128-255 are reserved)
+ */
+export declare function registerExtension<T>(
+    id: number,
+    type: abstract new (...args: any[]) => T,
+    encodeFn: (value: T) => Uint8Array,
+    decodeFn: (payload: ByteArray) => T
+): void;
+
+/**
+ * Remove a registered extension; returns whether one was registered under id
+ */
+export declare function unregisterExtension(id: number): boolean;
+
+export declare function getExtension(id: number): Extension | undefined;
+
+/**
+ * Registered extension whose type value is an instance of
+ */
+export declare function findExtension(value: unknown): Extension | undefined;
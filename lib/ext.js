@@ -0,0 +1,98 @@
+// SolidityPack Extension Types
+// Application-defined types carried as EXT values: a type id byte plus an opaque payload
+
+import { wrapBytes, hexToBytes, bytesToHex, equalBytes } from './bytes.js';
+
+// Ids open to applications; 0x80-0xFF are reserved for built-in types
+const EXT_USER_MAX = 0x7F;
+
+// Largest payload an EXT16 header can describe
+const EXT_MAX_LENGTH = 0xFFFF;
+
+// Registered extensions by id: { id, type, encode, decode }
+const registry = new Map();
+
+function checkId(id, max) {
+    if (!Number.isInteger(id) || id < 0 || id > max) {
+        throw new Error(`Invalid extension id ${id}: expected an integer from 0 to ${max}`);
+    }
+}
+
+/**
+ * Extension value with no registered type: its id and raw payload. decode() returns one for
+ * unregistered ids, and encode() writes it back unchanged.
+ */
+export class Ext {
+    /**
+     * @param {number} id - Type id, 0-255
+     * @param {Uint8Array|string} payload - Payload bytes or hex string
+     */
+    constructor(id, payload) {
+        checkId(id, 0xFF);
+        this.id = id;
+        this.payload = typeof payload === 'string' ? hexToBytes(payload) : wrapBytes(payload.slice());
+        if (this.payload.length > EXT_MAX_LENGTH) {
+            throw new Error(`Extension payload too large: ${this.payload.length} bytes (max ${EXT_MAX_LENGTH})`);
+        }
+    }
+
+    toJSON() {
+        return { id: this.id, payload: '0x' + bytesToHex(this.payload) };
+    }
+
+    equals(other) {
+        return other instanceof Ext && other.id === this.id && equalBytes(this.payload, other.payload);
+    }
+}
+
+/**
+ * Register a type to encode as an extension. encode() writes instances of `type` with
+ * `encodeFn(value)` as the payload; decode() turns payloads with this id back into values
+ * with `decodeFn(payload)`.
+ * @param {number} id - Type id, 0-127 (128-255 are reserved)
+ * @param {Function} type - Class whose instances encode with this extension
+ * @param {(value: *) => Uint8Array} encodeFn - Value to payload bytes (at most 65535)
+ * @param {(payload: Uint8Array) => *} decodeFn - Payload bytes to value
+ */
+export function registerExtension(id, type, encodeFn, decodeFn) {
+    checkId(id, EXT_USER_MAX);
+    if (typeof type !== 'function' || typeof encodeFn !== 'function' || typeof decodeFn !== 'function') {
+        throw new Error('registerExtension needs a class, an encode function and a decode function');
+    }
+    if (registry.has(id)) {
+        throw new Error(`Extension id ${id} is already registered for ${registry.get(id).type.name}`);
+    }
+    for (const extension of registry.values()) {
+        if (extension.type === type) {
+            throw new Error(`${type.name} is already registered as extension ${extension.id}`);
+        }
+    }
+    registry.set(id, { id, type, encode: encodeFn, decode: decodeFn });
+}
+
+/**
+ * Remove a registered extension; returns whether one was registered under `id`
+ * @param {number} id - Type id
+ */
+export function unregisterExtension(id) {
+    return registry.delete(id);
+}
+
+/**
+ * Registered extension for an id, or undefined
+ * @param {number} id - Type id
+ */
+export function getExtension(id) {
+    return registry.get(id);
+}
+
+/**
+ * Registered extension whose type `value` is an instance of, or undefined
+ * @param {*} value - Value to encode
+ */
+export function findExtension(value) {
+    for (const extension of registry.values()) {
+        if (value instanceof extension.type) return extension;
+    }
+    return undefined;
+}
@@ -0,0 +1,93 @@
+// SolidityPack Convenience Helpers
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { DecodedValue, DecoderOptions, TypeCategory } from './decoder.js';
+import type { EncodableValue } from './encoder.js';
+
+export interface ValidationSchema {
+    type: 'object' | 'array';
+    /** Keys that must be present (type: 'object') */
+    required?: string[];
+    /** Minimum item count (type: 'array') */
+    minLength?: number;
+}
+
+export interface DecodeStats {
+    totalBytes: number;
+    /** Count of values per category, keys included */
+    types: Partial<Record<TypeCategory, number>>;
+    depth: number;
+    arrays: number;
+    maps: number;
+    primitives: number;
+}
+
+export interface RoundTripResult<T> {
+    original: T;
+    encoded: string;
+    decoded: DecodedValue;
+    bytesSize: number;
+    matches: boolean;
+}
+
+export declare function decodeAny<T = DecodedValue>(data: BytesInput, options?: DecoderOptions): T;
+
+/**
+ * Decode and validate structure
+ */
+export declare function decodeWithValidation<T = DecodedValue>(
+    data: BytesInput,
+    schema: ValidationSchema,
+    options?: DecoderOptions
+): T;
+
+/**
+ * Decode all values from encoded data (handles sequential encoding)
+ */
+export declare function decodeAll<T = DecodedValue>(data: BytesInput, options?: DecoderOptions): T[];
+
+/**
+ * Extract a specific field from a map, decoding only that field
+ */
+export declare function extractField<T = DecodedValue>(
+    data: BytesInput,
+    fieldName: string,
+    options?: DecoderOptions
+): T | undefined;
+
+/**
+ * Decode with type inspection
+ */
+export declare function decodeWithType<T = DecodedValue>(
+    data: BytesInput,
+    options?: DecoderOptions
+): { value: T; type: TypeCategory };
+
+/**
+ * Decode an array whose items all have the given category
+ */
+export declare function decodeTypedArray<T = DecodedValue>(
+    data: BytesInput,
+    expectedType: TypeCategory,
+    options?: DecoderOptions
+): T[];
+
+/**
+ * Pretty print decoded data; BigInts print as "123n"
+ */
+export declare function decodePretty(data: BytesInput, indent?: number, options?: DecoderOptions): string;
+
+export declare function decodeStats(data: BytesInput, options?: DecoderOptions): DecodeStats;
+
+/**
+ * Round-trip encode/decode for testing
+ */
+export declare function roundTrip<T extends EncodableValue>(data: T, options?: DecoderOptions): RoundTripResult<T>;
+
+/**
+ * Merge multiple encoded items into one array, copying each item's first value byte for byte
+ */
+export declare function mergeEncoded(...encodedItems: BytesInput[]): ByteArray;
+
+export { encode, encodeToHex } from './encoder.js';
+export { decode, Decoder, TypeCategory } from './decoder.js';
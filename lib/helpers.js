@@ -1,21 +1,25 @@
 // SolidityPack Convenience Helpers
 import { encode, encodeToHex, Encoder } from './encoder.js';
-import { decode, Decoder, TypeCategory } from './decoder.js';
+import { decode, Decoder, TypeCategory, assertCanonical } from './decoder.js';
+import { View } from './view.js';
+import { bytesToHex, concatBytes } from './bytes.js';
 
 /**
- * Decode from hex string or Buffer
+ * Decode from hex string or bytes
+ * @param {Object} [options] - Decoder options (e.g. { bigint: 'always', bytes: 'hex' })
  */
-export function decodeAny(data) {
-    return decode(data);
+export function decodeAny(data, options = {}) {
+    return decode(data, options);
 }
 
 /**
  * Decode and validate structure
- * @param {Buffer|string} data - Encoded data
+ * @param {Uint8Array|string} data - Encoded data
  * @param {Object} schema - Expected structure validation
+ * @param {Object} [options] - Decoder options
  */
-export function decodeWithValidation(data, schema) {
-    const decoded = decode(data);
+export function decodeWithValidation(data, schema, options = {}) {
+    const decoded = decode(data, options);
 
     if (schema.type === 'object') {
         if (typeof decoded !== 'object' || Array.isArray(decoded)) {
@@ -42,9 +46,12 @@ export function decodeWithValidation(data, schema) {
 
 /**
  * Decode all values from encoded data (handles sequential encoding)
+ * @param {Uint8Array|string} data - Encoded data
+ * @param {Object} [options] - Decoder options (e.g. { strict: true }, { canonical: true })
  */
-export function decodeAll(data) {
-    const decoder = new Decoder(data);
+export function decodeAll(data, options = {}) {
+    const decoder = new Decoder(data, options);
+    if (decoder.canonical) assertCanonical(decoder.data);
     const results = [];
 
     while (decoder.hasMore()) {
@@ -55,23 +62,26 @@ export function decodeAll(data) {
 }
 
 /**
- * Decode and extract specific field from a map
+ * Extract a specific field from a map, decoding only that field
+ * @param {Object} [options] - Decoder options
  */
-export function extractField(data, fieldName) {
-    const decoded = decode(data);
+export function extractField(data, fieldName, options = {}) {
+    const root = new View(data, options);
 
-    if (typeof decoded !== 'object' || Array.isArray(decoded)) {
+    if (root.category !== TypeCategory.MAP) {
         throw new Error('Data is not a map/object');
     }
 
-    return decoded[fieldName];
+    const field = root.find(fieldName);
+    return field === undefined ? undefined : field.value();
 }
 
 /**
  * Decode with type inspection - returns {value, type}
+ * @param {Object} [options] - Decoder options
  */
-export function decodeWithType(data) {
-    const decoder = new Decoder(data);
+export function decodeWithType(data, options = {}) {
+    const decoder = new Decoder(data, options);
     const type = decoder.peekCategory();
     const value = decoder.decode();
 
@@ -80,23 +90,24 @@ export function decodeWithType(data) {
 
 /**
  * Decode array of specific type
+ * @param {Object} [options] - Decoder options
  */
-export function decodeTypedArray(data, expectedType) {
-    const decoded = decode(data);
+export function decodeTypedArray(data, expectedType, options = {}) {
+    const decoder = new Decoder(data, options);
 
-    if (!Array.isArray(decoded)) {
+    if (decoder.peekCategory() !== TypeCategory.ARRAY) {
         throw new Error('Not an array');
     }
 
-    const decoder = new Decoder(data);
-    decoder.decodeArrayLength();
+    const len = decoder.decodeArrayLength();
+    const decoded = [];
 
-    for (let i = 0; i < decoded.length; i++) {
+    for (let i = 0; i < len; i++) {
         const cat = decoder.peekCategory();
         if (cat !== expectedType) {
             throw new Error(`Element ${i}: expected ${expectedType}, got ${cat}`);
         }
-        decoder.skip();
+        decoded.push(decoder.decode());
     }
 
     return decoded;
@@ -104,9 +115,10 @@ export function decodeTypedArray(data, expectedType) {
 
 /**
  * Pretty print decoded data
+ * @param {Object} [options] - Decoder options
  */
-export function decodePretty(data, indent = 2) {
-    const decoded = decode(data);
+export function decodePretty(data, indent = 2, options = {}) {
+    const decoded = decode(data, options);
 
     // Handle BigInt serialization
     return JSON.stringify(decoded, (key, value) => {
@@ -119,11 +131,12 @@ export function decodePretty(data, indent = 2) {
 
 /**
  * Decode and get statistics about the data
+ * @param {Object} [options] - Decoder options
  */
-export function decodeStats(data) {
-    const decoder = new Decoder(data);
+export function decodeStats(data, options = {}) {
+    const decoder = new Decoder(data, options);
     const stats = {
-        totalBytes: data.length || Buffer.from(data.slice(2), 'hex').length,
+        totalBytes: decoder.data.length,
         types: {},
         depth: 0,
         arrays: 0,
@@ -163,32 +176,36 @@ export function decodeStats(data) {
 
 /**
  * Round-trip encode/decode for testing
+ * @param {Object} [options] - Decoder options
  */
-export function roundTrip(data) {
+export function roundTrip(data, options = {}) {
     const encoded = encode(data);
-    const decoded = decode(encoded);
+    const decoded = decode(encoded, options);
+    // BigInts compare as "123n", so 1 and 1n don't match
+    const json = value => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() + 'n' : item));
     return {
         original: data,
-        encoded: '0x' + encoded.toString('hex'),
+        encoded: '0x' + bytesToHex(encoded),
         decoded,
         bytesSize: encoded.length,
-        matches: JSON.stringify(data) === JSON.stringify(decoded)
+        matches: json(data) === json(decoded)
     };
 }
 
 /**
- * Merge multiple encoded items into one array
+ * Merge multiple encoded items into one array. Each item's first value is copied
+ * byte for byte, so tags, widths and map keys stay as they were.
  */
 export function mergeEncoded(...encodedItems) {
-    const encoder = new Encoder();
-    encoder.startArray(encodedItems.length);
+    const parts = [new Encoder().startArray(encodedItems.length).getEncoded()];
 
     for (const item of encodedItems) {
-        const decoded = decode(item);
-        encoder.encode(decoded);
+        const decoder = new Decoder(item, { strict: true });
+        decoder.skip();
+        parts.push(decoder.data.subarray(0, decoder.pos));
     }
 
-    return encoder.getEncoded();
+    return concatBytes(parts);
 }
 
 // Re-export main functions for convenience
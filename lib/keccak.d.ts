@@ -0,0 +1,8 @@
+// Keccak-256
+
+import type { ByteArray } from './bytes.js';
+
+/**
+ * Keccak-256 digest of bytes, or of a string as UTF-8
+ */
+export declare function keccak256(data: Uint8Array | string): ByteArray;
@@ -0,0 +1,121 @@
+// Keccak-256 (the pre-standard SHA-3 variant Ethereum uses)
+// 64-bit lanes are held as [lo, hi] 32-bit halves
+
+import { allocBytes, utf8ToBytes, dataView } from './bytes.js';
+
+const RATE = 136;
+
+// Round constants as lo/hi pairs
+const RC = [
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+    0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+    0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+    0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+    0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+    0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+// Rotation offsets, indexed by lane x + 5y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+function keccakF(s) {
+    const c = new Uint32Array(10);
+    const b = new Uint32Array(50);
+
+    for (let round = 0; round < 24; round++) {
+        // theta
+        for (let x = 0; x < 5; x++) {
+            c[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^ s[2 * x + 30] ^ s[2 * x + 40];
+            c[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^ s[2 * x + 31] ^ s[2 * x + 41];
+        }
+        for (let x = 0; x < 5; x++) {
+            const prev = 2 * ((x + 4) % 5);
+            const next = 2 * ((x + 1) % 5);
+            const lo = c[prev] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+            const hi = c[prev + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+            for (let y = 0; y < 25; y += 5) {
+                s[2 * (x + y)] ^= lo;
+                s[2 * (x + y) + 1] ^= hi;
+            }
+        }
+
+        // rho and pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                const lane = 2 * (x + 5 * y);
+                const target = 2 * (y + 5 * ((2 * x + 3 * y) % 5));
+                const n = ROTATIONS[x + 5 * y];
+                const lo = s[lane];
+                const hi = s[lane + 1];
+
+                if (n === 0) {
+                    b[target] = lo;
+                    b[target + 1] = hi;
+                } else if (n < 32) {
+                    b[target] = (lo << n) | (hi >>> (32 - n));
+                    b[target + 1] = (hi << n) | (lo >>> (32 - n));
+                } else if (n === 32) {
+                    b[target] = hi;
+                    b[target + 1] = lo;
+                } else {
+                    b[target] = (hi << (n - 32)) | (lo >>> (64 - n));
+                    b[target + 1] = (lo << (n - 32)) | (hi >>> (64 - n));
+                }
+            }
+        }
+
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                const lane = 2 * (x + y);
+                const next = 2 * ((x + 1) % 5 + y);
+                const after = 2 * ((x + 2) % 5 + y);
+                s[lane] = b[lane] ^ (~b[next] & b[after]);
+                s[lane + 1] = b[lane + 1] ^ (~b[next + 1] & b[after + 1]);
+            }
+        }
+
+        // iota
+        s[0] ^= RC[2 * round];
+        s[1] ^= RC[2 * round + 1];
+    }
+}
+
+/**
+ * Keccak-256 digest
+ * @param {Uint8Array|string} data - Bytes, or a string hashed as UTF-8
+ * @returns {Uint8Array} 32-byte digest (a Buffer where Buffer exists)
+ */
+export function keccak256(data) {
+    if (typeof data === 'string') {
+        data = utf8ToBytes(data);
+    }
+
+    // Keccak padding: 0x01 ... 0x80 up to a whole number of blocks
+    const padded = new Uint8Array((Math.floor(data.length / RATE) + 1) * RATE);
+    padded.set(data);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const input = dataView(padded);
+    const state = new Uint32Array(50);
+    for (let offset = 0; offset < padded.length; offset += RATE) {
+        for (let i = 0; i < RATE / 4; i++) {
+            state[i] ^= input.getUint32(offset + i * 4, true);
+        }
+        keccakF(state);
+    }
+
+    const out = allocBytes(32);
+    const output = dataView(out);
+    for (let i = 0; i < 8; i++) {
+        output.setUint32(i * 4, state[i], true);
+    }
+    return out;
+}
@@ -0,0 +1,20 @@
+// SolidityPack <-> MessagePack Converter
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { Decoder, DecoderOptions } from './decoder.js';
+import type { Encoder } from './encoder.js';
+
+/**
+ * Copy the next value from a Decoder into an Encoder, tag by tag
+ */
+export declare function transcode(decoder: Decoder, encoder: Encoder): void;
+
+/**
+ * Convert SolidityPack bytes to standard MessagePack
+ */
+export declare function toMsgpack(data: BytesInput, options?: DecoderOptions): ByteArray;
+
+/**
+ * Convert standard MessagePack bytes to SolidityPack
+ */
+export declare function fromMsgpack(data: BytesInput, options?: DecoderOptions): ByteArray;
@@ -0,0 +1,92 @@
+// SolidityPack <-> MessagePack Converter
+// Rewrites values between the SolidityPack and standard MessagePack wire forms
+
+import { Encoder } from './encoder.js';
+import { Decoder, TypeCategory } from './decoder.js';
+
+/**
+ * Copy the next value from a Decoder into an Encoder, tag by tag
+ * Address and bytes32 keep their type; integers are re-encoded at minimal width
+ */
+export function transcode(decoder, encoder) {
+    const category = decoder.peekCategory();
+
+    switch (category) {
+        case TypeCategory.NIL:
+            decoder.decodeNil();
+            return encoder.encodeNil();
+        case TypeCategory.BOOL:
+            return encoder.encodeBool(decoder.decodeBool());
+        case TypeCategory.UINT:
+            return encoder.encodeUint(decoder.decodeUint());
+        case TypeCategory.INT:
+            return encoder.encodeInt(decoder.decodeInt());
+        case TypeCategory.BYTES:
+            return encoder.encodeBytes(decoder.decodeBytes());
+        case TypeCategory.STRING:
+            return encoder.encodeString(decoder.decodeString());
+        case TypeCategory.ADDRESS:
+            return encoder.encodeAddress(decoder.decodeAddress());
+        case TypeCategory.BYTES32:
+            return encoder.encodeBytes32(decoder.decodeBytes32());
+        case TypeCategory.DECIMAL: {
+            const decimal = decoder.decodeDecimal();
+            return encoder.encodeDecimal(decimal.mantissa, decimal.decimals);
+        }
+        case TypeCategory.TIMESTAMP: {
+            const timestamp = decoder.decodeTimestamp('timestamp');
+            return encoder.encodeTimestamp(timestamp.seconds, timestamp.nanoseconds);
+        }
+        case TypeCategory.DURATION: {
+            const duration = decoder.decodeDuration();
+            return encoder.encodeDuration(duration.seconds, duration.nanoseconds);
+        }
+        case TypeCategory.EXT: {
+            const ext = decoder.decodeExt();
+            return encoder.encodeExt(ext.id, ext.payload);
+        }
+        case TypeCategory.ARRAY: {
+            const len = decoder.decodeArrayLength();
+            encoder.startArray(len);
+            for (let i = 0; i < len; i++) transcode(decoder, encoder);
+            return encoder;
+        }
+        case TypeCategory.MAP: {
+            const len = decoder.decodeMapLength();
+            encoder.startMap(len);
+            for (let i = 0; i < len * 2; i++) transcode(decoder, encoder);
+            return encoder;
+        }
+        default:
+            throw new Error(`Unknown category: ${category}`);
+    }
+}
+
+function convert(data, from, to) {
+    const decoder = new Decoder(data, from);
+    const encoder = new Encoder(to);
+
+    // Sequential payloads convert value by value
+    while (decoder.hasMore()) {
+        transcode(decoder, encoder);
+    }
+    return encoder.getEncoded();
+}
+
+/**
+ * Convert SolidityPack bytes to standard MessagePack
+ * @param {Buffer|string} data - SolidityPack bytes or hex string
+ * @param {Object} [options] - Decoder options for the input (e.g. { strict: true })
+ */
+export function toMsgpack(data, options = {}) {
+    return convert(data, { ...options, msgpack: false }, { msgpack: true });
+}
+
+/**
+ * Convert standard MessagePack bytes to SolidityPack
+ * @param {Buffer|string} data - MessagePack bytes or hex string
+ * @param {Object} [options] - Decoder options for the input (e.g. { strict: true })
+ */
+export function fromMsgpack(data, options = {}) {
+    return convert(data, { ...options, msgpack: true }, {});
+}
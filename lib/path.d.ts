@@ -0,0 +1,27 @@
+// SolidityPack Paths
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { DecoderOptions } from './decoder.js';
+import type { View } from './view.js';
+
+/** Map key or array index */
+export type PathSegment = string | number | bigint;
+
+/**
+ * Encode a path for SolidityPackDecoder.seekPath / getUintAt etc.
+ */
+export declare function encodePath(segments: readonly PathSegment[]): ByteArray;
+
+/**
+ * Decode an encoded path back into its segments
+ */
+export declare function decodePath(path: BytesInput): Array<string | number>;
+
+/**
+ * Follow a path the way SolidityPackDecoder.seekPath does; undefined if a key or index is missing
+ */
+export declare function resolvePath(
+    data: BytesInput,
+    path: readonly PathSegment[] | BytesInput,
+    options?: DecoderOptions
+): View | undefined;
@@ -0,0 +1,77 @@
+// SolidityPack Paths
+// Encoded key/index paths shared with SolidityPackDecoder.seekPath / get*At
+
+import { Encoder } from './encoder.js';
+import { Decoder, TypeCategory } from './decoder.js';
+import { View } from './view.js';
+
+/**
+ * Encode a path for SolidityPackDecoder.seekPath / getUintAt etc.
+ * @param {Array<string|number|bigint>} segments - Map keys (strings) and array indexes
+ * @returns {Buffer} SolidityPack array of the segments, e.g. ['user', 'balances', 3]
+ */
+export function encodePath(segments) {
+    const encoder = new Encoder();
+    encoder.startArray(segments.length);
+
+    for (const segment of segments) {
+        if (typeof segment === 'string') {
+            encoder.encodeString(segment);
+        } else if ((typeof segment === 'number' && Number.isInteger(segment) && segment >= 0) ||
+            (typeof segment === 'bigint' && segment >= 0n)) {
+            encoder.encodeUint(segment);
+        } else {
+            throw new Error(`Invalid path segment: ${String(segment)}`);
+        }
+    }
+    return encoder.getEncoded();
+}
+
+/**
+ * Decode an encoded path back into its segments
+ * @param {Buffer|string} path - Encoded path bytes or hex string
+ */
+export function decodePath(path) {
+    const decoder = new Decoder(path);
+    const depth = decoder.decodeArrayLength();
+    const segments = [];
+
+    for (let i = 0; i < depth; i++) {
+        const category = decoder.peekCategory();
+        if (category === TypeCategory.STRING) {
+            segments.push(decoder.decodeString());
+        } else if (category === TypeCategory.UINT) {
+            segments.push(Number(decoder.decodeUint()));
+        } else {
+            throw new Error(`Invalid path segment ${i}: expected STRING or UINT, got ${category}`);
+        }
+    }
+    return segments;
+}
+
+/**
+ * Follow a path the way SolidityPackDecoder.seekPath does
+ * @param {Buffer|string} data - Encoded data
+ * @param {Array|Buffer|string} path - Segments, or an encoded path
+ * @param {Object} [options] - Decoder options
+ * @returns {View|undefined} View of the value, or undefined if a key or index is missing
+ */
+export function resolvePath(data, path, options = {}) {
+    const segments = Array.isArray(path) ? path : decodePath(path);
+    let current = new View(data, options);
+
+    for (const segment of segments) {
+        if (typeof segment === 'string') {
+            current = current.find(segment);
+        } else {
+            const category = current.category;
+            if (category !== TypeCategory.ARRAY) {
+                throw new Error(`Not an array (got ${category})`);
+            }
+            const index = Number(segment);
+            current = index < current.length ? current.at(index) : undefined;
+        }
+        if (current === undefined) return undefined;
+    }
+    return current;
+}
@@ -0,0 +1,85 @@
+// SolidityPack Schema
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { Decoder, DecoderOptions } from './decoder.js';
+import type { Encoder } from './encoder.js';
+
+/** 'uint8' ... 'uint256', 'uint' (uint256), 'int8' ... 'int256', 'int' (int256) */
+export type IntegerSpec = 'uint' | 'int' | `uint${number}` | `int${number}`;
+
+export type ScalarSpec = 'bool' | 'string' | 'bytes' | 'address' | 'bytes32' | IntegerSpec;
+
+/**
+ * Schema spec: a scalar type name, [spec] for arrays, { field: spec } for maps, or a nested Schema
+ */
+export type SchemaSpec =
+    | ScalarSpec
+    | readonly [SchemaSpec]
+    | { readonly [field: string]: SchemaSpec }
+    | SchemaRef;
+
+// A compiled Schema nested in a spec (matched by shape, which keeps inference shallow)
+interface SchemaRef {
+    readonly spec: unknown;
+    readonly root: SchemaNode;
+}
+
+// Widths that decode to number; wider integers decode to bigint
+type NumberWidth = '8' | '16' | '24' | '32';
+
+/**
+ * Decoded type of a spec, with the default decoder options
+ */
+export type Infer<S> =
+    S extends SchemaRef ? Infer<S['spec']> :
+    S extends 'bool' ? boolean :
+    S extends 'string' | 'address' | 'bytes32' ? string :
+    S extends 'bytes' ? ByteArray :
+    S extends `uint${NumberWidth}` | `int${NumberWidth}` ? number :
+    S extends IntegerSpec ? bigint :
+    S extends readonly [infer I] ? Infer<I>[] :
+    S extends { readonly [field: string]: SchemaSpec } ? { -readonly [K in keyof S]: Infer<S[K]> } :
+    never;
+
+/**
+ * Type of a value Schema#encode accepts for a spec
+ */
+export type InferInput<S> =
+    S extends SchemaRef ? InferInput<S['spec']> :
+    S extends 'bool' ? boolean :
+    S extends 'string' ? string :
+    S extends 'bytes' | 'address' | 'bytes32' ? string | Uint8Array :
+    S extends IntegerSpec ? number | bigint :
+    S extends readonly [infer I] ? readonly InferInput<I>[] :
+    S extends { readonly [field: string]: SchemaSpec } ? { readonly [K in keyof S]: InferInput<S[K]> } :
+    never;
+
+/** Compiled type node */
+export type SchemaNode =
+    | { type: 'bool' | 'string' | 'bytes' | 'address' | 'bytes32' }
+    | { type: 'uint' | 'int'; bits: number }
+    | { type: 'array'; items: SchemaNode }
+    | { type: 'map'; fields: Array<{ name: string; node: SchemaNode }> };
+
+/**
+ * A compiled schema: a reusable typed encoder/decoder pair
+ */
+export declare class Schema<S extends SchemaSpec = SchemaSpec> {
+    constructor(spec: S);
+    readonly spec: S;
+    readonly root: SchemaNode;
+
+    /** Encode a value into an existing Encoder (for sequential payloads) */
+    encodeInto<E extends Encoder>(encoder: E, value: InferInput<S>): E;
+    encode(value: InferInput<S>): ByteArray;
+    encodeToHex(value: InferInput<S>): string;
+    /** Decode the next value from an existing Decoder */
+    decodeFrom(decoder: Decoder): Infer<S>;
+    /** The bigint and bytes options change integer and bytes results from what Infer<S> describes */
+    decode(data: BytesInput, options?: DecoderOptions): Infer<S>;
+}
+
+/**
+ * Define a schema, e.g. defineSchema({ owner: 'address', amount: 'uint256', tags: ['string'] })
+ */
+export declare function defineSchema<const S extends SchemaSpec>(spec: S): Schema<S>;
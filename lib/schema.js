@@ -0,0 +1,271 @@
+// SolidityPack Schema
+// Declarative, typed encoding/decoding on top of Encoder/Decoder
+
+import { Encoder } from './encoder.js';
+import { Decoder, TypeCategory } from './decoder.js';
+import { bytesToHex } from './bytes.js';
+
+// Scalar type name -> wire category
+const SCALAR_CATEGORIES = {
+    bool: TypeCategory.BOOL,
+    string: TypeCategory.STRING,
+    bytes: TypeCategory.BYTES,
+    address: TypeCategory.ADDRESS,
+    bytes32: TypeCategory.BYTES32
+};
+
+/**
+ * Compile a schema spec into a type node
+ * - 'uint8' ... 'uint256', 'uint' (uint256), 'int8' ... 'int256', 'int' (int256)
+ * - 'bool', 'string', 'bytes', 'address', 'bytes32'
+ * - [spec] for arrays, { field: spec } for maps, or a nested Schema
+ */
+function compile(spec, path) {
+    if (spec instanceof Schema) {
+        return spec.root;
+    }
+
+    if (typeof spec === 'string') {
+        if (SCALAR_CATEGORIES[spec]) {
+            return { type: spec };
+        }
+
+        const match = /^(u?int)(\d*)$/.exec(spec);
+        if (match) {
+            const bits = match[2] === '' ? 256 : Number(match[2]);
+            if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+                throw new Error(`${describe(path)}: invalid integer width in '${spec}'`);
+            }
+            return { type: match[1], bits };
+        }
+
+        throw new Error(`${describe(path)}: unknown type '${spec}'`);
+    }
+
+    if (Array.isArray(spec)) {
+        if (spec.length !== 1) {
+            throw new Error(`${describe(path)}: array spec must have exactly one element type`);
+        }
+        return { type: 'array', items: compile(spec[0], path.concat('[]')) };
+    }
+
+    if (spec !== null && typeof spec === 'object') {
+        const fields = Object.keys(spec).map(name => ({
+            name,
+            node: compile(spec[name], path.concat(name))
+        }));
+        return { type: 'map', fields };
+    }
+
+    throw new Error(`${describe(path)}: invalid schema spec`);
+}
+
+function describe(path) {
+    return path.length === 0 ? 'Schema root' : `Field "${path.join('.')}"`;
+}
+
+/**
+ * Wire category a value of this node must decode from
+ */
+function categoryOf(node) {
+    if (node.type === 'uint') return TypeCategory.UINT;
+    if (node.type === 'int') return TypeCategory.INT;
+    if (node.type === 'array') return TypeCategory.ARRAY;
+    if (node.type === 'map') return TypeCategory.MAP;
+    return SCALAR_CATEGORIES[node.type];
+}
+
+function checkInteger(node, value, path) {
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) {
+            throw new Error(`${describe(path)}: expected ${node.type}${node.bits}, got non-integer ${value}`);
+        }
+        value = BigInt(value);
+    } else if (typeof value !== 'bigint') {
+        throw new Error(`${describe(path)}: expected ${node.type}${node.bits}, got ${typeof value}`);
+    }
+
+    const bits = BigInt(node.bits);
+    const min = node.type === 'uint' ? 0n : -(1n << (bits - 1n));
+    const max = node.type === 'uint' ? (1n << bits) - 1n : (1n << (bits - 1n)) - 1n;
+    if (value < min || value > max) {
+        throw new Error(`${describe(path)}: value ${value} out of range for ${node.type}${node.bits}`);
+    }
+    return value;
+}
+
+function encodeNode(enc, node, value, path) {
+    switch (node.type) {
+        case 'uint':
+            return enc.encodeUint(checkInteger(node, value, path));
+        case 'int':
+            return enc.encodeInt(checkInteger(node, value, path));
+        case 'bool':
+            if (typeof value !== 'boolean') {
+                throw new Error(`${describe(path)}: expected bool, got ${typeof value}`);
+            }
+            return enc.encodeBool(value);
+        case 'string':
+            if (typeof value !== 'string') {
+                throw new Error(`${describe(path)}: expected string, got ${typeof value}`);
+            }
+            return enc.encodeString(value);
+        case 'bytes':
+            if (typeof value !== 'string' && !(value instanceof Uint8Array)) {
+                throw new Error(`${describe(path)}: expected bytes, got ${typeof value}`);
+            }
+            return enc.encodeBytes(value);
+        case 'address':
+        case 'bytes32':
+            if (typeof value !== 'string' && !(value instanceof Uint8Array)) {
+                throw new Error(`${describe(path)}: expected ${node.type}, got ${typeof value}`);
+            }
+            try {
+                return node.type === 'address' ? enc.encodeAddress(value) : enc.encodeBytes32(value);
+            } catch (e) {
+                throw new Error(`${describe(path)}: ${e.message}`);
+            }
+        case 'array':
+            if (!Array.isArray(value)) {
+                throw new Error(`${describe(path)}: expected array, got ${typeof value}`);
+            }
+            enc.startArray(value.length);
+            value.forEach((item, i) => encodeNode(enc, node.items, item, path.concat(i)));
+            return enc;
+        case 'map':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${describe(path)}: expected object, got ${value === null ? 'null' : typeof value}`);
+            }
+            for (const key of Object.keys(value)) {
+                if (!node.fields.some(f => f.name === key)) {
+                    throw new Error(`${describe(path.concat(key))}: not declared in schema`);
+                }
+            }
+            enc.startMap(node.fields.length);
+            for (const field of node.fields) {
+                // Own properties only, so a missing "toString" isn't read off the prototype
+                if (!Object.hasOwn(value, field.name) || value[field.name] === undefined) {
+                    throw new Error(`${describe(path.concat(field.name))}: missing value`);
+                }
+                enc.encodeString(field.name);
+                encodeNode(enc, field.node, value[field.name], path.concat(field.name));
+            }
+            return enc;
+        default:
+            throw new Error(`${describe(path)}: unsupported schema type ${node.type}`);
+    }
+}
+
+function decodeNode(dec, node, path) {
+    const expected = categoryOf(node);
+    const actual = dec.peekCategory();
+
+    // Non-negative ints travel as uints on the wire
+    const accepted = actual === expected ||
+        (expected === TypeCategory.INT && actual === TypeCategory.UINT);
+    if (!accepted) {
+        throw new Error(`${describe(path)}: expected ${expected}, got ${actual}`);
+    }
+
+    switch (node.type) {
+        case 'uint':
+        case 'int': {
+            const raw = actual === TypeCategory.UINT ? dec.decodeUint() : dec.decodeInt();
+            const value = checkInteger(node, BigInt(raw), path);
+            // The decoder's bigint option, when set, overrides the width-based default
+            if (dec.bigint !== 'auto') return dec._toInteger(value);
+            return node.bits <= 32 ? Number(value) : value;
+        }
+        case 'bool':
+            return dec.decodeBool();
+        case 'string':
+            return dec.decodeString();
+        case 'bytes':
+            return dec.decodeBytes();
+        case 'address':
+            return dec.decodeAddress();
+        case 'bytes32':
+            return dec.decodeBytes32();
+        case 'array': {
+            const len = dec.decodeArrayLength();
+            const arr = [];
+            for (let i = 0; i < len; i++) {
+                arr.push(decodeNode(dec, node.items, path.concat(i)));
+            }
+            return arr;
+        }
+        case 'map': {
+            const len = dec.decodeMapLength();
+            // No prototype, so field names such as "constructor" and "__proto__" are plain keys
+            const obj = Object.create(null);
+            for (let i = 0; i < len; i++) {
+                if (dec.peekCategory() !== TypeCategory.STRING) {
+                    throw new Error(`${describe(path)}: map keys must be strings`);
+                }
+                const key = dec.decodeString();
+                const field = node.fields.find(f => f.name === key);
+                if (!field) {
+                    throw new Error(`${describe(path.concat(key))}: not declared in schema`);
+                }
+                if (Object.hasOwn(obj, key)) {
+                    throw new Error(`${describe(path.concat(key))}: duplicate key`);
+                }
+                obj[key] = decodeNode(dec, field.node, path.concat(key));
+            }
+            for (const field of node.fields) {
+                if (!Object.hasOwn(obj, field.name)) {
+                    throw new Error(`${describe(path.concat(field.name))}: missing from payload`);
+                }
+            }
+            return obj;
+        }
+        default:
+            throw new Error(`${describe(path)}: unsupported schema type ${node.type}`);
+    }
+}
+
+/**
+ * A compiled schema: a reusable typed encoder/decoder pair
+ */
+class Schema {
+    constructor(spec) {
+        this.spec = spec;
+        this.root = compile(spec, []);
+    }
+
+    /**
+     * Encode a value into an existing Encoder (for sequential payloads)
+     */
+    encodeInto(encoder, value) {
+        encodeNode(encoder, this.root, value, []);
+        return encoder;
+    }
+
+    encode(value) {
+        return this.encodeInto(new Encoder(), value).getEncoded();
+    }
+
+    encodeToHex(value) {
+        return '0x' + bytesToHex(this.encode(value));
+    }
+
+    /**
+     * Decode the next value from an existing Decoder
+     */
+    decodeFrom(decoder) {
+        return decodeNode(decoder, this.root, []);
+    }
+
+    decode(data, options = {}) {
+        return this.decodeFrom(new Decoder(data, options));
+    }
+}
+
+/**
+ * Define a schema, e.g. defineSchema({ owner: 'address', amount: 'uint256', tags: ['string'] })
+ */
+export function defineSchema(spec) {
+    return new Schema(spec);
+}
+
+export { Schema };
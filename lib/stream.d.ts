@@ -0,0 +1,45 @@
+// SolidityPack Streaming (Node only)
+
+import type { Transform, Writable } from 'node:stream';
+import type { DecodedValue, DecoderOptions } from './decoder.js';
+import { Encoder, type EncoderOptions } from './encoder.js';
+
+/**
+ * Incremental decoder: feed chunks, get back each top-level value once it is complete
+ */
+export declare class StreamDecoder {
+    constructor(options?: DecoderOptions);
+    /** Bytes buffered for the value still in progress */
+    readonly pending: number;
+    /** Completed top-level values, in order */
+    write(chunk: Uint8Array): DecodedValue[];
+    /** Signal end of input; throws TruncatedInputError if a value is incomplete */
+    end(): void;
+}
+
+export interface StreamEncoderOptions extends EncoderOptions {
+    /** Flush once this many bytes are buffered (default 65536) */
+    chunkSize?: number;
+}
+
+/**
+ * Encoder that hands its output to a Writable stream or callback in chunks
+ */
+export declare class StreamEncoder extends Encoder {
+    constructor(target: Writable | ((chunk: Uint8Array) => void), options?: StreamEncoderOptions);
+    readonly chunkSize: number;
+    readonly bytesWritten: number;
+    /** Write out everything buffered so far */
+    flush(): this;
+    /** Resolves once the target stream has drained */
+    drain(): Promise<void>;
+    /** Flush the remaining bytes and end the target stream */
+    end(): Promise<void>;
+    /** Always throws: output goes to the target */
+    getEncoded(): never;
+}
+
+/**
+ * Node Transform stream: bytes in, decoded values out (object mode)
+ */
+export declare function createDecodeStream(options?: DecoderOptions): Transform;
@@ -0,0 +1,220 @@
+// SolidityPack Streaming
+// Push-based decoding of chunked input, and encoding that flushes to a stream
+
+import { Transform } from 'node:stream';
+import { Encoder } from './encoder.js';
+import { Decoder, TypeCategory } from './decoder.js';
+import { TruncatedInputError } from './errors.js';
+
+/**
+ * Incremental decoder: feed chunks with write(), get back every top-level
+ * value completed by that chunk. Values may span any number of chunks.
+ */
+class StreamDecoder {
+    /**
+     * @param {Object} [options] - Decoder options (e.g. { strict: true, msgpack: true })
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.buffer = Buffer.alloc(0);
+        this.scanned = 0;  // bytes of the pending value already walked
+        this.open = [];    // items still missing in each open array/map
+    }
+
+    /**
+     * Bytes received but not yet emitted as a value
+     */
+    get pending() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Append a chunk and decode every value it completes
+     * @param {Buffer|Uint8Array} chunk
+     * @returns {Array} Completed top-level values, in order
+     */
+    write(chunk) {
+        if (!Buffer.isBuffer(chunk)) {
+            chunk = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        }
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+        // Walks headers only; strict so a short read means "wait for more"
+        const scanner = new Decoder(this.buffer, { ...this.options, strict: true });
+        const values = [];
+        let start = 0;
+
+        while (this.scanned < this.buffer.length) {
+            scanner.pos = this.scanned;
+            let complete;
+            try {
+                complete = this._step(scanner);
+            } catch (e) {
+                if (e instanceof TruncatedInputError) break;
+                throw e;
+            }
+            this.scanned = scanner.pos;
+
+            if (complete) {
+                const bytes = this.buffer.subarray(start, this.scanned);
+                values.push(new Decoder(bytes, this.options).decode());
+                start = this.scanned;
+            }
+        }
+
+        if (start > 0) {
+            this.buffer = this.buffer.subarray(start);
+            this.scanned -= start;
+        }
+        return values;
+    }
+
+    /**
+     * Signal end of input; throws TruncatedInputError if a value is incomplete
+     */
+    end() {
+        if (this.buffer.length > 0) {
+            // Re-read the partial value to report where it was cut off
+            new Decoder(this.buffer, { ...this.options, strict: true }).decode();
+        }
+    }
+
+    // Walk one header or scalar; true when it completes a top-level value
+    _step(scanner) {
+        const category = scanner.peekCategory();
+        let children = 0;
+
+        if (category === TypeCategory.ARRAY) {
+            children = scanner.decodeArrayLength();
+        } else if (category === TypeCategory.MAP) {
+            children = scanner.decodeMapLength() * 2;
+        } else {
+            scanner.skip();
+        }
+
+        if (children > 0) {
+            this.open.push(children);
+            return false;
+        }
+
+        // A finished item may finish its enclosing containers too
+        while (this.open.length > 0) {
+            if (--this.open[this.open.length - 1] > 0) return false;
+            this.open.pop();
+        }
+        return true;
+    }
+}
+
+/**
+ * Encoder that hands its output to a Writable stream or callback in chunks
+ * of at most `chunkSize` bytes (a single larger value is flushed whole)
+ */
+class StreamEncoder extends Encoder {
+    /**
+     * @param {Writable|Function} target - Writable stream, or function called with each chunk
+     * @param {Object} [options] - Encoder options plus:
+     * @param {number} [options.chunkSize=65536] - Flush once this many bytes are buffered
+     */
+    constructor(target, options = {}) {
+        super(options);
+        if (typeof target !== 'function' && (!target || typeof target.write !== 'function')) {
+            throw new Error('StreamEncoder target must be a Writable stream or a function');
+        }
+        const chunkSize = options.chunkSize ?? 65536;
+        if (!(chunkSize > 0)) throw new Error('chunkSize must be positive');
+
+        this.target = target;
+        this.chunkSize = chunkSize;
+        this.bytesWritten = 0;
+        this.needsDrain = false;
+    }
+
+    _ensureCapacity(required) {
+        if (this.pos > 0 && this.pos + required > this.chunkSize) {
+            this.flush();
+        }
+        super._ensureCapacity(required);
+    }
+
+    /**
+     * Write out everything buffered so far
+     */
+    flush() {
+        if (this.pos === 0) return this;
+
+        const chunk = Buffer.from(this.buffer.subarray(0, this.pos));
+        this.pos = 0;
+        this.bytesWritten += chunk.length;
+
+        if (typeof this.target === 'function') {
+            this.target(chunk);
+        } else if (!this.target.write(chunk)) {
+            this.needsDrain = true;
+        }
+        return this;
+    }
+
+    /**
+     * Resolves once the target stream has drained (immediately if it isn't backed up)
+     */
+    drain() {
+        if (!this.needsDrain) return Promise.resolve();
+        return new Promise(resolve => {
+            this.target.once('drain', () => {
+                this.needsDrain = false;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Flush the remaining bytes and end the target stream
+     * @returns {Promise} Resolves when a Writable target has finished
+     */
+    end() {
+        this.flush();
+        if (typeof this.target === 'function') return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            this.target.once('error', reject);
+            this.target.end(resolve);
+        });
+    }
+
+    getEncoded() {
+        throw new Error('StreamEncoder writes to its target; use flush() or end()');
+    }
+}
+
+/**
+ * Node Transform stream: bytes in, decoded values out (object mode)
+ * A top-level nil is pushed as undefined, since null ends an object-mode stream
+ * @param {Object} [options] - Decoder options (e.g. { strict: true, msgpack: true })
+ */
+export function createDecodeStream(options = {}) {
+    const decoder = new StreamDecoder(options);
+
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            try {
+                for (const value of decoder.write(chunk)) {
+                    this.push(value === null ? undefined : value);
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                decoder.end();
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+export { StreamDecoder, StreamEncoder };
@@ -0,0 +1,54 @@
+// SolidityPack Typed Data Hashing
+
+import type { BytesInput } from './bytes.js';
+import type { InferInput, Schema, SchemaSpec } from './schema.js';
+
+/** EIP-712 domain; any subset of the fields */
+export interface TypedDataDomain {
+    name?: string;
+    version?: string;
+    chainId?: number | bigint;
+    verifyingContract?: string;
+    salt?: string | Uint8Array;
+}
+
+/**
+ * Type string for a map schema, e.g. 'Order(address owner,uint256 amount,(uint32 id) meta)'
+ */
+export declare function encodeType(name: string, schema: Schema | SchemaSpec): string;
+
+/**
+ * keccak256 of encodeType(name, schema), as a hex string
+ */
+export declare function typeHash(name: string, schema: Schema | SchemaSpec): string;
+
+/**
+ * EIP-712 domain separator (identical to eth_signTypedData's), as a hex string
+ */
+export declare function hashDomain(domain: TypedDataDomain): string;
+
+/**
+ * Struct hash of an encoded map: keccak256(typeHash || encodeData(data)). The payload is
+ * decoded through the schema first and must have its fields, types and order.
+ */
+export declare function hashStruct(name: string, schema: Schema | SchemaSpec, data: BytesInput): string;
+
+/**
+ * Digest of an already-encoded payload: keccak256(0x1901 || domainSeparator || hashStruct)
+ */
+export declare function hashTypedPayload(
+    domainSeparator: BytesInput,
+    name: string,
+    schema: Schema | SchemaSpec,
+    data: BytesInput
+): string;
+
+/**
+ * Digest to sign for `value`, encoded with `schema` (send schema.encode(value) alongside)
+ */
+export declare function hashTypedData<S extends SchemaSpec>(
+    domain: TypedDataDomain,
+    name: string,
+    schema: Schema<S> | S,
+    value: InferInput<S>
+): string;
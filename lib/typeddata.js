@@ -0,0 +1,204 @@
+// SolidityPack Typed Data Hashing
+// EIP-712 style digests over SolidityPack payloads; matches contracts/SolidityPackTypedData.sol
+
+import { Decoder, TypeCategory } from './decoder.js';
+import { Schema } from './schema.js';
+import { keccak256 } from './keccak.js';
+import { hexToBytes, bytesToHex, bytesToUtf8, concatBytes } from './bytes.js';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const DOMAIN_FIELDS = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' }
+];
+
+function toSchema(schema) {
+    return schema instanceof Schema ? schema : new Schema(schema);
+}
+
+function typeOf(node) {
+    switch (node.type) {
+        case 'uint':
+        case 'int':
+            return `${node.type}${node.bits}`;
+        case 'array':
+            return `${typeOf(node.items)}[]`;
+        case 'map':
+            // Names end at ',' or ')', so they must be identifiers for the string to parse
+            return `(${node.fields.map(f => {
+                if (!IDENTIFIER.test(f.name)) {
+                    throw new Error(`Invalid field name: ${f.name}`);
+                }
+                return `${typeOf(f.node)} ${f.name}`;
+            }).join(',')})`;
+        default:
+            return node.type;
+    }
+}
+
+function word(value) {
+    return hexToBytes(BigInt.asUintN(256, value).toString(16).padStart(64, '0'));
+}
+
+function toHex(bytes) {
+    return '0x' + bytesToHex(bytes);
+}
+
+function toBytes32(value) {
+    const bytes = value instanceof Uint8Array ? value : hexToBytes(value);
+    if (bytes.length !== 32) {
+        throw new Error(`Expected 32 bytes, got ${bytes.length}`);
+    }
+    return bytes;
+}
+
+// 32-byte encoding of the next value, by its schema type; schema.decode() has already
+// checked the payload, so the wire categories match
+function encodeValue(decoder, node, path) {
+    switch (node.type) {
+        case 'bool':
+            return word(decoder.decodeBool() ? 1n : 0n);
+        case 'uint':
+            return word(BigInt(decoder.decodeUint()));
+        case 'int': {
+            // Non-negative ints travel as uints on the wire
+            const value = decoder.peekCategory() === TypeCategory.UINT ? decoder.decodeUint() : decoder.decodeInt();
+            return word(BigInt(value));
+        }
+        case 'address':
+            return word(BigInt(decoder.decodeAddress()));
+        case 'bytes32':
+            return toBytes32(decoder.decodeBytes32());
+        case 'bytes':
+            return keccak256(decoder.decodeBytes());
+        case 'string':
+            // Hash the raw payload, as the contract does, rather than a re-encoded string
+            return keccak256(readString(decoder));
+        case 'array': {
+            const len = decoder.decodeArrayLength();
+            const items = [];
+            for (let i = 0; i < len; i++) items.push(encodeValue(decoder, node.items, path.concat(i)));
+            return keccak256(concatBytes(items));
+        }
+        case 'map':
+            return keccak256(encodeMapData(decoder, node, path));
+        default:
+            throw new Error(`Unsupported type for typed hashing: ${node.type}`);
+    }
+}
+
+function readString(decoder) {
+    const len = decoder.decodeStringLength();
+    decoder._need(len, TypeCategory.STRING);
+    decoder.pos += len;
+    return decoder.data.subarray(decoder.pos - len, decoder.pos);
+}
+
+// keccak256(key) followed by the value's encoding, for each field; the payload must list
+// the fields in schema order, as the type string does
+function encodeMapData(decoder, node, path) {
+    const len = decoder.decodeMapLength();
+    const parts = [];
+
+    for (let i = 0; i < len; i++) {
+        const key = readString(decoder);
+        const { name, node: fieldNode } = node.fields[i];
+        if (bytesToUtf8(key) !== name) {
+            throw new Error(`Field "${path.concat(bytesToUtf8(key)).join('.')}" is out of order: expected "${path.concat(name).join('.')}"`);
+        }
+        parts.push(keccak256(key));
+        parts.push(encodeValue(decoder, fieldNode, path.concat(name)));
+    }
+    return concatBytes(parts);
+}
+
+/**
+ * Type string for a map schema, e.g. 'Order(address owner,uint256 amount,(uint32 id) meta)'.
+ * Nested maps are written inline as tuples.
+ * @param {string} name - Primary type name
+ * @param {Schema|Object} schema - Schema or schema spec; the root must be a map
+ */
+export function encodeType(name, schema) {
+    if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid type name: ${name}`);
+    }
+    const root = toSchema(schema).root;
+    if (root.type !== 'map') {
+        throw new Error('Typed data schema root must be a map');
+    }
+    return name + typeOf(root);
+}
+
+/**
+ * keccak256 of encodeType(name, schema), as a hex string
+ */
+export function typeHash(name, schema) {
+    return toHex(keccak256(encodeType(name, schema)));
+}
+
+/**
+ * EIP-712 domain separator (identical to eth_signTypedData's)
+ * @param {Object} domain - Any of name, version, chainId, verifyingContract, salt
+ */
+export function hashDomain(domain) {
+    const fields = DOMAIN_FIELDS.filter(f => domain[f.name] !== undefined);
+    const type = `EIP712Domain(${fields.map(f => `${f.type} ${f.name}`).join(',')})`;
+
+    const parts = [keccak256(type)];
+    for (const { name, type } of fields) {
+        const value = domain[name];
+        if (type === 'string') parts.push(keccak256(value));
+        else if (type === 'bytes32') parts.push(toBytes32(value));
+        else parts.push(word(BigInt(value)));
+    }
+    return toHex(keccak256(concatBytes(parts)));
+}
+
+/**
+ * Struct hash of an encoded map: keccak256(typeHash || encodeData(data)). The payload is
+ * first decoded through the schema, so it must have exactly the schema's fields, with
+ * matching types and in schema order.
+ * @param {string} name - Primary type name
+ * @param {Schema|Object} schema - Schema or schema spec; the root must be a map
+ * @param {Uint8Array|string} data - SolidityPack-encoded map
+ */
+export function hashStruct(name, schema, data) {
+    schema = toSchema(schema);
+    const hash = typeHash(name, schema);
+    schema.decode(data, { strict: true });
+
+    const decoder = new Decoder(data, { strict: true });
+    const encoded = encodeMapData(decoder, schema.root, []);
+    if (decoder.hasMore()) {
+        throw new Error(`Trailing data after the struct at offset ${decoder.pos}`);
+    }
+    return toHex(keccak256(concatBytes([toBytes32(hash), encoded])));
+}
+
+/**
+ * Digest of an already-encoded payload: keccak256(0x1901 || domainSeparator || hashStruct)
+ * Same as SolidityPackTypedData.hashTypedData(domainSeparator, encodeType(name, schema), data)
+ */
+export function hashTypedPayload(domainSeparator, name, schema, data) {
+    return toHex(keccak256(concatBytes([
+        new Uint8Array([0x19, 0x01]),
+        toBytes32(domainSeparator),
+        toBytes32(hashStruct(name, schema, data))
+    ])));
+}
+
+/**
+ * Digest to sign for `value`, encoded with `schema` (send schema.encode(value) alongside)
+ * @param {Object} domain - EIP-712 domain fields
+ * @param {string} name - Primary type name
+ * @param {Schema|Object} schema - Schema or schema spec; the root must be a map
+ * @param {Object} value - Value to encode and hash
+ */
+export function hashTypedData(domain, name, schema, value) {
+    schema = toSchema(schema);
+    return hashTypedPayload(hashDomain(domain), name, schema, schema.encode(value));
+}
@@ -0,0 +1,34 @@
+// SolidityPack Typed JSON
+
+import type { ByteArray, BytesInput } from './bytes.js';
+
+/**
+ * JSON-safe value; types JSON can't tell apart carry a "$type" annotation
+ */
+export type TypedJSON =
+    | null
+    | boolean
+    | number
+    | string
+    | TypedJSON[]
+    | { $uint: string; bits?: number }
+    | { $int: string; bits?: number }
+    | { $address: string }
+    | { $bytes32: string }
+    | { $bytes: string }
+    | { $decimal: string }
+    | { $timestamp: string }
+    | { $duration: string }
+    | { $ext: { id: number; payload: string } }
+    | { $map: Array<[TypedJSON, TypedJSON]> }
+    | { [key: string]: TypedJSON };
+
+/**
+ * Encode a typed JSON value (the parsed value, not JSON text)
+ */
+export declare function fromTypedJSON(value: TypedJSON): ByteArray;
+
+/**
+ * Decode to a JSON-safe value that fromTypedJSON re-encodes to identical bytes
+ */
+export declare function toTypedJSON(data: BytesInput): TypedJSON;
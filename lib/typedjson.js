@@ -0,0 +1,226 @@
+// SolidityPack Typed JSON
+// Lossless JSON form of a payload: values JSON can't tell apart carry a "$type" annotation
+
+import { Encoder, encode } from './encoder.js';
+import { Decoder, TypeCategory } from './decoder.js';
+import { Decimal, Uint, Int } from './values.js';
+import { diffEncoded } from './disassemble.js';
+import { isValidChecksum } from './address.js';
+import { hexToBytes, bytesToHex } from './bytes.js';
+
+// Keys JS objects would reorder (array indices) or that read as annotations
+const UNSAFE_KEY = /^(\$|(0|[1-9]\d*)$)/;
+
+function hex(bytes) {
+    return '0x' + bytesToHex(bytes);
+}
+
+function toTyped(decoder) {
+    const category = decoder.peekCategory();
+
+    switch (category) {
+        case TypeCategory.NIL:
+        case TypeCategory.BOOL:
+        case TypeCategory.STRING:
+            return decoder.decode();
+        case TypeCategory.UINT:
+        case TypeCategory.INT: {
+            const start = decoder.pos;
+            const value = decoder.decode();
+
+            // Wider than the smallest encoding: a sized Uint/Int, so keep the width
+            if (encode(BigInt(value))[0] !== decoder.data[start]) {
+                const annotation = category === TypeCategory.UINT ? '$uint' : '$int';
+                return { [annotation]: value.toString(), bits: (decoder.pos - start - 1) * 8 };
+            }
+            if (typeof value === 'number' && Number.isSafeInteger(value)) return value;
+            return value >= 0 ? { $uint: value.toString() } : { $int: value.toString() };
+        }
+        case TypeCategory.ADDRESS:
+            return { $address: decoder.decodeAddress().toLowerCase() };
+        case TypeCategory.BYTES32:
+            return { $bytes32: decoder.decodeBytes32().toLowerCase() };
+        case TypeCategory.BYTES:
+            return { $bytes: hex(decoder.decodeBytes()) };
+        case TypeCategory.DECIMAL:
+            return { $decimal: decoder.decodeDecimal().toString() };
+        case TypeCategory.TIMESTAMP:
+            return { $timestamp: formatSeconds(decoder.decodeTimestamp()) };
+        case TypeCategory.DURATION:
+            return { $duration: formatSeconds(decoder.decodeDuration()) };
+        case TypeCategory.EXT: {
+            const ext = decoder.decodeExt();
+            return { $ext: { id: ext.id, payload: hex(ext.payload) } };
+        }
+        case TypeCategory.ARRAY: {
+            const len = decoder.decodeArrayLength();
+            const items = [];
+            for (let i = 0; i < len; i++) items.push(toTyped(decoder));
+            return items;
+        }
+        case TypeCategory.MAP: {
+            const len = decoder.decodeMapLength();
+            const entries = [];
+            for (let i = 0; i < len; i++) entries.push([toTyped(decoder), toTyped(decoder)]);
+
+            // A plain object only when it keeps every key, in order
+            const keys = new Set(entries.map(([key]) => key));
+            const plain = keys.size === len &&
+                entries.every(([key]) => typeof key === 'string' && !UNSAFE_KEY.test(key));
+            return plain ? Object.fromEntries(entries) : { $map: entries };
+        }
+        default:
+            throw new Error(`Unsupported type for typed JSON: ${category}`);
+    }
+}
+
+function parseInteger(value, annotation) {
+    if (typeof value !== 'string' || !/^-?(0|[1-9]\d*)$/.test(value)) {
+        throw new Error(`${annotation} must be a decimal string, got ${JSON.stringify(value)}`);
+    }
+    return BigInt(value);
+}
+
+// Seconds with a 9-digit fraction when there are nanoseconds, e.g. '1700000000.000000001'
+function formatSeconds({ seconds, nanoseconds }) {
+    return nanoseconds === 0 ? seconds.toString() : `${seconds}.${String(nanoseconds).padStart(9, '0')}`;
+}
+
+function parseSeconds(value, annotation) {
+    const match = typeof value === 'string' ? /^(0|[1-9]\d*)(?:\.(\d{1,9}))?$/.exec(value) : null;
+    if (match === null) {
+        throw new Error(`${annotation} must be seconds as a decimal string, got ${JSON.stringify(value)}`);
+    }
+    return [BigInt(match[1]), Number((match[2] ?? '').padEnd(9, '0'))];
+}
+
+function parseHex(value, annotation) {
+    if (typeof value !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+        throw new Error(`${annotation} must be a 0x-prefixed hex string, got ${JSON.stringify(value)}`);
+    }
+    return hexToBytes(value);
+}
+
+function fromTyped(encoder, value) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+        return encoder.encode(value);
+    }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`Typed JSON numbers must be safe integers, got ${value}`);
+        }
+        return encoder.encode(value);
+    }
+    if (Array.isArray(value)) {
+        encoder.startArray(value.length);
+        value.forEach(item => fromTyped(encoder, item));
+        return encoder;
+    }
+    if (typeof value !== 'object') {
+        throw new Error(`Unsupported typed JSON value: ${typeof value}`);
+    }
+
+    const keys = Object.keys(value);
+    const annotation = keys.find(key => key.startsWith('$'));
+    // $uint and $int may carry a bits width next to the annotation
+    const sized = (annotation === '$uint' || annotation === '$int') && keys.length === 2 && 'bits' in value;
+    if (annotation !== undefined && (keys.length === 1 || sized)) {
+        const inner = value[annotation];
+
+        switch (annotation) {
+            case '$uint': {
+                const n = parseInteger(inner, annotation);
+                if (n < 0n) throw new Error(`$uint must be non-negative, got ${inner}`);
+                return sized ? encoder.encode(new Uint(n, value.bits)) : encoder.encodeUint(n);
+            }
+            case '$int': {
+                const n = parseInteger(inner, annotation);
+                if (sized) return encoder.encode(new Int(n, value.bits));
+                if (n >= 0n) throw new Error(`$int must be negative, got ${inner}; use $uint`);
+                return encoder.encodeInt(n);
+            }
+            case '$address': {
+                const bytes = parseHex(inner, annotation);
+                if (bytes.length === 20 && !isValidChecksum(inner)) {
+                    throw new Error(`Invalid address checksum: ${inner}`);
+                }
+                return encoder.encodeAddress(bytes);
+            }
+            case '$bytes32':
+                return encoder.encodeBytes32(parseHex(inner, annotation));
+            case '$bytes':
+                return encoder.encodeBytes(parseHex(inner, annotation));
+            case '$decimal': {
+                if (typeof inner !== 'string' || !/^-?\d+(\.\d+)?$/.test(inner)) {
+                    throw new Error(`$decimal must be a decimal string, got ${JSON.stringify(inner)}`);
+                }
+                const decimal = Decimal.parse(inner);
+                return encoder.encodeDecimal(decimal.mantissa, decimal.decimals);
+            }
+            case '$timestamp':
+                return encoder.encodeTimestamp(...parseSeconds(inner, annotation));
+            case '$duration':
+                return encoder.encodeDuration(...parseSeconds(inner, annotation));
+            case '$ext': {
+                if (inner === null || typeof inner !== 'object' || !Number.isInteger(inner.id)) {
+                    throw new Error('$ext must be an object with an integer id and a hex payload');
+                }
+                return encoder.encodeExt(inner.id, parseHex(inner.payload, '$ext payload'));
+            }
+            case '$map':
+                if (!Array.isArray(inner) || !inner.every(e => Array.isArray(e) && e.length === 2)) {
+                    throw new Error('$map must be an array of [key, value] pairs');
+                }
+                encoder.startMap(inner.length);
+                for (const [key, item] of inner) {
+                    fromTyped(encoder, key);
+                    fromTyped(encoder, item);
+                }
+                return encoder;
+            default:
+                throw new Error(`Unknown type annotation: ${annotation}`);
+        }
+    }
+
+    encoder.startMap(keys.length);
+    for (const key of keys) {
+        encoder.encodeString(key);
+        fromTyped(encoder, value[key]);
+    }
+    return encoder;
+}
+
+/**
+ * Encode a typed JSON value (as produced by toTypedJSON). Pass the parsed value, not JSON
+ * text: a bare string is a string payload.
+ * @param {*} value - Typed JSON value
+ * @returns {Uint8Array} SolidityPack-encoded data (a Buffer where Buffer exists)
+ */
+export function fromTypedJSON(value) {
+    return fromTyped(new Encoder(), value).getEncoded();
+}
+
+/**
+ * Decode to a JSON-safe value that fromTypedJSON re-encodes to identical bytes.
+ * Strings, bools, null, safe integers, arrays and string-keyed maps stay plain JSON; other
+ * values are annotated: { $uint: '…' }, { $int: '…' } (plus bits when wider than the smallest
+ * encoding, as written for a sized Uint/Int), { $address: '0x…' },
+ * { $bytes32: '0x…' }, { $bytes: '0x…' }, { $decimal: '1.50' }, { $timestamp: '…' } and
+ * { $duration: '…' } (seconds), { $ext: { id, payload } } and { $map: [[key, value], …] }.
+ * @param {Uint8Array|string} data - A single encoded value
+ * @returns {*} Typed JSON value; pass to JSON.stringify to store it
+ */
+export function toTypedJSON(data) {
+    const decoder = new Decoder(data, { strict: true, timestamp: 'timestamp' });
+    const value = toTyped(decoder);
+    if (decoder.hasMore()) {
+        throw new Error(`Trailing data after the value at offset ${decoder.pos}`);
+    }
+
+    // Non-minimal lengths decode fine but can't be reproduced
+    const diff = diffEncoded(decoder.data, fromTypedJSON(value));
+    if (diff) {
+        throw new Error(`Cannot represent the encoding at offset ${diff.offset} (${diff.a.name}): not minimally encoded`);
+    }
+    return value;
+}
@@ -0,0 +1,118 @@
+// SolidityPack Value Wrappers
+
+import type { ByteArray } from './bytes.js';
+
+/** Integer widths with their own UINT/INT tag */
+export type IntegerBits = 8 | 16 | 32 | 64 | 128 | 256;
+
+declare class FixedBytes {
+    readonly bytes: ByteArray;
+    /** 0x-prefixed lowercase hex */
+    toString(): string;
+    toJSON(): string;
+    equals(other: unknown): boolean;
+}
+
+/**
+ * 20-byte address; encodes as ADDRESS
+ */
+export declare class Address extends FixedBytes {
+    /**
+     * @param value - Hex string (0x optional; mixed case must be a valid EIP-55 checksum) or 20 bytes
+     */
+    constructor(value: string | Uint8Array);
+}
+
+/**
+ * Fixed 32-byte value; encodes as BYTES32
+ */
+export declare class Bytes32 extends FixedBytes {
+    constructor(value: string | Uint8Array);
+}
+
+/**
+ * Variable-length bytes; encodes as BYTES
+ */
+export declare class Bytes extends FixedBytes {
+    constructor(value: string | Uint8Array);
+}
+
+declare class Integer {
+    readonly value: bigint;
+    /** Wire width, or null for the smallest encoding */
+    readonly bits: IntegerBits | null;
+    toString(): string;
+    toJSON(): string;
+    valueOf(): bigint;
+    equals(other: unknown): boolean;
+}
+
+/**
+ * Unsigned integer; encodes as the smallest UINT tag, or as UINT<bits> when bits is given
+ */
+export declare class Uint extends Integer {
+    constructor(value: number | bigint | string, bits?: IntegerBits);
+}
+
+/**
+ * Signed integer; encodes like encodeInt(), or as INT<bits> when bits is given
+ */
+export declare class Int extends Integer {
+    constructor(value: number | bigint | string, bits?: IntegerBits);
+}
+
+/**
+ * Fixed-point number: an integer mantissa scaled by 10^-decimals; encodes as DECIMAL
+ */
+export declare class Decimal {
+    /**
+     * @param mantissa - Integer value in units of 10^-decimals (int256 range)
+     * @param decimals - Digits after the point, 0-255
+     */
+    constructor(mantissa: number | bigint | string, decimals: number);
+    readonly mantissa: bigint;
+    readonly decimals: number;
+    /**
+     * Parse a decimal string such as '-12.50'; decimals defaults to the digits after the point
+     */
+    static parse(value: string, decimals?: number): Decimal;
+    /** Same value with another number of decimals; throws if digits would be lost */
+    rescale(decimals: number): Decimal;
+    /** Exact decimal string, e.g. '1.50' */
+    toString(): string;
+    toJSON(): string;
+    equals(other: unknown): boolean;
+}
+
+declare class Time {
+    /** Whole seconds (uint64) */
+    readonly seconds: bigint;
+    /** 0-999999999 */
+    readonly nanoseconds: number;
+    toJSON(): string;
+    equals(other: unknown): boolean;
+}
+
+/**
+ * Point in time: seconds since the Unix epoch and optional nanoseconds; encodes as TIMESTAMP
+ */
+export declare class Timestamp extends Time {
+    constructor(seconds: number | bigint | string, nanoseconds?: number);
+    static fromDate(date: Date): Timestamp;
+    /** Date for this timestamp; sub-millisecond digits are dropped */
+    toDate(): Date;
+    /** RFC 3339 UTC time, e.g. '2023-11-14T22:13:20.5Z' */
+    toString(): string;
+}
+
+/**
+ * Length of time: seconds and optional nanoseconds; encodes as DURATION
+ */
+export declare class Duration extends Time {
+    constructor(seconds: number | bigint | string, nanoseconds?: number);
+    static fromMilliseconds(ms: number): Duration;
+    /** Whole milliseconds */
+    toMilliseconds(): number;
+    /** Seconds with a unit, e.g. '1.5s' */
+    toString(): string;
+}
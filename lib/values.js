@@ -0,0 +1,344 @@
+// SolidityPack Value Wrappers
+// Give a JS value an explicit wire type, so encode() can emit ADDRESS, BYTES32, BYTES and sized integers
+
+import { isValidChecksum } from './address.js';
+import { wrapBytes, hexToBytes, bytesToHex, equalBytes } from './bytes.js';
+
+// Widths with their own UINT/INT tag
+const WIDTHS = [8, 16, 32, 64, 128, 256];
+
+function toBytes(value, size, name) {
+    if (typeof value === 'string') {
+        const hex = value.replace(/^0x/, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+            throw new Error(`${name} must be a hex string or bytes, got ${JSON.stringify(value)}`);
+        }
+        value = hexToBytes(hex);
+    } else if (value instanceof Uint8Array) {
+        value = wrapBytes(value.slice());
+    } else {
+        throw new Error(`${name} must be a hex string or bytes, got ${typeof value}`);
+    }
+
+    if (size !== null && value.length !== size) {
+        throw new Error(`${name} must be ${size} bytes, got ${value.length}`);
+    }
+    return value;
+}
+
+function toBigInt(value, name) {
+    if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+    throw new Error(`${name} value must be an integer, got ${value}`);
+}
+
+function checkBits(bits, name) {
+    if (bits !== null && !WIDTHS.includes(bits)) {
+        throw new Error(`${name} bits must be one of ${WIDTHS.join(', ')}, got ${bits}`);
+    }
+}
+
+class FixedBytes {
+    constructor(value, size, name) {
+        this.bytes = toBytes(value, size, name);
+    }
+
+    toString() {
+        return '0x' + bytesToHex(this.bytes);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    equals(other) {
+        return other instanceof this.constructor && equalBytes(this.bytes, other.bytes);
+    }
+}
+
+/**
+ * 20-byte address; encodes as ADDRESS
+ */
+export class Address extends FixedBytes {
+    /**
+     * @param {string|Uint8Array} value - Hex string (0x optional; mixed case must be a valid
+     *   EIP-55 checksum) or 20 bytes
+     */
+    constructor(value) {
+        super(value, 20, 'Address');
+        if (typeof value === 'string' && !isValidChecksum('0x' + value.replace(/^0x/, ''))) {
+            throw new Error(`Invalid address checksum: ${value}`);
+        }
+    }
+}
+
+/**
+ * Fixed 32-byte value; encodes as BYTES32
+ */
+export class Bytes32 extends FixedBytes {
+    /**
+     * @param {string|Uint8Array} value - Hex string (0x optional) or 32 bytes
+     */
+    constructor(value) {
+        super(value, 32, 'Bytes32');
+    }
+}
+
+/**
+ * Variable-length bytes; encodes as BYTES (a Uint8Array or Buffer does too, this also takes hex strings)
+ */
+export class Bytes extends FixedBytes {
+    /**
+     * @param {string|Uint8Array} value - Hex string (0x optional) or bytes
+     */
+    constructor(value) {
+        super(value, null, 'Bytes');
+    }
+}
+
+class Integer {
+    constructor(value, bits, signed) {
+        const name = signed ? 'Int' : 'Uint';
+        this.value = toBigInt(value, name);
+        this.bits = bits === undefined ? null : bits;
+        checkBits(this.bits, name);
+
+        const width = BigInt(this.bits || 256);
+        const min = signed ? -(1n << (width - 1n)) : 0n;
+        const max = signed ? (1n << (width - 1n)) - 1n : (1n << width) - 1n;
+        if (this.value < min || this.value > max) {
+            throw new Error(`${name} value ${this.value} out of range for ${name.toLowerCase()}${width}`);
+        }
+    }
+
+    toString() {
+        return this.value.toString();
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    valueOf() {
+        return this.value;
+    }
+
+    equals(other) {
+        return other instanceof this.constructor && this.value === other.value && this.bits === other.bits;
+    }
+}
+
+/**
+ * Unsigned integer; encodes as the smallest UINT tag, or as UINT<bits> when bits is given
+ */
+export class Uint extends Integer {
+    /**
+     * @param {number|bigint|string} value - Non-negative integer
+     * @param {number} [bits] - Wire width: 8, 16, 32, 64, 128 or 256
+     */
+    constructor(value, bits) {
+        super(value, bits, false);
+    }
+}
+
+/**
+ * Signed integer; encodes like encodeInt(), or as INT<bits> when bits is given
+ * (even for non-negative values)
+ */
+export class Int extends Integer {
+    /**
+     * @param {number|bigint|string} value - Integer
+     * @param {number} [bits] - Wire width: 8, 16, 32, 64, 128 or 256
+     */
+    constructor(value, bits) {
+        super(value, bits, true);
+    }
+}
+
+// Mantissa range: SolidityPackDecoder.decodeDecimal returns an int256
+const INT256_MIN = -(1n << 255n);
+const INT256_MAX = (1n << 255n) - 1n;
+
+function checkDecimals(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 0xFF) {
+        throw new Error(`Invalid decimals ${decimals}: expected an integer from 0 to 255`);
+    }
+}
+
+/**
+ * Fixed-point number: an integer mantissa scaled by 10^-decimals; encodes as DECIMAL.
+ * new Decimal(150n, 2) is 1.50; use Decimal.parse('1.50') for decimal strings.
+ */
+export class Decimal {
+    /**
+     * @param {number|bigint|string} mantissa - Integer value in units of 10^-decimals (int256 range)
+     * @param {number} decimals - Digits after the point, 0-255
+     */
+    constructor(mantissa, decimals) {
+        this.mantissa = toBigInt(mantissa, 'Decimal');
+        checkDecimals(decimals);
+        this.decimals = decimals;
+        if (this.mantissa < INT256_MIN || this.mantissa > INT256_MAX) {
+            throw new Error(`Decimal mantissa ${this.mantissa} out of range for int256`);
+        }
+    }
+
+    /**
+     * Parse a decimal string such as '-12.50'
+     * @param {string} value - Digits with an optional sign and fraction
+     * @param {number} [decimals] - Scale to use; defaults to the digits after the point,
+     *   and throws if the value needs more
+     */
+    static parse(value, decimals) {
+        const match = typeof value === 'string' ? /^(-?)(\d+)(?:\.(\d+))?$/.exec(value) : null;
+        if (match === null) {
+            throw new Error(`Decimal must be a decimal string, got ${JSON.stringify(value)}`);
+        }
+        const [, sign, whole, fraction = ''] = match;
+        const parsed = new Decimal(BigInt(sign + whole + fraction), fraction.length);
+        return decimals === undefined ? parsed : parsed.rescale(decimals);
+    }
+
+    /**
+     * Same value with another number of decimals; throws if digits would be lost
+     * @param {number} decimals - Digits after the point, 0-255
+     */
+    rescale(decimals) {
+        checkDecimals(decimals);
+        if (decimals >= this.decimals) {
+            return new Decimal(this.mantissa * 10n ** BigInt(decimals - this.decimals), decimals);
+        }
+        const factor = 10n ** BigInt(this.decimals - decimals);
+        if (this.mantissa % factor !== 0n) {
+            throw new Error(`Decimal ${this} does not fit ${decimals} decimals`);
+        }
+        return new Decimal(this.mantissa / factor, decimals);
+    }
+
+    /** Exact decimal string with all `decimals` digits, e.g. '1.50' */
+    toString() {
+        const sign = this.mantissa < 0n ? '-' : '';
+        const digits = (this.mantissa < 0n ? -this.mantissa : this.mantissa).toString();
+        if (this.decimals === 0) return sign + digits;
+        const padded = digits.padStart(this.decimals + 1, '0');
+        return `${sign}${padded.slice(0, -this.decimals)}.${padded.slice(-this.decimals)}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    /** Same mantissa and decimals (1.5 and 1.50 encode differently, so they're not equal) */
+    equals(other) {
+        return other instanceof Decimal && this.mantissa === other.mantissa && this.decimals === other.decimals;
+    }
+}
+
+// Largest seconds value of a timestamp or duration
+const UINT64_MAX = (1n << 64n) - 1n;
+const NANOS_PER_SECOND = 1000000000;
+
+// Last millisecond a Date can represent
+const DATE_MAX_MS = 8640000000000000n;
+
+class Time {
+    constructor(seconds, nanoseconds, name) {
+        this.seconds = toBigInt(seconds, name);
+        if (this.seconds < 0n || this.seconds > UINT64_MAX) {
+            throw new Error(`${name} seconds ${this.seconds} out of range for uint64`);
+        }
+        if (!Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds >= NANOS_PER_SECOND) {
+            throw new Error(`Invalid ${name} nanoseconds ${nanoseconds}: expected an integer from 0 to 999999999`);
+        }
+        this.nanoseconds = nanoseconds;
+    }
+
+    // Seconds with the nanoseconds as a fraction, trailing zeros trimmed
+    _secondsString() {
+        if (this.nanoseconds === 0) return this.seconds.toString();
+        return `${this.seconds}.${String(this.nanoseconds).padStart(9, '0').replace(/0+$/, '')}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    equals(other) {
+        return other instanceof this.constructor &&
+            this.seconds === other.seconds && this.nanoseconds === other.nanoseconds;
+    }
+}
+
+/**
+ * Point in time: seconds since the Unix epoch (uint64, like block.timestamp) and optional
+ * nanoseconds; encodes as TIMESTAMP. A Date encodes as one too.
+ */
+export class Timestamp extends Time {
+    /**
+     * @param {number|bigint|string} seconds - Seconds since 1970-01-01T00:00:00Z
+     * @param {number} [nanoseconds=0] - 0-999999999
+     */
+    constructor(seconds, nanoseconds = 0) {
+        super(seconds, nanoseconds, 'Timestamp');
+    }
+
+    /**
+     * @param {Date} date - Date from 1970 on
+     */
+    static fromDate(date) {
+        const ms = date.getTime();
+        if (Number.isNaN(ms)) throw new Error('Invalid Date');
+        const seconds = Math.floor(ms / 1000);
+        return new Timestamp(seconds, (ms - seconds * 1000) * 1000000);
+    }
+
+    /** Date for this timestamp; sub-millisecond digits are dropped */
+    toDate() {
+        const ms = this.seconds * 1000n + BigInt(Math.floor(this.nanoseconds / 1000000));
+        if (ms > DATE_MAX_MS) {
+            throw new Error(`Timestamp ${this.seconds} is out of range for a Date`);
+        }
+        return new Date(Number(ms));
+    }
+
+    /** RFC 3339 UTC time with all nonzero fraction digits; seconds past the Date range */
+    toString() {
+        if (this.seconds * 1000n > DATE_MAX_MS) return `${this._secondsString()}s`;
+        const iso = new Date(Number(this.seconds) * 1000).toISOString().slice(0, 19);
+        const fraction = this._secondsString().split('.')[1];
+        return fraction === undefined ? `${iso}Z` : `${iso}.${fraction}Z`;
+    }
+}
+
+/**
+ * Length of time: seconds (uint64) and optional nanoseconds; encodes as DURATION
+ */
+export class Duration extends Time {
+    /**
+     * @param {number|bigint|string} seconds - Whole seconds
+     * @param {number} [nanoseconds=0] - 0-999999999
+     */
+    constructor(seconds, nanoseconds = 0) {
+        super(seconds, nanoseconds, 'Duration');
+    }
+
+    /**
+     * @param {number} ms - Non-negative milliseconds
+     */
+    static fromMilliseconds(ms) {
+        if (!Number.isInteger(ms)) throw new Error(`Duration milliseconds must be an integer, got ${ms}`);
+        const seconds = Math.floor(ms / 1000);
+        return new Duration(seconds, (ms - seconds * 1000) * 1000000);
+    }
+
+    /** Whole milliseconds, as a number */
+    toMilliseconds() {
+        return Number(this.seconds) * 1000 + Math.floor(this.nanoseconds / 1000000);
+    }
+
+    /** Seconds with a unit, e.g. '90s' or '1.5s' */
+    toString() {
+        return `${this._secondsString()}s`;
+    }
+}
@@ -0,0 +1,44 @@
+// SolidityPack Lazy Views
+
+import type { ByteArray, BytesInput } from './bytes.js';
+import type { DecodedValue, DecodedMapKey, DecoderOptions, TypeCategory } from './decoder.js';
+
+/**
+ * Lazy view of one encoded value; nothing is decoded until asked for
+ */
+export declare class View {
+    /**
+     * @param data - Encoded bytes or hex string (bytes are not copied)
+     * @param offset - Byte offset of the value within `data`
+     */
+    constructor(data: BytesInput, options?: DecoderOptions, offset?: number);
+
+    readonly data: ByteArray;
+    readonly options: DecoderOptions;
+    readonly offset: number;
+
+    readonly category: TypeCategory;
+    /** Number of entries (maps) or items (arrays) */
+    readonly length: number;
+
+    /** View of the value under string `key` in a map, or undefined if absent; other key types never match */
+    find(key: string): View | undefined;
+    /** View of the value under `key` in a map; throws if absent */
+    get(key: string): View;
+    has(key: string): boolean;
+    /** Map keys as decodeMapKey() returns them */
+    keys(): DecodedMapKey[];
+    /** View of the item at `index` in an array (negative counts from the end) */
+    at(index: number): View;
+    /** Follow a JSON pointer (RFC 6901), e.g. '/user/balances/3' */
+    path(pointer: string): View;
+    /** Decode this value (and only this value) */
+    value<T = DecodedValue>(): T;
+    /** Encoded bytes of this value, sharing memory with the source */
+    bytes(): ByteArray;
+}
+
+/**
+ * Create a lazy view over encoded data
+ */
+export declare function view(data: BytesInput, options?: DecoderOptions): View;
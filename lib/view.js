@@ -0,0 +1,173 @@
+// SolidityPack Lazy View
+// Random access into encoded maps and arrays without decoding the whole payload
+
+import { Decoder, TypeCategory } from './decoder.js';
+import { wrapBytes, hexToBytes } from './bytes.js';
+
+/**
+ * A read-only window onto one encoded value. Navigating with get()/at()/path()
+ * skips over siblings; only value() decodes, and only the value it is called on.
+ */
+class View {
+    /**
+     * @param {Uint8Array|string} data - Encoded bytes or hex string (bytes are not copied)
+     * @param {Object} [options] - Decoder options (e.g. { strict: true, msgpack: true })
+     * @param {number} [offset=0] - Byte offset of the value within `data`
+     */
+    constructor(data, options = {}, offset = 0) {
+        this.data = typeof data === 'string' ? hexToBytes(data) : wrapBytes(data);
+        this.options = options;
+        this.offset = offset;
+    }
+
+    _decoder() {
+        const decoder = new Decoder(this.data, this.options);
+        decoder.pos = this.offset;
+        return decoder;
+    }
+
+    _child(offset) {
+        return new View(this.data, this.options, offset);
+    }
+
+    get category() {
+        return this._decoder().peekCategory();
+    }
+
+    /**
+     * Number of entries (maps) or items (arrays)
+     */
+    get length() {
+        const decoder = this._decoder();
+        const category = decoder.peekCategory();
+        if (category === TypeCategory.MAP) return decoder.decodeMapLength();
+        if (category === TypeCategory.ARRAY) return decoder.decodeArrayLength();
+        throw new Error(`Not a map or array (got ${category})`);
+    }
+
+    /**
+     * View of the value stored under string `key` in a map, or undefined if absent.
+     * Keys of other types never match and are skipped.
+     */
+    find(key) {
+        const decoder = this._decoder();
+        const category = decoder.peekCategory();
+        if (category !== TypeCategory.MAP) {
+            throw new Error(`Not a map (got ${category})`);
+        }
+
+        const len = decoder.decodeMapLength();
+        for (let i = 0; i < len; i++) {
+            if (decoder.peekCategory() !== TypeCategory.STRING) {
+                decoder.skip();
+            } else if (decoder.decodeString() === key) {
+                return this._child(decoder.pos);
+            }
+            decoder.skip();
+        }
+        return undefined;
+    }
+
+    /**
+     * View of the value stored under `key` in a map; throws if absent
+     */
+    get(key) {
+        const child = this.find(key);
+        if (child === undefined) throw new Error(`Key "${key}" not found`);
+        return child;
+    }
+
+    has(key) {
+        return this.find(key) !== undefined;
+    }
+
+    keys() {
+        const decoder = this._decoder();
+        const category = decoder.peekCategory();
+        if (category !== TypeCategory.MAP) {
+            throw new Error(`Not a map (got ${category})`);
+        }
+
+        const len = decoder.decodeMapLength();
+        const keys = [];
+        for (let i = 0; i < len; i++) {
+            keys.push(decoder.decodeMapKey());
+            decoder.skip();
+        }
+        return keys;
+    }
+
+    /**
+     * View of the item at `index` in an array (negative counts from the end)
+     */
+    at(index) {
+        const decoder = this._decoder();
+        const category = decoder.peekCategory();
+        if (category !== TypeCategory.ARRAY) {
+            throw new Error(`Not an array (got ${category})`);
+        }
+
+        const len = decoder.decodeArrayLength();
+        const i = index < 0 ? index + len : index;
+        if (!Number.isInteger(i) || i < 0 || i >= len) {
+            throw new Error(`Index ${index} out of range (length ${len})`);
+        }
+        for (let j = 0; j < i; j++) decoder.skip();
+        return this._child(decoder.pos);
+    }
+
+    /**
+     * Follow a JSON pointer (RFC 6901), e.g. '/user/balances/3'
+     */
+    path(pointer) {
+        if (pointer === '') return this;
+        if (!pointer.startsWith('/')) {
+            throw new Error(`Invalid JSON pointer "${pointer}": must start with "/"`);
+        }
+
+        let current = this;
+        for (const token of pointer.slice(1).split('/')) {
+            const segment = token.replace(/~1/g, '/').replace(/~0/g, '~');
+            try {
+                if (current.category === TypeCategory.ARRAY) {
+                    if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+                        throw new Error(`"${segment}" is not an array index`);
+                    }
+                    current = current.at(Number(segment));
+                } else {
+                    current = current.get(segment);
+                }
+            } catch (e) {
+                throw new Error(`Cannot resolve "${pointer}": ${e.message}`);
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Decode this value (and only this value)
+     */
+    value() {
+        return this._decoder().decode();
+    }
+
+    /**
+     * Encoded bytes of this value, sharing memory with the source buffer
+     */
+    bytes() {
+        const decoder = this._decoder();
+        decoder.skip();
+        return this.data.subarray(this.offset, decoder.pos);
+    }
+}
+
+/**
+ * Create a lazy view over encoded data
+ * @param {Uint8Array|string} data - Encoded bytes or hex string
+ * @param {Object} [options] - Decoder options (e.g. { strict: true, msgpack: true })
+ */
+export function view(data, options = {}) {
+    return new View(data, options);
+}
+
+export { View };
@@ -0,0 +1,22 @@
+// Browser profile: no Node types, so bytes are plain Uint8Array
+
+import { encode, type ByteArray } from 'soliditypack/encoder';
+import { decode, type DecodedValue } from 'soliditypack/decoder';
+import { decodeAll } from 'soliditypack/helpers';
+import { defineSchema, type Infer } from 'soliditypack/schema';
+import { keccak256 } from 'soliditypack/keccak';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+declare function assertType<T extends true>(): void;
+
+const data = encode({ a: [1, 2n] });
+assertType<Equal<typeof data, Uint8Array>>();
+assertType<Equal<ReturnType<typeof keccak256>, Uint8Array>>();
+
+const value: DecodedValue = decode(data);
+const values: DecodedValue[] = decodeAll(new Uint8Array(data));
+
+const Blob = defineSchema({ payload: 'bytes' });
+assertType<Equal<Infer<typeof Blob>, { payload: Uint8Array }>>();
+void value;
+void values;
@@ -0,0 +1,185 @@
+// Type-level tests: compiled with `npm run test:types`, never executed
+
+import {
+    encode,
+    decode,
+    Encoder,
+    Decoder,
+    TypeCategory,
+    View,
+    defineSchema,
+    Schema,
+    Address,
+    Uint,
+    Decimal,
+    Timestamp,
+    Duration,
+    TruncatedInputError,
+    hashTypedData,
+    hashStruct,
+    Ext,
+    registerExtension,
+    type ByteArray,
+    type DecodedValue,
+    type Infer,
+    type InferInput,
+    type MapKey,
+    type DecodedMapKey
+} from 'soliditypack';
+import { decodeTypedArray, decodeAll, decodeWithType, decodeStats } from 'soliditypack/helpers';
+import { toAbi } from 'soliditypack/abi';
+import { tokenize } from 'soliditypack/disassemble';
+import { toTypedJSON, fromTypedJSON } from 'soliditypack/typedjson';
+import { StreamEncoder } from 'soliditypack/stream';
+
+// Registered extension types join EncodableValue and DecodedValue through ExtensionTypes
+class Point {
+    constructor(readonly x: number, readonly y: number) {}
+}
+declare module 'soliditypack/ext' {
+    interface ExtensionTypes {
+        point: Point;
+    }
+}
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+declare function assertType<T extends true>(): void;
+declare function expectType<T>(value: T): void;
+
+const data = encode({ owner: new Address('0x' + '11'.repeat(20)), amount: 5n, tags: ['a'] });
+
+// Encoded output is a Buffer under Node's types
+expectType<Buffer>(data);
+assertType<ByteArray extends Buffer ? true : false>();
+encode(new Uint8Array([1, 2]));
+encode([1, 'x', null, true, new Uint(5, 64), { nested: [2n] }]);
+// @ts-expect-error functions are not encodable
+encode(() => 1);
+
+// Extensions
+registerExtension(0x10, Point, point => new Uint8Array([point.x, point.y]), payload => new Point(payload[0], payload[1]));
+// @ts-expect-error decode must return the registered class
+registerExtension(0x11, Point, () => new Uint8Array(0), () => 'point');
+encode({ at: new Point(1, 2), raw: new Ext(0x90, '0x') });
+expectType<Ext>(new Decoder(encode(new Ext(1, '0x'))).decodeExt());
+assertType<Point extends DecodedValue ? true : false>();
+
+// Decimals
+encode({ price: Decimal.parse('19.99'), fee: new Decimal(5n, 4).rescale(18) });
+expectType<Decimal>(new Decoder(encode(Decimal.parse('1.5'))).decodeDecimal());
+expectType<bigint>(Decimal.parse('1.5').mantissa);
+assertType<Decimal extends DecodedValue ? true : false>();
+new Encoder().encodeDecimal(150n, 2);
+
+// Timestamps and durations
+encode({ at: new Date(), expires: new Timestamp(1700000000n, 5), ttl: Duration.fromMilliseconds(1500) });
+expectType<Date | bigint | Timestamp>(new Decoder(encode(new Date()), { timestamp: 'bigint' }).decodeTimestamp());
+expectType<Timestamp>(new Decoder(encode(new Date())).decodeTimestamp('timestamp'));
+expectType<bigint>(new Decoder(encode(new Date())).decodeTimestamp('bigint'));
+expectType<Duration>(new Decoder(encode(new Duration(90))).decodeDuration());
+assertType<Date extends DecodedValue ? true : false>();
+// @ts-expect-error unknown timestamp output
+new Decoder('0x', { timestamp: 'iso' });
+new Encoder().encodeTimestamp(1700000000n).encodeDuration(90, 500);
+
+// Maps take typed keys, Sets encode as arrays
+encode(new Map<MapKey, bigint>([[new Address('0x' + '11'.repeat(20)), 1n], [5, 2n]]));
+encode(new Set([1, 2]));
+
+// decode() is DecodedValue unless the caller names the result type
+const value = decode(data);
+assertType<Equal<typeof value, DecodedValue>>();
+const typed = decode<{ amount: bigint }>(data, { bigint: 'always' });
+expectType<bigint>(typed.amount);
+// @ts-expect-error unknown option value
+decode(data, { bigint: 'sometimes' });
+const balances = decode<Map<DecodedMapKey, bigint>>(data, { map: 'map', bigint: 'always' });
+expectType<bigint | undefined>(balances.get(5n));
+
+// TypeCategory values are checked string literals
+assertType<Equal<typeof TypeCategory.UINT, 'UINT'>>();
+decodeTypedArray(encode([1, 2]), 'UINT');
+decodeTypedArray(encode([1, 2]), TypeCategory.STRING);
+// @ts-expect-error not a TypeCategory
+decodeTypedArray(encode([1, 2]), 'UINT256');
+expectType<TypeCategory>(decodeWithType(data).type);
+expectType<number | undefined>(decodeStats(data).types.MAP);
+expectType<DecodedValue[]>(decodeAll(data));
+
+// Encoder methods chain
+const hex: string = new Encoder({ canonical: true }).startMap(1).encodeString('a').encodeUint(1).toHex();
+const decoder = new Decoder(hex, { strict: true });
+expectType<TypeCategory>(decoder.peekCategory());
+expectType<number>(decoder.pos);
+expectType<DecodedMapKey>(decoder.decodeMapKey());
+
+// Views
+const field: View | undefined = new View(data).find('amount');
+expectType<bigint>(new View(data).get('amount').value<bigint>());
+
+// Schema-inferred types
+const Order = defineSchema({
+    owner: 'address',
+    amount: 'uint256',
+    count: 'uint32',
+    delta: 'int',
+    tags: ['string'],
+    meta: { id: 'uint8', ok: 'bool' },
+    proof: 'bytes',
+    salt: 'bytes32'
+});
+
+type OrderValue = Infer<typeof Order>;
+assertType<Equal<OrderValue, {
+    owner: string;
+    amount: bigint;
+    count: number;
+    delta: bigint;
+    tags: string[];
+    meta: { id: number; ok: boolean };
+    proof: ByteArray;
+    salt: string;
+}>>();
+const decodedOrder = Order.decode(data);
+assertType<Equal<typeof decodedOrder, OrderValue>>();
+
+const order = {
+    owner: '0x' + '22'.repeat(20),
+    amount: 10,
+    count: 3,
+    delta: -1n,
+    tags: ['x'],
+    meta: { id: 1, ok: true },
+    proof: new Uint8Array(0),
+    salt: '0x' + '00'.repeat(32)
+};
+Order.encode(order);
+// @ts-expect-error missing field
+Order.encode({ ...order, meta: { id: 1 } });
+// @ts-expect-error wrong field type
+Order.encode({ ...order, count: '3' });
+expectType<InferInput<typeof Order>['amount']>(10n);
+
+// Nested schemas infer through
+const Batch = defineSchema({ orders: [Order], id: 'uint64' });
+assertType<Equal<Infer<typeof Batch>, { orders: OrderValue[]; id: bigint }>>();
+expectType<Schema<{ readonly orders: readonly [typeof Order]; readonly id: 'uint64' }>>(Batch);
+// @ts-expect-error unknown scalar type
+defineSchema({ a: 'uint256x' as 'float' });
+
+hashTypedData({ name: 'App', chainId: 1 }, 'Order', Order, order);
+expectType<string>(hashStruct('Order', Order, Order.encode(order)));
+
+// Structured errors
+const error = new TruncatedInputError(3, 'UINT', 2, 0);
+expectType<number>(error.offset);
+expectType<TypeCategory | null>(error.expected);
+
+// The rest of the surface
+expectType<Buffer>(toAbi(data, ['address', { type: 'uint256', name: 'amount' }]));
+const token = tokenize(data)[0];
+if ('error' in token) expectType<string>(token.error);
+else expectType<string>(token.name);
+expectType<Buffer>(fromTypedJSON(toTypedJSON(data)));
+new StreamEncoder(chunk => expectType<Uint8Array>(chunk), { chunkSize: 1024 }).encode(1).end();
+void field;
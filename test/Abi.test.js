@@ -0,0 +1,223 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { readFileSync } from 'fs';
+import { encode, Encoder } from '../lib/encoder.js';
+import { decode } from '../lib/decoder.js';
+import { toAbi, fromAbi } from '../lib/abi.js';
+import { Timestamp } from '../lib/values.js';
+
+describe('ABI Conversion', function () {
+    const { ethers } = hre;
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    const OWNER = '0x' + '11'.repeat(20);
+    const TOKEN = '0x' + '22'.repeat(20);
+    const SALT = '0x' + 'ab'.repeat(32);
+
+    // Parameter objects as they appear in a compiled artifact's `abi`
+    const ORDER = [{
+        name: 'order',
+        type: 'tuple',
+        components: [
+            { name: 'owner', type: 'address' },
+            { name: 'salt', type: 'bytes32' },
+            { name: 'delta', type: 'int64' },
+            { name: 'memo', type: 'string' },
+            { name: 'legs', type: 'tuple[]', components: [
+                { name: 'token', type: 'address' },
+                { name: 'amount', type: 'uint256' }
+            ] }
+        ]
+    }];
+    const ORDER_TYPE = '(address,bytes32,int64,string,(address,uint256)[])';
+
+    const order = {
+        owner: OWNER,
+        salt: SALT,
+        delta: -42n,
+        memo: 'gm \u{1f600}',
+        legs: [
+            { token: TOKEN, amount: 10n ** 24n },
+            { token: OWNER, amount: 1n }
+        ]
+    };
+
+    let abiTest;
+
+    before(async function () {
+        const AbiTest = await ethers.getContractFactory('AbiTest');
+        abiTest = await AbiTest.deploy();
+    });
+
+    describe('toAbi', function () {
+        it('should match ethers for scalar types', function () {
+            const types = ['address', 'uint256', 'int8', 'bool', 'bytes32', 'bytes4', 'bytes', 'string'];
+            const values = [OWNER, 2n ** 255n, -128n, true, SALT, '0xdeadbeef', '0x0102', 'hello'];
+
+            const packed = new Encoder()
+                .startArray(values.length)
+                .encodeAddress(OWNER)
+                .encodeUint(2n ** 255n)
+                .encodeInt(-128n)
+                .encodeBool(true)
+                .encodeBytes32(SALT)
+                .encodeBytes('0xdeadbeef')
+                .encodeBytes('0x0102')
+                .encodeString('hello')
+                .getEncoded();
+
+            expect('0x' + toAbi(packed, types).toString('hex')).to.equal(coder.encode(types, values));
+        });
+
+        it('should match ethers for arrays and tuples', function () {
+            const types = ['uint16[]', 'address[2]', '(string,uint8[])[]'];
+            const values = [[1, 2, 3], [OWNER, TOKEN], [['a', [1]], ['bc', []]]];
+
+            expect('0x' + toAbi(encode(values), types).toString('hex')).to.equal(coder.encode(types, values));
+        });
+
+        it('should read maps by artifact parameter names', async function () {
+            const data = toAbi(encode({ order }), ORDER);
+            expect('0x' + data.toString('hex')).to.equal(coder.encode([ORDER_TYPE], [[
+                OWNER, SALT, -42n, order.memo, [[TOKEN, 10n ** 24n], [OWNER, 1n]]
+            ]]));
+
+            const decoded = await abiTest.testDecodeOrder(data);
+            expect(decoded.owner.toLowerCase()).to.equal(OWNER);
+            expect(decoded.delta).to.equal(-42n);
+            expect(decoded.memo).to.equal(order.memo);
+            expect(decoded.legs[0].amount).to.equal(10n ** 24n);
+        });
+
+        it('should read maps by explicit field names', async function () {
+            const data = toAbi(
+                encode({ ids: [7, 8], who: OWNER, open: true, value: 5 }),
+                ['address', 'uint256', 'bool', 'uint16[]'],
+                ['who', 'value', 'open', 'ids']
+            );
+
+            const [owner, amount, open, ids] = await abiTest.testDecodeFlat(data);
+            expect(owner.toLowerCase()).to.equal(OWNER);
+            expect(amount).to.equal(5n);
+            expect(open).to.equal(true);
+            expect(ids.map(Number)).to.deep.equal([7, 8]);
+        });
+
+        it('should write timestamps as their uint64 seconds', function () {
+            const data = encode({ at: new Timestamp(1700000000n, 500000000), far: new Timestamp(2n ** 62n) });
+            expect('0x' + toAbi(data, ['uint64', 'uint64'], ['at', 'far']).toString('hex'))
+                .to.equal(coder.encode(['uint64', 'uint64'], [1700000000n, 2n ** 62n]));
+        });
+
+        it('should accept plain Uint8Array data and bytes values', function () {
+            const types = ['bytes', 'bytes4', 'address'];
+            const values = ['0xbeef', '0xdeadbeef', OWNER];
+            const data = new Uint8Array(encode(values.map(value => new Uint8Array(Buffer.from(value.slice(2), 'hex')))));
+            expect('0x' + toAbi(data, types).toString('hex')).to.equal(coder.encode(types, values));
+            expect(decode(fromAbi(new Uint8Array(Buffer.from(coder.encode(types, values).slice(2), 'hex')), types)))
+                .to.deep.equal([Buffer.from('beef', 'hex'), Buffer.from('deadbeef', 'hex'), OWNER]);
+        });
+
+        it('should reject values that do not fit the ABI types', function () {
+            expect(() => toAbi(encode([256]), ['uint8'])).to.throw('ABI value "0": value 256 out of range for uint8');
+            expect(() => toAbi(encode([-1]), ['uint256'])).to.throw('out of range for uint256');
+            expect(() => toAbi(encode(['x']), ['bool'])).to.throw('ABI value "0": expected bool, got string');
+            expect(() => toAbi(encode([[1, 2]]), ['uint8[3]'])).to.throw('expected 3 items, got 2');
+            expect(() => toAbi(encode([1, 2]), ['uint8'])).to.throw('expected 1 values, got 2');
+            expect(() => toAbi(encode({ a: 1 }), ['uint8'])).to.throw('a map needs named ABI components');
+            expect(() => toAbi(encode({ a: 1 }), ['uint8'], ['b'])).to.throw('ABI value "b": missing value');
+            expect(() => toAbi(encode([1]), ['uint7'])).to.throw('Invalid ABI type: uint7');
+            expect(() => toAbi(encode([1]), ['uint8'], ['a', 'b'])).to.throw('Expected 1 field names, got 2');
+        });
+    });
+
+    describe('fromAbi', function () {
+        it('should map ABI types to SolidityPack tags', function () {
+            const types = ['address', 'bytes32', 'uint256', 'int16', 'bytes2', 'bool', 'string'];
+            const values = [OWNER, SALT, 300n, -2n, '0xbeef', false, 'hi'];
+
+            const expected = new Encoder()
+                .startArray(values.length)
+                .encodeAddress(OWNER)
+                .encodeBytes32(SALT)
+                .encodeUint(300n)
+                .encodeInt(-2n)
+                .encodeBytes('0xbeef')
+                .encodeBool(false)
+                .encodeString('hi')
+                .getEncoded();
+
+            expect(fromAbi(coder.encode(types, values), types).equals(expected)).to.equal(true);
+        });
+
+        it('should encode named tuples as maps', async function () {
+            const data = await abiTest.testEncodeOrder(order);
+            const packed = fromAbi(data, ORDER);
+
+            const expected = new Encoder()
+                .startMap(1).encodeString('order')
+                .startMap(5)
+                .encodeString('owner').encodeAddress(OWNER)
+                .encodeString('salt').encodeBytes32(SALT)
+                .encodeString('delta').encodeInt(-42n)
+                .encodeString('memo').encodeString(order.memo)
+                .encodeString('legs').startArray(2)
+                .startMap(2).encodeString('token').encodeAddress(TOKEN).encodeString('amount').encodeUint(10n ** 24n)
+                .startMap(2).encodeString('token').encodeAddress(OWNER).encodeString('amount').encodeUint(1n)
+                .getEncoded();
+
+            expect(packed.equals(expected)).to.equal(true);
+            const decoded = decode(packed);
+            expect(decoded.order.legs[1].token).to.equal(OWNER);
+            expect(decoded.order.memo).to.equal(order.memo);
+        });
+
+        it('should use field names for the top level', function () {
+            const data = coder.encode(['uint256', 'address[]'], [1n, [OWNER]]);
+            expect(decode(fromAbi(data, ['uint256', 'address[]'], ['n', 'who']))).to.deep.equal({
+                n: 1,
+                who: [OWNER]
+            });
+            expect(decode(fromAbi(data, ['uint256', 'address[]']))).to.deep.equal([1, [OWNER]]);
+        });
+
+        it('should round trip through toAbi', function () {
+            const types = [ORDER_TYPE, 'uint256[2][]'];
+            const data = coder.encode(types, [
+                [OWNER, SALT, 7n, '', []],
+                [[1n, 2n], [3n, 4n]]
+            ]);
+            expect('0x' + toAbi(fromAbi(data, types), types).toString('hex')).to.equal(data);
+        });
+
+        it('should convert arguments using an artifact ABI', async function () {
+            const artifact = JSON.parse(readFileSync(new URL(
+                '../artifacts/contracts/examples/ImprovedAPIExample.sol/ImprovedAPIExample.json',
+                import.meta.url
+            )));
+            const { inputs } = artifact.abi.find(entry => entry.name === 'encodeTransaction');
+            const args = [OWNER, TOKEN, 10n ** 18n, 3n, SALT];
+
+            const packed = fromAbi(coder.encode(inputs.map(input => input.type), args), inputs);
+
+            // Same map the contract builds from its arguments
+            const Example = await ethers.getContractFactory('ImprovedAPIExample');
+            const example = await Example.deploy();
+            expect('0x' + packed.toString('hex')).to.equal(await example.encodeTransaction(...args));
+
+            expect(toAbi(packed, inputs).equals(fromHex(coder.encode(inputs.map(input => input.type), args))))
+                .to.equal(true);
+        });
+
+        it('should reject malformed ABI data', function () {
+            expect(() => fromAbi('0x' + '00'.repeat(31), ['uint256'])).to.throw('ABI data too short');
+            expect(() => fromAbi(coder.encode(['uint256'], [256n]), ['uint8'])).to.throw('out of range for uint8');
+            expect(() => fromAbi(coder.encode(['uint256'], [2n]), ['bool'])).to.throw('is not a bool');
+            expect(() => fromAbi(coder.encode(['uint256'], [2n ** 64n]), ['bytes'])).to.throw('exceeds data size');
+        });
+    });
+});
+
+function fromHex(hex) {
+    return Buffer.from(hex.slice(2), 'hex');
+}
@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder } from '../lib/encoder.js';
+import { decode } from '../lib/decoder.js';
+import { Address } from '../lib/values.js';
+import { fromTypedJSON } from '../lib/typedjson.js';
+import { toAbi } from '../lib/abi.js';
+import { defineSchema } from '../lib/schema.js';
+import { toChecksumAddress, isValidChecksum } from '../lib/address.js';
+import { keccak256 } from '../lib/keccak.js';
+
+describe('Address Checksums', function () {
+    const { ethers } = hre;
+    const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+    const BAD = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD';
+
+    describe('keccak256', function () {
+        it('should match ethers for empty, short and multi-block input', function () {
+            for (const length of [0, 1, 135, 136, 137, 500]) {
+                const data = Buffer.alloc(length, 0xab);
+                expect('0x' + keccak256(data).toString('hex')).to.equal(ethers.keccak256(data));
+            }
+        });
+
+        it('should hash strings as UTF-8', function () {
+            expect('0x' + keccak256('héllo').toString('hex')).to.equal(ethers.id('héllo'));
+        });
+    });
+
+    describe('isValidChecksum', function () {
+        it('should accept checksummed, lowercase and uppercase addresses', function () {
+            expect(isValidChecksum(CHECKSUMMED)).to.be.true;
+            expect(isValidChecksum(CHECKSUMMED.toLowerCase())).to.be.true;
+            expect(isValidChecksum('0x' + CHECKSUMMED.slice(2).toUpperCase())).to.be.true;
+        });
+
+        it('should reject a bad checksum and malformed input', function () {
+            expect(isValidChecksum(BAD)).to.be.false;
+            expect(isValidChecksum(CHECKSUMMED.slice(2))).to.be.false;
+            expect(isValidChecksum('0x1234')).to.be.false;
+        });
+
+        it('should agree with ethers on random addresses', function () {
+            for (let i = 0; i < 20; i++) {
+                const address = ethers.Wallet.createRandom().address;
+                expect(toChecksumAddress(address.toLowerCase())).to.equal(ethers.getAddress(address));
+                expect(isValidChecksum(address)).to.be.true;
+            }
+        });
+    });
+
+    describe('Encoding', function () {
+        it('should reject mixed-case addresses with a bad checksum', function () {
+            expect(() => new Encoder().encodeAddress(BAD)).to.throw(`Invalid address checksum: ${BAD}`);
+            expect(() => new Address(BAD)).to.throw('Invalid address checksum');
+            expect(() => fromTypedJSON({ $address: BAD })).to.throw('Invalid address checksum');
+            expect(() => toAbi(new Encoder().startArray(1).encodeString(BAD).getEncoded(), ['address']))
+                .to.throw('invalid address checksum');
+        });
+
+        it('should reject bad checksums in schema fields', function () {
+            const Transfer = defineSchema({ to: 'address' });
+            expect(() => Transfer.encode({ to: BAD })).to.throw('Invalid address checksum');
+        });
+
+        it('should encode any valid form to the same bytes', function () {
+            const expected = new Encoder().encodeAddress(CHECKSUMMED).getEncoded();
+            for (const form of [CHECKSUMMED.toLowerCase(), '0x' + CHECKSUMMED.slice(2).toUpperCase(), CHECKSUMMED.slice(2)]) {
+                expect(new Encoder().encodeAddress(form).getEncoded()).to.deep.equal(expected);
+            }
+            expect(new Address(CHECKSUMMED).toString()).to.equal(CHECKSUMMED.toLowerCase());
+        });
+
+        it('should round-trip to the checksummed form', function () {
+            const data = new Encoder().encodeAddress(CHECKSUMMED.toLowerCase()).getEncoded();
+            expect(decode(data, { address: 'checksum' })).to.equal(CHECKSUMMED);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encode, encodeToHex } from '../lib/encoder.js';
+import { decode, isCanonical, assertCanonical } from '../lib/decoder.js';
+import { decodeAll } from '../lib/helpers.js';
+import { NonCanonicalError } from '../lib/errors.js';
+
+const CANONICAL = { canonical: true };
+
+// [hex, reason] pairs that are well-formed but not canonical
+const NON_CANONICAL = [
+    ['0xc405', '5 is not minimally encoded'],                   // uint8 for a fixint
+    ['0xc500ff', '255 is not minimally encoded'],               // uint16 for a uint8
+    ['0xc9' + '00'.repeat(16) + '01' + '00'.repeat(15), 'not minimally encoded'], // uint256 < 2^128
+    ['0xcafb', '-5 is not minimally encoded'],                  // int8 for a negative fixint
+    ['0xca05', '5 is not minimally encoded'],                   // int8 for a positive value
+    ['0xcb012c', '300 is not minimally encoded'],               // int16 for a uint16
+    ['0xcbff80', '-128 is not minimally encoded'],              // int16 for an int8
+    ['0xd2026869', 'length 2 fits a shorter header than 0xd2'], // str8 for a fixstr
+    ['0xd1000101', 'length 1 fits a shorter header than 0xd1'], // bytes16 for bytes8
+    ['0xdb000000026869', 'length 2 fits a shorter header than 0xdb'],
+    ['0xd60101', 'length 1 fits a shorter header than 0xd6'],   // array8 for a fixarray
+    ['0xdd00000000', 'length 0 fits a shorter header than 0xdd'],
+    ['0x82a16201a16102', 'map key "a" out of order'],
+    ['0x82a16101a16102', 'duplicate map key "a"'],
+    ['0x810101', 'map keys must be strings'],
+    ['0x91c405', '5 is not minimally encoded']                  // nested
+];
+
+describe('Canonical Encoding', function () {
+    let canonicalTest;
+
+    before(async function () {
+        const CanonicalTest = await hre.ethers.getContractFactory('CanonicalTest');
+        canonicalTest = await CanonicalTest.deploy();
+    });
+
+    describe('Encoder', function () {
+        it('should sort map keys bytewise at every level', function () {
+            const a = encode({ b: 1, a: { z: 1, y: 2 }, A: 3 }, CANONICAL);
+            const b = encode({ A: 3, a: { y: 2, z: 1 }, b: 1 }, CANONICAL);
+
+            expect(a.equals(b)).to.be.true;
+            expect(Object.keys(decode(a))).to.deep.equal(['A', 'a', 'b']);
+            expect(isCanonical(a)).to.be.true;
+            expect(isCanonical(encode({ b: 1, a: 2 }))).to.be.false;
+        });
+
+        it('should order keys by UTF-8 bytes, not UTF-16 code units', function () {
+            // U+1F600 is a surrogate pair (0xD83D...) in UTF-16 but starts with 0xF0 in UTF-8
+            expect(['\u{ff61}', '\u{1f600}'].sort()).to.deep.equal(['\u{1f600}', '\u{ff61}']);
+
+            const keys = Object.keys(decode(encode({ '\u{1f600}': 1, '\u{ff61}': 2 }, CANONICAL)));
+            expect(keys).to.deep.equal(['\u{ff61}', '\u{1f600}']);
+        });
+
+        it('should encode numbers and BigInts identically', function () {
+            for (const value of [0, 127, 128, 65536, -33, -2147483649, Number.MAX_SAFE_INTEGER]) {
+                expect(encodeToHex(value, CANONICAL)).to.equal(encodeToHex(BigInt(value), CANONICAL));
+            }
+        });
+
+        it('should reject undefined and inexact numbers', function () {
+            expect(() => encode(undefined, CANONICAL)).to.throw('Cannot encode undefined in canonical mode');
+            expect(() => encode({ a: undefined }, CANONICAL)).to.throw('Cannot encode undefined in canonical mode');
+            expect(() => encode(2 ** 64, CANONICAL)).to.throw('Non-canonical number 18446744073709552000');
+            expect(() => new Encoder().encodeUint(1.5)).to.not.throw();
+            expect(encode(null, CANONICAL).toString('hex')).to.equal('c0');
+        });
+    });
+
+    describe('Validation', function () {
+        it('should accept canonical input', function () {
+            const value = { amount: 10n ** 30n, owner: 'x'.repeat(40), list: new Array(20).fill(-200), neg: -(2n ** 200n) };
+
+            expect(isCanonical(encode(value, CANONICAL))).to.be.true;
+            expect(decode(encode(value, CANONICAL), CANONICAL)).to.deep.equal(value);
+            expect(decodeAll(Buffer.concat([encode(1), encode('a')]), CANONICAL)).to.deep.equal([1, 'a']);
+        });
+
+        it('should report why input is not canonical', function () {
+            for (const [hex, reason] of NON_CANONICAL) {
+                expect(isCanonical(hex), hex).to.be.false;
+                expect(() => assertCanonical(hex), hex).to.throw(NonCanonicalError, reason);
+            }
+
+            const err = catchError(() => decode('0x91c405', CANONICAL));
+            expect(err).to.be.instanceOf(NonCanonicalError);
+            expect(err.offset).to.equal(1);
+            expect(decode('0x91c405')).to.deep.equal([5]);
+        });
+
+        it('should treat malformed input as not canonical', function () {
+            expect(isCanonical('0x')).to.be.false;
+            expect(isCanonical('0xc1')).to.be.false;
+            expect(isCanonical('0xd3ff')).to.be.false;
+            expect(isCanonical('0x92c0')).to.be.false;
+        });
+    });
+
+    describe('Solidity isCanonical', function () {
+        it('should agree with the JS validator', async function () {
+            const canonical = [
+                encode({ amount: 10n ** 30n, to: '0x' + '11'.repeat(20), memo: 'hi', tags: ['a', 'b'] }, CANONICAL),
+                encode({ big: 2n ** 255n, small: -(2n ** 255n), edge: [127, 128, -32, -33, 255, 256, -128, -129] }, CANONICAL),
+                encode({ text: 'x'.repeat(300), blob: Buffer.alloc(300), list: new Array(300).fill(0) }, CANONICAL),
+                encode({ '\u{ff61}': 1, '\u{1f600}': 2, a: 3, ab: 4, b: 5 }, CANONICAL),
+                Buffer.concat([encode(1), encode(2)])
+            ];
+
+            for (const data of canonical) {
+                expect(isCanonical(data)).to.be.true;
+                expect(await canonicalTest.testIsCanonical(data)).to.be.true;
+            }
+            for (const [hex] of NON_CANONICAL) {
+                expect(await canonicalTest.testIsCanonical(hex), hex).to.be.false;
+            }
+            for (const hex of ['0x', '0xc1', '0xd3ff', '0x92c0', '0xcc']) {
+                expect(await canonicalTest.testIsCanonical(hex), hex).to.be.false;
+            }
+        });
+
+        it('should hash to the same value in JS and Solidity', async function () {
+            const data = encode({ nonce: 7, to: '0x' + '22'.repeat(20), amount: 10n ** 18n }, CANONICAL);
+
+            expect(await canonicalTest.testHash(data)).to.equal(hre.ethers.keccak256(data));
+        });
+    });
+});
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    throw new Error('Expected an error');
+}
@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Encoder, encodeToHex } from '../lib/encoder.js';
+import { Timestamp } from '../lib/values.js';
+
+const BIN = fileURLToPath(new URL('../bin/soliditypack.js', import.meta.url));
+
+function run(args, input) {
+    const result = spawnSync(process.execPath, [BIN, ...args], { input, encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout.trim(), stderr: result.stderr.trim() };
+}
+
+describe('Command-line Tool', function () {
+    const data = { name: 'Alice', big: 2n ** 100n, tags: [1, -2, true, null] };
+    const hex = encodeToHex(data);
+
+    it('should decode hex arguments and stdin to JSON', function () {
+        const expected = {
+            name: 'Alice',
+            big: (2n ** 100n).toString() + 'n',
+            tags: [1, -2, true, null]
+        };
+        expect(JSON.parse(run(['decode', hex]).stdout)).to.deep.equal(expected);
+        expect(JSON.parse(run(['decode'], hex + '\n').stdout)).to.deep.equal(expected);
+        expect(JSON.parse(run(['decode'], Buffer.from(hex.slice(2), 'hex')).stdout)).to.deep.equal(expected);
+    });
+
+    it('should print bytes as hex and sequential values one per line', function () {
+        const encoded = new Encoder().encodeBytes(Buffer.from([0xde, 0xad])).encodeUint(7).toHex();
+        expect(run(['decode', encoded]).stdout).to.equal('"0xdead"\n7');
+    });
+
+    it('should decode and validate timestamps past the range of a Date', function () {
+        const far = encodeToHex({ at: new Timestamp(2n ** 62n) });
+        expect(JSON.parse(run(['decode', far]).stdout)).to.deep.equal({ at: `${2n ** 62n}s` });
+        expect(run(['validate', far])).to.include({ status: 0, stdout: 'valid: 1 value(s), 15 bytes' });
+    });
+
+    it('should encode JSON, reading "n" suffixed strings as BigInts', function () {
+        const json = JSON.stringify({ name: 'Alice', big: (2n ** 100n).toString() + 'n', tags: [1, -2, true, null] });
+        expect(run(['encode', json]).stdout).to.equal(hex);
+        expect(run(['encode'], json).stdout).to.equal(hex);
+        expect(run(['encode', '--msgpack', '[1,"x"]']).stdout).to.equal(encodeToHex([1, 'x'], { msgpack: true }));
+    });
+
+    it('should decode and encode typed JSON losslessly', function () {
+        const typed = new Encoder().startArray(2).encodeAddress('0x' + '11'.repeat(20)).encodeUint(2n ** 64n).toHex();
+        const { stdout } = run(['decode', '--typed', typed]);
+        expect(JSON.parse(stdout)).to.deep.equal([{ $address: '0x' + '11'.repeat(20) }, { $uint: (2n ** 64n).toString() }]);
+        expect(run(['encode', '--typed'], stdout).stdout).to.equal(typed);
+    });
+
+    it('should accept typed map keys', function () {
+        const typed = '0x82a16d8101a161a174de08ff0000000000000001';
+        expect(run(['validate', typed])).to.include({ status: 0, stdout: 'valid: 1 value(s), 20 bytes' });
+        expect(JSON.parse(run(['decode', '--typed', typed]).stdout).m).to.deep.equal({ $map: [[1, 'a']] });
+        expect(run(['decode', typed])).to.include({
+            status: 1,
+            stderr: 'error: Map key 1 is not a string, so it has no plain JSON form; use --typed'
+        });
+    });
+
+    it('should disassemble with offsets, tags and nesting', function () {
+        const lines = run(['inspect', hex]).stdout.split('\n');
+        expect(lines[0]).to.equal('0000  83 FIXMAP len=3');
+        expect(lines[1]).to.equal('0001    a4 FIXSTR len=4 6e616d65 "name"');
+        expect(lines[4]).to.equal('0010    c8 UINT128 00000010000000000000000000000000 = 1267650600228229401496703205376');
+        expect(lines[lines.length - 1]).to.match(/^[0-9a-f]{4}      c0 NIL = null$/);
+    });
+
+    it('should print stats', function () {
+        const stats = JSON.parse(run(['stats', hex]).stdout);
+        expect(stats.totalBytes).to.equal((hex.length - 2) / 2);
+        expect(stats.maps).to.equal(1);
+        expect(stats.arrays).to.equal(1);
+        expect(stats.depth).to.equal(2);
+    });
+
+    it('should validate payloads with a non-zero exit code on failure', function () {
+        expect(run(['validate', hex])).to.include({ status: 0, stdout: `valid: 1 value(s), ${(hex.length - 2) / 2} bytes` });
+
+        const truncated = run(['validate', hex.slice(0, -4)]);
+        expect(truncated.status).to.equal(1);
+        expect(truncated.stderr).to.match(/^error: .*offset/);
+
+        const unsorted = run(['validate', '--canonical', hex]);
+        expect(unsorted.status).to.equal(1);
+        expect(unsorted.stderr).to.equal('error: Non-canonical encoding at offset 12: map key "big" out of order');
+        expect(run(['validate', '--canonical', encodeToHex(data, { canonical: true })]).status).to.equal(0);
+    });
+
+    it('should report usage errors', function () {
+        expect(run(['--help']).stdout).to.match(/^Usage: soliditypack <command>/);
+        expect(run(['frobnicate'])).to.include({ status: 1 });
+        expect(run(['decode', '0xzz'])).to.deep.equal({ status: 1, stdout: '', stderr: 'error: Input is not valid hex' });
+    });
+});
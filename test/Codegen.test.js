@@ -0,0 +1,150 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { readFileSync } from 'fs';
+import { encode } from '../lib/encoder.js';
+import { defineSchema } from '../lib/schema.js';
+import { generateSolidity } from '../lib/codegen.js';
+
+describe('Solidity Code Generation', function () {
+    // Must match examples/solidity-codegen.js
+    const Order = defineSchema({
+        owner: 'address',
+        amount: 'uint256',
+        nonce: 'uint32',
+        delta: 'int64',
+        active: 'bool',
+        tags: ['string'],
+        meta: {
+            ref: 'bytes32',
+            note: 'string',
+            payload: 'bytes'
+        },
+        matrix: [['uint8']]
+    });
+
+    const order = {
+        owner: '0x742d35cc6634c0532925a3b844bc9e7595f0beb1',
+        amount: 1500000000000000000n,
+        nonce: 7,
+        delta: -5000n,
+        active: true,
+        tags: ['limit', 'gtc'],
+        meta: {
+            ref: '0x' + 'ab'.repeat(32),
+            note: 'first order',
+            payload: Buffer.from('deadbeef', 'hex')
+        },
+        matrix: [[1, 2], [3]]
+    };
+
+    let codegenTest;
+
+    before(async function () {
+        const CodegenTest = await hre.ethers.getContractFactory('CodegenTest');
+        codegenTest = await CodegenTest.deploy();
+    });
+
+    describe('Generator', function () {
+        it('should match the committed OrderCodec.sol', function () {
+            const committed = readFileSync(new URL('../contracts/examples/OrderCodec.sol', import.meta.url), 'utf8');
+            const generated = generateSolidity(Order, { name: 'Order', importPath: '..' });
+
+            expect(generated).to.equal(committed);
+        });
+
+        it('should emit nested structs and typed members', function () {
+            const source = generateSolidity(Order, { name: 'Order' });
+
+            expect(source).to.include('library OrderCodec {');
+            expect(source).to.include('import "soliditypack/contracts/SolidityPackDecoder.sol";');
+            expect(source).to.include('struct OrderMeta {');
+            expect(source).to.include('        uint8[][] matrix;');
+            expect(source).to.include('function decodeOrder(bytes memory data) internal pure returns (Order memory)');
+            expect(source).to.include('function encodeOrder(Order memory value) internal pure returns (bytes memory)');
+        });
+
+        it('should only emit the helpers it uses', function () {
+            const source = generateSolidity({ name: 'string' }, { name: 'Label', libraryName: 'Labels' });
+
+            expect(source).to.include('library Labels {');
+            expect(source).to.not.include('_readInt');
+            expect(source).to.not.include('_checkedUint');
+        });
+
+        it('should reject schemas that cannot map to Solidity', function () {
+            expect(() => generateSolidity(['uint8'], { name: 'List' })).to.throw('requires a map schema at the root');
+            expect(() => generateSolidity({ a: 'bool' }, {})).to.throw('options.name');
+            expect(() => generateSolidity({ address: 'bool' }, { name: 'X' })).to.throw('not a valid Solidity identifier');
+            expect(() => generateSolidity({ 'a-b': 'bool' }, { name: 'X' })).to.throw('not a valid Solidity identifier');
+            expect(() => generateSolidity({ inner: {} }, { name: 'X' })).to.throw('must have at least one field');
+            for (const keyword of ['uint8', 'int64', 'bytes4', 'bytes1', 'fixed128x18', 'ufixed', 'string']) {
+                expect(() => generateSolidity({ [keyword]: 'bool' }, { name: 'X' }), keyword).to.throw('not a valid Solidity identifier');
+            }
+            expect(() => generateSolidity({ a: 'bool' }, { name: 'uint256' })).to.throw('options.name');
+            expect(generateSolidity({ uint7: 'bool', bytes33: 'bool' }, { name: 'X' })).to.include('bool uint7;');
+        });
+
+        it('should reject fields whose generated names collide', function () {
+            expect(() => generateSolidity({ aB: { x: 'bool' }, a: { b: { y: 'bool' } } }, { name: 'X' }))
+                .to.throw('Generated name XAB is used twice');
+            expect(() => generateSolidity({ tags: [{ x: 'bool' }], tagsItem: { y: 'bool' } }, { name: 'X' }))
+                .to.throw('Generated name XTagsItem is used twice');
+            expect(() => generateSolidity({ inner: { x: 'bool' } }, { name: 'XInner' })).not.to.throw();
+        });
+    });
+
+    describe('JavaScript <-> Solidity Parity', function () {
+        it('should decode JS schema output in Solidity', async function () {
+            const [owner, amount, delta, firstTag, ref, lastCell] = await codegenTest.testDecodeFields(Order.encode(order));
+
+            expect(owner.toLowerCase()).to.equal(order.owner);
+            expect(amount).to.equal(order.amount);
+            expect(delta).to.equal(order.delta);
+            expect(firstTag).to.equal('limit');
+            expect(ref).to.equal(order.meta.ref);
+            expect(lastCell).to.equal(3n);
+        });
+
+        it('should re-encode to identical bytes', async function () {
+            const encoded = Order.encodeToHex(order);
+            const reEncoded = await codegenTest.testRoundTrip(encoded);
+
+            expect(reEncoded).to.equal(encoded);
+            expect(Order.decode(reEncoded)).to.deep.equal(order);
+        });
+
+        it('should accept fields in any order and skip unknown fields', async function () {
+            const reversed = Object.fromEntries(Object.entries(Order.spec).reverse());
+            const Shuffled = defineSchema({ extra: 'string', ...reversed });
+            const shuffled = Shuffled.encode({ extra: 'ignored', ...order });
+
+            expect(await codegenTest.testRoundTrip(shuffled)).to.equal(Order.encodeToHex(order));
+        });
+
+        it('should revert on missing fields and out-of-range values', async function () {
+            const { nonce: _nonceSpec, ...specWithoutNonce } = Order.spec;
+            const { nonce: _nonce, ...orderWithoutNonce } = order;
+            const NoNonce = defineSchema(specWithoutNonce);
+            await expectRevert(codegenTest.testRoundTrip(NoNonce.encode(orderWithoutNonce)), 'Missing field');
+
+            const Wide = defineSchema({ ...Order.spec, nonce: 'uint64' });
+            await expectRevert(
+                codegenTest.testRoundTrip(Wide.encode({ ...order, nonce: 2n ** 40n })),
+                'Uint out of range'
+            );
+
+            // Auto-encoding writes the owner as a string, not an ADDRESS
+            await expectRevert(codegenTest.testRoundTrip(encode(order)), 'Not address');
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
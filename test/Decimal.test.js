@@ -0,0 +1,176 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encode, encodeToHex } from '../lib/encoder.js';
+import { Decoder, decode, isCanonical, TypeCategory } from '../lib/decoder.js';
+import { Decimal } from '../lib/values.js';
+import { tokenize, disassemble } from '../lib/disassemble.js';
+import { toTypedJSON, fromTypedJSON } from '../lib/typedjson.js';
+import { toMsgpack } from '../lib/msgpack.js';
+import { TruncatedInputError, UnexpectedTagError } from '../lib/errors.js';
+
+describe('Decimal', function () {
+    let decimalTest;
+
+    before(async function () {
+        const DecimalTest = await hre.ethers.getContractFactory('DecimalTest');
+        decimalTest = await DecimalTest.deploy();
+    });
+
+    describe('Value class', function () {
+        it('should convert to and from exact strings', function () {
+            for (const text of ['1.50', '-0.05', '0', '-12', '0.000000000000000001', '123456789012345678901234567890.123']) {
+                expect(Decimal.parse(text).toString()).to.equal(text);
+            }
+            expect(new Decimal(150n, 2).toString()).to.equal('1.50');
+            expect(new Decimal('-5', 3).toString()).to.equal('-0.005');
+            expect(Decimal.parse('1.5')).to.deep.equal(new Decimal(15n, 1));
+            expect(JSON.stringify({ price: new Decimal(1999, 2) })).to.equal('{"price":"19.99"}');
+        });
+
+        it('should rescale without losing digits', function () {
+            expect(Decimal.parse('1.5', 18).mantissa).to.equal(1500000000000000000n);
+            expect(Decimal.parse('1.500').rescale(1)).to.deep.equal(new Decimal(15n, 1));
+            expect(() => Decimal.parse('1.234', 2)).to.throw('Decimal 1.234 does not fit 2 decimals');
+        });
+
+        it('should compare mantissa and decimals', function () {
+            expect(new Decimal(15n, 1).equals(Decimal.parse('1.5'))).to.be.true;
+            expect(new Decimal(15n, 1).equals(Decimal.parse('1.50'))).to.be.false;
+        });
+
+        it('should validate its inputs', function () {
+            expect(() => Decimal.parse('1e5')).to.throw('Decimal must be a decimal string, got "1e5"');
+            expect(() => Decimal.parse('.5')).to.throw('Decimal must be a decimal string');
+            expect(() => new Decimal(1.5, 2)).to.throw('Decimal value must be an integer');
+            expect(() => new Decimal(1n, 256)).to.throw('Invalid decimals 256: expected an integer from 0 to 255');
+            expect(() => new Decimal(2n ** 255n, 0)).to.throw('out of range for int256');
+        });
+    });
+
+    describe('Wire format', function () {
+        it('should write the decimals byte, then the mantissa as a minimal integer', function () {
+            expect(encodeToHex(Decimal.parse('1.50'))).to.equal('0xc102c496');
+            expect(encodeToHex(Decimal.parse('0.05'))).to.equal('0xc10205');
+            expect(encodeToHex(Decimal.parse('-0.05'))).to.equal('0xc102fb');
+            expect(new Encoder().encodeDecimal(10n ** 18n, 18).toHex()).to.equal('0xc112c70de0b6b3a7640000');
+        });
+
+        it('should round-trip through decode', function () {
+            const value = { price: Decimal.parse('1999.99'), fee: Decimal.parse('-0.000001') };
+            const decoded = decode(encode(value));
+            expect(decoded.price).to.be.instanceOf(Decimal);
+            expect(decoded).to.deep.equal(value);
+            expect(decode(encode(value), { wrap: true })).to.deep.equal(value);
+        });
+
+        it('should report the DECIMAL category and skip decimals', function () {
+            const decoder = new Decoder(encode([Decimal.parse('12.5'), Decimal.parse('-1' + '0'.repeat(40) + '.1'), 42]));
+            decoder.decodeArrayLength();
+            expect(decoder.peekCategory()).to.equal(TypeCategory.DECIMAL);
+            decoder.skip();
+            decoder.skip();
+            expect(decoder.decodeUint()).to.equal(42);
+        });
+
+        it('should reject malformed decimals', function () {
+            expect(() => decode('0xc1', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => decode('0xc102', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => decode('0xc102c0', { strict: true })).to.throw(UnexpectedTagError);
+            expect(() => decode('0xc102c0')).to.throw('Invalid decimal mantissa');
+            expect(() => new Decoder('0x01').decodeDecimal()).to.throw('Not a decimal');
+        });
+
+        it('should require a minimal mantissa in canonical form', function () {
+            expect(isCanonical('0xc10205')).to.be.true;
+            expect(isCanonical('0xc102c405')).to.be.false;
+            expect(isCanonical('0xc102a0')).to.be.false;
+            expect(encode(Decimal.parse('1.50'), { canonical: true }).toString('hex')).to.equal('c102c496');
+        });
+
+        it('should not encode floats or msgpack decimals', function () {
+            expect(() => encode(1.5)).to.throw('Floats not supported, use integers or a Decimal');
+            expect(() => encode(Decimal.parse('1.5'), { msgpack: true }))
+                .to.throw('Decimals are not supported in msgpack mode');
+            expect(() => toMsgpack('0xc102c496')).to.throw('Decimals are not supported in msgpack mode');
+        });
+    });
+
+    describe('Tooling', function () {
+        it('should tokenize and disassemble decimals', function () {
+            const [token] = tokenize('0xc102c496');
+            expect(token.name).to.equal('DECIMAL');
+            expect(token.category).to.equal(TypeCategory.DECIMAL);
+            expect(token.header.toString('hex')).to.equal('c102');
+            expect(token.payload.toString('hex')).to.equal('c496');
+            expect(disassemble('0xc102c496')).to.equal('0000  c1 DECIMAL decimals=2 c496 = 1.50');
+        });
+
+        it('should round-trip decimals through typed JSON', function () {
+            const data = encode([Decimal.parse('1.50'), Decimal.parse('-7')]);
+            const json = toTypedJSON(data);
+            expect(json).to.deep.equal([{ $decimal: '1.50' }, { $decimal: '-7' }]);
+            expect(fromTypedJSON(json)).to.deep.equal(data);
+            expect(() => fromTypedJSON({ $decimal: 1.5 })).to.throw('$decimal must be a decimal string, got 1.5');
+        });
+    });
+
+    describe('Solidity', function () {
+        const DECIMAL_CATEGORY = 11n;
+
+        it('should encode the same bytes as the JS encoder', async function () {
+            for (const [mantissa, decimals] of [[150n, 2], [-5n, 2], [0n, 0], [10n ** 18n, 18], [-(2n ** 255n), 255]]) {
+                expect(await decimalTest.testEncodeDecimal(mantissa, decimals))
+                    .to.equal(new Encoder().encodeDecimal(mantissa, decimals).toHex());
+            }
+        });
+
+        it('should decode the mantissa and decimals', async function () {
+            const [category, mantissa, decimals] = await decimalTest.testDecodeDecimal(encodeToHex(Decimal.parse('-1234.5678')));
+            expect(category).to.equal(DECIMAL_CATEGORY);
+            expect(mantissa).to.equal(-12345678n);
+            expect(decimals).to.equal(4n);
+        });
+
+        it('should rescale to the requested decimals', async function () {
+            const amount = encodeToHex(Decimal.parse('1.5'));
+            expect(await decimalTest.testDecodeDecimalAs(amount, 18)).to.equal(1500000000000000000n);
+            expect(await decimalTest.testDecodeDecimalAs(amount, 1)).to.equal(15n);
+            expect(await decimalTest.testDecodeDecimalAs(encodeToHex(Decimal.parse('-2.500')), 1)).to.equal(-25n);
+            expect(await decimalTest.testDecodeDecimalAs(encodeToHex(new Decimal(0n, 200)), 0)).to.equal(0n);
+        });
+
+        it('should revert when rescaling overflows or loses digits', async function () {
+            await expectRevert(decimalTest.testDecodeDecimalAs(encodeToHex(Decimal.parse('1.25')), 1), 'Decimal precision loss');
+            await expectRevert(decimalTest.testDecodeDecimalAs(encodeToHex(new Decimal(1n, 100)), 0), 'Decimal precision loss');
+            await expectRevert(decimalTest.testDecodeDecimalAs(encodeToHex(new Decimal(2n ** 200n, 0)), 30), 'Decimal overflow');
+            await expectRevert(decimalTest.testDecodeDecimalAs(encodeToHex(new Decimal(1n, 0)), 77), 'Decimal overflow');
+        });
+
+        it('should reject bad mantissas', async function () {
+            await expectRevert(decimalTest.testDecodeDecimal('0xc102c0'), 'Invalid decimal mantissa');
+            await expectRevert(decimalTest.testDecodeDecimal('0xc100c9' + 'ff'.repeat(32)), 'Decimal overflow');
+            await expectRevert(decimalTest.testDecodeDecimal('0x01'), 'Not decimal');
+        });
+
+        it('should skip decimals generically', async function () {
+            const data = encodeToHex([Decimal.parse('1.5'), { nested: new Decimal(-(2n ** 100n), 18) }, 99]);
+            expect(await decimalTest.testSkipToLast(data)).to.equal(99n);
+        });
+
+        it('should agree with the JS canonical check', async function () {
+            for (const data of ['0xc10205', '0xc102c496', '0xc102c405', '0xc102a0', '0xc102', encodeToHex(new Decimal(-(2n ** 100n), 18))]) {
+                expect(await decimalTest.testIsCanonical(data), data).to.equal(isCanonical(data));
+            }
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, Encoder } from '../lib/encoder.js';
+import { Decoder, decode } from '../lib/decoder.js';
+import {
+    decodeAll,
+    decodeAny,
+    decodePretty,
+    decodeTypedArray,
+    decodeWithType,
+    decodeStats,
+    extractField,
+    roundTrip,
+    TypeCategory
+} from '../lib/helpers.js';
+import { View } from '../lib/view.js';
+import { StreamDecoder } from '../lib/stream.js';
+import { defineSchema } from '../lib/schema.js';
+import { toChecksumAddress } from '../lib/address.js';
+import { Address } from '../lib/values.js';
+
+describe('Decoder Output Options', function () {
+    const { ethers } = hre;
+    const ADDRESS = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+    const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+    const HASH = '0x' + '01'.repeat(32);
+
+    const data = new Encoder()
+        .startMap(4)
+        .encodeString('owner').encodeAddress(ADDRESS)
+        .encodeString('amounts').startArray(3).encodeUint(1).encodeUint(2n ** 40n).encodeInt(-5)
+        .encodeString('proof').encodeBytes(Buffer.from('beef', 'hex'))
+        .encodeString('hash').encodeBytes32(HASH)
+        .getEncoded();
+
+    describe('bigint', function () {
+        it('should keep the width-based default', function () {
+            expect(decode(data).amounts).to.deep.equal([1, 2n ** 40n, -5]);
+            expect(decode(data, { bigint: 'auto' }).amounts).to.deep.equal([1, 2n ** 40n, -5]);
+        });
+
+        it('should always return BigInt', function () {
+            expect(decode(data, { bigint: 'always' }).amounts).to.deep.equal([1n, 2n ** 40n, -5n]);
+            expect(new Decoder(encode(-1), { bigint: 'always' }).decodeInt()).to.equal(-1n);
+        });
+
+        it('should return numbers and throw past the safe range', function () {
+            expect(decode(data, { bigint: 'never-throw' }).amounts).to.deep.equal([1, 2 ** 40, -5]);
+            expect(decode(encode(BigInt(Number.MAX_SAFE_INTEGER)), { bigint: 'never-throw' })).to.equal(Number.MAX_SAFE_INTEGER);
+            expect(() => decode(encode(2n ** 53n), { bigint: 'never-throw' }))
+                .to.throw("Integer 9007199254740992 is not a safe JS number; use bigint: 'auto' or 'always'");
+            expect(() => decode(encode(-(2n ** 53n)), { bigint: 'never-throw' })).to.throw('is not a safe JS number');
+        });
+    });
+
+    describe('bytes', function () {
+        it('should keep Buffer bytes and hex bytes32 by default', function () {
+            const value = decode(data);
+            expect(Buffer.isBuffer(value.proof)).to.equal(true);
+            expect(value.hash).to.equal(HASH);
+        });
+
+        it('should use one representation for bytes and bytes32', function () {
+            const buffers = decode(data, { bytes: 'buffer' });
+            expect(buffers.proof.toString('hex')).to.equal('beef');
+            expect(Buffer.isBuffer(buffers.hash)).to.equal(true);
+            expect('0x' + buffers.hash.toString('hex')).to.equal(HASH);
+
+            const arrays = decode(data, { bytes: 'uint8array' });
+            expect(arrays.proof).to.be.instanceOf(Uint8Array);
+            expect(Buffer.isBuffer(arrays.proof)).to.equal(false);
+            expect(Array.from(arrays.proof)).to.deep.equal([0xbe, 0xef]);
+            expect(arrays.hash.length).to.equal(32);
+
+            const hex = decode(data, { bytes: 'hex' });
+            expect(hex.proof).to.equal('0xbeef');
+            expect(hex.hash).to.equal(HASH);
+        });
+    });
+
+    describe('address', function () {
+        it('should return EIP-55 checksummed addresses', function () {
+            expect(decode(data).owner).to.equal(ADDRESS);
+            expect(decode(data, { address: 'lowercase' }).owner).to.equal(ADDRESS);
+            expect(decode(data, { address: 'checksum' }).owner).to.equal(CHECKSUMMED);
+        });
+
+        it('should match ethers checksums', function () {
+            for (let i = 1; i <= 20; i++) {
+                const address = ethers.keccak256(ethers.toBeHex(i, 32)).slice(0, 42);
+                expect(toChecksumAddress(address)).to.equal(ethers.getAddress(address));
+            }
+            expect(() => toChecksumAddress('0x1234')).to.throw('Invalid address: 0x1234');
+        });
+    });
+
+    it('should reject unknown option values', function () {
+        expect(() => decode(data, { bigint: 'sometimes' }))
+            .to.throw('Invalid bigint option "sometimes": expected one of auto, always, never-throw');
+        expect(() => decode(data, { bytes: 'base64' })).to.throw('Invalid bytes option "base64"');
+        expect(() => decode(data, { address: 'upper' })).to.throw('Invalid address option "upper"');
+    });
+
+    it('should apply through decodeAll and the helpers', function () {
+        const options = { bigint: 'always', bytes: 'hex', address: 'checksum' };
+        const expected = {
+            owner: CHECKSUMMED,
+            amounts: [1n, 2n ** 40n, -5n],
+            proof: '0xbeef',
+            hash: HASH
+        };
+
+        expect(decodeAll(Buffer.concat([data, data]), options)).to.deep.equal([expected, expected]);
+        expect(decodeAny(data, options)).to.deep.equal(expected);
+        expect(decodeWithType(data, options)).to.deep.equal({ value: expected, type: TypeCategory.MAP });
+        expect(extractField(data, 'owner', options)).to.equal(CHECKSUMMED);
+        expect(new View(data, options).get('amounts').at(0).value()).to.equal(1n);
+        expect(decodeTypedArray(encode([1, 2]), TypeCategory.UINT, options)).to.deep.equal([1n, 2n]);
+        expect(JSON.parse(decodePretty(data, 0, options)).proof).to.equal('0xbeef');
+        expect(new StreamDecoder(options).write(data)).to.deep.equal([expected]);
+
+        const result = roundTrip({ owner: new Address(ADDRESS), amount: 5 }, options);
+        expect(result.decoded).to.deep.equal({ owner: CHECKSUMMED, amount: 5n });
+        expect(result.matches).to.equal(false);
+        expect(roundTrip({ amount: 5n }, options).matches).to.equal(true);
+
+        const mp = encode({ owner: new Address(ADDRESS), amounts: [1, 2n ** 40n] }, { msgpack: true });
+        expect(decodeStats(mp, { msgpack: true }).types).to.deep.equal({ MAP: 1, STRING: 2, ADDRESS: 1, ARRAY: 1, UINT: 2 });
+        expect(() => decodeStats(data.subarray(0, 3), { strict: true })).to.throw('Truncated input');
+    });
+
+    it('should apply to schema decoding', function () {
+        const Schema = defineSchema({ owner: 'address', amount: 'uint32', proof: 'bytes' });
+        const encoded = Schema.encode({ owner: ADDRESS, amount: 7, proof: Buffer.from('beef', 'hex') });
+
+        expect(Schema.decode(encoded)).to.deep.equal({ owner: ADDRESS, amount: 7, proof: Buffer.from('beef', 'hex') });
+        expect(Schema.decode(encoded, { bigint: 'always', bytes: 'hex', address: 'checksum' }))
+            .to.deep.equal({ owner: CHECKSUMMED, amount: 7n, proof: '0xbeef' });
+    });
+});
@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, Encoder } from '../lib/encoder.js';
+import { disassemble, diffEncoded, tokenize, tagName } from '../lib/disassemble.js';
+
+describe('Disassembler', function () {
+    const { ethers } = hre;
+    const OWNER = '0x' + '11'.repeat(20);
+
+    describe('disassemble', function () {
+        it('should print one line per token with tags, lengths and payloads', function () {
+            const data = new Encoder()
+                .startMap(2)
+                .encodeString('owner').encodeAddress(OWNER)
+                .encodeString('items').startArray(3)
+                .encodeUint(300).encodeInt(-1).encodeBytes(Buffer.from('c0ffee', 'hex'))
+                .getEncoded();
+
+            expect(disassemble(data)).to.equal([
+                '0000  82 FIXMAP len=2',
+                '0001    a5 FIXSTR len=5 6f776e6572 "owner"',
+                '0007    d4 ADDRESS ' + '11'.repeat(20),
+                '001c    a5 FIXSTR len=5 6974656d73 "items"',
+                '0022    93 FIXARRAY len=3',
+                '0023      c5 UINT16 012c = 300',
+                '0026      ff NEG_FIXINT = -1',
+                '0027      d0 BYTES8 len=3 [03] c0ffee'
+            ].join('\n'));
+        });
+
+        it('should show length prefixes and elide long payloads', function () {
+            const text = 'x'.repeat(300);
+            const [line] = disassemble(encode(text)).split('\n');
+            expect(line).to.equal(`0000  d3 STR16 len=300 [012c] ${'78'.repeat(32)}… "${'x'.repeat(32)}…"`);
+
+            const big = new Encoder().startArray(70000).getEncoded();
+            expect(disassemble(big).split('\n')[0]).to.equal('0000  dc ARRAY32 len=70000 [00011170]');
+        });
+
+        it('should end malformed input with an error line', function () {
+            const data = encode({ owner: 'abc' }).subarray(0, 9);
+            expect(disassemble(data).split('\n').pop()).to.equal(
+                '0007  !! Truncated input at offset 8: STRING needs 3 byte(s), 1 available'
+            );
+            expect(disassemble('0xc102c0')).to.equal('0000  !! Unexpected tag 0xc0 (NIL) at offset 2, expected INT');
+        });
+
+        it('should name every tag', function () {
+            expect(tagName(0x00)).to.equal('FIXINT');
+            expect(tagName(0x8f)).to.equal('FIXMAP');
+            expect(tagName(0x90)).to.equal('FIXARRAY');
+            expect(tagName(0xbf)).to.equal('FIXSTR');
+            expect(tagName(0xc9)).to.equal('UINT256');
+            expect(tagName(0xd5)).to.equal('BYTES32');
+            expect(tagName(0xda)).to.equal('BYTES32LEN');
+            expect(tagName(0xe0)).to.equal('NEG_FIXINT');
+            expect(tagName(0xc1)).to.equal('DECIMAL');
+        });
+
+        it('should tokenize with JSON pointers', function () {
+            const tokens = tokenize(encode({ 'a/b': [5, { c: true }] }));
+            expect(tokens.map(t => [t.pointer, t.name, t.key || false])).to.deep.equal([
+                ['', 'FIXMAP', false],
+                ['', 'FIXSTR', true],
+                ['/a~1b', 'FIXARRAY', false],
+                ['/a~1b/0', 'FIXINT', false],
+                ['/a~1b/1', 'FIXMAP', false],
+                ['/a~1b/1', 'FIXSTR', true],
+                ['/a~1b/1/c', 'TRUE', false]
+            ]);
+        });
+    });
+
+    describe('diffEncoded', function () {
+        it('should return null for identical buffers', function () {
+            const data = encode({ a: [1, 2] });
+            expect(diffEncoded(data, '0x' + data.toString('hex'))).to.equal(null);
+        });
+
+        it('should report the first diverging token', function () {
+            const a = encode({ name: 'Alice', balances: [1, 2, 3] });
+            const b = encode({ name: 'Alice', balances: [1, 300, 3] });
+
+            const diff = diffEncoded(a, b);
+            expect(diff.offset).to.equal(0x17);
+            expect(diff.pointer).to.equal('/balances/1');
+            expect(diff.a.value).to.equal(2);
+            expect(diff.b.value).to.equal(300);
+            expect(diff.report).to.include('> 0017      02 FIXINT = 2');
+            expect(diff.report).to.include('> 0017      c5 UINT16 012c = 300');
+        });
+
+        it('should limit context and report length mismatches', function () {
+            const a = encode([1, 2, 3, 4, 5, 6, 7, 8]);
+            const b = encode([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+            const diff = diffEncoded(a, b);
+            expect(diff.offset).to.equal(0);
+            expect(diff.a.length).to.equal(8);
+            expect(diff.b.length).to.equal(9);
+
+            const tail = diffEncoded(a, Buffer.concat([a, Buffer.from([0x09])]));
+            expect(tail.a).to.equal(null);
+            expect(tail.b.value).to.equal(9);
+            expect(tail.report.split('\n').slice(0, 8)).to.deep.equal([
+                'a:',
+                '  …',
+                '  0004    04 FIXINT = 4',
+                '  0005    05 FIXINT = 5',
+                '  0006    06 FIXINT = 6',
+                '  0007    07 FIXINT = 7',
+                '  0008    08 FIXINT = 8',
+                '> (end)'
+            ]);
+        });
+
+        it('should pinpoint JS and Solidity encodings that disagree', async function () {
+            const Example = await ethers.getContractFactory('ImprovedAPIExample');
+            const example = await Example.deploy();
+            const args = [OWNER, OWNER, 5n, 1n, '0x' + 'ab'.repeat(32)];
+            const fromContract = await example.encodeTransaction(...args);
+
+            const fields = ['from', 'to', 'amount', 'nonce', 'txHash'];
+            const js = new Encoder().startMap(5);
+            js.encodeString('from').encodeAddress(OWNER);
+            js.encodeString('to').encodeAddress(OWNER);
+            js.encodeString('amount').encodeUint(5);
+            js.encodeString('nonce').encodeUint(1);
+            js.encodeString('txHash').encodeBytes32(args[4]);
+            expect(diffEncoded(fromContract, js.getEncoded())).to.equal(null);
+
+            // Writing the hash as plain bytes is a structural difference, not just a byte one
+            const generic = encode(Object.fromEntries(fields.map((f, i) => [f, i === 4 ? Buffer.from('ab'.repeat(32), 'hex') : args[i]])));
+            const diff = diffEncoded(fromContract, generic);
+            expect(diff.pointer).to.equal('/from');
+            expect(diff.a.name).to.equal('ADDRESS');
+            expect(diff.b.name).to.equal('STR8');
+        });
+    });
+});
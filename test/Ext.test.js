@@ -0,0 +1,220 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encode, encodeToHex } from '../lib/encoder.js';
+import { Decoder, decode, isCanonical, assertCanonical, TypeCategory } from '../lib/decoder.js';
+import { Ext, registerExtension, unregisterExtension, getExtension, findExtension } from '../lib/ext.js';
+import { tokenize, disassemble } from '../lib/disassemble.js';
+import { toTypedJSON, fromTypedJSON } from '../lib/typedjson.js';
+import { toMsgpack } from '../lib/msgpack.js';
+import { TruncatedInputError, UnexpectedTagError } from '../lib/errors.js';
+
+// Example application type: two uint32 coordinates
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+const POINT_ID = 0x10;
+
+function encodePoint(point) {
+    const payload = new Uint8Array(8);
+    const view = new DataView(payload.buffer);
+    view.setUint32(0, point.x);
+    view.setUint32(4, point.y);
+    return payload;
+}
+
+function decodePoint(payload) {
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    return new Point(view.getUint32(0), view.getUint32(4));
+}
+
+describe('Extension Types', function () {
+    let extTest;
+
+    before(async function () {
+        const ExtTest = await hre.ethers.getContractFactory('ExtTest');
+        extTest = await ExtTest.deploy();
+    });
+
+    afterEach(function () {
+        unregisterExtension(POINT_ID);
+    });
+
+    describe('Wire format', function () {
+        it('should write EXT8 for payloads up to 255 bytes and EXT16 above', function () {
+            expect(new Encoder().encodeExt(1, '0xbeef').toHex()).to.equal('0xde0201beef');
+            expect(new Encoder().encodeExt(0xff, new Uint8Array(0)).toHex()).to.equal('0xde00ff');
+            expect(new Encoder().encodeExt(2, new Uint8Array(256)).toHex()).to.equal('0xdf010002' + '00'.repeat(256));
+        });
+
+        it('should reject bad ids, oversized payloads and msgpack mode', function () {
+            expect(() => new Encoder().encodeExt(256, '0x')).to.throw('Invalid extension id 256');
+            expect(() => new Encoder().encodeExt(-1, '0x')).to.throw('Invalid extension id -1');
+            expect(() => new Encoder().encodeExt(1, new Uint8Array(65536)))
+                .to.throw('Extension payload too large: 65536 bytes (max 65535)');
+            expect(() => encode(new Ext(1, '0x01'), { msgpack: true }))
+                .to.throw('Extension types are not supported in msgpack mode');
+        });
+
+        it('should decode unregistered ids to Ext and re-encode them unchanged', function () {
+            const data = encode({ tag: new Ext(7, '0x0102') });
+            const value = decode(data);
+            expect(value.tag).to.be.instanceOf(Ext);
+            expect(value.tag.id).to.equal(7);
+            expect(value.tag.payload.toString('hex')).to.equal('0102');
+            expect(value.tag.equals(new Ext(7, '0x0102'))).to.be.true;
+            expect(encode(value)).to.deep.equal(data);
+            expect(JSON.stringify(value.tag)).to.equal('{"id":7,"payload":"0x0102"}');
+        });
+
+        it('should report the EXT category and skip ext values', function () {
+            const data = encode([new Ext(1, new Uint8Array(300)), new Ext(2, '0xff'), 42]);
+            const decoder = new Decoder(data);
+            decoder.decodeArrayLength();
+            expect(decoder.peekCategory()).to.equal(TypeCategory.EXT);
+            decoder.skip();
+            decoder.skip();
+            expect(decoder.decodeUint()).to.equal(42);
+        });
+
+        it('should bounds-check ext values in strict mode', function () {
+            expect(() => decode('0xde0501beef', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => decode('0xde', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => new Decoder('0x01', { strict: true }).decodeExt()).to.throw(UnexpectedTagError);
+            expect(() => new Decoder('0x01').decodeExt()).to.throw('Not ext');
+        });
+
+        it('should require minimal ext headers in canonical form', function () {
+            expect(isCanonical('0xde0201beef')).to.be.true;
+            expect(isCanonical(encode(new Ext(1, new Uint8Array(256))))).to.be.true;
+            expect(() => assertCanonical('0xdf000201beef')).to.throw('length 2 fits a shorter header than 0xdf');
+            expect(encode(new Ext(1, '0xbeef'), { canonical: true }).toString('hex')).to.equal('de0201beef');
+        });
+    });
+
+    describe('Registry', function () {
+        it('should encode and decode registered types', function () {
+            registerExtension(POINT_ID, Point, encodePoint, decodePoint);
+
+            const data = encode({ at: new Point(3, 70000) });
+            expect(data.toString('hex')).to.equal('81a26174' + 'de0810' + '00000003' + '00011170');
+            const value = decode(data);
+            expect(value.at).to.be.instanceOf(Point);
+            expect(value.at).to.deep.equal(new Point(3, 70000));
+        });
+
+        it('should give back raw Ext values once unregistered', function () {
+            registerExtension(POINT_ID, Point, encodePoint, decodePoint);
+            const data = encode(new Point(1, 2));
+            expect(unregisterExtension(POINT_ID)).to.be.true;
+            expect(unregisterExtension(POINT_ID)).to.be.false;
+            expect(decode(data)).to.deep.equal(new Ext(POINT_ID, encodePoint(new Point(1, 2))));
+            // Without a registration a Point is a plain object
+            expect(decode(encode(new Point(1, 2)))).to.deep.equal({ x: 1, y: 2 });
+        });
+
+        it('should match subclasses and expose lookups', function () {
+            class Point3 extends Point {}
+            registerExtension(POINT_ID, Point, encodePoint, decodePoint);
+            expect(getExtension(POINT_ID).type).to.equal(Point);
+            expect(findExtension(new Point3(1, 1)).id).to.equal(POINT_ID);
+            expect(findExtension({})).to.be.undefined;
+            expect(decode(encode(new Point3(5, 6)))).to.deep.equal(new Point(5, 6));
+        });
+
+        it('should validate registrations', function () {
+            expect(() => registerExtension(0x80, Point, encodePoint, decodePoint))
+                .to.throw('Invalid extension id 128: expected an integer from 0 to 127');
+            expect(() => registerExtension(POINT_ID, Point, encodePoint))
+                .to.throw('registerExtension needs a class, an encode function and a decode function');
+
+            registerExtension(POINT_ID, Point, encodePoint, decodePoint);
+            expect(() => registerExtension(POINT_ID, class Other {}, encodePoint, decodePoint))
+                .to.throw('Extension id 16 is already registered for Point');
+            expect(() => registerExtension(POINT_ID + 1, Point, encodePoint, decodePoint))
+                .to.throw('Point is already registered as extension 16');
+        });
+
+        it('should require encode functions to return bytes', function () {
+            registerExtension(POINT_ID, Point, point => [point.x], decodePoint);
+            expect(() => encode(new Point(1, 2))).to.throw('Extension 16 (Point) must encode to a Uint8Array');
+        });
+    });
+
+    describe('Tooling', function () {
+        it('should tokenize and disassemble ext values', function () {
+            const [token] = tokenize('0xde0201beef');
+            expect(token.name).to.equal('EXT8');
+            expect(token.category).to.equal(TypeCategory.EXT);
+            expect(token.length).to.equal(2);
+            expect(token.header.toString('hex')).to.equal('de0201');
+            expect(token.payload.toString('hex')).to.equal('beef');
+            expect(disassemble('0xde0201beef')).to.equal('0000  de EXT8 len=2 [0201] id=1 beef');
+        });
+
+        it('should round-trip ext values through typed JSON', function () {
+            registerExtension(POINT_ID, Point, encodePoint, decodePoint);
+            const data = encode([new Point(1, 2), new Ext(0x90, '0x')]);
+            const json = toTypedJSON(data);
+            expect(json).to.deep.equal([
+                { $ext: { id: POINT_ID, payload: '0x0000000100000002' } },
+                { $ext: { id: 0x90, payload: '0x' } }
+            ]);
+            expect(fromTypedJSON(json)).to.deep.equal(data);
+            expect(() => fromTypedJSON({ $ext: '0x01' })).to.throw('$ext must be an object with an integer id and a hex payload');
+        });
+
+        it('should refuse to transcode ext values to MessagePack', function () {
+            expect(() => toMsgpack('0xde0201beef')).to.throw('Extension types are not supported in msgpack mode');
+        });
+    });
+
+    describe('Solidity', function () {
+        const EXT_CATEGORY = 10n;
+
+        it('should encode the same bytes as the JS encoder', async function () {
+            for (const payload of ['0x', '0xbeef', '0x' + 'ab'.repeat(255), '0x' + 'cd'.repeat(256), '0x' + '01'.repeat(1000)]) {
+                expect(await extTest.testEncodeExt(7, payload)).to.equal(new Encoder().encodeExt(7, payload).toHex());
+            }
+        });
+
+        it('should decode the ext id and payload', async function () {
+            const payload = '0x' + 'ef'.repeat(300);
+            const [category, id, decoded] = await extTest.testDecodeExt(encodeToHex(new Ext(0x42, payload)));
+            expect(category).to.equal(EXT_CATEGORY);
+            expect(id).to.equal(0x42n);
+            expect(decoded).to.equal(payload);
+
+            const [headerId, len, offset] = await extTest.testDecodeExtHeader('0xde0201beef');
+            expect([headerId, len, offset]).to.deep.equal([1n, 2n, 3n]);
+        });
+
+        it('should skip ext values generically', async function () {
+            const data = encodeToHex([new Ext(1, '0xbeef'), new Ext(2, new Uint8Array(400)), { nested: new Ext(3, '0x') }, 99]);
+            expect(await extTest.testSkipToLast(data)).to.equal(99n);
+        });
+
+        it('should agree with the JS canonical check', async function () {
+            for (const data of ['0xde0201beef', '0xdf000201beef', encodeToHex(new Ext(1, new Uint8Array(256))), '0xde0501beef']) {
+                expect(await extTest.testIsCanonical(data), data).to.equal(isCanonical(data));
+            }
+        });
+
+        it('should revert on a truncated payload', async function () {
+            await expectRevert(extTest.testDecodeExt('0xde0501beef'), 'EOF');
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
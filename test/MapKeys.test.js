@@ -0,0 +1,247 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encode, encodeToHex } from '../lib/encoder.js';
+import { Decoder, decode, isCanonical } from '../lib/decoder.js';
+import { Address, Bytes32, Uint } from '../lib/values.js';
+import { keccak256 } from '../lib/keccak.js';
+import { UnexpectedTagError } from '../lib/errors.js';
+import { View } from '../lib/view.js';
+import { extractField, mergeEncoded } from '../lib/helpers.js';
+import { resolvePath, encodePath } from '../lib/path.js';
+
+describe('Map Keys', function () {
+    const ALICE = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+    const BOB = '0x' + '22'.repeat(20);
+    const SLOT = '0x' + 'ab'.repeat(32);
+
+    // mapping(address => uint256)
+    const balances = new Map([
+        [new Address(ALICE), 100n],
+        [new Address(BOB), 10n ** 30n]
+    ]);
+
+    // String keys after typed ones, as readers that only know string keys see them
+    const mixed = new Map([[7, 1], [new Address(ALICE), 2], ['7', 3], [new Bytes32(SLOT), 4], ['nested', { id: 5 }]]);
+
+    let mapKeysTest;
+    let pathLookupTest;
+
+    before(async function () {
+        const MapKeysTest = await hre.ethers.getContractFactory('MapKeysTest');
+        mapKeysTest = await MapKeysTest.deploy();
+        const PathLookupTest = await hre.ethers.getContractFactory('PathLookupTest');
+        pathLookupTest = await PathLookupTest.deploy();
+    });
+
+    describe('JavaScript', function () {
+        it('should encode Map keys by type', function () {
+            const expected = new Encoder()
+                .startMap(2)
+                .encodeAddress(ALICE).encodeUint(100)
+                .encodeAddress(BOB).encodeUint(10n ** 30n)
+                .toHex();
+            expect(encodeToHex(balances)).to.equal(expected);
+
+            const mixed = new Map([[7, 'seven'], [2n ** 100n, 'big'], [new Bytes32(SLOT), 'slot'], ['name', 'x'], [-1, 'neg']]);
+            expect(encodeToHex(mixed)).to.equal(new Encoder()
+                .startMap(5)
+                .encodeUint(7).encodeString('seven')
+                .encodeUint(2n ** 100n).encodeString('big')
+                .encodeBytes32(SLOT).encodeString('slot')
+                .encodeString('name').encodeString('x')
+                .encodeInt(-1).encodeString('neg')
+                .toHex());
+        });
+
+        it('should keep sized Uint keys at their width', function () {
+            expect(encodeToHex(new Map([[new Uint(1, 256), true]]))).to.equal('0x81c9' + '00'.repeat(31) + '01c3');
+        });
+
+        it('should encode a Map with string keys like the equivalent object', function () {
+            expect(encodeToHex(new Map([['a', 1], ['b', [2]]]))).to.equal(encodeToHex({ a: 1, b: [2] }));
+        });
+
+        it('should reject keys Solidity cannot look up', function () {
+            expect(() => encode(new Map([[true, 1]]))).to.throw('Unsupported map key: true');
+            expect(() => encode(new Map([[null, 1]]))).to.throw('Unsupported map key: null');
+            expect(() => encode(new Map([[1.5, 1]]))).to.throw('Unsupported map key: 1.5');
+            expect(() => encode(new Map([[[1], 1]]))).to.throw('Unsupported map key: Array');
+            expect(() => encode(new Map([[new Uint8Array(2), 1]]))).to.throw('Unsupported map key: Uint8Array');
+        });
+
+        it('should encode Sets as arrays', function () {
+            expect(encodeToHex(new Set([3, 'x', 3]))).to.equal(encodeToHex([3, 'x']));
+            expect(decode(encode({ tags: new Set(['a', 'b']) }))).to.deep.equal({ tags: ['a', 'b'] });
+        });
+
+        it('should sort string keys and reject typed keys in canonical mode', function () {
+            const data = encode(new Map([['b', 2], ['a', 1]]), { canonical: true });
+            expect(isCanonical(data)).to.be.true;
+            expect(data).to.deep.equal(encode({ a: 1, b: 2 }, { canonical: true }));
+            expect(() => encode(balances, { canonical: true }))
+                .to.throw('Non-canonical map key Address: canonical maps need string keys');
+        });
+
+        it('should decode Maps with typed keys', function () {
+            const decoded = decode(encode(balances), { map: 'map' });
+            expect(decoded).to.be.instanceOf(Map);
+            expect([...decoded]).to.deep.equal([[new Address(ALICE), 100], [new Address(BOB), 10n ** 30n]]);
+
+            const nested = decode(encode({ users: new Map([[1, { ok: true }]]) }), { map: 'map', bigint: 'always' });
+            expect(nested.get('users').get(1n)).to.deep.equal(new Map([['ok', true]]));
+        });
+
+        it('should keep keys of different types apart', function () {
+            const data = encode(new Map([[5n, 's'], [2n ** 40n, 'l'], [-7, 'neg'], [new Address(ALICE), 'addr'],
+                [ALICE, 'str'], [new Bytes32(SLOT), 'slot'], [SLOT, 'slot str'], ['5', 'five']]));
+            const decoded = decode(data, { map: 'map' });
+            expect(decoded.size).to.equal(8);
+            expect(decoded.get(5n)).to.equal('s');
+            expect(decoded.get(2n ** 40n)).to.equal('l');
+            expect(decoded.get(-7n)).to.equal('neg');
+            expect(decoded.get(ALICE)).to.equal('str');
+            expect(decoded.get(SLOT)).to.equal('slot str');
+            expect(decoded.get('5')).to.equal('five');
+            const [addressKey, bytes32Key] = [...decoded.keys()].filter(key => typeof key === 'object');
+            expect(addressKey).to.be.instanceOf(Address);
+            expect(addressKey.equals(new Address(ALICE))).to.be.true;
+            expect(bytes32Key).to.be.instanceOf(Bytes32);
+            expect(decoded.get(bytes32Key)).to.equal('slot');
+            expect(encode(decoded)).to.deep.equal(data);
+        });
+
+        it('should ignore the output options for keys', function () {
+            const data = encode(new Map([[1, 'one'], [new Address(ALICE), 'addr'], [new Bytes32(SLOT), 'slot']]));
+            for (const options of [{}, { bigint: 'auto' }, { bigint: 'never-throw' }, { address: 'checksum', bytes: 'buffer' }]) {
+                const decoded = decode(data, { map: 'map', ...options });
+                expect([...decoded.keys()], JSON.stringify(options)).to.deep.equal([1n, new Address(ALICE), new Bytes32(SLOT)]);
+            }
+
+            const wrapped = decode(encode(balances), { map: 'map', wrap: true });
+            expect(encodeToHex(wrapped)).to.equal(encodeToHex(balances));
+            expect(decode(encode(new Map([[7, 1]])), { map: 'map', wrap: true }).keys().next().value).to.deep.equal(new Uint(7));
+        });
+
+        it('should decode map keys one at a time', function () {
+            const decoder = new Decoder(encode(new Map([[new Bytes32(SLOT), 1], [-3, 2]])));
+            expect(decoder.decodeMapLength()).to.equal(2);
+            expect(decoder.decodeMapKey()).to.deep.equal(new Bytes32(SLOT));
+            expect(decoder.decodeUint()).to.equal(1);
+            expect(decoder.decodeMapKey()).to.equal(-3n);
+        });
+
+        it('should reject unsupported key types', function () {
+            const data = new Encoder().startMap(1).encodeBool(true).encodeUint(1).getEncoded();
+            expect(() => decode(data, { map: 'map' })).to.throw('Unsupported map key type: BOOL');
+            expect(() => decode(data, { map: 'map', strict: true })).to.throw(UnexpectedTagError);
+            expect(() => decode(data)).to.throw('Not string');
+        });
+
+        it('should point object decoding at the map option for typed keys', function () {
+            expect(() => decode(encode(mixed))).to.throw("Map key is UINT, not a string; decode with { map: 'map' } for typed keys");
+            expect(() => decode(encode(mixed), { strict: true })).to.throw(UnexpectedTagError);
+        });
+
+        it('should skip typed keys when looking up string keys', function () {
+            const data = encode(mixed);
+            const root = new View(data);
+            expect(root.get('7').value()).to.equal(3);
+            expect(root.find('missing')).to.be.undefined;
+            expect(root.keys()).to.deep.equal([7n, new Address(ALICE), '7', new Bytes32(SLOT), 'nested']);
+            expect(extractField(data, 'nested')).to.deep.equal({ id: 5 });
+            expect(resolvePath(data, ['nested', 'id']).value()).to.equal(5);
+            expect(resolvePath(data, encodePath(['nope']))).to.be.undefined;
+        });
+
+        it('should merge encoded items without decoding them', function () {
+            const items = [encode(balances), encode(new Uint(5, 64)), encode(new Address(ALICE)), encodeToHex(SLOT)];
+            const merged = mergeEncoded(...items);
+            expect(merged).to.deep.equal(new Encoder().encode([balances, new Uint(5, 64), new Address(ALICE), SLOT]).getEncoded());
+            expect(decode(merged, { map: 'map' })[0]).to.deep.equal(decode(items[0], { map: 'map' }));
+            expect(() => mergeEncoded('0x92c0')).to.throw('Truncated');
+        });
+
+        it('should validate the map option', function () {
+            expect(() => new Decoder('0x80', { map: 'Map' }))
+                .to.throw('Invalid map option "Map": expected one of object, map');
+            expect(decode('0x80')).to.deep.equal({});
+        });
+
+        it('should round-trip Maps in msgpack mode', function () {
+            const data = encode(balances, { msgpack: true });
+            expect([...decode(data, { msgpack: true, map: 'map' }).keys()]).to.deep.equal([new Address(ALICE), new Address(BOB)]);
+        });
+    });
+
+    describe('Solidity', function () {
+        // SolidityPackDecoder.TypeCategory values
+        const UINT = 2n, INT = 3n, STRING = 5n, ADDRESS = 8n, BYTES32 = 9n;
+        const word = value => '0x' + BigInt.asUintN(256, BigInt(value)).toString(16).padStart(64, '0');
+
+        it('should decode keys to the same category and word', async function () {
+            const data = encodeToHex(new Map([
+                [5, 0], [-2, 0], [new Address(ALICE), 0], [new Bytes32(SLOT), 0], ['name', 0]
+            ]));
+            const [categories, keys] = await mapKeysTest.testDecodeMapKeys(data);
+            expect(categories.map(BigInt)).to.deep.equal([UINT, INT, ADDRESS, BYTES32, STRING]);
+            expect(keys).to.deep.equal([
+                word(5),
+                word(-2),
+                word(ALICE),
+                SLOT,
+                '0x' + Buffer.from(keccak256(Buffer.from('name'))).toString('hex')
+            ]);
+        });
+
+        it('should look up uint keys', async function () {
+            const data = encodeToHex(new Map([['7', 1], [7n, 2], [2n ** 200n, 3]]));
+            expect(await mapKeysTest.testSeekUintKey(data, 7)).to.deep.equal([true, 2n]);
+            expect(await mapKeysTest.testSeekUintKey(data, 2n ** 200n)).to.deep.equal([true, 3n]);
+            expect((await mapKeysTest.testSeekUintKey(data, 8))[0]).to.be.false;
+        });
+
+        it('should look up address keys', async function () {
+            const data = encodeToHex(balances);
+            expect(await mapKeysTest.testSeekAddressKey(data, BOB)).to.deep.equal([true, 10n ** 30n]);
+            expect(await mapKeysTest.testSeekAddressKey(data, ALICE)).to.deep.equal([true, 100n]);
+            expect((await mapKeysTest.testSeekAddressKey(data, '0x' + '33'.repeat(20)))[0]).to.be.false;
+        });
+
+        it('should look up bytes32 keys', async function () {
+            const data = encodeToHex(new Map([[new Bytes32(SLOT), 42]]));
+            expect(await mapKeysTest.testSeekBytes32Key(data, SLOT)).to.deep.equal([true, 42n]);
+            expect((await mapKeysTest.testSeekBytes32Key(data, '0x' + '00'.repeat(32)))[0]).to.be.false;
+        });
+
+        it('should skip keys of other types when seeking', async function () {
+            const data = encodeToHex(mixed);
+            expect(await pathLookupTest.testSeekKey(data, '7')).to.deep.equal([true, 3n]);
+            expect((await pathLookupTest.testSeekKey(data, 'missing'))[0]).to.be.false;
+            expect(await mapKeysTest.testSeekUintKey(data, 7)).to.deep.equal([true, 1n]);
+            expect(await mapKeysTest.testSeekBytes32Key(data, SLOT)).to.deep.equal([true, 4n]);
+
+            const withBool = new Encoder().startMap(2).encodeBool(true).encodeUint(1).encodeString('a').encodeUint(2).toHex();
+            expect(await pathLookupTest.testSeekKey(withBool, 'a')).to.deep.equal([true, 2n]);
+            expect(await mapKeysTest.testSeekUintKey(withBool, 1)).to.deep.equal([false, 0n]);
+
+            const [found, offset] = await pathLookupTest.testSeekPath(data, '0x' + encodePath(['nested', 'id']).toString('hex'));
+            expect(found).to.be.true;
+            expect(resolvePath(data, ['nested', 'id']).offset).to.equal(Number(offset));
+        });
+
+        it('should revert on unsupported keys', async function () {
+            const data = new Encoder().startMap(1).encodeBool(true).encodeUint(1).toHex();
+            await expectRevert(mapKeysTest.testDecodeMapKeys(data), 'Unsupported map key');
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, encodeToHex, Encoder } from '../lib/encoder.js';
+import { decode, Decoder, TypeCategory } from '../lib/decoder.js';
+import { toMsgpack, fromMsgpack } from '../lib/msgpack.js';
+import { InvalidPayloadError } from '../lib/errors.js';
+
+describe('MessagePack Interop', function () {
+    const MSGPACK = { msgpack: true };
+    const ADDR = '0x742d35cc6634c0532925a3b844bc9e7595f0beb1';
+
+    describe('Encoding', function () {
+        it('should emit standard MessagePack integer tags', function () {
+            expect(encodeToHex(200, MSGPACK)).to.equal('0xccc8');
+            expect(encodeToHex(300, MSGPACK)).to.equal('0xcd012c');
+            expect(encodeToHex(70000, MSGPACK)).to.equal('0xce00011170');
+            expect(encodeToHex(-100, MSGPACK)).to.equal('0xd09c');
+            expect(encodeToHex(-200, MSGPACK)).to.equal('0xd1ff38');
+            expect(encodeToHex(-70000, MSGPACK)).to.equal('0xd2fffeee90');
+        });
+
+        it('should emit standard MessagePack str, bin, array and map tags', function () {
+            expect(encode('x'.repeat(40), MSGPACK).subarray(0, 2).toString('hex')).to.equal('d928');
+            expect(encode('x'.repeat(300), MSGPACK).subarray(0, 3).toString('hex')).to.equal('da012c');
+            expect(encodeToHex(Buffer.from('abcd', 'hex'), MSGPACK)).to.equal('0xc402abcd');
+            expect(encode(new Array(20).fill(0), MSGPACK).subarray(0, 3).toString('hex')).to.equal('dc0014');
+
+            const map = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`k${i}`, i]));
+            expect(encode(map, MSGPACK).subarray(0, 3).toString('hex')).to.equal('de0014');
+        });
+
+        it('should write 64-256 bit integers as ext types', function () {
+            expect(encodeToHex(2n ** 32n, MSGPACK)).to.equal('0xd7030000000100000000');
+            expect(encodeToHex(-(2n ** 31n) - 1n, MSGPACK)).to.equal('0xd704ffffffff7fffffff');
+            expect(encode(2n ** 64n, MSGPACK).subarray(0, 2).toString('hex')).to.equal('d803');
+            expect(encode(2n ** 128n, MSGPACK).subarray(0, 3).toString('hex')).to.equal('c72003');
+            expect(encode(-(2n ** 200n), MSGPACK).subarray(0, 3).toString('hex')).to.equal('c72004');
+        });
+
+        it('should write address and bytes32 as ext types', function () {
+            const addr = new Encoder(MSGPACK).encodeAddress(ADDR).toHex();
+            expect(addr).to.equal('0xc71401' + ADDR.slice(2));
+
+            const hash = '0x' + 'ab'.repeat(32);
+            expect(new Encoder(MSGPACK).encodeBytes32(hash).toHex()).to.equal('0xc72002' + hash.slice(2));
+        });
+    });
+
+    describe('Decoding', function () {
+        it('should round-trip values in msgpack mode', function () {
+            const value = {
+                small: 1,
+                wide: [300, -200, 70000, -70000],
+                big: 2n ** 64n - 1n,
+                neg: -(2n ** 100n),
+                huge: 2n ** 256n - 1n,
+                name: 'x'.repeat(40),
+                data: Buffer.from('abcd', 'hex'),
+                none: null,
+                flag: true
+            };
+
+            expect(decode(encode(value, MSGPACK), MSGPACK)).to.deep.equal(value);
+        });
+
+        it('should read native uint64 and int64 as BigInt', function () {
+            expect(decode('0xcf00000001000000ff', MSGPACK)).to.equal(4294967551n);
+            expect(decode('0xd3ffffffffffffffff', MSGPACK)).to.equal(-1n);
+        });
+
+        it('should read 32-bit length forms', function () {
+            expect(decode('0xdb000000026869', MSGPACK)).to.equal('hi');
+            expect(decode('0xdd000000020102', MSGPACK)).to.deep.equal([1, 2]);
+            expect(decode('0xdf00000001a16101', MSGPACK)).to.deep.equal({ a: 1 });
+            expect(decode('0xc60000000101', MSGPACK)).to.deep.equal(Buffer.from([1]));
+        });
+
+        it('should report ext types through peekCategory', function () {
+            const dec = new Decoder(new Encoder(MSGPACK).encodeAddress(ADDR).encodeUint(2n ** 70n).getEncoded(), MSGPACK);
+
+            expect(dec.peekCategory()).to.equal(TypeCategory.ADDRESS);
+            expect(dec.decodeAddress()).to.equal(ADDR);
+            expect(dec.peekCategory()).to.equal(TypeCategory.UINT);
+            expect(dec.decodeUint()).to.equal(2n ** 70n);
+            expect(dec.hasMore()).to.be.false;
+        });
+
+        it('should skip every msgpack form', function () {
+            const enc = new Encoder(MSGPACK);
+            enc.encode({ a: [1, -200, 'x'.repeat(40)], b: 2n ** 100n }).encodeAddress(ADDR).encodeUint(7);
+
+            const dec = new Decoder(enc.getEncoded(), MSGPACK);
+            dec.skip();
+            dec.skip();
+            expect(dec.decodeUint()).to.equal(7);
+        });
+
+        it('should reject floats and unknown ext types', function () {
+            expect(() => decode('0xcb3ff0000000000000', MSGPACK)).to.throw('Unknown type tag: 0xcb');
+            expect(() => decode('0xd40500', MSGPACK)).to.throw('Unknown type tag: 0xd4');
+            expect(() => decode('0xd4ff00', MSGPACK)).to.throw('Invalid TIMESTAMP ext payload length: 1');
+            expect(() => decode('0xd6030000000a', MSGPACK)).to.throw('Invalid UINT ext payload length: 4');
+        });
+
+        it('should throw InvalidPayloadError for wrong ext lengths in strict mode', function () {
+            const STRICT = { msgpack: true, strict: true };
+            expect(() => decode('0xd6030000000a', STRICT)).to.throw(InvalidPayloadError, 'Invalid UINT payload at offset 0: ext payload length 4');
+            expect(() => decode('0x92c0d40100', STRICT)).to.throw(InvalidPayloadError).with.property('offset', 2);
+        });
+
+        it('should apply strict checks in msgpack mode', function () {
+            expect(() => decode('0xd703000000', { msgpack: true, strict: true }))
+                .to.throw('Truncated input at offset 2: UINT needs 8 byte(s), 3 available');
+            expect(() => new Decoder('0xa161', { msgpack: true, strict: true }).decodeAddress())
+                .to.throw('Unexpected tag 0xa1 (STRING) at offset 0, expected ADDRESS');
+        });
+    });
+
+    describe('Converter', function () {
+        it('should convert between SolidityPack and MessagePack', function () {
+            const value = {
+                owner: ADDR,
+                amount: 10n ** 18n,
+                delta: -(2n ** 63n),
+                tags: ['premium', 'verified'],
+                nested: { count: 300, data: Buffer.from('beef', 'hex') }
+            };
+
+            const solidityPack = encode(value);
+            const msgpack = toMsgpack(solidityPack);
+
+            expect(msgpack.equals(encode(value, MSGPACK))).to.be.true;
+            expect(fromMsgpack(msgpack).equals(solidityPack)).to.be.true;
+            expect(decode(msgpack, MSGPACK)).to.deep.equal(decode(solidityPack));
+        });
+
+        it('should preserve address and bytes32 types', function () {
+            const hash = '0x' + 'cd'.repeat(32);
+            const solidityPack = new Encoder().startArray(2).encodeAddress(ADDR).encodeBytes32(hash).getEncoded();
+            const msgpack = toMsgpack(solidityPack);
+
+            expect(msgpack.toString('hex')).to.equal('92c71401' + ADDR.slice(2) + 'c72002' + hash.slice(2));
+            expect(fromMsgpack(msgpack).equals(solidityPack)).to.be.true;
+        });
+
+        it('should convert sequential payloads and hex input', function () {
+            const solidityPack = Buffer.concat([encode(1), encode('a'), encode(2n ** 64n)]);
+            const msgpack = toMsgpack('0x' + solidityPack.toString('hex'));
+
+            expect(new Decoder(msgpack, MSGPACK).decode()).to.equal(1);
+            expect(fromMsgpack(msgpack).equals(solidityPack)).to.be.true;
+        });
+
+        it('should convert Solidity-encoded data', async function () {
+            const EncoderTest = await hre.ethers.getContractFactory('EncoderTest');
+            const encoderTest = await EncoderTest.deploy();
+
+            const solidityPack = await encoderTest.testEncodeComplexObject();
+            const msgpack = toMsgpack(solidityPack);
+
+            expect(decode(msgpack, MSGPACK)).to.deep.equal(decode(solidityPack));
+            expect('0x' + fromMsgpack(msgpack).toString('hex')).to.equal(solidityPack);
+        });
+    });
+});
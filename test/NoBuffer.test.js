@@ -0,0 +1,207 @@
+import { expect } from 'chai';
+import { Worker } from 'node:worker_threads';
+import { encode, encodeToHex, Encoder } from '../lib/encoder.js';
+import { decode } from '../lib/decoder.js';
+import { hexToBytes, bytesToHex, utf8ToBytes, bytesToUtf8, compareBytes, concatBytes } from '../lib/bytes.js';
+import { toTypedJSON } from '../lib/typedjson.js';
+import { disassemble } from '../lib/disassemble.js';
+import { hashStruct } from '../lib/typeddata.js';
+import { toAbi } from '../lib/abi.js';
+import { defineSchema } from '../lib/schema.js';
+
+// Runs in a worker with Buffer deleted, so only Uint8Array/DataView code paths are exercised
+const WORKER = `
+const { parentPort, workerData } = require('node:worker_threads');
+delete globalThis.Buffer;
+
+(async () => {
+    const lib = name => import(new URL(name + '.js', workerData.lib));
+    const { encodeToHex, encode } = await lib('encoder');
+    const { decode, isCanonical } = await lib('decoder');
+    const { decodeAll } = await lib('helpers');
+    const { View } = await lib('view');
+    const { toChecksumAddress } = await lib('address');
+    const { keccak256 } = await lib('keccak');
+    const { toTypedJSON, fromTypedJSON } = await lib('typedjson');
+    const { disassemble, diffEncoded } = await lib('disassemble');
+    const { hashStruct } = await lib('typeddata');
+    const { toAbi, fromAbi } = await lib('abi');
+    const toHex = bytes => '0x' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+    const errorOf = fn => { try { fn(); return null; } catch (e) { return e.name + ': ' + e.message; } };
+    const results = {
+        hasBuffer: typeof Buffer !== 'undefined',
+        values: workerData.values.map(({ value, options }) => {
+            const hex = encodeToHex(value, options);
+            return { hex, decoded: decode(hex, options) };
+        }),
+        encoded: workerData.encoded.map(hex => ({
+            rewrapped: encodeToHex(decode(hex, { wrap: true })),
+            decoded: decode(hex, { address: 'checksum' }),
+            all: decodeAll(hexToBytes(hex), { strict: true }).length,
+            viewCategory: new View(hex).category
+        })),
+        bytesType: Object.getPrototypeOf(decode(encode(new Uint8Array([1, 2])))).constructor.name,
+        canonical: [isCanonical('0x82a162c0a161c0'), isCanonical('0x82a161c0a162c0')],
+        truncated: errorOf(() => decode('0xc5ff', { strict: true })),
+        checksum: toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'),
+        keccak: Array.from(keccak256('abc').subarray(0, 4)),
+        typedJSON: workerData.encoded.map(hex => {
+            const json = toTypedJSON(hex);
+            return { json, rewritten: toHex(fromTypedJSON(json)) };
+        }),
+        disassembled: workerData.encoded.map(hex => disassemble(hex)),
+        diff: diffEncoded(workerData.encoded[2], workerData.encoded[2].replace(/beef$/, 'bee0')).offset,
+        structHash: hashStruct('Order', workerData.orderSchema, workerData.order),
+        abi: toHex(toAbi(workerData.encoded[2], workerData.abiTypes)),
+        packed: toHex(fromAbi(toAbi(hexToBytes(workerData.encoded[2]), workerData.abiTypes), workerData.abiTypes))
+    };
+    parentPort.postMessage(results);
+})().catch(e => parentPort.postMessage({ error: e.stack }));
+
+function hexToBytes(hex) {
+    return new Uint8Array(hex.slice(2).match(/../g).map(b => parseInt(b, 16)));
+}
+`;
+
+function runWithoutBuffer(workerData) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER, { eval: true, workerData });
+        worker.once('message', message => {
+            worker.terminate();
+            if (message.error) reject(new Error(message.error));
+            else resolve(message);
+        });
+        worker.once('error', reject);
+    });
+}
+
+describe('Runtime Without Buffer', function () {
+    const VALUES = [
+        0, 127, 128, 255, 256, 65535, 65536, 2 ** 32 - 1, 2 ** 32, 2n ** 64n - 1n, 2n ** 64n,
+        2n ** 128n, 2n ** 256n - 1n,
+        -1, -32, -33, -128, -129, -32768, -32769, -(2 ** 31), -(2 ** 31) - 1, -(2n ** 63n), -(2n ** 255n),
+        true, false, null,
+        '', 'a', 'x'.repeat(31), 'x'.repeat(32), 'x'.repeat(256), 'x'.repeat(65536), 'héllo wörld 🚀',
+        new Uint8Array(0), new Uint8Array([0xde, 0xad]), new Uint8Array(256).fill(7), new Uint8Array(65536).fill(9),
+        [], Array.from({ length: 15 }, (_, i) => i), Array.from({ length: 16 }, (_, i) => i),
+        Array.from({ length: 256 }, (_, i) => i),
+        { name: 'Alice', balance: 2n ** 100n, tags: ['a', 'b'], nested: { deep: [-5, { k: 'v' }] } },
+        Object.fromEntries(Array.from({ length: 300 }, (_, i) => [`key${i}`, i]))
+    ];
+
+    const CASES = [
+        ...VALUES.map(value => ({ value })),
+        ...VALUES.map(value => ({ value, options: { msgpack: true } })),
+        { value: { b: 1, a: [2, { d: 3, c: 4 }] }, options: { canonical: true } }
+    ];
+
+    const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+    const ENCODED = [
+        new Encoder().encodeAddress(ADDRESS).toHex(),
+        new Encoder().encodeBytes32('0x' + 'ab'.repeat(32)).toHex(),
+        new Encoder().startArray(3).encodeUint(5).encodeInt(-7).encodeBytes('0xbeef').toHex(),
+        new Encoder().startMap(2)
+            .encodeString('owner').encodeAddress(ADDRESS)
+            .encodeString('amount').encodeUint(2n ** 200n)
+            .toHex()
+    ];
+
+    const ORDER_SCHEMA = { owner: 'address', amount: 'uint256', memo: 'string' };
+    const ORDER = defineSchema(ORDER_SCHEMA).encode({ owner: ADDRESS, amount: 10n ** 18n, memo: 'gm' }).toString('hex');
+
+    const ABI_TYPES = ['uint8', 'int8', 'bytes'];
+
+    let results;
+
+    before(async function () {
+        results = await runWithoutBuffer({
+            lib: new URL('../lib/', import.meta.url).href,
+            values: CASES,
+            encoded: ENCODED,
+            orderSchema: ORDER_SCHEMA,
+            order: ORDER,
+            abiTypes: ABI_TYPES
+        });
+    });
+
+    it('should run with Buffer removed from the global scope', function () {
+        expect(results.hasBuffer).to.be.false;
+    });
+
+    it('should encode every value to the same bytes as under Node', function () {
+        CASES.forEach(({ value, options }, i) => {
+            expect(results.values[i].hex, `case ${i}`).to.equal(encodeToHex(value, options));
+        });
+    });
+
+    it('should decode every value back to an equivalent value', function () {
+        CASES.forEach(({ options }, i) => {
+            const { hex, decoded } = results.values[i];
+            expect(encodeToHex(decoded, options), `case ${i}`).to.equal(hex);
+        });
+    });
+
+    it('should decode typed values and re-encode wrappers to the same bytes', function () {
+        ENCODED.forEach((hex, i) => {
+            expect(results.encoded[i].rewrapped).to.equal(hex);
+            expect(results.encoded[i].all).to.equal(1);
+        });
+        expect(results.encoded[0].decoded).to.equal(ADDRESS);
+        expect(results.encoded[3].decoded).to.deep.equal({ owner: ADDRESS, amount: 2n ** 200n });
+        expect(results.encoded.map(r => r.viewCategory)).to.deep.equal(['ADDRESS', 'BYTES32', 'ARRAY', 'MAP']);
+    });
+
+    it('should decode bytes to plain Uint8Array', function () {
+        expect(results.bytesType).to.equal('Uint8Array');
+    });
+
+    it('should check canonical form and strict bounds', function () {
+        expect(results.canonical).to.deep.equal([false, true]);
+        expect(results.truncated).to.match(/^TruncatedInputError/);
+    });
+
+    it('should checksum addresses and hash with the built-in keccak256', function () {
+        expect(results.checksum).to.equal(ADDRESS);
+        expect(results.keccak).to.deep.equal([0x4e, 0x03, 0x65, 0x7a]);
+    });
+
+    it('should convert typed JSON, disassemble and hash typed data', function () {
+        ENCODED.forEach((hex, i) => {
+            expect(results.typedJSON[i].json, `case ${i}`).to.deep.equal(toTypedJSON(hex));
+            expect(results.typedJSON[i].rewritten, `case ${i}`).to.equal(hex);
+            expect(results.disassembled[i], `case ${i}`).to.equal(disassemble(hex));
+        });
+        expect(results.diff).to.equal(3);
+        expect(results.structHash).to.equal(hashStruct('Order', ORDER_SCHEMA, ORDER));
+    });
+
+    it('should convert to and from ABI data', function () {
+        expect(results.abi).to.equal('0x' + toAbi(ENCODED[2], ABI_TYPES).toString('hex'));
+        expect(results.packed).to.equal(ENCODED[2]);
+    });
+
+    describe('Byte helpers', function () {
+        it('should accept plain Uint8Array input under Node', function () {
+            const data = new Uint8Array(encode({ a: [1, 'x'] }));
+            expect(decode(data)).to.deep.equal({ a: [1, 'x'] });
+            expect(encode(new Uint8Array([1, 2]))).to.deep.equal(encode(Buffer.from([1, 2])));
+        });
+
+        it('should convert hex and UTF-8 like Buffer', function () {
+            const text = 'héllo 🚀 \u0000';
+            expect(bytesToHex(utf8ToBytes(text))).to.equal(Buffer.from(text, 'utf8').toString('hex'));
+            expect(bytesToUtf8(Buffer.from([0x61, 0xff, 0x62]))).to.equal(Buffer.from([0x61, 0xff, 0x62]).toString('utf8'));
+            expect(hexToBytes('0x00ff10')).to.deep.equal(Buffer.from('00ff10', 'hex'));
+            expect(() => hexToBytes('0xabc')).to.throw('Invalid hex string');
+            expect(concatBytes([utf8ToBytes('ab'), new Uint8Array(0), hexToBytes('0xff')])).to.deep.equal(Buffer.from('6162ff', 'hex'));
+        });
+
+        it('should order bytes like Buffer.compare', function () {
+            const pairs = [['', ''], ['a', 'b'], ['ab', 'a'], ['a', 'ab'], ['ÿ', 'z']];
+            for (const [a, b] of pairs) {
+                expect(compareBytes(utf8ToBytes(a), utf8ToBytes(b))).to.equal(Buffer.compare(Buffer.from(a), Buffer.from(b)));
+            }
+        });
+    });
+});
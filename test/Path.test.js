@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encodeToHex } from '../lib/encoder.js';
+import { encodePath, decodePath, resolvePath } from '../lib/path.js';
+
+describe('Path Lookup', function () {
+    const OWNER = '0x742d35cc6634c0532925a3b844bc9e7595f0beb1';
+    const REF = '0x' + 'ab'.repeat(32);
+
+    // { user: { owner, balances: [..], name, active }, meta: { ref, payload, delta } }
+    const data = new Encoder()
+        .startMap(2)
+        .encodeString('user').startMap(4)
+        .encodeString('owner').encodeAddress(OWNER)
+        .encodeString('balances').encodeArray([100, 200, 300, 10n ** 30n])
+        .encodeString('name').encodeString('Alice')
+        .encodeString('active').encodeBool(true)
+        .encodeString('meta').startMap(3)
+        .encodeString('ref').encodeBytes32(REF)
+        .encodeString('payload').encodeBytes(Buffer.from('beef', 'hex'))
+        .encodeString('delta').encodeInt(-5000)
+        .toHex();
+
+    let pathTest;
+
+    before(async function () {
+        const PathLookupTest = await hre.ethers.getContractFactory('PathLookupTest');
+        pathTest = await PathLookupTest.deploy();
+    });
+
+    describe('JavaScript', function () {
+        it('should encode paths as SolidityPack arrays', function () {
+            expect(encodeToHex(['user', 'balances', 3])).to.equal('0x' + encodePath(['user', 'balances', 3]).toString('hex'));
+            expect(decodePath(encodePath(['a', 0, 'b', 12n]))).to.deep.equal(['a', 0, 'b', 12]);
+            expect(() => encodePath(['a', -1])).to.throw('Invalid path segment: -1');
+            expect(() => decodePath(encodeToHex([true]))).to.throw('Invalid path segment 0: expected STRING or UINT, got BOOL');
+        });
+
+        it('should resolve paths to views', function () {
+            expect(resolvePath(data, ['user', 'balances', 3]).value()).to.equal(10n ** 30n);
+            expect(resolvePath(data, encodePath(['meta', 'delta'])).value()).to.equal(-5000);
+            expect(resolvePath(data, []).value().user.name).to.equal('Alice');
+        });
+
+        it('should return undefined for missing keys and indexes', function () {
+            expect(resolvePath(data, ['user', 'missing'])).to.be.undefined;
+            expect(resolvePath(data, ['user', 'balances', 4])).to.be.undefined;
+            expect(() => resolvePath(data, ['user', 0])).to.throw('Not an array (got MAP)');
+            expect(() => resolvePath(data, ['user', 'name', 'x'])).to.throw('Not a map (got STRING)');
+        });
+    });
+
+    describe('Solidity', function () {
+        it('should land on the same offset as the JS helper', async function () {
+            const paths = [
+                [],
+                ['user'],
+                ['user', 'balances', 0],
+                ['user', 'balances', 3],
+                ['user', 'active'],
+                ['meta', 'payload']
+            ];
+
+            for (const path of paths) {
+                const [found, offset] = await pathTest.testSeekPath(data, encodePath(path));
+                expect(found, path.join('/')).to.be.true;
+                expect(Number(offset), path.join('/')).to.equal(resolvePath(data, path).offset);
+            }
+        });
+
+        it('should report missing keys and indexes', async function () {
+            const [missingKey] = await pathTest.testSeekPath(data, encodePath(['user', 'missing']));
+            const [missingIndex] = await pathTest.testSeekPath(data, encodePath(['user', 'balances', 4]));
+
+            expect(missingKey).to.be.false;
+            expect(missingIndex).to.be.false;
+        });
+
+        it('should seek keys and indexes directly', async function () {
+            const map = encodeToHex({ a: 1, amount: 42, z: 3 });
+            const array = encodeToHex([10, 20, 30]);
+
+            expect(await pathTest.testSeekKey(map, 'amount')).to.deep.equal([true, 42n]);
+            expect(await pathTest.testSeekKey(map, 'amoun')).to.deep.equal([false, 0n]);
+            expect(await pathTest.testSeekIndex(array, 2)).to.deep.equal([true, 30n]);
+            expect(await pathTest.testSeekIndex(array, 3)).to.deep.equal([false, 0n]);
+        });
+
+        it('should read typed values at a path', async function () {
+            expect(await pathTest.testGetUintAt(data, encodePath(['user', 'balances', 3]))).to.equal(10n ** 30n);
+            expect(await pathTest.testGetIntAt(data, encodePath(['meta', 'delta']))).to.equal(-5000n);
+            expect((await pathTest.testGetAddressAt(data, encodePath(['user', 'owner']))).toLowerCase()).to.equal(OWNER);
+            expect(await pathTest.testGetStringAt(data, encodePath(['user', 'name']))).to.equal('Alice');
+            expect(await pathTest.testGetBoolAt(data, encodePath(['user', 'active']))).to.be.true;
+            expect(await pathTest.testGetBytes32At(data, encodePath(['meta', 'ref']))).to.equal(REF);
+            expect(await pathTest.testGetBytesAt(data, encodePath(['meta', 'payload']))).to.equal('0xbeef');
+        });
+
+        it('should revert on missing paths and wrong containers', async function () {
+            await expectRevert(pathTest.testGetUintAt(data, encodePath(['user', 'nope'])), 'Path not found');
+            await expectRevert(pathTest.testGetUintAt(data, encodePath(['user', 0])), 'Not array');
+            await expectRevert(pathTest.testGetUintAt(data, encodePath(['user', 'name'])), 'Invalid uint tag');
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, Encoder } from '../lib/encoder.js';
+import { decode } from '../lib/decoder.js';
+import { defineSchema } from '../lib/schema.js';
+
+describe('Schema', function () {
+    const OWNER = '0x742d35cc6634c0532925a3b844bc9e7595f0beb1';
+
+    const Account = defineSchema({
+        owner: 'address',
+        balance: 'uint256',
+        active: 'bool',
+        metadata: {
+            name: 'string',
+            tags: ['string']
+        }
+    });
+
+    describe('Encoding', function () {
+        it('should force the address tag for address fields', function () {
+            const Transfer = defineSchema({ to: 'address' });
+            const encoded = Transfer.encode({ to: OWNER });
+
+            // fixmap(1), fixstr "to", ADDRESS tag + 20 bytes
+            expect(encoded.length).to.equal(1 + 3 + 21);
+            expect(encoded[4]).to.equal(0xD4);
+
+            // Auto-detection would have produced a 42-byte string instead
+            expect(encode({ to: OWNER })[4]).to.equal(0xD2);
+        });
+
+        it('should write fields in schema order', function () {
+            const encoded = Account.encode({
+                metadata: { tags: ['a'], name: 'Alice' },
+                active: true,
+                balance: 1000000n,
+                owner: OWNER
+            });
+
+            expect(Object.keys(decode(encoded))).to.deep.equal(['owner', 'balance', 'active', 'metadata']);
+            expect(Object.keys(decode(encoded).metadata)).to.deep.equal(['name', 'tags']);
+        });
+
+        it('should reject values that do not match the declared type', function () {
+            const Amount = defineSchema({ amount: 'uint8' });
+
+            expect(() => Amount.encode({ amount: 256 })).to.throw('Field "amount": value 256 out of range for uint8');
+            expect(() => Amount.encode({ amount: '1' })).to.throw('Field "amount": expected uint8, got string');
+            expect(() => Amount.encode({ amount: 1.5 })).to.throw('non-integer');
+            expect(() => Amount.encode({})).to.throw('Field "amount": missing value');
+            expect(() => Amount.encode({ amount: 1, extra: 2 })).to.throw('Field "extra": not declared in schema');
+        });
+
+        it('should report the path of nested errors', function () {
+            expect(() => Account.encode({
+                owner: OWNER,
+                balance: 1,
+                active: true,
+                metadata: { name: 'Alice', tags: ['ok', 42] }
+            })).to.throw('Field "metadata.tags.1": expected string, got number');
+        });
+
+        it('should reject invalid specs', function () {
+            expect(() => defineSchema({ a: 'uint7' })).to.throw("invalid integer width in 'uint7'");
+            expect(() => defineSchema({ a: 'float' })).to.throw("unknown type 'float'");
+            expect(() => defineSchema({ a: ['string', 'uint8'] })).to.throw('exactly one element type');
+        });
+
+        it('should compose nested schemas', function () {
+            const Point = defineSchema({ x: 'int32', y: 'int32' });
+            const Path = defineSchema({ points: [Point] });
+            const value = { points: [{ x: -1, y: 2 }, { x: 3, y: -4 }] };
+
+            expect(Path.decode(Path.encode(value))).to.deep.equal(value);
+        });
+    });
+
+    describe('Decoding', function () {
+        it('should round-trip with typed values', function () {
+            const value = {
+                owner: OWNER,
+                balance: 42n,
+                active: false,
+                metadata: { name: 'Alice', tags: ['premium', 'verified'] }
+            };
+
+            const decoded = Account.decode(Account.encode(value));
+            expect(decoded).to.deep.equal(value);
+            expect(typeof decoded.balance).to.equal('bigint');
+        });
+
+        it('should return numbers for widths up to 32 bits', function () {
+            const Small = defineSchema({ a: 'uint32', b: 'int8', c: 'uint64' });
+            const decoded = Small.decode(encode({ a: 7, b: 5, c: 9 }));
+
+            expect(decoded).to.deep.equal({ a: 7, b: 5, c: 9n });
+        });
+
+        it('should decode non-negative ints written with uint tags', function () {
+            const Delta = defineSchema({ delta: 'int32' });
+
+            expect(Delta.decode(Delta.encode({ delta: 200 }))).to.deep.equal({ delta: 200 });
+            expect(Delta.decode(Delta.encode({ delta: -200 }))).to.deep.equal({ delta: -200 });
+
+            // 200 is past the positive fixint range, so it goes out as a uint8
+            const Balance = defineSchema({ change: 'int' });
+            expect(Balance.encode({ change: 200n }).toString('hex')).to.equal('81a66368616e6765c4c8');
+            expect(Balance.decode(Balance.encode({ change: 200n }))).to.deep.equal({ change: 200n });
+            expect(Balance.decode(encode({ change: 2n ** 255n - 1n }))).to.deep.equal({ change: 2n ** 255n - 1n });
+        });
+
+        it('should check each field category', function () {
+            const Transfer = defineSchema({ to: 'address' });
+
+            expect(() => Transfer.decode(encode({ to: OWNER }))).to.throw('Field "to": expected ADDRESS, got STRING');
+        });
+
+        it('should reject missing, unknown and out-of-range fields', function () {
+            const Amount = defineSchema({ amount: 'uint8' });
+
+            expect(() => Amount.decode(encode({}))).to.throw('Field "amount": missing from payload');
+            expect(() => Amount.decode(encode({ amount: 1, other: 2 }))).to.throw('Field "other": not declared in schema');
+            expect(() => Amount.decode(encode({ amount: 300 }))).to.throw('out of range for uint8');
+        });
+
+        it('should treat field names that shadow Object.prototype as plain keys', function () {
+            const Odd = defineSchema({ constructor: 'uint8', toString: 'string', ['__proto__']: 'bool' });
+            const value = { constructor: 1, toString: 'x', ['__proto__']: true };
+
+            const decoded = Odd.decode(Odd.encode(value));
+            expect(Object.keys(decoded)).to.deep.equal(['constructor', 'toString', '__proto__']);
+            expect(decoded.constructor).to.equal(1);
+            expect(decoded['__proto__']).to.equal(true);
+            expect(() => Odd.encode({ constructor: 1, ['__proto__']: true })).to.throw('Field "toString": missing value');
+
+            const missing = new Encoder().startMap(2).encodeString('constructor').encodeUint(1)
+                .encodeString('__proto__').encodeBool(true).getEncoded();
+            expect(() => Odd.decode(missing)).to.throw('Field "toString": missing from payload');
+        });
+
+        it('should decode a Solidity-encoded object', async function () {
+            const EncoderTest = await hre.ethers.getContractFactory('EncoderTest');
+            const encoderTest = await EncoderTest.deploy();
+
+            const decoded = Account.decode(await encoderTest.testEncodeComplexObject());
+
+            expect(decoded.owner).to.match(/^0x[0-9a-f]{40}$/);
+            expect(decoded.balance).to.equal(1000000n);
+            expect(decoded.active).to.be.true;
+            expect(decoded.metadata.name).to.equal('Alice');
+        });
+    });
+});
@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import hre from 'hardhat';
 import { encode, encodeToHex } from '../lib/encoder.js';
 import { decode } from '../lib/decoder.js';
+import { decodeAll } from '../lib/helpers.js';
 
 describe('SolidityPack', function () {
     let encoderTest;
@@ -80,6 +81,25 @@ describe('SolidityPack', function () {
             expect(decoded[1]).to.equal(-32);
         });
 
+        it('should encode 64/128-bit negatives with minimal width', async function () {
+            const result = await encoderTest.testEncodeWideSignedNumbers();
+            const values = [
+                -2147483649n,
+                -(2n ** 63n),
+                -(2n ** 63n) - 1n,
+                -(2n ** 127n),
+                -(2n ** 127n) - 1n
+            ];
+
+            expect(result).to.equal(encodeToHex(values));
+            expect(decode(result)).to.deep.equal(values);
+
+            const bytes = Buffer.from(result.slice(2), 'hex');
+            expect(bytes[1]).to.equal(0xCD); // int64
+            expect(bytes[19]).to.equal(0xCE); // int128
+            expect(bytes[53]).to.equal(0xCF); // int256
+        });
+
         it('should perform round-trip encoding/decoding', async function () {
             const [success, decodedNumber, decodedString] = await encoderTest.testRoundTrip();
 
@@ -196,6 +216,97 @@ describe('SolidityPack', function () {
             expect(val2).to.equal(-128n);
             expect(val3).to.equal(-2147483648n); // int32.min
         });
+
+        it('should decode int64 and int128', async function () {
+            const [val1, val2, val3] = await decoderTest.testDecodeWideSignedNumbers();
+
+            expect(val1).to.equal(-5000000000n);
+            expect(val2).to.equal(-(2n ** 63n)); // int64.min
+            expect(val3).to.equal(-(2n ** 127n)); // int128.min
+        });
+    });
+
+    describe('Signed Integer Widths', function () {
+        it('should choose the smallest signed width', function () {
+            expect(encode(-2147483648).length).to.equal(5);           // int32
+            expect(encode(-2147483649).length).to.equal(9);           // int64
+            expect(encode(-(2n ** 63n)).length).to.equal(9);          // int64
+            expect(encode(-(2n ** 63n) - 1n).length).to.equal(17);    // int128
+            expect(encode(-(2n ** 127n)).length).to.equal(17);        // int128
+            expect(encode(-(2n ** 127n) - 1n).length).to.equal(33);   // int256
+        });
+
+        it('should round-trip int64 and int128 values', function () {
+            const values = [-2147483649n, -(2n ** 63n), -(2n ** 100n), -(2n ** 127n), -(2n ** 255n)];
+            for (const value of values) {
+                expect(decode(encode(value))).to.equal(value);
+            }
+        });
+
+        it('should reject values below int256.min', function () {
+            expect(() => encode(-(2n ** 255n) - 1n)).to.throw('Value too small for int256');
+        });
+    });
+
+    describe('32-bit Lengths', function () {
+        const LONG = 70000; // 0x00011170
+        const longString = 'a'.repeat(LONG);
+        const longBytes = Buffer.alloc(LONG + 1, 0xab);
+
+        it('should switch to 32-bit headers past 65535', function () {
+            expect(encode('a'.repeat(65535)).subarray(0, 3).toString('hex')).to.equal('d3ffff');
+            expect(encode(longString).subarray(0, 5).toString('hex')).to.equal('db00011170');
+            expect(encode(longBytes).subarray(0, 5).toString('hex')).to.equal('da00011171');
+            expect(encode(new Array(LONG).fill(0)).subarray(0, 5).toString('hex')).to.equal('dc00011170');
+
+            const wide = {};
+            for (let i = 0; i < LONG; i++) wide['k' + i] = i;
+            expect(encode(wide).subarray(0, 5).toString('hex')).to.equal('dd00011170');
+            expect(Object.keys(decode(encode(wide))).length).to.equal(LONG);
+        });
+
+        it('should round-trip long strings, bytes and arrays', function () {
+            expect(decode(encode(longString))).to.equal(longString);
+            expect(decode(encode(longBytes)).equals(longBytes)).to.be.true;
+            expect(decode(encode(new Array(LONG).fill(7)))).to.have.lengthOf(LONG);
+        });
+
+        it('should decode and skip hand-built 32-bit headers', function () {
+            expect(decode('0xdb000000026869')).to.equal('hi');
+            expect(decode('0xdc000000020102')).to.deep.equal([1, 2]);
+            expect(decode('0xdd00000001a16101')).to.deep.equal({ a: 1 });
+            expect(decodeAll('0xda00000002beef07')).to.deep.equal([Buffer.from('beef', 'hex'), 7]);
+            expect(() => decode('0xdb00000005', { strict: true })).to.throw('STRING needs 5 byte(s), 0 available');
+        });
+
+        it('should encode 32-bit headers in Solidity', async function () {
+            const [strEncoder, strBuilder, strDirect] = await encoderTest.testEncodeLongString(longString);
+            const [bytesEncoder, bytesBuilder, bytesDirect] = await encoderTest.testEncodeLongBytes(longBytes);
+            const [headers, builderHeaders] = await encoderTest.testEncodeContainerHeaders(LONG);
+
+            for (const result of [strEncoder, strBuilder, strDirect]) {
+                expect(result).to.equal(encodeToHex(longString));
+            }
+            for (const result of [bytesEncoder, bytesBuilder, bytesDirect]) {
+                expect(result).to.equal(encodeToHex(longBytes));
+            }
+            expect(headers).to.equal('0xdc00011170dd00011170');
+            expect(builderHeaders).to.equal('0xdc00011170dd00011170');
+        });
+
+        it('should decode and skip 32-bit headers in Solidity', async function () {
+            const [strLen, bytesLen, tail] = await decoderTest.testDecodeLongPayload(encode([longString, longBytes, 7]));
+            expect([strLen, bytesLen, tail]).to.deep.equal([BigInt(LONG), BigInt(LONG + 1), 7n]);
+
+            const data = Buffer.concat([
+                Buffer.from('dc00000002db0000000161da00000001ff', 'hex'),   // [str32 'a', bytes32len 0xff]
+                Buffer.from('dd00000001a16190', 'hex'),                     // { a: [] }
+                encode(longString),
+                encode(9)
+            ]);
+            const [arrayLen, mapLen, last] = await decoderTest.testDecodeLongHeaders(data);
+            expect([arrayLen, mapLen, last]).to.deep.equal([2n, 1n, 9n]);
+        });
     });
 
     describe('JavaScript <-> Solidity Interop', function () {
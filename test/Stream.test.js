@@ -0,0 +1,193 @@
+import { expect } from 'chai';
+import { Readable, Writable } from 'node:stream';
+import { encode, Encoder } from '../lib/encoder.js';
+import { decodeAll } from '../lib/helpers.js';
+import { StreamDecoder, StreamEncoder, createDecodeStream } from '../lib/stream.js';
+import { TruncatedInputError } from '../lib/errors.js';
+
+describe('Streaming Decoder', function () {
+    const values = [
+        42,
+        'hello',
+        { owner: '0x' + '11'.repeat(20), amount: 10n ** 30n, tags: ['a', 'b'], nested: { deep: [[1], []] } },
+        [],
+        -(2n ** 100n),
+        'x'.repeat(300)
+    ];
+    const encoded = Buffer.concat(values.map(v => encode(v)));
+
+    function chunks(data, size) {
+        const out = [];
+        for (let i = 0; i < data.length; i += size) {
+            out.push(data.subarray(i, i + size));
+        }
+        return out;
+    }
+
+    describe('StreamDecoder', function () {
+        it('should match decodeAll for any chunk size', function () {
+            const expected = decodeAll(encoded);
+
+            for (const size of [1, 2, 3, 7, 64, encoded.length]) {
+                const decoder = new StreamDecoder();
+                const decoded = chunks(encoded, size).flatMap(chunk => decoder.write(chunk));
+
+                expect(decoded, `chunk size ${size}`).to.deep.equal(expected);
+                expect(decoder.pending).to.equal(0);
+                decoder.end();
+            }
+        });
+
+        it('should emit values as soon as they are complete', function () {
+            const decoder = new StreamDecoder();
+            const data = Buffer.concat([encode([1, 2]), encode('abc')]);
+
+            expect(decoder.write(data.subarray(0, 2))).to.deep.equal([]);
+            expect(decoder.write(data.subarray(2, 4))).to.deep.equal([[1, 2]]);
+            expect(decoder.pending).to.equal(1);
+            expect(decoder.write(data.subarray(4))).to.deep.equal(['abc']);
+        });
+
+        it('should resume inside length prefixes and payloads', function () {
+            const decoder = new StreamDecoder();
+            const data = encode('y'.repeat(1000)); // str16: tag + 2-byte length
+
+            expect(decoder.write(data.subarray(0, 2))).to.deep.equal([]);
+            expect(decoder.write(data.subarray(2, 500))).to.deep.equal([]);
+            expect(decoder.write(data.subarray(500))).to.deep.equal(['y'.repeat(1000)]);
+        });
+
+        it('should accept Uint8Array chunks', function () {
+            const decoder = new StreamDecoder();
+            const data = encode({ a: 1 });
+
+            expect(decoder.write(new Uint8Array(data))).to.deep.equal([{ a: 1 }]);
+        });
+
+        it('should decode MessagePack input', function () {
+            const decoder = new StreamDecoder({ msgpack: true });
+            const data = new Encoder({ msgpack: true }).encode(2n ** 64n).encode({ a: [1] }).getEncoded();
+
+            const decoded = chunks(data, 1).flatMap(chunk => decoder.write(chunk));
+            expect(decoded).to.deep.equal([2n ** 64n, { a: [1] }]);
+        });
+
+        it('should throw on end() with an incomplete value', function () {
+            const decoder = new StreamDecoder();
+            decoder.write(encode({ a: 'hello' }).subarray(0, 5));
+
+            expect(() => decoder.end()).to.throw(TruncatedInputError, 'Truncated input at offset 4: STRING needs 5 byte(s), 1 available');
+        });
+
+        it('should throw on malformed input', function () {
+            const decoder = new StreamDecoder();
+
+            expect(() => decoder.write(Buffer.from([0x01, 0xC1, 0x02, 0xC0]))).to.throw('Unexpected tag 0xc0 (NIL) at offset 3, expected INT');
+        });
+    });
+
+    describe('createDecodeStream', function () {
+        it('should decode a chunked byte stream', async function () {
+            const decoded = await Readable.from(chunks(encoded, 5)).pipe(createDecodeStream()).toArray();
+
+            expect(decoded).to.deep.equal(decodeAll(encoded));
+        });
+
+        it('should push top-level nil as undefined', async function () {
+            const data = Buffer.concat([encode(1), encode(null), encode(2)]);
+            const decoded = await Readable.from([data]).pipe(createDecodeStream()).toArray();
+
+            expect(decoded).to.deep.equal([1, undefined, 2]);
+        });
+
+        it('should fail the stream on truncated input', async function () {
+            const stream = Readable.from([encode([1, 2, 3]).subarray(0, 2)]).pipe(createDecodeStream());
+
+            let error;
+            try {
+                await stream.toArray();
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(TruncatedInputError);
+        });
+    });
+
+    describe('StreamEncoder', function () {
+        function collect() {
+            const chunks = [];
+            const target = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                }
+            });
+            return { chunks, target };
+        }
+
+        it('should produce the same bytes as Encoder', async function () {
+            const { chunks, target } = collect();
+            const encoder = new StreamEncoder(target, { chunkSize: 16 });
+
+            for (const value of values) encoder.encode(value);
+            await encoder.end();
+
+            expect(Buffer.concat(chunks).equals(encoded)).to.be.true;
+            expect(encoder.bytesWritten).to.equal(encoded.length);
+        });
+
+        it('should flush once the chunk size fills', function () {
+            const chunks = [];
+            const encoder = new StreamEncoder(chunk => chunks.push(chunk), { chunkSize: 8 });
+
+            encoder.startArray(10);
+            for (let i = 0; i < 10; i++) encoder.encodeUint(1000 + i); // 3 bytes each
+            encoder.flush();
+
+            expect(chunks.every(chunk => chunk.length <= 8)).to.be.true;
+            expect(chunks.length).to.be.greaterThan(1);
+            expect(Buffer.concat(chunks).equals(encode(Array.from({ length: 10 }, (_, i) => 1000 + i)))).to.be.true;
+        });
+
+        it('should write values larger than the chunk size whole', function () {
+            const chunks = [];
+            const encoder = new StreamEncoder(chunk => chunks.push(chunk), { chunkSize: 4 });
+
+            encoder.encodeUint(1).encodeString('z'.repeat(100)).flush();
+
+            expect(chunks.map(chunk => chunk.length)).to.deep.equal([1, 102]);
+        });
+
+        it('should keep the fluent API and encoder options', function () {
+            const chunks = [];
+            const encoder = new StreamEncoder(chunk => chunks.push(chunk), { chunkSize: 4, msgpack: true });
+
+            encoder.startMap(1).encodeString('amount').encodeUint(2n ** 64n).flush();
+
+            expect(Buffer.concat(chunks).equals(encode({ amount: 2n ** 64n }, { msgpack: true }))).to.be.true;
+        });
+
+        it('should report backpressure and wait for drain', async function () {
+            const target = new Writable({
+                highWaterMark: 4,
+                write(chunk, encoding, callback) {
+                    setImmediate(callback);
+                }
+            });
+            const encoder = new StreamEncoder(target, { chunkSize: 8 });
+
+            encoder.encodeString('a'.repeat(20)).flush();
+            expect(encoder.needsDrain).to.be.true;
+
+            await encoder.drain();
+            expect(encoder.needsDrain).to.be.false;
+            await encoder.end();
+        });
+
+        it('should reject invalid targets and getEncoded()', function () {
+            expect(() => new StreamEncoder({})).to.throw('must be a Writable stream or a function');
+            expect(() => new StreamEncoder(() => {}, { chunkSize: 0 })).to.throw('chunkSize must be positive');
+            expect(() => new StreamEncoder(() => {}).getEncoded()).to.throw('use flush() or end()');
+        });
+    });
+});
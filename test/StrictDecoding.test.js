@@ -0,0 +1,164 @@
+import { expect } from 'chai';
+import { encode } from '../lib/encoder.js';
+import { Decoder, decode, TypeCategory } from '../lib/decoder.js';
+import { decodeAll } from '../lib/helpers.js';
+import {
+    SolidityPackError,
+    TruncatedInputError,
+    UnexpectedTagError,
+    UnknownTagError,
+    TrailingDataError
+} from '../lib/errors.js';
+
+function truncated(value, drop = 1) {
+    const encoded = encode(value);
+    return encoded.slice(0, encoded.length - drop);
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    expect.fail('Expected an error to be thrown');
+}
+
+describe('Strict Decoding', function () {
+    describe('Truncated input', function () {
+        it('should reject short strings', function () {
+            const err = catchError(() => decode(truncated('hello world'), { strict: true }));
+
+            expect(err).to.be.instanceOf(TruncatedInputError);
+            expect(err).to.be.instanceOf(SolidityPackError);
+            expect(err.offset).to.equal(1);
+            expect(err.expected).to.equal(TypeCategory.STRING);
+            expect(err.needed).to.equal(11);
+            expect(err.available).to.equal(10);
+        });
+
+        it('should reject short bytes, addresses and bytes32', function () {
+            const bytes = catchError(() => decode(truncated(Buffer.alloc(300)), { strict: true }));
+            expect(bytes).to.be.instanceOf(TruncatedInputError);
+            expect(bytes.expected).to.equal(TypeCategory.BYTES);
+            expect(bytes.offset).to.equal(3);
+
+            const address = catchError(() => decode('0xd4' + '11'.repeat(19), { strict: true }));
+            expect(address).to.be.instanceOf(TruncatedInputError);
+            expect(address.expected).to.equal(TypeCategory.ADDRESS);
+
+            const bytes32 = catchError(() => decode('0xd5' + '11'.repeat(31), { strict: true }));
+            expect(bytes32).to.be.instanceOf(TruncatedInputError);
+            expect(bytes32.expected).to.equal(TypeCategory.BYTES32);
+        });
+
+        it('should reject short big integers', function () {
+            const err = catchError(() => decode(truncated(2n ** 200n), { strict: true }));
+
+            expect(err).to.be.instanceOf(TruncatedInputError);
+            expect(err.expected).to.equal(TypeCategory.UINT);
+            expect(err.needed).to.equal(32);
+        });
+
+        it('should reject a truncated length prefix', function () {
+            const err = catchError(() => decode('0xd3', { strict: true }));
+
+            expect(err).to.be.instanceOf(TruncatedInputError);
+            expect(err.offset).to.equal(1);
+            expect(err.needed).to.equal(2);
+            expect(err.available).to.equal(0);
+        });
+
+        it('should reject containers with missing elements', function () {
+            const err = catchError(() => decode(truncated({ a: 1, b: 2 }), { strict: true }));
+
+            expect(err).to.be.instanceOf(TruncatedInputError);
+            expect(err.offset).to.equal(6);
+            expect(err.expected).to.equal(null);
+        });
+
+        it('should bounds-check skip()', function () {
+            const dec = new Decoder(truncated(['a', 'long enough string here']), { strict: true });
+            dec.decodeArrayLength();
+            dec.skip();
+
+            expect(() => dec.skip()).to.throw(TruncatedInputError);
+        });
+
+        it('should keep the lenient behavior by default', function () {
+            expect(decode(truncated('hello world'))).to.equal('hello worl');
+        });
+    });
+
+    describe('Unexpected tags', function () {
+        it('should report offset, expected and actual category', function () {
+            const dec = new Decoder(encode(['x', 'y']), { strict: true });
+            dec.decodeArrayLength();
+
+            const err = catchError(() => dec.decodeUint());
+            expect(err).to.be.instanceOf(UnexpectedTagError);
+            expect(err.offset).to.equal(1);
+            expect(err.tag).to.equal(0xA1);
+            expect(err.expected).to.equal(TypeCategory.UINT);
+            expect(err.actual).to.equal(TypeCategory.STRING);
+            expect(err.message).to.equal('Unexpected tag 0xa1 (STRING) at offset 1, expected UINT');
+        });
+
+        it('should apply to every typed decode method', function () {
+            const cases = [
+                ['decodeBool', TypeCategory.BOOL],
+                ['decodeNil', TypeCategory.NIL],
+                ['decodeInt', TypeCategory.INT],
+                ['decodeAddress', TypeCategory.ADDRESS],
+                ['decodeBytes32', TypeCategory.BYTES32],
+                ['decodeBytes', TypeCategory.BYTES],
+                ['decodeArrayLength', TypeCategory.ARRAY],
+                ['decodeMapLength', TypeCategory.MAP]
+            ];
+
+            for (const [method, expected] of cases) {
+                const err = catchError(() => new Decoder(encode('str'), { strict: true })[method]());
+                expect(err, method).to.be.instanceOf(UnexpectedTagError);
+                expect(err.expected, method).to.equal(expected);
+            }
+
+            const err = catchError(() => new Decoder(encode(1), { strict: true }).decodeString());
+            expect(err.expected).to.equal(TypeCategory.STRING);
+            expect(err.actual).to.equal(TypeCategory.UINT);
+        });
+
+        it('should throw UnknownTagError for unassigned tags', function () {
+            // Every SolidityPack tag is assigned; 0xc1 is still unused in MessagePack
+            const err = catchError(() => decode('0x92c1', { strict: true, msgpack: true }));
+
+            expect(err).to.be.instanceOf(UnknownTagError);
+            expect(err.offset).to.equal(1);
+            expect(err.tag).to.equal(0xC1);
+        });
+    });
+
+    describe('Top-level helpers', function () {
+        it('should reject trailing data in decode()', function () {
+            const data = Buffer.concat([encode(1), encode(2)]);
+            const err = catchError(() => decode(data, { strict: true }));
+
+            expect(err).to.be.instanceOf(TrailingDataError);
+            expect(err.offset).to.equal(1);
+            expect(err.remaining).to.equal(1);
+            expect(decode(data)).to.equal(1);
+        });
+
+        it('should pass options through decodeAll()', function () {
+            const data = Buffer.concat([encode('ok'), truncated('broken')]);
+
+            expect(decodeAll(Buffer.concat([encode(1), encode('two')]), { strict: true })).to.deep.equal([1, 'two']);
+            expect(() => decodeAll(data, { strict: true })).to.throw(TruncatedInputError);
+        });
+
+        it('should decode valid nested payloads unchanged', function () {
+            const value = { owner: 'alice', amounts: [1, 300, 2n ** 70n, -5], nested: { ok: true, nil: null } };
+
+            expect(decode(encode(value), { strict: true })).to.deep.equal(value);
+        });
+    });
+});
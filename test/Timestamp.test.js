@@ -0,0 +1,237 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { Encoder, encode, encodeToHex } from '../lib/encoder.js';
+import { Decoder, decode, isCanonical, assertCanonical, TypeCategory } from '../lib/decoder.js';
+import { decodeAll } from '../lib/helpers.js';
+import { Timestamp, Duration } from '../lib/values.js';
+import { Ext } from '../lib/ext.js';
+import { disassemble } from '../lib/disassemble.js';
+import { toTypedJSON, fromTypedJSON } from '../lib/typedjson.js';
+import { toMsgpack, fromMsgpack } from '../lib/msgpack.js';
+import { StreamDecoder } from '../lib/stream.js';
+import { TruncatedInputError, UnexpectedTagError, InvalidPayloadError } from '../lib/errors.js';
+
+// 2023-11-14T22:13:20Z
+const SECONDS = 1700000000n;
+
+describe('Timestamps and Durations', function () {
+    let timestampTest;
+
+    before(async function () {
+        const TimestampTest = await hre.ethers.getContractFactory('TimestampTest');
+        timestampTest = await TimestampTest.deploy();
+    });
+
+    describe('Value classes', function () {
+        it('should convert timestamps to and from Dates', function () {
+            const timestamp = Timestamp.fromDate(new Date('2023-11-14T22:13:20.250Z'));
+            expect(timestamp).to.deep.equal(new Timestamp(SECONDS, 250000000));
+            expect(timestamp.toDate().toISOString()).to.equal('2023-11-14T22:13:20.250Z');
+            expect(new Timestamp(SECONDS, 1).toDate().getTime()).to.equal(1700000000000);
+            expect(() => new Timestamp(2n ** 64n - 1n).toDate()).to.throw('out of range for a Date');
+        });
+
+        it('should print timestamps as RFC 3339 and durations in seconds', function () {
+            expect(String(new Timestamp(SECONDS))).to.equal('2023-11-14T22:13:20Z');
+            expect(String(new Timestamp(SECONDS, 5))).to.equal('2023-11-14T22:13:20.000000005Z');
+            expect(JSON.stringify({ at: new Timestamp(SECONDS, 500000000) })).to.equal('{"at":"2023-11-14T22:13:20.5Z"}');
+            expect(String(new Duration(90))).to.equal('90s');
+            expect(String(Duration.fromMilliseconds(1500))).to.equal('1.5s');
+            expect(Duration.fromMilliseconds(1500).toMilliseconds()).to.equal(1500);
+        });
+
+        it('should validate seconds and nanoseconds', function () {
+            expect(() => new Timestamp(-1)).to.throw('Timestamp seconds -1 out of range for uint64');
+            expect(() => Timestamp.fromDate(new Date('1969-12-31T23:59:59Z'))).to.throw('out of range for uint64');
+            expect(() => Timestamp.fromDate(new Date('nope'))).to.throw('Invalid Date');
+            expect(() => new Duration(1, 1e9)).to.throw('Invalid Duration nanoseconds 1000000000: expected an integer from 0 to 999999999');
+            expect(() => new Duration(1.5)).to.throw('Duration value must be an integer');
+        });
+    });
+
+    describe('Wire format', function () {
+        it('should write ext values with reserved ids, with nanoseconds only when nonzero', function () {
+            expect(encodeToHex(new Timestamp(SECONDS))).to.equal('0xde08ff000000006553f100');
+            expect(encodeToHex(new Date('2023-11-14T22:13:20.500Z'))).to.equal('0xde0cff000000006553f1001dcd6500');
+            expect(new Encoder().encodeDuration(90, 5).toHex()).to.equal('0xde0cfe000000000000005a00000005');
+            expect(encode(new Timestamp(SECONDS))).to.deep.equal(encode(new Ext(0xff, '0x000000006553f100')));
+        });
+
+        it('should decode timestamps as Dates, bigint seconds or Timestamps', function () {
+            const data = encode({ at: new Timestamp(SECONDS, 500000000), ttl: new Duration(3600) });
+            expect(decode(data)).to.deep.equal({ at: new Date('2023-11-14T22:13:20.500Z'), ttl: new Duration(3600) });
+            expect(decode(data, { timestamp: 'bigint' }).at).to.equal(SECONDS);
+            expect(decode(data, { timestamp: 'timestamp' }).at).to.deep.equal(new Timestamp(SECONDS, 500000000));
+            expect(decode(data, { wrap: true }).at).to.deep.equal(new Timestamp(SECONDS, 500000000));
+            expect(() => decode(data, { timestamp: 'iso' })).to.throw('Invalid timestamp option "iso": expected one of date, bigint, timestamp');
+        });
+
+        it('should fall back to Timestamps past the range of a Date', function () {
+            const far = new Timestamp(2n ** 62n);
+            const data = encode({ at: far });
+            expect(encodeToHex(far)).to.equal('0xde08ff4000000000000000');
+            expect(decode(data)).to.deep.equal({ at: far });
+            expect(decodeAll(encode(far))).to.deep.equal([far]);
+            expect(new StreamDecoder().write(encode(far))).to.deep.equal([far]);
+            expect(decode(encode(new Timestamp(8640000000000n)))).to.deep.equal(new Date(8640000000000000));
+            expect(decode(encode(new Timestamp(8640000000000n, 1000000)))).to.deep.equal(new Timestamp(8640000000000n, 1000000));
+        });
+
+        it('should override the timestamp option per call', function () {
+            const decoder = new Decoder(encode([new Timestamp(SECONDS, 5), new Timestamp(SECONDS), new Timestamp(SECONDS)]));
+            decoder.decodeArrayLength();
+            expect(decoder.decodeTimestamp('timestamp')).to.deep.equal(new Timestamp(SECONDS, 5));
+            expect(decoder.decodeTimestamp('bigint')).to.equal(SECONDS);
+            expect(decoder.decodeTimestamp()).to.deep.equal(new Date(1700000000000));
+            expect(() => new Decoder(encode(new Timestamp(SECONDS))).decodeTimestamp('iso'))
+                .to.throw('Invalid timestamp option "iso": expected one of date, bigint, timestamp');
+        });
+
+        it('should report their categories and skip them', function () {
+            const decoder = new Decoder(encode([new Timestamp(SECONDS), new Duration(1, 1), new Ext(7, '0x'), 42]));
+            decoder.decodeArrayLength();
+            expect(decoder.peekCategory()).to.equal(TypeCategory.TIMESTAMP);
+            decoder.skip();
+            expect(decoder.peekCategory()).to.equal(TypeCategory.DURATION);
+            decoder.skip();
+            expect(decoder.peekCategory()).to.equal(TypeCategory.EXT);
+            decoder.skip();
+            expect(decoder.decodeUint()).to.equal(42);
+        });
+
+        it('should reject malformed and mismatched values', function () {
+            expect(() => decode('0xde08', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => decode('0xde08ff0000', { strict: true })).to.throw(TruncatedInputError);
+            expect(() => decode('0xde04ff00000000')).to.throw('Invalid TIMESTAMP ext payload length: 4');
+            expect(() => decode('0xde0cff000000006553f1003b9aca00')).to.throw('Invalid Timestamp nanoseconds 1000000000');
+            expect(() => new Decoder(encode(new Duration(1)), { strict: true }).decodeTimestamp()).to.throw(UnexpectedTagError);
+            expect(() => new Decoder(encode(1)).decodeDuration()).to.throw('Not a duration');
+        });
+
+        it('should throw InvalidPayloadError for malformed payloads in strict mode', function () {
+            const STRICT = { strict: true };
+            expect(() => decode('0xde04ff00000000', STRICT)).to.throw(InvalidPayloadError, 'Invalid TIMESTAMP payload at offset 0: ext payload length 4');
+            expect(() => decode('0x92c0de04fe00000000', STRICT)).to.throw(InvalidPayloadError, 'Invalid DURATION payload at offset 2: ext payload length 4');
+            expect(() => decode('0xde0cff000000006553f1003b9aca00', STRICT))
+                .to.throw(InvalidPayloadError, 'Invalid TIMESTAMP payload at offset 0: nanoseconds 1000000000 out of range');
+            expect(() => decode('0xd7ff' + 'ffffffff' + '6553f100', { ...STRICT, msgpack: true }))
+                .to.throw(InvalidPayloadError, 'Invalid TIMESTAMP payload at offset 0: nanoseconds 1073741823 out of range');
+            expect(() => decode('0xc70cff00000000ffffffffffffffff', { ...STRICT, msgpack: true }))
+                .to.throw(InvalidPayloadError, 'Invalid TIMESTAMP payload at offset 0: seconds -1 out of range for uint64');
+            expect(() => decode('0xc70cff00000000ffffffffffffffff', { msgpack: true })).to.throw('Timestamp seconds -1 out of range for uint64');
+        });
+
+        it('should require 8-byte payloads unless there are nanoseconds in canonical form', function () {
+            expect(isCanonical(encode([new Timestamp(SECONDS), new Timestamp(SECONDS, 1), new Duration(5)]))).to.be.true;
+            expect(() => assertCanonical('0xde0cff000000006553f10000000000'))
+                .to.throw('TIMESTAMP payload must be 8 bytes, or 12 with nonzero nanoseconds');
+            expect(isCanonical('0xde04fe00000000')).to.be.false;
+            expect(isCanonical('0xde0cff000000006553f1003b9aca00')).to.be.false;
+        });
+    });
+
+    describe('MessagePack', function () {
+        it('should use the MessagePack timestamp formats', function () {
+            const mp = value => encode(value, { msgpack: true }).toString('hex');
+            expect(mp(new Timestamp(SECONDS))).to.equal('d6ff6553f100');
+            expect(mp(new Timestamp(SECONDS, 500000000))).to.equal('d7ff' + '77359400' + '6553f100');
+            expect(mp(new Timestamp(2n ** 40n, 7))).to.equal('c70cff' + '00000007' + '0000010000000000');
+            expect(() => mp(new Timestamp(2n ** 63n))).to.throw('Timestamp 9223372036854775808 is too large for MessagePack');
+            expect(() => mp(new Duration(1))).to.throw('Durations are not supported in msgpack mode');
+        });
+
+        it('should convert timestamps in both directions', function () {
+            for (const timestamp of [new Timestamp(0), new Timestamp(SECONDS, 1), new Timestamp(2n ** 40n, 999999999)]) {
+                const data = encode(timestamp);
+                const mp = toMsgpack(data);
+                expect(decode(mp, { msgpack: true, timestamp: 'timestamp' })).to.deep.equal(timestamp);
+                expect(fromMsgpack(mp)).to.deep.equal(data);
+            }
+        });
+    });
+
+    describe('Tooling', function () {
+        it('should disassemble timestamps and durations', function () {
+            expect(disassemble(encode(new Timestamp(SECONDS)))).to.equal('0000  de EXT8 len=8 [08ff] 000000006553f100 = 2023-11-14T22:13:20Z');
+            expect(disassemble(encode(new Duration(90, 500000000)))).to.equal('0000  de EXT8 len=12 [0cfe] 000000000000005a1dcd6500 = 90.5s');
+        });
+
+        it('should round-trip through typed JSON as decimal seconds', function () {
+            const data = encode([new Timestamp(SECONDS, 5), new Duration(90)]);
+            const json = toTypedJSON(data);
+            expect(json).to.deep.equal([{ $timestamp: '1700000000.000000005' }, { $duration: '90' }]);
+            expect(fromTypedJSON(json)).to.deep.equal(data);
+            expect(fromTypedJSON({ $duration: '1.5' })).to.deep.equal(encode(new Duration(1, 500000000)));
+            expect(() => fromTypedJSON({ $timestamp: 1700000000 })).to.throw('$timestamp must be seconds as a decimal string, got 1700000000');
+        });
+    });
+
+    describe('Solidity', function () {
+        const TIMESTAMP_CATEGORY = 12n;
+        const DURATION_CATEGORY = 13n;
+
+        it('should encode the same bytes as the JS encoder', async function () {
+            for (const seconds of [0n, SECONDS, 2n ** 64n - 1n]) {
+                expect(await timestampTest.testEncodeTimestamp(seconds)).to.equal(new Encoder().encodeTimestamp(seconds).toHex());
+            }
+            expect(await timestampTest.testEncodeTimestampNanos(SECONDS, 500000000))
+                .to.equal(new Encoder().encodeTimestamp(SECONDS, 500000000).toHex());
+            expect(await timestampTest.testEncodeTimestampNanos(SECONDS, 0)).to.equal(new Encoder().encodeTimestamp(SECONDS).toHex());
+            expect(await timestampTest.testEncodeDuration(90, 5)).to.equal(new Encoder().encodeDuration(90, 5).toHex());
+            await expectRevert(timestampTest.testEncodeDuration(1, 1e9), 'Invalid nanoseconds');
+        });
+
+        it('should encode block.timestamp for JS to decode as a Date', async function () {
+            const value = decode(await timestampTest.testEncodeBlockTimestamp());
+            expect(value.at).to.be.instanceOf(Date);
+            expect(value.at.getMilliseconds()).to.equal(0);
+            expect(decode(await timestampTest.testEncodeBlockTimestamp(), { timestamp: 'bigint' }).at)
+                .to.equal(BigInt(value.at.getTime() / 1000));
+            expect(value.ttl).to.deep.equal(new Duration(86400));
+        });
+
+        it('should decode seconds and nanoseconds with their categories', async function () {
+            const [category, secs, nanos] = await timestampTest.testDecodeTimestamp(encodeToHex(new Timestamp(SECONDS, 123)));
+            expect([category, secs, nanos]).to.deep.equal([TIMESTAMP_CATEGORY, SECONDS, 123n]);
+
+            const [durationCategory, durationSecs, durationNanos] = await timestampTest.testDecodeDuration(encodeToHex(new Duration(3600)));
+            expect([durationCategory, durationSecs, durationNanos]).to.deep.equal([DURATION_CATEGORY, 3600n, 0n]);
+        });
+
+        it('should revert on the wrong type or payload', async function () {
+            await expectRevert(timestampTest.testDecodeTimestamp(encodeToHex(new Duration(1))), 'Not timestamp');
+            await expectRevert(timestampTest.testDecodeDuration(encodeToHex(1)), 'Not duration');
+            await expectRevert(timestampTest.testDecodeTimestamp('0xde04ff00000000'), 'Invalid time length');
+            await expectRevert(timestampTest.testDecodeTimestamp('0xde0cff000000006553f1003b9aca00'), 'Invalid nanoseconds');
+        });
+
+        it('should skip timestamps and durations generically', async function () {
+            const data = encodeToHex([new Timestamp(SECONDS), { ttl: new Duration(1, 1) }, 99]);
+            expect(await timestampTest.testSkipToLast(data)).to.equal(99n);
+        });
+
+        it('should agree with the JS canonical check', async function () {
+            const cases = [
+                encodeToHex(new Timestamp(SECONDS)),
+                encodeToHex(new Duration(1, 1)),
+                '0xde0cff000000006553f10000000000',
+                '0xde0cff000000006553f1003b9aca00',
+                '0xde04fe00000000',
+                '0xdf0008ff000000006553f100'
+            ];
+            for (const data of cases) {
+                expect(await timestampTest.testIsCanonical(data), data).to.equal(isCanonical(data));
+            }
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
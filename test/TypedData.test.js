@@ -0,0 +1,190 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, encodeToHex } from '../lib/encoder.js';
+import { defineSchema } from '../lib/schema.js';
+import { keccak256 } from '../lib/keccak.js';
+import {
+    encodeType,
+    typeHash,
+    hashDomain,
+    hashStruct,
+    hashTypedPayload,
+    hashTypedData
+} from '../lib/typeddata.js';
+
+describe('Typed Data Hashing', function () {
+    const { ethers } = hre;
+    const VERIFIER = '0x' + 'cc'.repeat(20);
+    const DOMAIN = { name: 'Exchange', version: '1', chainId: 31337, verifyingContract: VERIFIER };
+
+    const Order = defineSchema({
+        owner: 'address',
+        amount: 'uint256',
+        delta: 'int64',
+        memo: 'string',
+        proof: 'bytes',
+        salt: 'bytes32',
+        open: 'bool',
+        tags: ['string'],
+        meta: { id: 'uint32', levels: ['int8'] }
+    });
+    const order = {
+        owner: '0x' + '11'.repeat(20),
+        amount: 10n ** 24n,
+        delta: -42n,
+        memo: 'gm \u{1f600}',
+        proof: Buffer.from('c0ffee', 'hex'),
+        salt: '0x' + 'ab'.repeat(32),
+        open: true,
+        tags: ['a', 'b'],
+        meta: { id: 7, levels: [-1, 2] }
+    };
+
+    let typedData;
+
+    before(async function () {
+        const TypedDataTest = await ethers.getContractFactory('TypedDataTest');
+        typedData = await TypedDataTest.deploy();
+    });
+
+    describe('JavaScript', function () {
+        it('should match reference keccak256 digests', function () {
+            expect(keccak256('').toString('hex')).to.equal('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+            expect(keccak256('abc').toString('hex')).to.equal('4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+
+            // Around the 136-byte block boundary
+            for (const length of [135, 136, 137, 272, 1000]) {
+                const data = Buffer.alloc(length, length & 0xff);
+                expect('0x' + keccak256(data).toString('hex')).to.equal(ethers.keccak256(data));
+            }
+        });
+
+        it('should build type strings from schemas', function () {
+            expect(encodeType('Order', Order)).to.equal(
+                'Order(address owner,uint256 amount,int64 delta,string memo,bytes proof,bytes32 salt,' +
+                'bool open,string[] tags,(uint32 id,int8[] levels) meta)'
+            );
+            expect(typeHash('Transfer', { to: 'address', value: 'uint' }))
+                .to.equal(ethers.id('Transfer(address to,uint256 value)'));
+            expect(() => encodeType('Bad Name', Order)).to.throw('Invalid type name: Bad Name');
+            expect(() => encodeType('List', ['uint'])).to.throw('Typed data schema root must be a map');
+        });
+
+        it('should hash domains exactly like EIP-712', function () {
+            const domains = [
+                DOMAIN,
+                { name: 'App', chainId: 1 },
+                { name: 'App', version: '2', salt: '0x' + '01'.repeat(32) }
+            ];
+            for (const domain of domains) {
+                expect(hashDomain(domain)).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+            }
+        });
+
+        it('should check the payload against the schema', function () {
+            const Pair = defineSchema({ a: 'uint8', b: 'uint8' });
+            const swapped = defineSchema({ b: 'uint8', a: 'uint8' });
+            const Nested = defineSchema({ meta: { id: 'uint32', live: 'bool' } });
+
+            expect(() => hashStruct('Pair', Pair, swapped.encode({ b: 1, a: 2 })))
+                .to.throw('Field "b" is out of order: expected "a"');
+            expect(() => hashStruct('Nested', Nested, encode({ meta: { live: true, id: 1 } })))
+                .to.throw('Field "meta.live" is out of order: expected "meta.id"');
+            expect(() => hashStruct('Pair', Pair, encode({ a: 1, b: 2, c: 3 }))).to.throw('Field "c": not declared in schema');
+            expect(() => hashStruct('Pair', Pair, encode({ a: 1 }))).to.throw('Field "b": missing from payload');
+            expect(() => hashStruct('Pair', Pair, encode({ a: 1, b: 300 }))).to.throw('out of range for uint8');
+        });
+
+        it('should not hash values of different types alike', function () {
+            const Flag = defineSchema({ on: 'bool' });
+            const Memo = defineSchema({ memo: 'string' });
+
+            expect(() => hashStruct('Flag', Flag, encode({ on: 1 }))).to.throw('Field "on": expected BOOL, got UINT');
+            expect(() => hashStruct('Memo', Memo, encode({ memo: Buffer.from('x') }))).to.throw('Field "memo": expected STRING, got BYTES');
+            expect(hashStruct('Flag', Flag, encode({ on: true })))
+                .to.not.equal(hashStruct('Flag', { on: 'uint8' }, encode({ on: 1 })));
+        });
+
+        it('should require identifier field names', function () {
+            expect(() => typeHash('Odd', { 'a,b': 'bool' })).to.throw('Invalid field name: a,b');
+        });
+
+        it('should reject payloads that are not a single map', function () {
+            expect(() => hashStruct('Order', Order, encode([1]))).to.throw('expected MAP');
+            expect(() => hashStruct('Order', Order, Buffer.concat([Order.encode(order), encode(1)]))).to.throw('Trailing data');
+        });
+    });
+
+    describe('Solidity', function () {
+        it('should compute the same domain separator', async function () {
+            expect(await typedData.testDomainSeparator(DOMAIN.name, DOMAIN.version, DOMAIN.chainId, VERIFIER))
+                .to.equal(hashDomain(DOMAIN));
+        });
+
+        it('should compute the same struct hash and digest', async function () {
+            const type = encodeType('Order', Order);
+            for (const value of [order, { ...order, delta: 200n, meta: { id: 7, levels: [5, -128] } }]) {
+                const data = Order.encode(value);
+
+                expect(await typedData.testHashStruct(type, data)).to.equal(hashStruct('Order', Order, data));
+                expect(await typedData.testHashTypedData(hashDomain(DOMAIN), type, data))
+                    .to.equal(hashTypedData(DOMAIN, 'Order', Order, value));
+                expect(hashTypedPayload(hashDomain(DOMAIN), 'Order', Order, data))
+                    .to.equal(hashTypedData(DOMAIN, 'Order', Order, value));
+            }
+        });
+
+        it('should recover the signer of an encoded payload', async function () {
+            const wallet = new ethers.Wallet('0x' + '42'.repeat(32));
+            const digest = hashTypedData(DOMAIN, 'Order', Order, order);
+            const { v, r, s } = wallet.signingKey.sign(digest);
+
+            const [signer, amount] = await typedData.testRecover(
+                hashDomain(DOMAIN), encodeType('Order', Order), Order.encode(order), v, r, s
+            );
+            expect(signer).to.equal(wallet.address);
+            expect(amount).to.equal(order.amount);
+        });
+
+        it('should check the payload against the type string', async function () {
+            const pair = 'Pair(uint8 a,uint8 b)';
+
+            await expectRevert(typedData.testHashStruct(pair, encodeToHex({ b: 1, a: 2 })), 'Field name mismatch');
+            await expectRevert(typedData.testHashStruct(pair, encodeToHex({ a: 1, b: 2, c: 3 })), 'Field count mismatch');
+            await expectRevert(typedData.testHashStruct(pair, encodeToHex({ a: 1 })), 'Field count mismatch');
+            await expectRevert(typedData.testHashStruct(pair, encodeToHex({ a: 1, b: 300 })), 'Uint out of range');
+            await expectRevert(typedData.testHashStruct('Flag(bool on)', encodeToHex({ on: 1 })), 'Not bool');
+            await expectRevert(typedData.testHashStruct('Memo(string memo)', encode({ memo: Buffer.from('x') })), 'Not string');
+            await expectRevert(typedData.testHashStruct('Memo(bytes memo)', encodeToHex({ memo: 'x' })), 'Not bytes');
+            await expectRevert(typedData.testHashStruct('Level(int8 x)', encodeToHex({ x: -200 })), 'Int out of range');
+            await expectRevert(typedData.testHashStruct('Level(int8 x)', encodeToHex({ x: 128 })), 'Int out of range');
+            await expectRevert(
+                typedData.testHashStruct('Nested((uint32 id,bool live) meta)', encodeToHex({ meta: { live: true, id: 1 } })),
+                'Field name mismatch'
+            );
+            await expectRevert(typedData.testHashStruct('Pair(uint7 a)', encodeToHex({ a: 1 })), 'Unsupported type');
+            await expectRevert(typedData.testHashStruct('Pair(uint8 a', encodeToHex({ a: 1 })), 'Invalid type string');
+        });
+
+        it('should reject payloads that are not a single map', async function () {
+            const type = encodeType('Order', Order);
+
+            await expectRevert(typedData.testHashStruct(type, encodeToHex([1])), 'Not map');
+            await expectRevert(typedData.testHashStruct(type, encodeToHex({ a: null })), 'Field count mismatch');
+            await expectRevert(
+                typedData.testHashStruct(type, Buffer.concat([Order.encode(order), encode(1)])),
+                'Trailing data'
+            );
+        });
+    });
+});
+
+async function expectRevert(promise, reason) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
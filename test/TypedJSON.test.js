@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode, Encoder } from '../lib/encoder.js';
+import { toTypedJSON, fromTypedJSON } from '../lib/typedjson.js';
+import { Uint, Int } from '../lib/values.js';
+
+describe('Typed JSON', function () {
+    const { ethers } = hre;
+    const OWNER = '0x' + 'ab'.repeat(20);
+    const SALT = '0x' + '01'.repeat(32);
+
+    function roundTrip(data) {
+        const json = JSON.parse(JSON.stringify(toTypedJSON(data)));
+        expect(fromTypedJSON(json).equals(data)).to.equal(true);
+        return json;
+    }
+
+    it('should annotate values plain JSON would lose', function () {
+        const data = new Encoder()
+            .startMap(7)
+            .encodeString('owner').encodeAddress(OWNER)
+            .encodeString('salt').encodeBytes32(SALT)
+            .encodeString('proof').encodeBytes(Buffer.from('beef', 'hex'))
+            .encodeString('supply').encodeUint(2n ** 200n)
+            .encodeString('debt').encodeInt(-(2n ** 70n))
+            .encodeString('name').encodeString('0xabab')
+            .encodeString('flags').startArray(3).encodeBool(true).encodeNil().encodeInt(-5)
+            .getEncoded();
+
+        expect(roundTrip(data)).to.deep.equal({
+            owner: { $address: OWNER },
+            salt: { $bytes32: SALT },
+            proof: { $bytes: '0xbeef' },
+            supply: { $uint: (2n ** 200n).toString() },
+            debt: { $int: (-(2n ** 70n)).toString() },
+            name: '0xabab',
+            flags: [true, null, -5]
+        });
+    });
+
+    it('should keep safe integers as JSON numbers', function () {
+        expect(roundTrip(encode([0, 127, 300, 2 ** 32 - 1, -1, -(2 ** 31)]))).to.deep.equal(
+            [0, 127, 300, 2 ** 32 - 1, -1, -(2 ** 31)]
+        );
+    });
+
+    it('should use $map when an object would reorder or drop keys', function () {
+        // A JS object would move '10' ahead of 'b'
+        const data = new Encoder().startMap(2).encodeString('b').encodeUint(1).encodeString('10').encodeUint(2).getEncoded();
+        expect(roundTrip(data)).to.deep.equal({ $map: [['b', 1], ['10', 2]] });
+
+        const duplicate = new Encoder().startMap(2).encodeString('a').encodeUint(1).encodeString('a').encodeUint(2).getEncoded();
+        expect(roundTrip(duplicate)).to.deep.equal({ $map: [['a', 1], ['a', 2]] });
+
+        const nonString = new Encoder().startMap(1).encodeAddress(OWNER).encodeUint(1).getEncoded();
+        expect(roundTrip(nonString)).to.deep.equal({ $map: [[{ $address: OWNER }, 1]] });
+
+        const dollar = encode({ $uint: '5' });
+        expect(roundTrip(dollar)).to.deep.equal({ $map: [['$uint', '5']] });
+        expect(roundTrip(encode({ __proto__x: 1, 'a/b': 2 }))).to.deep.equal({ __proto__x: 1, 'a/b': 2 });
+    });
+
+    it('should round trip payloads encoded by a contract', async function () {
+        const Example = await ethers.getContractFactory('ImprovedAPIExample');
+        const example = await Example.deploy();
+        const encoded = await example.encodeTransaction(OWNER, OWNER, 10n ** 18n, 7n, SALT);
+        const data = Buffer.from(encoded.slice(2), 'hex');
+
+        expect(roundTrip(data)).to.deep.equal({
+            from: { $address: OWNER },
+            to: { $address: OWNER },
+            amount: { $uint: (10n ** 18n).toString() },
+            nonce: 7,
+            txHash: { $bytes32: SALT }
+        });
+    });
+
+    it('should reject encodings it cannot reproduce', function () {
+        expect(() => toTypedJSON('0xd20161')).to.throw('at offset 0 (STR8)');
+        expect(roundTrip(encode('a'))).to.equal('a');
+        expect(() => toTypedJSON('0x0102')).to.throw('Trailing data after the value at offset 1');
+        expect(() => toTypedJSON('0x91')).to.throw('Truncated input');
+    });
+
+    it('should keep the width of sized integers', function () {
+        const data = encode({ a: new Uint(5, 64), b: new Int(-1, 32), c: new Int(7, 16), d: new Uint(2n ** 70n, 256) });
+        const json = toTypedJSON(data);
+        expect(json).to.deep.equal({
+            a: { $uint: '5', bits: 64 },
+            b: { $int: '-1', bits: 32 },
+            c: { $int: '7', bits: 16 },
+            d: { $uint: (2n ** 70n).toString(), bits: 256 }
+        });
+        expect(fromTypedJSON(JSON.parse(JSON.stringify(json)))).to.deep.equal(data);
+        expect(roundTrip(encode(new Uint(10, 8)))).to.deep.equal({ $uint: '10', bits: 8 });
+        expect(roundTrip(encode({ small: new Uint(5), wide: 2n ** 70n }))).to.deep.equal({ small: 5, wide: { $uint: (2n ** 70n).toString() } });
+        expect(() => fromTypedJSON({ $uint: '300', bits: 8 })).to.throw('out of range');
+        expect(() => fromTypedJSON({ $int: '1', bits: 12 })).to.throw('bits must be one of');
+    });
+
+    it('should validate annotations', function () {
+        expect(() => fromTypedJSON({ $uint: '-1' })).to.throw('$uint must be non-negative, got -1');
+        expect(() => fromTypedJSON({ $int: '1' })).to.throw('$int must be negative, got 1; use $uint');
+        expect(() => fromTypedJSON({ $uint: 5 })).to.throw('$uint must be a decimal string, got 5');
+        expect(() => fromTypedJSON({ $bytes: 'beef' })).to.throw('$bytes must be a 0x-prefixed hex string');
+        expect(() => fromTypedJSON({ $address: '0x1234' })).to.throw('Address must be 20 bytes');
+        expect(() => fromTypedJSON({ $map: [['a']] })).to.throw('$map must be an array of [key, value] pairs');
+        expect(() => fromTypedJSON({ $float: '1.5' })).to.throw('Unknown type annotation: $float');
+        expect(() => fromTypedJSON(1.5)).to.throw('Typed JSON numbers must be safe integers, got 1.5');
+        expect(() => fromTypedJSON(2 ** 60)).to.throw('safe integers');
+    });
+});
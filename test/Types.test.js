@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const ROOT = new URL('../', import.meta.url);
+
+function read(file) {
+    return readFileSync(new URL(file, ROOT), 'utf8');
+}
+
+// Value (non-type) names a declaration file exports
+function declaredNames(file) {
+    const source = read(file);
+    const names = new Set();
+    for (const [, name] of source.matchAll(/^export declare (?:function|class|const|let) (\w+)/gm)) {
+        names.add(name);
+    }
+    for (const [, list] of source.matchAll(/^export \{([^}]*)\}/gm)) {
+        for (const item of list.split(',').map(s => s.trim()).filter(Boolean)) {
+            if (item.startsWith('type ')) continue;
+            names.add(item.split(/\s+as\s+/).pop());
+        }
+    }
+    return names;
+}
+
+describe('Type Declarations', function () {
+    const pkg = JSON.parse(read('package.json'));
+    const entries = Object.entries(pkg.exports).filter(([, target]) => typeof target === 'object');
+
+    it('should list a types condition first for every export', function () {
+        expect(pkg.types).to.equal(pkg.exports['.'].types);
+        for (const [subpath, target] of entries) {
+            expect(Object.keys(target)[0], subpath).to.equal('types');
+            expect(target.types, subpath).to.equal(target.import.replace(/\.js$/, '.d.ts'));
+            expect(existsSync(new URL(target.types, ROOT)), target.types).to.be.true;
+        }
+    });
+
+    it('should ship the declaration files', function () {
+        expect(pkg.files).to.include('index.d.ts');
+        expect(pkg.files).to.include('lib/');
+    });
+
+    it('should declare exactly the runtime exports of each module', async function () {
+        for (const [subpath, target] of entries) {
+            const runtime = Object.keys(await import(new URL(target.import, ROOT).href)).sort();
+            expect([...declaredNames(target.types)].sort(), subpath).to.deep.equal(runtime);
+        }
+    });
+
+    it('should declare every name verify-exports.js checks', function () {
+        // Each numbered section is its own try block with its own imports
+        const sections = read('verify-exports.js').split(/^try \{$/m).slice(1);
+        expect(sections).to.not.be.empty;
+
+        for (const section of sections) {
+            for (const [, list, path] of section.matchAll(/const \{ ([\w, ]+) \} = await import\('\.\/([\w/.]+)'\)/g)) {
+                const declared = declaredNames(path.replace(/\.js$/, '.d.ts'));
+                for (const name of list.split(',').map(s => s.trim())) {
+                    expect(declared, `${path}: ${name}`).to.include(name);
+                }
+            }
+            for (const [, variable, path] of section.matchAll(/const (\w+) = await import\('\.\/([\w/.]+)'\)/g)) {
+                const exported = entries.some(([, target]) => target.import === `./${path}`);
+                expect(exported, `${path} is not a package export`).to.be.true;
+
+                const declared = declaredNames(path.replace(/\.js$/, '.d.ts'));
+                for (const [, name] of section.matchAll(new RegExp(`(?<![\\w/.])${variable}\\.(\\w+)`, 'g'))) {
+                    expect(declared, `${path}: ${name}`).to.include(name);
+                }
+            }
+        }
+    });
+
+    it('should keep the type tests outside the mocha test directory', function () {
+        const config = read('test-d/tsconfig.json');
+        expect(config).to.include('../index.d.ts');
+        expect(existsSync(fileURLToPath(new URL('test-d/index.test-d.ts', ROOT)))).to.be.true;
+        expect(pkg.scripts['test:types']).to.include('tsc -p test-d');
+    });
+});
@@ -0,0 +1,133 @@
+import { expect } from 'chai';
+import hre from 'hardhat';
+import { encode } from '../lib/encoder.js';
+import { decode } from '../lib/decoder.js';
+import { decodeAll } from '../lib/helpers.js';
+import { Address, Bytes32, Bytes, Uint, Int } from '../lib/values.js';
+
+describe('Value Wrappers', function () {
+    const { ethers } = hre;
+    const OWNER = '0x' + '11'.repeat(20);
+    const TOKEN = '0x' + '22'.repeat(20);
+    const SALT = '0x' + 'ab'.repeat(32);
+
+    describe('Encoding', function () {
+        it('should emit ADDRESS, BYTES32 and BYTES tags', function () {
+            expect(encode(new Address(OWNER)).toString('hex')).to.equal('d4' + '11'.repeat(20));
+            expect(encode(new Address(Buffer.alloc(20, 0x11))).toString('hex')).to.equal('d4' + '11'.repeat(20));
+            expect(encode(new Bytes32(SALT)).toString('hex')).to.equal('d5' + 'ab'.repeat(32));
+            expect(encode(new Bytes('0xbeef')).toString('hex')).to.equal('d002beef');
+
+            // A plain hex string is still a string
+            expect(encode(OWNER)[0]).to.equal(0xd2);
+        });
+
+        it('should emit the exact tag for sized integers', function () {
+            expect(encode(new Uint(5)).toString('hex')).to.equal('05');
+            expect(encode(new Uint(5, 8)).toString('hex')).to.equal('c405');
+            expect(encode(new Uint(5, 64)).toString('hex')).to.equal('c70000000000000005');
+            expect(encode(new Uint(2n ** 255n, 256)).toString('hex')).to.equal('c98' + '0'.repeat(63));
+            expect(encode(new Int(-1)).toString('hex')).to.equal('ff');
+            expect(encode(new Int(-1, 8)).toString('hex')).to.equal('caff');
+            expect(encode(new Int(7, 16)).toString('hex')).to.equal('cb0007');
+            expect(encode(new Int('-300', 32)).toString('hex')).to.equal('ccfffffed4');
+        });
+
+        it('should only allow smallest widths in canonical mode', function () {
+            expect(encode(new Uint(200, 8), { canonical: true }).toString('hex')).to.equal('c4c8');
+            expect(encode(new Uint(5), { canonical: true }).toString('hex')).to.equal('05');
+            expect(() => encode(new Uint(5, 64), { canonical: true }))
+                .to.throw('Non-canonical Uint(5, 64): sized integers must use the smallest width in canonical mode');
+            expect(() => encode(new Int(7, 16), { canonical: true })).to.throw('Non-canonical Int(7, 16)');
+        });
+
+        it('should validate wrapped values', function () {
+            expect(() => new Address('0x1234')).to.throw('Address must be 20 bytes, got 2');
+            expect(() => new Bytes32(OWNER)).to.throw('Bytes32 must be 32 bytes, got 20');
+            expect(() => new Bytes('0xzz')).to.throw('Bytes must be a hex string or bytes, got "0xzz"');
+            expect(() => new Bytes(5)).to.throw('Bytes must be a hex string or bytes, got number');
+            expect(() => new Uint(-1)).to.throw('Uint value -1 out of range for uint256');
+            expect(() => new Uint(256, 8)).to.throw('Uint value 256 out of range for uint8');
+            expect(() => new Int(128, 8)).to.throw('Int value 128 out of range for int8');
+            expect(() => new Int(1, 24)).to.throw('Int bits must be one of 8, 16, 32, 64, 128, 256, got 24');
+            expect(() => new Uint(1.5)).to.throw('Uint value must be an integer, got 1.5');
+        });
+
+        it('should print and compare like the values they wrap', function () {
+            expect(String(new Address('AB'.repeat(20)))).to.equal('0x' + 'ab'.repeat(20));
+            expect(JSON.stringify({ a: new Uint(5, 64), b: new Bytes32(SALT) })).to.equal(`{"a":"5","b":"${SALT}"}`);
+            expect(new Uint(5) + 1n).to.equal(6n);
+            expect(new Uint(5, 8).equals(new Uint(5, 8))).to.equal(true);
+            expect(new Uint(5, 8).equals(new Uint(5, 16))).to.equal(false);
+            expect(new Address(OWNER).equals(new Address(OWNER))).to.equal(true);
+            expect(new Address('ab'.repeat(20)).equals(new Bytes('ab'.repeat(20)))).to.equal(false);
+        });
+    });
+
+    describe('Decoding', function () {
+        it('should return wrappers with the wrap option', function () {
+            const data = encode({
+                to: new Address(OWNER),
+                salt: new Bytes32(SALT),
+                proof: new Bytes('0xbeef'),
+                nonce: new Uint(5, 64),
+                delta: new Int(7, 16),
+                small: 3,
+                name: 'x',
+                flags: [true, null]
+            });
+
+            const decoded = decode(data, { wrap: true });
+            expect(decoded.to).to.be.instanceOf(Address);
+            expect(decoded.salt).to.be.instanceOf(Bytes32);
+            expect(decoded.proof).to.be.instanceOf(Bytes);
+            expect(decoded.nonce.equals(new Uint(5, 64))).to.equal(true);
+            expect(decoded.delta.equals(new Int(7, 16))).to.equal(true);
+            expect(decoded.small.equals(new Uint(3))).to.equal(true);
+            expect(decoded.name).to.equal('x');
+            expect(decoded.flags).to.deep.equal([true, null]);
+
+            expect(encode(decoded).equals(data)).to.equal(true);
+        });
+
+        it('should leave plain decoding unchanged', function () {
+            const data = encode([new Address(OWNER), new Uint(5, 64)]);
+            expect(decode(data)).to.deep.equal([OWNER, 5n]);
+            expect(decodeAll(data, { wrap: true })[0][1].bits).to.equal(64);
+        });
+    });
+
+    describe('Solidity', function () {
+        let generic;
+        let example;
+
+        before(async function () {
+            const GenericDecodingExample = await ethers.getContractFactory('GenericDecodingExample');
+            generic = await GenericDecodingExample.deploy();
+            const ImprovedAPIExample = await ethers.getContractFactory('ImprovedAPIExample');
+            example = await ImprovedAPIExample.deploy();
+        });
+
+        it('should produce addresses the contract decoder accepts', async function () {
+            const wrapped = await generic.extractAddresses(encode([new Address(OWNER), 'memo', new Uint(5, 256), new Address(TOKEN)]));
+            expect(wrapped.map(a => a.toLowerCase())).to.deep.equal([OWNER, TOKEN]);
+
+            // Plain strings are not addresses on the wire
+            expect(await generic.extractAddresses(encode([OWNER, TOKEN]))).to.deep.equal([]);
+        });
+
+        it('should round trip contract payloads with exact wire types', async function () {
+            const fromContract = await example.encodeTransaction(OWNER, TOKEN, 10n ** 18n, 7n, SALT);
+            const data = Buffer.from(fromContract.slice(2), 'hex');
+
+            expect(encode({
+                from: new Address(OWNER),
+                to: new Address(TOKEN),
+                amount: new Uint(10n ** 18n),
+                nonce: 7,
+                txHash: new Bytes32(SALT)
+            }).equals(data)).to.equal(true);
+            expect(encode(decode(data, { wrap: true })).equals(data)).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import { encode, encodeToHex } from '../lib/encoder.js';
+import { TypeCategory } from '../lib/decoder.js';
+import { extractField, decodeTypedArray } from '../lib/helpers.js';
+import { View, view } from '../lib/view.js';
+
+describe('View', function () {
+    const data = {
+        version: 2,
+        user: {
+            name: 'Alice',
+            balances: [100, 200, 300, 10n ** 30n, 500],
+            'a/b': { '~x': true }
+        },
+        blob: 'z'.repeat(1000)
+    };
+    const encoded = encode(data);
+
+    describe('Navigation', function () {
+        it('should chain get() and at()', function () {
+            const root = view(encoded);
+
+            expect(root.get('user').get('balances').at(3).value()).to.equal(10n ** 30n);
+            expect(root.get('user').get('name').value()).to.equal('Alice');
+            expect(root.get('blob').value()).to.equal('z'.repeat(1000));
+        });
+
+        it('should resolve JSON pointers', function () {
+            const root = view(encoded);
+
+            expect(root.path('/user/balances/3').value()).to.equal(10n ** 30n);
+            expect(root.path('/user/a~1b/~0x').value()).to.be.true;
+            expect(root.path('').value()).to.deep.equal(data);
+        });
+
+        it('should support negative indexes, length, keys and has', function () {
+            const root = view(encoded);
+            const balances = root.path('/user/balances');
+
+            expect(balances.at(-1).value()).to.equal(500);
+            expect(balances.length).to.equal(5);
+            expect(root.keys()).to.deep.equal(['version', 'user', 'blob']);
+            expect(root.length).to.equal(3);
+            expect(root.has('user')).to.be.true;
+            expect(root.has('missing')).to.be.false;
+            expect(root.find('missing')).to.be.undefined;
+            expect(root.get('user').category).to.equal(TypeCategory.MAP);
+        });
+
+        it('should accept hex input and decoder options', function () {
+            expect(view(encodeToHex(data)).path('/user/name').value()).to.equal('Alice');
+
+            const msgpack = encode(data, { msgpack: true });
+            expect(view(msgpack, { msgpack: true }).path('/user/balances/3').value()).to.equal(10n ** 30n);
+        });
+    });
+
+    describe('Laziness', function () {
+        it('should share memory with the source buffer', function () {
+            const name = view(encoded).path('/user/name');
+
+            expect(name.data).to.equal(encoded);
+            expect(name.bytes().equals(encode('Alice'))).to.be.true;
+            expect(name.bytes().buffer).to.equal(encoded.buffer);
+        });
+
+        it('should not decode values it skips', function () {
+            // { bad: { 1: 1 }, good: 'ok' } - the integer map key is skippable but not decodable
+            const payload = Buffer.concat([
+                Buffer.from([0x82]), encode('bad'), Buffer.from([0x81, 0x01, 0x01]),
+                encode('good'), encode('ok')
+            ]);
+
+            expect(view(payload).get('good').value()).to.equal('ok');
+            expect(() => view(payload).get('bad').value()).to.throw('Map key is UINT, not a string');
+        });
+    });
+
+    describe('Errors', function () {
+        it('should report missing keys and bad indexes', function () {
+            const root = view(encoded);
+
+            expect(() => root.get('missing')).to.throw('Key "missing" not found');
+            expect(() => root.path('/user/balances').at(5)).to.throw('Index 5 out of range (length 5)');
+            expect(() => root.get('version').get('x')).to.throw('Not a map (got UINT)');
+            expect(() => root.at(0)).to.throw('Not an array (got MAP)');
+        });
+
+        it('should report the pointer that failed to resolve', function () {
+            const root = view(encoded);
+
+            expect(() => root.path('/user/balances/x')).to.throw('Cannot resolve "/user/balances/x": "x" is not an array index');
+            expect(() => root.path('/user/nope')).to.throw('Cannot resolve "/user/nope": Key "nope" not found');
+            expect(() => root.path('user')).to.throw('must start with "/"');
+        });
+    });
+
+    describe('Helpers', function () {
+        it('should extract a single field', function () {
+            expect(extractField(encoded, 'version')).to.equal(2);
+            expect(extractField(encoded, 'missing')).to.be.undefined;
+            expect(() => extractField(encode([1]), 'a')).to.throw('Data is not a map/object');
+        });
+
+        it('should decode typed arrays in one pass', function () {
+            expect(decodeTypedArray(encode([1, 2, 3]), TypeCategory.UINT)).to.deep.equal([1, 2, 3]);
+            expect(() => decodeTypedArray(encode([1, 'a']), TypeCategory.UINT)).to.throw('Element 1: expected UINT, got STRING');
+            expect(() => decodeTypedArray(encode({ a: 1 }), TypeCategory.UINT)).to.throw('Not an array');
+        });
+
+        it('should be constructible directly', function () {
+            expect(new View(encoded).get('version').value()).to.equal(2);
+        });
+    });
+});
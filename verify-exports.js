@@ -15,6 +15,7 @@ try {
     console.log('   ✓ encodeToHex:', typeof main.encodeToHex);
     console.log('   ✓ TypeCategory:', typeof main.TypeCategory);
     console.log('   ✓ decodeAll:', typeof main.decodeAll);
+    console.log('   ✓ isCanonical:', typeof main.isCanonical);
 
     // Test basic encoding/decoding
     const data = { test: 42, test2: [] };
@@ -62,6 +63,235 @@ try {
     errors++;
 }
 
+try {
+    console.log('\n5. Testing schema export...');
+    const schema = await import('./lib/schema.js');
+    console.log('   ✓ defineSchema:', typeof schema.defineSchema);
+    console.log('   ✓ Schema class:', typeof schema.Schema);
+
+    const Order = schema.defineSchema({ owner: 'address', amount: 'uint256' });
+    const order = { owner: '0x' + '11'.repeat(20), amount: 5n };
+    const decoded = Order.decode(Order.encode(order));
+    console.log('   ✓ Round-trip test:', decoded.owner === order.owner && decoded.amount === order.amount);
+} catch (e) {
+    console.error('   ✗ Schema export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n6. Testing codegen export...');
+    const codegen = await import('./lib/codegen.js');
+    console.log('   ✓ generateSolidity:', typeof codegen.generateSolidity);
+
+    const source = codegen.generateSolidity({ owner: 'address' }, { name: 'Owner' });
+    console.log('   ✓ Generates library:', source.includes('library OwnerCodec'));
+} catch (e) {
+    console.error('   ✗ Codegen export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n7. Testing errors export...');
+    const errs = await import('./lib/errors.js');
+    console.log('   ✓ SolidityPackError:', typeof errs.SolidityPackError);
+    console.log('   ✓ TruncatedInputError:', typeof errs.TruncatedInputError);
+    console.log('   ✓ UnexpectedTagError:', typeof errs.UnexpectedTagError);
+    console.log('   ✓ UnknownTagError:', typeof errs.UnknownTagError);
+    console.log('   ✓ InvalidPayloadError:', typeof errs.InvalidPayloadError);
+    console.log('   ✓ TrailingDataError:', typeof errs.TrailingDataError);
+    console.log('   ✓ NonCanonicalError:', typeof errs.NonCanonicalError);
+} catch (e) {
+    console.error('   ✗ Errors export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n8. Testing msgpack export...');
+    const msgpack = await import('./lib/msgpack.js');
+    console.log('   ✓ toMsgpack:', typeof msgpack.toMsgpack);
+    console.log('   ✓ fromMsgpack:', typeof msgpack.fromMsgpack);
+    console.log('   ✓ transcode:', typeof msgpack.transcode);
+
+    const { encode } = await import('./lib/encoder.js');
+    const value = { amount: 10n ** 18n, tags: ['a', 'b'] };
+    console.log('   ✓ Conversion test:', msgpack.toMsgpack(encode(value)).equals(encode(value, { msgpack: true })));
+} catch (e) {
+    console.error('   ✗ Msgpack export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n9. Testing stream export...');
+    const stream = await import('./lib/stream.js');
+    console.log('   ✓ StreamDecoder class:', typeof stream.StreamDecoder);
+    console.log('   ✓ StreamEncoder class:', typeof stream.StreamEncoder);
+    console.log('   ✓ createDecodeStream:', typeof stream.createDecodeStream);
+
+    const { encode } = await import('./lib/encoder.js');
+    const data = Buffer.concat([encode({ a: 1 }), encode('b')]);
+    const decoder = new stream.StreamDecoder();
+    const values = [...data].flatMap(byte => decoder.write(Buffer.from([byte])));
+    console.log('   ✓ Chunked decode test:', values.length === 2 && values[1] === 'b');
+} catch (e) {
+    console.error('   ✗ Stream export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n10. Testing view export...');
+    const views = await import('./lib/view.js');
+    console.log('   ✓ View class:', typeof views.View);
+    console.log('   ✓ view function:', typeof views.view);
+
+    const { encode } = await import('./lib/encoder.js');
+    const root = views.view(encode({ user: { balances: [1, 2, 3] } }));
+    console.log('   ✓ Path lookup test:', root.path('/user/balances/2').value() === 3);
+} catch (e) {
+    console.error('   ✗ View export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n11. Testing path export...');
+    const paths = await import('./lib/path.js');
+    console.log('   ✓ encodePath:', typeof paths.encodePath);
+    console.log('   ✓ decodePath:', typeof paths.decodePath);
+    console.log('   ✓ resolvePath:', typeof paths.resolvePath);
+
+    const { encode } = await import('./lib/encoder.js');
+    const path = paths.encodePath(['user', 'balances', 1]);
+    console.log('   ✓ Path lookup test:', paths.resolvePath(encode({ user: { balances: [5, 6] } }), path).value() === 6);
+} catch (e) {
+    console.error('   ✗ Path export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n12. Testing typed data export...');
+    const typed = await import('./lib/typeddata.js');
+    console.log('   ✓ typeHash:', typeof typed.typeHash);
+    console.log('   ✓ hashDomain:', typeof typed.hashDomain);
+    console.log('   ✓ hashStruct:', typeof typed.hashStruct);
+    console.log('   ✓ hashTypedData:', typeof typed.hashTypedData);
+
+    const digest = typed.hashTypedData({ name: 'Test', chainId: 1 }, 'Ping', { id: 'uint' }, { id: 1 });
+    console.log('   ✓ Digest test:', /^0x[0-9a-f]{64}$/.test(digest));
+} catch (e) {
+    console.error('   ✗ Typed data export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n13. Testing ABI export...');
+    const abi = await import('./lib/abi.js');
+    console.log('   ✓ toAbi:', typeof abi.toAbi);
+    console.log('   ✓ fromAbi:', typeof abi.fromAbi);
+
+    const { encode } = await import('./lib/encoder.js');
+    const data = abi.toAbi(encode([1, [2, 3]]), ['uint256', 'uint8[]']);
+    console.log('   ✓ Round-trip test:', abi.fromAbi(data, ['uint256', 'uint8[]']).equals(encode([1, [2, 3]])));
+} catch (e) {
+    console.error('   ✗ ABI export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n14. Testing disassembler export...');
+    const disasm = await import('./lib/disassemble.js');
+    console.log('   ✓ disassemble:', typeof disasm.disassemble);
+    console.log('   ✓ diffEncoded:', typeof disasm.diffEncoded);
+
+    const { encode } = await import('./lib/encoder.js');
+    console.log('   ✓ Disassemble test:', disasm.disassemble(encode([1])) === '0000  91 FIXARRAY len=1\n0001    01 FIXINT = 1');
+    console.log('   ✓ Diff test:', disasm.diffEncoded(encode([1]), encode([2])).pointer === '/0');
+} catch (e) {
+    console.error('   ✗ Disassembler export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n15. Testing typed JSON export...');
+    const typedJson = await import('./lib/typedjson.js');
+    console.log('   ✓ toTypedJSON:', typeof typedJson.toTypedJSON);
+    console.log('   ✓ fromTypedJSON:', typeof typedJson.fromTypedJSON);
+
+    const { encode } = await import('./lib/encoder.js');
+    const data = encode({ big: 2n ** 100n });
+    const json = JSON.parse(JSON.stringify(typedJson.toTypedJSON(data)));
+    console.log('   ✓ Round-trip test:', typedJson.fromTypedJSON(json).equals(data));
+} catch (e) {
+    console.error('   ✗ Typed JSON export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n16. Testing value wrapper exports...');
+    const values = await import('./lib/values.js');
+    console.log('   ✓ Address:', typeof values.Address);
+    console.log('   ✓ Bytes32:', typeof values.Bytes32);
+    console.log('   ✓ Uint:', typeof values.Uint);
+    console.log('   ✓ Decimal:', typeof values.Decimal);
+    console.log('   ✓ Timestamp:', typeof values.Timestamp);
+    console.log('   ✓ Duration:', typeof values.Duration);
+
+    const { encode } = await import('./lib/encoder.js');
+    const { decode } = await import('./lib/decoder.js');
+    const data = encode([new values.Address('0x' + '11'.repeat(20)), new values.Uint(5, 64), values.Decimal.parse('1.50'), new values.Timestamp(1700000000, 5), new values.Duration(90)]);
+    console.log('   ✓ Round-trip test:', encode(decode(data, { wrap: true })).equals(data));
+} catch (e) {
+    console.error('   ✗ Value wrapper export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n17. Testing address and keccak exports...');
+    const address = await import('./lib/address.js');
+    const { keccak256 } = await import('./lib/keccak.js');
+    console.log('   ✓ toChecksumAddress:', typeof address.toChecksumAddress);
+    console.log('   ✓ isValidChecksum:', typeof address.isValidChecksum);
+    console.log('   ✓ keccak256:', typeof keccak256);
+
+    const checksummed = address.toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed');
+    console.log('   ✓ Checksum test:', checksummed === '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+} catch (e) {
+    console.error('   ✗ Address export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n18. Testing extension exports...');
+    const ext = await import('./lib/ext.js');
+    const { encode } = await import('./lib/encoder.js');
+    const { decode } = await import('./lib/decoder.js');
+    console.log('   ✓ Ext:', typeof ext.Ext);
+    console.log('   ✓ registerExtension:', typeof ext.registerExtension);
+    console.log('   ✓ unregisterExtension:', typeof ext.unregisterExtension);
+    console.log('   ✓ getExtension:', typeof ext.getExtension);
+    console.log('   ✓ findExtension:', typeof ext.findExtension);
+
+    const raw = decode(encode(new ext.Ext(5, '0xbeef')));
+    console.log('   ✓ Round-trip test:', raw.id === 5 && raw.payload.toString('hex') === 'beef');
+} catch (e) {
+    console.error('   ✗ Extension export failed:', e.message);
+    errors++;
+}
+
+try {
+    console.log('\n19. Testing type declarations...');
+    const { readFileSync, existsSync } = await import('fs');
+    const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+    const missing = Object.entries(pkg.exports)
+        .filter(([, target]) => typeof target === 'object')
+        .filter(([, target]) => !target.types || !existsSync(new URL(target.types, import.meta.url)))
+        .map(([subpath]) => subpath);
+    console.log('   ✓ Root types:', pkg.types);
+    if (missing.length > 0) throw new Error(`no declarations for ${missing.join(', ')}`);
+    console.log('   ✓ Every export has declarations:', true);
+} catch (e) {
+    console.error('   ✗ Type declarations failed:', e.message);
+    errors++;
+}
+
 console.log('\n' + '='.repeat(60));
 if (errors === 0) {
     console.log('✅ All package exports verified successfully!');
@@ -70,7 +300,23 @@ if (errors === 0) {
     console.log('  - Encoder: import { ... } from "soliditypack/encoder"');
     console.log('  - Decoder: import { ... } from "soliditypack/decoder"');
     console.log('  - Helpers: import { ... } from "soliditypack/helpers"');
+    console.log('  - Errors: import { ... } from "soliditypack/errors"');
+    console.log('  - Msgpack: import { ... } from "soliditypack/msgpack"');
+    console.log('  - Stream: import { ... } from "soliditypack/stream"');
+    console.log('  - View: import { ... } from "soliditypack/view"');
+    console.log('  - Path: import { ... } from "soliditypack/path"');
+    console.log('  - Schema: import { ... } from "soliditypack/schema"');
+    console.log('  - Codegen: import { ... } from "soliditypack/codegen"');
+    console.log('  - Typed data: import { ... } from "soliditypack/typeddata"');
+    console.log('  - ABI: import { ... } from "soliditypack/abi"');
+    console.log('  - Disassembler: import { ... } from "soliditypack/disassemble"');
+    console.log('  - Typed JSON: import { ... } from "soliditypack/typedjson"');
+    console.log('  - Values: import { ... } from "soliditypack/values"');
+    console.log('  - Address: import { ... } from "soliditypack/address"');
+    console.log('  - Keccak: import { ... } from "soliditypack/keccak"');
+    console.log('  - Extensions: import { ... } from "soliditypack/ext"');
     console.log('  - Contracts: import "soliditypack/contracts/..."');
+    console.log('  - Types: index.d.ts and lib/*.d.ts, via the "types" export conditions');
 } else {
     console.log(`❌ ${errors} export(s) failed verification`);
     process.exit(1);